@@ -0,0 +1,138 @@
+/**
+ * API Key 轮换池
+ * 一个 provider 可保存多把 key（apiKey + backupApiKeys），按顺序使用；
+ * 遇到 401/403/429 时切换到下一把，并让出错的 key 冷却一段时间，冷却状态仅保存在内存中。
+ */
+
+// 这些状态码说明当前 key 不可用（失效/无权限/限流），换 key 重试有意义
+const KEY_ROTATION_STATUSES = [401, 403, 429];
+
+// 限流只需短暂冷却；鉴权失败通常是 key 失效，冷却更久
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+const AUTH_FAILURE_COOLDOWN_MS = 10 * 60 * 1000;
+
+/**
+ * 解析用户输入的备用 key，支持逗号或换行分隔
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parseApiKeys(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[,\n]/);
+    return [...new Set(items.map((item) => String(item || '').trim()).filter(Boolean))];
+}
+
+/**
+ * 获取 provider 的有序 key 列表：主 key 在前，备用 key 依次在后
+ * @param {Object} provider
+ * @returns {string[]}
+ */
+function getProviderApiKeys(provider) {
+    if (!provider) return [];
+    return parseApiKeys([provider.apiKey, ...(provider.backupApiKeys || [])]);
+}
+
+/**
+ * 日志中只显示 key 的末 4 位
+ * @param {string} apiKey
+ * @returns {string}
+ */
+function maskApiKey(apiKey) {
+    if (!apiKey) return '';
+    if (apiKey.length <= 8) return '****';
+    return `****${apiKey.slice(-4)}`;
+}
+
+/**
+ * 解析 Retry-After 头（秒数或 HTTP 日期）
+ * @returns {number|null} 毫秒
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - now);
+}
+
+class ApiKeyPool {
+    constructor() {
+        // `${providerName}\n${apiKey}` -> 冷却结束时间戳
+        this.cooldowns = new Map();
+    }
+
+    _cooldownId(providerName, apiKey) {
+        return `${providerName}\n${apiKey}`;
+    }
+
+    isCoolingDown(providerName, apiKey, now = Date.now()) {
+        const until = this.cooldowns.get(this._cooldownId(providerName, apiKey));
+        if (!until) return false;
+        if (until <= now) {
+            this.cooldowns.delete(this._cooldownId(providerName, apiKey));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 返回本次请求的 key 顺序：未冷却的 key 保持原顺序在前，冷却中的 key 按最早恢复排在后面兜底
+     */
+    getOrderedKeys(providerName, apiKeys, now = Date.now()) {
+        const available = [];
+        const coolingDown = [];
+
+        for (const apiKey of apiKeys) {
+            if (this.isCoolingDown(providerName, apiKey, now)) {
+                coolingDown.push(apiKey);
+            } else {
+                available.push(apiKey);
+            }
+        }
+
+        coolingDown.sort(
+            (a, b) =>
+                this.cooldowns.get(this._cooldownId(providerName, a)) -
+                this.cooldowns.get(this._cooldownId(providerName, b))
+        );
+        return [...available, ...coolingDown];
+    }
+
+    /**
+     * 标记 key 进入冷却
+     * @param {string} providerName
+     * @param {string} apiKey
+     * @param {number} status - 触发冷却的 HTTP 状态码
+     * @param {number|null} retryAfterMs - 服务端 Retry-After，优先于默认冷却时长
+     */
+    markCooldown(providerName, apiKey, status, retryAfterMs = null, now = Date.now()) {
+        const defaultMs = status === 429 ? RATE_LIMIT_COOLDOWN_MS : AUTH_FAILURE_COOLDOWN_MS;
+        const cooldownMs = retryAfterMs !== null ? retryAfterMs : defaultMs;
+        this.cooldowns.set(this._cooldownId(providerName, apiKey), now + cooldownMs);
+        console.warn(
+            `[KeyPool] ${providerName} key ${maskApiKey(apiKey)} cooling down for ${Math.round(
+                cooldownMs / 1000
+            )}s (HTTP ${status})`
+        );
+    }
+
+    clear() {
+        this.cooldowns.clear();
+    }
+}
+
+const apiKeyPool = new ApiKeyPool();
+
+module.exports = {
+    KEY_ROTATION_STATUSES,
+    ApiKeyPool,
+    apiKeyPool,
+    parseApiKeys,
+    getProviderApiKeys,
+    maskApiKey,
+    parseRetryAfter,
+};
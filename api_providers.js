@@ -14,6 +14,7 @@ const PROVIDER_CONFIGS = {
         id: 'google_official',
         name: 'Gemini',
         type: 'google_official',
+        protocolType: 'gemini-native',
         defaultBaseUrl: 'https://generativelanguage.googleapis.com',
         basePath: '/v1beta',
         defaultModel: 'gemini-3.1-flash-image-preview',
@@ -35,6 +36,7 @@ const PROVIDER_CONFIGS = {
         id: 'openrouter',
         name: 'OpenRouter',
         type: 'openrouter',
+        protocolType: 'openai-chat',
         defaultBaseUrl: 'https://openrouter.ai',
         basePath: '/api/v1',
         defaultModel: 'google/gemini-3.1-flash-image-preview',
@@ -56,6 +58,7 @@ const PROVIDER_CONFIGS = {
         id: 'yunwu',
         name: 'Yunwu',
         type: 'yunwu',
+        protocolType: 'gemini-native',
         defaultBaseUrl: 'https://yunwu.ai',
         preferredBaseUrl: 'https://yunwu.ai',
         legacyBaseUrls: ['https://api3.wlai.vip', 'https://yunwu.zeabur.app'],
@@ -84,6 +87,7 @@ const PROVIDER_CONFIGS = {
         id: 'gptgod',
         name: 'GPTGod',
         type: 'gptgod',
+        protocolType: 'openai-chat',
         defaultBaseUrl: 'https://api.gptgod.online',
         basePath: '/v1',
         defaultModel: 'gemini-3.1-flash-image-preview',
@@ -105,6 +109,7 @@ const PROVIDER_CONFIGS = {
         id: 'seedream',
         name: 'Seedream',
         type: 'seedream',
+        protocolType: 'seedream',
         defaultBaseUrl: 'https://ark.cn-beijing.volces.com',
         basePath: '/api/v3',
         defaultModel: 'doubao-seedream-4-5-251128',
@@ -123,10 +128,37 @@ const PROVIDER_CONFIGS = {
         requiresAuth: true,
         visibleInUi: false,
     },
+    openai_images: {
+        id: 'openai_images',
+        name: 'OpenAI',
+        type: 'openai_images',
+        protocolType: 'openai-images',
+        defaultBaseUrl: 'https://api.openai.com',
+        basePath: '/v1',
+        defaultModel: '',
+        defaultModels: {
+            [BANANA_IMAGE_API]: '',
+            [GPT_IMAGE_2_API]: 'gpt-image-2',
+        },
+        endpoints: {
+            generate: null,
+            gptImage2Generate: '/images/generations',
+            gptImage2Edit: '/images/edits',
+            test: '/models',
+        },
+        supportedImageApis: [GPT_IMAGE_2_API],
+        // 官方 Images API 的 gpt-image 系列固定返回 b64_json，不接受 response_format；多图编辑使用 image[]
+        gptImage2ResponseFormat: null,
+        gptImage2ImageFieldName: 'image[]',
+        authType: 'bearer_token',
+        requiresAuth: true,
+        visibleInUi: true,
+    },
     comfyui: {
         id: 'comfyui',
         name: 'Local ComfyUI',
         type: 'comfyui',
+        protocolType: 'comfyui',
         defaultBaseUrl: 'http://127.0.0.1:8188',
         basePath: '',
         defaultModel: 'z_image_turbo_bf16.safetensors',
@@ -147,32 +179,78 @@ const PROVIDER_CONFIGS = {
     },
 };
 
+/**
+ * Provider 协议类型
+ * 每条 provider 记录显式保存其中之一，template 为该协议默认使用的 PROVIDER_CONFIGS 模板
+ */
+const PROVIDER_TYPES = {
+    'gemini-native': { id: 'gemini-native', name: 'Gemini Native', template: 'google_official' },
+    'openai-chat': { id: 'openai-chat', name: 'OpenAI Chat', template: 'openrouter' },
+    'openai-images': { id: 'openai-images', name: 'OpenAI Images', template: 'openai_images' },
+    seedream: { id: 'seedream', name: 'Seedream', template: 'seedream' },
+    comfyui: { id: 'comfyui', name: 'ComfyUI', template: 'comfyui' },
+};
+
+// 自定义 provider 允许覆盖的协议字段
+const CUSTOM_PROVIDER_FIELDS = ['basePath', 'endpoints', 'authType'];
+// 所有 provider 记录都可保存的附加请求头字段（OpenAI 组织/项目）
+const HEADER_PROVIDER_FIELDS = ['organization', 'project'];
+const AUTH_TYPES = ['bearer_token', 'query_param', 'none'];
+
 class ProviderConfig {
-    constructor(configId, userBaseUrl = null) {
+    /**
+     * @param {string} configId - PROVIDER_CONFIGS 中的模板 id
+     * @param {string|null} userBaseUrl
+     * @param {Object} overrides - 记录级覆盖项
+     *   {name, protocolType, visibleInUi, basePath, endpoints, authType, organization, project}
+     */
+    constructor(configId, userBaseUrl = null, overrides = {}) {
         const config = PROVIDER_CONFIGS[configId];
         if (!config) {
             throw new Error(`Unknown provider config: ${configId}`);
         }
 
         this.id = config.id;
-        this.name = config.name;
+        this.name = overrides.name || config.name;
         this.type = config.type;
+        this.protocolType = overrides.protocolType || config.protocolType;
         this.defaultBaseUrl = config.defaultBaseUrl;
         this.preferredBaseUrl = config.preferredBaseUrl || config.defaultBaseUrl;
         this.legacyBaseUrls = config.legacyBaseUrls || [];
-        this.basePath = config.basePath || '';
+        this.basePath =
+            overrides.basePath !== undefined && overrides.basePath !== null
+                ? overrides.basePath
+                : config.basePath || '';
         this.defaultModel = config.defaultModel;
         this.defaultModels = config.defaultModels || {
             [BANANA_IMAGE_API]: config.defaultModel,
             [GPT_IMAGE_2_API]: '',
         };
-        this.endpoints = config.endpoints;
+        this.endpoints = { ...config.endpoints, ...(overrides.endpoints || {}) };
         this.supportedImageApis = config.supportedImageApis || [BANANA_IMAGE_API];
-        this.authType = config.authType;
+        this.gptImage2ResponseFormat =
+            config.gptImage2ResponseFormat !== undefined
+                ? config.gptImage2ResponseFormat
+                : 'b64_json';
+        this.gptImage2ImageFieldName = config.gptImage2ImageFieldName || 'image';
+        this.organization = overrides.organization || '';
+        this.project = overrides.project || '';
+        this.authType = overrides.authType || config.authType;
         this.endpointAuthTypes = config.endpointAuthTypes || {};
-        this.requiresAuth = config.requiresAuth;
-        this.visibleInUi = config.visibleInUi !== false;
+        this.requiresAuth = this.authType === 'none' ? false : config.requiresAuth;
+        this.visibleInUi =
+            overrides.visibleInUi !== undefined
+                ? overrides.visibleInUi
+                : config.visibleInUi !== false;
+        this.isCustom = Boolean(overrides.isCustom);
         this.baseUrl = userBaseUrl || this.defaultBaseUrl;
+
+        // 自定义 provider 使用用户填写的地址，不参与内置的旧域名回退
+        if (this.isCustom) {
+            this.legacyBaseUrls = [];
+            this.preferredBaseUrl = this.defaultBaseUrl;
+            this.visibleInUi = true;
+        }
     }
 
     static normalizeBaseUrl(url) {
@@ -210,7 +288,7 @@ class ProviderConfig {
     getRequestBaseUrls() {
         const currentDomain = this._extractDomain(this.baseUrl);
 
-        if (this.type !== 'yunwu') {
+        if (this.type !== 'yunwu' || this.isCustom) {
             return [currentDomain];
         }
 
@@ -305,10 +383,21 @@ class ProviderConfig {
             headers['Authorization'] = `Bearer ${apiKey}`;
         }
 
+        if (this.organization) {
+            headers['OpenAI-Organization'] = this.organization;
+        }
+        if (this.project) {
+            headers['OpenAI-Project'] = this.project;
+        }
+
         return headers;
     }
 }
 
+/**
+ * 根据名称/URL 推断旧版 provider 记录的模板
+ * 仅用于迁移没有显式 type 的旧 providers.json，运行时请使用记录中的 type
+ */
 function detectProviderType(name, baseUrl) {
     const nameLower = (name || '').toLowerCase();
     const urlLower = (baseUrl || '').toLowerCase();
@@ -335,9 +424,64 @@ function detectProviderType(name, baseUrl) {
     return 'yunwu';
 }
 
-function getProviderConfig(name, baseUrl) {
-    const type = detectProviderType(name, baseUrl);
-    return new ProviderConfig(type, baseUrl);
+/**
+ * 按协议类型选择模板：记录的 preset 与 type 一致时保留厂商模板（如 Yunwu 的旧域名回退），
+ * 否则使用该协议类型的默认模板
+ */
+function resolveProviderTemplateId(protocolType, preset = null) {
+    const presetConfig = PROVIDER_CONFIGS[preset];
+    if (presetConfig && presetConfig.protocolType === protocolType) {
+        return presetConfig.id;
+    }
+
+    const providerType = PROVIDER_TYPES[protocolType];
+    if (!providerType) {
+        throw new Error(`Unknown provider type: ${protocolType}`);
+    }
+    return providerType.template;
+}
+
+/**
+ * 获取 provider 的协议配置
+ * @param {string} name - provider 名称
+ * @param {string} baseUrl - 用户填写的 Base URL
+ * @param {Object|null} record - providers.json 中保存的记录，其中的 type 决定协议
+ * @returns {ProviderConfig}
+ */
+function getProviderConfig(name, baseUrl, record = null) {
+    if (!record || !record.type) {
+        // 没有记录时只接受内置 provider 名称，不再按名称/URL 猜测协议
+        const builtInConfig = getAllProviderConfigs().find((config) => config.name === name);
+        if (!builtInConfig) {
+            throw new Error(`Provider ${name} has no explicit type`);
+        }
+        return new ProviderConfig(builtInConfig.id, baseUrl);
+    }
+
+    const templateId = resolveProviderTemplateId(record.type, record.preset);
+    const presetConfig = PROVIDER_CONFIGS[record.preset];
+    const overrides = { name, protocolType: record.type };
+
+    if (presetConfig) {
+        overrides.visibleInUi = presetConfig.visibleInUi !== false;
+    }
+
+    for (const field of HEADER_PROVIDER_FIELDS) {
+        if (record[field]) {
+            overrides[field] = record[field];
+        }
+    }
+
+    if (record.custom) {
+        overrides.isCustom = true;
+        for (const field of CUSTOM_PROVIDER_FIELDS) {
+            if (record[field] !== undefined) {
+                overrides[field] = record[field];
+            }
+        }
+    }
+
+    return new ProviderConfig(templateId, baseUrl, overrides);
 }
 
 function getAllProviderConfigs() {
@@ -346,8 +490,13 @@ function getAllProviderConfigs() {
 
 module.exports = {
     PROVIDER_CONFIGS,
+    PROVIDER_TYPES,
+    CUSTOM_PROVIDER_FIELDS,
+    HEADER_PROVIDER_FIELDS,
+    AUTH_TYPES,
     ProviderConfig,
     detectProviderType,
+    resolveProviderTemplateId,
     getProviderConfig,
     getAllProviderConfigs,
 };
@@ -0,0 +1,262 @@
+/**
+ * 配置包导入 / 导出
+ * 将 providers.json、presets.json 与 settings.json 打包成一个带版本号的 JSON 文件，
+ * 便于在多台机器之间同步 Base URL、模型 ID 与预设。导入时先校验并计算差异，再交给各 Manager 合并。
+ */
+const { HEADER_PROVIDER_FIELDS, PROVIDER_TYPES } = require('./api_providers');
+const { CREDENTIAL_FIELDS, splitCredentials } = require('./credential_store');
+
+const BUNDLE_FORMAT = 'psbanana-config';
+const BUNDLE_VERSION = 1;
+
+// 与当前机器相关的设置，不导出也不导入
+// 代理与自定义请求头会转发之后所有的请求（包括 API Key 与 Authorization），只能在本机设置
+const LOCAL_SETTINGS_KEYS = [
+    'latest_prompt',
+    'debug_mode',
+    'language',
+    'selected_provider',
+    'seed_value',
+    'network_proxy_url',
+    'network_custom_headers',
+];
+
+// 决定 API Key 发往哪里、以什么方式发送的 provider 字段
+// 配置包不含 key 时，这些字段有变化的 provider 不保留本机的 key，避免把 key 发到配置包指定的地址
+const ENDPOINT_FIELDS = [
+    'type',
+    'preset',
+    'baseUrl',
+    'basePath',
+    'endpoints',
+    'authType',
+    ...HEADER_PROVIDER_FIELDS,
+];
+
+function omitKeys(object, keys) {
+    const result = { ...object };
+    for (const key of keys) {
+        delete result[key];
+    }
+    return result;
+}
+
+/**
+ * 配置包中可以导入的设置（去掉与本机相关的设置）
+ * @param {Object} settings - 配置包中的 settings
+ * @returns {Object}
+ */
+function pickImportableSettings(settings) {
+    return omitKeys(settings, LOCAL_SETTINGS_KEYS);
+}
+
+// 对象按键名排序后序列化，比较时不受键顺序影响
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(
+        Object.keys(value)
+            .sort()
+            .map((key) => [key, sortKeys(value[key])])
+    );
+}
+
+function isSameValue(a, b) {
+    return JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+}
+
+// 两个对象中取值不同的字段
+function getChangedFields(incoming, existing, fields = null) {
+    const keys = fields || [...new Set([...Object.keys(incoming), ...Object.keys(existing)])];
+    return keys.filter((key) => !isSameValue(incoming[key], existing[key]));
+}
+
+/**
+ * 配置包中的 provider 相对本机 provider 改动的端点字段（Base URL、路径、鉴权方式等）
+ * @param {Object} incoming - 配置包中的 provider
+ * @param {Object} existing - 本机同名的 provider
+ * @returns {string[]}
+ */
+function getChangedEndpointFields(incoming, existing) {
+    return getChangedFields(incoming, existing, ENDPOINT_FIELDS);
+}
+
+function hasCredentials(provider) {
+    return CREDENTIAL_FIELDS.some((field) => {
+        const value = provider[field];
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    });
+}
+
+function getValueType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * 按本机已知的设置校验配置包中的设置：未知的设置或类型不一致时抛出错误
+ * @param {Object} bundleSettings - 配置包中的 settings
+ * @param {Object} knownSettings - SettingsManager.settings（包含所有设置的默认值）
+ */
+function validateBundleSettings(bundleSettings, knownSettings) {
+    for (const [key, value] of Object.entries(pickImportableSettings(bundleSettings))) {
+        if (!Object.prototype.hasOwnProperty.call(knownSettings, key)) {
+            throw new Error(`Bundle contains unknown setting "${key}".`);
+        }
+
+        const expectedType = getValueType(knownSettings[key]);
+        if (expectedType === 'null') continue;
+        if (getValueType(value) !== expectedType) {
+            throw new Error(`Setting "${key}" must be of type ${expectedType}.`);
+        }
+        // 对象类型的设置（超时、每分钟请求数）均为 名称 -> 数值
+        if (
+            expectedType === 'object' &&
+            !Object.values(value).every((item) => Number.isFinite(item))
+        ) {
+            throw new Error(`Setting "${key}" must map names to numbers.`);
+        }
+    }
+}
+
+/**
+ * 生成配置包
+ * @param {Object} options
+ * @param {Array} options.providers - ProviderManager.providers
+ * @param {Array} options.presets - PresetManager.presets
+ * @param {Object} options.settings - SettingsManager.settings
+ * @param {boolean} [options.includeApiKeys=false] - 是否包含 apiKey / backupApiKeys
+ * @param {string} [options.pluginVersion]
+ * @returns {Object}
+ */
+function createConfigBundle({
+    providers,
+    presets,
+    settings,
+    includeApiKeys = false,
+    pluginVersion = '',
+}) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        pluginVersion,
+        includesApiKeys: includeApiKeys,
+        providers: providers.map((provider) =>
+            includeApiKeys ? { ...provider } : splitCredentials(provider).record
+        ),
+        presets: presets.map((preset) => ({ name: preset.name, prompt: preset.prompt })),
+        settings: pickImportableSettings(settings),
+    };
+}
+
+/**
+ * 校验配置包结构，不合法时抛出带原因的错误
+ * @param {Object} bundle
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - 本机的 SettingsManager.settings，传入时同时校验每项设置
+ * @returns {Object} 原样返回，便于链式调用
+ */
+function validateConfigBundle(bundle, { settings = null } = {}) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error('Not a PS Banana configuration bundle.');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        throw new Error(
+            `Unsupported bundle version ${bundle.version}, please update the plugin first.`
+        );
+    }
+    if (!Array.isArray(bundle.providers) || !Array.isArray(bundle.presets)) {
+        throw new Error('Bundle is missing the providers or presets list.');
+    }
+    if (!bundle.settings || typeof bundle.settings !== 'object') {
+        throw new Error('Bundle is missing the settings object.');
+    }
+
+    bundle.providers.forEach((provider, index) => {
+        if (!provider || typeof provider.name !== 'string' || !provider.name.trim()) {
+            throw new Error(`Provider #${index + 1} has no name.`);
+        }
+        if (provider.type && !PROVIDER_TYPES[provider.type]) {
+            throw new Error(`Provider "${provider.name}" has unknown type "${provider.type}".`);
+        }
+    });
+    bundle.presets.forEach((preset, index) => {
+        if (!preset || typeof preset.name !== 'string' || typeof preset.prompt !== 'string') {
+            throw new Error(`Preset #${index + 1} must have a name and a prompt.`);
+        }
+    });
+    if (settings) {
+        validateBundleSettings(bundle.settings, settings);
+    }
+
+    return bundle;
+}
+
+function diffByName(incoming, current, normalize) {
+    const diff = { added: [], updated: [], unchanged: [], changedFields: {} };
+    for (const item of incoming) {
+        const existing = current.find((c) => c.name === item.name);
+        if (!existing) {
+            diff.added.push(item.name);
+            continue;
+        }
+
+        const changedFields = getChangedFields(normalize(item), normalize(existing));
+        if (changedFields.length > 0) {
+            diff.updated.push(item.name);
+            diff.changedFields[item.name] = changedFields;
+        } else {
+            diff.unchanged.push(item.name);
+        }
+    }
+    return diff;
+}
+
+/**
+ * 计算配置包与当前配置的差异
+ * 配置包不含 key 时，比较 provider 会忽略 key 字段：导入时保留本机已有的 key，
+ * 但端点字段有变化的 provider 会丢弃本机的 key（列在 providers.keysDropped 中）
+ * @returns {{providers: Object, presets: Object, settings: {changed: string[]}}}
+ */
+function diffConfigBundle(bundle, { providers, presets, settings }) {
+    const ignoredProviderFields = bundle.includesApiKeys ? [] : CREDENTIAL_FIELDS;
+    const incomingSettings = pickImportableSettings(bundle.settings);
+    const providerDiff = diffByName(bundle.providers, providers, (provider) =>
+        omitKeys(provider, ignoredProviderFields)
+    );
+    providerDiff.keysDropped = bundle.includesApiKeys
+        ? []
+        : bundle.providers
+              .filter((provider) => {
+                  const existing = providers.find((p) => p.name === provider.name);
+                  return (
+                      existing &&
+                      hasCredentials(existing) &&
+                      getChangedEndpointFields(provider, existing).length > 0
+                  );
+              })
+              .map((provider) => provider.name);
+
+    return {
+        providers: providerDiff,
+        presets: diffByName(bundle.presets, presets, (preset) => ({ prompt: preset.prompt })),
+        settings: {
+            changed: Object.keys(incomingSettings).filter(
+                (key) => !isSameValue(incomingSettings[key], settings[key])
+            ),
+        },
+    };
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    LOCAL_SETTINGS_KEYS,
+    ENDPOINT_FIELDS,
+    pickImportableSettings,
+    getChangedEndpointFields,
+    createConfigBundle,
+    validateConfigBundle,
+    diffConfigBundle,
+};
@@ -0,0 +1,271 @@
+/**
+ * 连接诊断
+ * 逐项检查 provider 配置：各候选 URL 的可达性、鉴权是否有效、配置的模型是否存在，
+ * 以及可选的极小试生成。每项结果为一行 { kind, imageApi, target, status, detail }，
+ * 由 Settings 页渲染成表格。
+ */
+const { getProviderConfig } = require('./api_providers');
+const { request, isAbortError } = require('./network_client');
+const { maskApiKey } = require('./api_key_pool');
+const { parseModelList } = require('./model_discovery');
+const { BANANA_IMAGE_API, GPT_IMAGE_2_API } = require('./aspect_ratio');
+
+const DIAGNOSTIC_STATUS = {
+    PASS: 'pass',
+    WARN: 'warn',
+    FAIL: 'fail',
+    SKIP: 'skip',
+};
+
+// 每个图像 API 的生成端点，用于可达性检查
+const IMAGE_API_ENDPOINTS = {
+    [BANANA_IMAGE_API]: 'generate',
+    [GPT_IMAGE_2_API]: 'gptImage2Generate',
+};
+
+// 可达性检查只需要拿到任意 HTTP 响应，不必等待太久
+const REACHABILITY_TIMEOUT_MS = 15000;
+
+function maskUrl(url, apiKey) {
+    return apiKey ? url.split(apiKey).join(maskApiKey(apiKey)) : url;
+}
+
+function errorMessage(error) {
+    return error?.message || String(error) || 'Unknown error';
+}
+
+async function readErrorText(response) {
+    try {
+        const text = await response.text();
+        return text ? ` - ${text.substring(0, 200)}` : '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * 对每个候选 URL 发一次 GET，收到任何 HTTP 响应即视为 DNS 与 HTTP 可达；取消时中止剩余检查
+ * @returns {Promise<Map<string, Response>>} 可达 URL -> 响应
+ */
+async function checkReachability(urls, headers, apiKey, signal, checks) {
+    const responses = new Map();
+
+    for (const url of urls) {
+        const startedAt = Date.now();
+        try {
+            const response = await request(url, {
+                method: 'GET',
+                headers,
+                timeout: REACHABILITY_TIMEOUT_MS,
+                signal,
+            });
+            responses.set(url, response);
+            checks.push({
+                kind: 'reachability',
+                target: maskUrl(url, apiKey),
+                status: DIAGNOSTIC_STATUS.PASS,
+                detail: `HTTP ${response.status} · ${Date.now() - startedAt}ms`,
+            });
+        } catch (e) {
+            if (isAbortError(e)) throw e;
+            checks.push({
+                kind: 'reachability',
+                target: maskUrl(url, apiKey),
+                status: DIAGNOSTIC_STATUS.FAIL,
+                detail: errorMessage(e),
+            });
+        }
+    }
+
+    return responses;
+}
+
+/**
+ * 根据 test 端点的响应判断鉴权，成功时顺带解析模型列表
+ * @returns {Promise<{authFailed: boolean, models: Array|null}>}
+ */
+async function checkAuth(config, testResponse, checks) {
+    if (!config.endpoints.test) {
+        checks.push({
+            kind: 'auth',
+            target: '',
+            status: DIAGNOSTIC_STATUS.SKIP,
+            detail: 'No test endpoint configured; auth is verified on the first generation.',
+        });
+        return { authFailed: false, models: null };
+    }
+
+    if (!testResponse) {
+        checks.push({
+            kind: 'auth',
+            target: '',
+            status: DIAGNOSTIC_STATUS.SKIP,
+            detail: 'Test endpoint is unreachable.',
+        });
+        return { authFailed: false, models: null };
+    }
+
+    const status = testResponse.status;
+    if (status === 401 || status === 403) {
+        checks.push({
+            kind: 'auth',
+            target: '',
+            status: DIAGNOSTIC_STATUS.FAIL,
+            detail: `HTTP ${status}${await readErrorText(testResponse)}`,
+        });
+        return { authFailed: true, models: null };
+    }
+
+    if (!testResponse.ok) {
+        const errorText = await readErrorText(testResponse);
+        checks.push({
+            kind: 'auth',
+            target: '',
+            status: DIAGNOSTIC_STATUS.WARN,
+            detail: `HTTP ${status} from test endpoint, auth not verified${errorText}`,
+        });
+        return { authFailed: false, models: null };
+    }
+
+    let data = null;
+    try {
+        data = await testResponse.json();
+    } catch (e) {
+        console.warn('[Diagnostics] Test endpoint returned non-JSON body:', e);
+    }
+
+    if (data && data.error) {
+        checks.push({
+            kind: 'auth',
+            target: '',
+            status: DIAGNOSTIC_STATUS.FAIL,
+            detail: `API Error: ${data.error.message || 'Unknown error'}`,
+        });
+        return { authFailed: true, models: null };
+    }
+
+    checks.push({
+        kind: 'auth',
+        target: '',
+        status: DIAGNOSTIC_STATUS.PASS,
+        detail: `HTTP ${status}`,
+    });
+    return { authFailed: false, models: config.type === 'comfyui' ? null : parseModelList(data) };
+}
+
+function checkModels(imageApis, modelsByApi, models, checks) {
+    for (const imageApi of imageApis) {
+        const modelId = String(modelsByApi[imageApi] || '').trim();
+        if (!modelId) continue;
+
+        if (!models || models.length === 0) {
+            checks.push({
+                kind: 'model',
+                imageApi,
+                target: modelId,
+                status: DIAGNOSTIC_STATUS.SKIP,
+                detail: 'Model list unavailable.',
+            });
+            continue;
+        }
+
+        const listed = models.some((model) => model.id === modelId);
+        checks.push({
+            kind: 'model',
+            imageApi,
+            target: modelId,
+            status: listed ? DIAGNOSTIC_STATUS.PASS : DIAGNOSTIC_STATUS.WARN,
+            detail: listed
+                ? `Listed among ${models.length} models`
+                : `Not listed among ${models.length} models (some gateways hide models)`,
+        });
+    }
+}
+
+async function runDryRuns(imageApis, dryRun, signal, checks) {
+    for (const imageApi of imageApis) {
+        const startedAt = Date.now();
+        try {
+            await dryRun(imageApi, signal);
+            checks.push({
+                kind: 'dry_run',
+                imageApi,
+                target: '',
+                status: DIAGNOSTIC_STATUS.PASS,
+                detail: `${Math.round((Date.now() - startedAt) / 1000)}s`,
+            });
+        } catch (e) {
+            if (isAbortError(e)) throw e;
+            checks.push({
+                kind: 'dry_run',
+                imageApi,
+                target: '',
+                status: DIAGNOSTIC_STATUS.FAIL,
+                detail: errorMessage(e),
+            });
+        }
+    }
+}
+
+/**
+ * 运行全部诊断
+ * @param {Object} providerConfig - Settings 表单中的 provider 配置（含 models）
+ * @param {Object} options
+ * @param {Function} [options.dryRun] - (imageApi, signal) => Promise，提供时对每个支持的图像 API 试生成一次
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{success: boolean, checks: Array}>} success 表示没有失败项
+ */
+async function runDiagnostics(providerConfig, options = {}) {
+    const { apiKey, baseUrl, name } = providerConfig;
+    const { dryRun = null, signal = null } = options;
+    const checks = [];
+
+    if (!apiKey || !baseUrl) {
+        checks.push({
+            kind: 'config',
+            target: '',
+            status: DIAGNOSTIC_STATUS.FAIL,
+            detail: 'Missing API Key or Base URL.',
+        });
+        return { success: false, checks };
+    }
+
+    const config = getProviderConfig(name, baseUrl, providerConfig);
+    const modelsByApi = providerConfig.models || {};
+    const imageApis = [BANANA_IMAGE_API, GPT_IMAGE_2_API].filter((imageApi) =>
+        config.supportsImageApi(imageApi)
+    );
+
+    const testUrls = config.buildApiUrls('test', { model: modelsByApi[BANANA_IMAGE_API], apiKey });
+    const imageUrls = imageApis.flatMap((imageApi) =>
+        config.buildApiUrls(IMAGE_API_ENDPOINTS[imageApi], {
+            model: modelsByApi[imageApi],
+            apiKey,
+        })
+    );
+    const responses = await checkReachability(
+        [...new Set([...testUrls, ...imageUrls])],
+        config.buildHeaders(apiKey, { endpointType: 'test' }),
+        apiKey,
+        signal,
+        checks
+    );
+
+    const testResponse = testUrls.map((url) => responses.get(url)).find(Boolean) || null;
+    const { authFailed, models } = await checkAuth(config, testResponse, checks);
+    checkModels(imageApis, modelsByApi, models, checks);
+
+    if (typeof dryRun === 'function' && !authFailed) {
+        await runDryRuns(imageApis, dryRun, signal, checks);
+    }
+
+    return {
+        success: !checks.some((check) => check.status === DIAGNOSTIC_STATUS.FAIL),
+        checks,
+    };
+}
+
+module.exports = {
+    DIAGNOSTIC_STATUS,
+    runDiagnostics,
+};
@@ -0,0 +1,130 @@
+/**
+ * API Key 安全存储
+ * 各 provider 的 apiKey / backupApiKeys 保存在 UXP secureStorage（系统钥匙串加密）中，
+ * providers.json 只保存其余配置。全部凭据以一个 JSON 条目保存：{ [providerName]: { apiKey, backupApiKeys } }
+ */
+
+const CREDENTIALS_ITEM = 'psbanana.provider_credentials';
+
+// 需要从 provider 记录中拆出、保存到安全存储的字段
+const CREDENTIAL_FIELDS = ['apiKey', 'backupApiKeys'];
+
+function decodeBytes(value) {
+    if (typeof value === 'string') return value;
+    if (!value) return '';
+
+    const bytes = value instanceof Uint8Array ? value : new Uint8Array(value);
+    if (typeof globalThis.TextDecoder === 'function') {
+        return new globalThis.TextDecoder('utf-8').decode(bytes);
+    }
+
+    let result = '';
+    for (let i = 0; i < bytes.length; i++) {
+        result += String.fromCharCode(bytes[i]);
+    }
+    return result;
+}
+
+/**
+ * 拆分 provider 记录：返回不含凭据的记录副本与凭据
+ * @param {Object} provider
+ * @returns {{record: Object, credentials: Object}}
+ */
+function splitCredentials(provider) {
+    const record = { ...provider };
+    const credentials = {};
+    for (const field of CREDENTIAL_FIELDS) {
+        if (record[field] !== undefined) {
+            credentials[field] = record[field];
+            delete record[field];
+        }
+    }
+    return { record, credentials };
+}
+
+/**
+ * 合并 providers.json 中的记录与安全存储中的凭据
+ * 记录中的明文 key 来自旧版本或安全存储不可用时的回退保存，比安全存储中的值新，优先使用
+ * @param {Object} record
+ * @param {Object} [credentials]
+ * @returns {Object}
+ */
+function mergeCredentials(record, credentials = {}) {
+    const merged = { ...record };
+    for (const field of CREDENTIAL_FIELDS) {
+        if (merged[field] === undefined && credentials[field] !== undefined) {
+            merged[field] = credentials[field];
+        }
+    }
+    return merged;
+}
+
+class CredentialStore {
+    /**
+     * @param {Object} [storage] - 实现 getItem / setItem 的存储，默认使用 UXP secureStorage
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        // 上次读取失败：安全存储中可能仍有 key，读取成功之前不能覆盖
+        this.readFailed = false;
+    }
+
+    _getStorage() {
+        if (!this.storage) {
+            this.storage = require('uxp').storage.secureStorage;
+        }
+        return this.storage;
+    }
+
+    /**
+     * 读取全部凭据，条目不存在时返回空对象
+     * 安全存储不可用或内容无法解析时同样返回空对象，但会记录读取失败，之后的 save 会被拒绝
+     * @returns {Promise<Object>}
+     */
+    async load() {
+        let value;
+        try {
+            value = await this._getStorage().getItem(CREDENTIALS_ITEM);
+        } catch (e) {
+            console.warn('[Credentials] Failed to read secure storage:', e);
+            this.readFailed = true;
+            return {};
+        }
+
+        const text = decodeBytes(value);
+        if (!text) {
+            this.readFailed = false;
+            return {};
+        }
+        try {
+            const credentials = JSON.parse(text);
+            this.readFailed = false;
+            return credentials;
+        } catch (e) {
+            console.warn('[Credentials] Failed to parse secure storage:', e);
+            this.readFailed = true;
+            return {};
+        }
+    }
+
+    /**
+     * 覆盖保存全部凭据，失败时抛出，由调用方决定是否回退到明文保存
+     * 上次读取失败时拒绝保存，避免用不完整的凭据覆盖安全存储中的 key
+     * @param {Object} credentials
+     */
+    async save(credentials) {
+        if (this.readFailed) {
+            throw new Error(
+                'Secure storage could not be read, refusing to overwrite saved API keys'
+            );
+        }
+        await this._getStorage().setItem(CREDENTIALS_ITEM, JSON.stringify(credentials));
+    }
+}
+
+module.exports = {
+    CREDENTIAL_FIELDS,
+    CredentialStore,
+    mergeCredentials,
+    splitCredentials,
+};
@@ -38,6 +38,7 @@ export default [
                 Blob: 'readonly',
                 URL: 'readonly',
                 fetch: 'readonly',
+                AbortController: 'readonly',
                 FormData: 'readonly',
                 navigator: 'readonly',
                 Image: 'readonly',
@@ -1,18 +1,45 @@
-const fs = require('uxp').storage.localFileSystem;
 const { request } = require('./network_client');
+const { redactText } = require('./redaction');
+const { embedGenerationMetadata } = require('./generation_metadata');
+
+// 同一秒内（批量任务、多张变体）保存的图片靠序号区分，避免互相覆盖
+let imageSequence = 0;
 
 /**
  * Manages temporary files for AI image generation
  * Creates and manages files in AppData\Local\PS_Banana
  */
 class FileManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.fileSystem] - 默认使用 UXP localFileSystem
+     * @param {*} [options.binaryFormat] - 读写二进制文件的 format 参数，默认 UXP formats.binary
+     * @param {Function} [options.now] - 当前时间（Date），便于测试
+     */
+    constructor({ fileSystem = null, binaryFormat = null, now = () => new Date() } = {}) {
+        this.fileSystem = fileSystem;
+        this.binaryFormat = binaryFormat;
+        this.now = now;
         this.logDirName = 'Logs'; // For debug logs only
         this.logDirPath = null;
         this.imageDirName = 'GeneratedImages'; // For generated images
         this.imageDirPath = null;
     }
 
+    _getFileSystem() {
+        if (!this.fileSystem) {
+            this.fileSystem = require('uxp').storage.localFileSystem;
+        }
+        return this.fileSystem;
+    }
+
+    _getBinaryFormat() {
+        if (!this.binaryFormat) {
+            this.binaryFormat = require('uxp').storage.formats.binary;
+        }
+        return this.binaryFormat;
+    }
+
     /**
      * Get or create the log directory for debug files
      * Uses UXP plugin data folder (no user permission needed)
@@ -22,7 +49,7 @@ class FileManager {
     async getLogFolder() {
         try {
             // Use getDataFolder() - plugin-specific data folder
-            const dataFolder = await fs.getDataFolder();
+            const dataFolder = await this._getFileSystem().getDataFolder();
 
             // 尝试获取现有目录，如果不存在则创建
             try {
@@ -30,7 +57,7 @@ class FileManager {
             } catch {
                 // 目录不存在，创建新目录
                 console.log(`[FileManager] Log folder not found, creating: ${this.logDirName}`);
-                this.logDirPath = await dataFolder.createFolder(this.logDirName);
+                this.logDirPath = await this._createFolder(dataFolder, this.logDirName);
             }
 
             console.log('[FileManager] Log folder path:', this.logDirPath.nativePath);
@@ -51,7 +78,7 @@ class FileManager {
         try {
             // Use getDataFolder() for generated images too
             // This ensures no permission issues
-            const dataFolder = await fs.getDataFolder();
+            const dataFolder = await this._getFileSystem().getDataFolder();
 
             // 尝试获取现有目录，如果不存在则创建
             try {
@@ -59,7 +86,7 @@ class FileManager {
             } catch {
                 // 目录不存在，创建新目录
                 console.log(`[FileManager] Image folder not found, creating: ${this.imageDirName}`);
-                this.imageDirPath = await dataFolder.createFolder(this.imageDirName);
+                this.imageDirPath = await this._createFolder(dataFolder, this.imageDirName);
             }
 
             console.log('[FileManager] Image folder path:', this.imageDirPath.nativePath);
@@ -70,12 +97,27 @@ class FileManager {
         }
     }
 
+    /**
+     * 创建目录；并发的任务（批量生成）可能已经先创建了同名目录，此时直接使用该目录
+     */
+    async _createFolder(parentFolder, name) {
+        try {
+            return await parentFolder.createFolder(name);
+        } catch (e) {
+            try {
+                return await parentFolder.getEntry(name);
+            } catch {
+                throw e;
+            }
+        }
+    }
+
     /**
      * Get or create the workflows directory
      */
     async getWorkflowsFolder() {
         try {
-            const dataFolder = await fs.getDataFolder();
+            const dataFolder = await this._getFileSystem().getDataFolder();
             let workflowsFolder;
             try {
                 workflowsFolder = await dataFolder.getEntry('Workflows');
@@ -137,7 +179,7 @@ class FileManager {
             const timestamp = this._getTimestamp();
             const filename = `payload_${providerName.replace(/\s/g, '_')}_${timestamp}.json`;
             const file = await folder.createFile(filename, { overwrite: true });
-            const content = JSON.stringify(payload, null, 2);
+            const content = redactText(JSON.stringify(payload, null, 2));
             await file.write(content);
             console.log(`[DEBUG] Payload saved to: ${file.nativePath}`);
             return file.nativePath;
@@ -156,7 +198,7 @@ class FileManager {
             const timestamp = this._getTimestamp();
             const filename = `response_${providerName.replace(/\s/g, '_')}_${timestamp}.json`;
             const file = await folder.createFile(filename, { overwrite: true });
-            const content = JSON.stringify(response, null, 2);
+            const content = redactText(JSON.stringify(response, null, 2));
             await file.write(content);
             console.log(`[DEBUG] Response saved to: ${file.nativePath}`);
             return file.nativePath;
@@ -175,7 +217,7 @@ class FileManager {
             const timestamp = this._getTimestamp();
             const filename = `error_${timestamp}.txt`;
             const file = await folder.createFile(filename, { overwrite: true });
-            await file.write(message);
+            await file.write(redactText(message));
             console.log(`[DEBUG] Log saved to: ${file.nativePath}`);
             return file.nativePath;
         } catch (e) {
@@ -184,6 +226,34 @@ class FileManager {
         }
     }
 
+    /**
+     * 让用户选择保存位置并写入 JSON（用于导出配置包）
+     * @param {string} suggestedName - 默认文件名
+     * @param {Object} data
+     * @returns {Promise<string|null>} 文件路径，用户取消时返回 null
+     */
+    async saveJsonWithPicker(suggestedName, data) {
+        const file = await this._getFileSystem().getFileForSaving(suggestedName, { types: ['json'] });
+        if (!file) return null;
+
+        await file.write(JSON.stringify(data, null, 4));
+        console.log(`[Config] Saved to: ${file.nativePath}`);
+        return file.nativePath;
+    }
+
+    /**
+     * 让用户选择 JSON 文件并解析（用于导入配置包）
+     * @returns {Promise<Object|null>} 用户取消时返回 null
+     */
+    async readJsonWithPicker() {
+        const file = await this._getFileSystem().getFileForOpening({ types: ['json'] });
+        if (!file) return null;
+
+        const data = await file.read();
+        console.log(`[Config] Loaded from: ${file.nativePath}`);
+        return JSON.parse(data);
+    }
+
     /**
      * 保存任务日志到固定文件（用于多任务调试）
      * @param {string} content - 日志内容
@@ -194,7 +264,7 @@ class FileManager {
             const folder = await this.getLogFolder();
             const filename = `task_debug_log.txt`;
             const file = await folder.createFile(filename, { overwrite: true });
-            await file.write(content);
+            await file.write(redactText(content));
             return file.nativePath;
         } catch (e) {
             console.error('Error saving task log:', e);
@@ -206,19 +276,20 @@ class FileManager {
      * Save image data (base64 or binary) to file
      * @param {string} base64Data - Base64 image data (without data:image prefix)
      * @param {string} extension - File extension (png, jpg, webp)
+     * @param {Object} metadata - 可选的生成参数，写入 PNG tEXt / JPEG XMP
      * @returns {Promise<File>}
      */
-    async saveImageFromBase64(base64Data, extension = 'png') {
+    async saveImageFromBase64(base64Data, extension = 'png', metadata = null) {
         try {
             const bytes = this._base64ToBytes(base64Data);
-            return await this._saveBytesAsImage(bytes, extension);
+            return await this._saveBytesAsImage(bytes, extension, metadata);
         } catch (e) {
             console.error('Error saving image from base64:', e);
             throw e;
         }
     }
 
-    async saveImageFromBase64Auto(base64Data, mimeType = null) {
+    async saveImageFromBase64Auto(base64Data, mimeType = null, metadata = null) {
         try {
             const bytes = this._base64ToBytes(base64Data);
             const detectedExtension = this.detectImageExtensionFromBytes(bytes);
@@ -228,7 +299,7 @@ class FileManager {
                 throw new Error('Failed to determine image extension from base64 data');
             }
 
-            return await this._saveBytesAsImage(bytes, extension);
+            return await this._saveBytesAsImage(bytes, extension, metadata);
         } catch (e) {
             console.error('Error saving image from base64 automatically:', e);
             throw e;
@@ -238,15 +309,21 @@ class FileManager {
     /**
      * Download image from URL and save to temp folder
      * @param {string} url - Image URL
+     * @param {Object} options - { signal, onProgress, timeout, metadata } 可选的取消信号、下载进度回调、超时与生成参数
      * @returns {Promise<File>}
      */
-    async downloadImage(url) {
-        return await this.downloadImageAndDetectType(url);
+    async downloadImage(url, options = {}) {
+        return await this.downloadImageAndDetectType(url, options);
     }
 
-    async downloadImageAndDetectType(url) {
+    async downloadImageAndDetectType(url, options = {}) {
         try {
-            const response = await request(url, { responseType: 'arraybuffer' });
+            const response = await request(url, {
+                responseType: 'arraybuffer',
+                signal: options.signal,
+                onProgress: options.onProgress,
+                timeout: options.timeout,
+            });
             if (!response.ok) {
                 throw new Error(`Failed to download image: ${response.status}`);
             }
@@ -261,7 +338,7 @@ class FileManager {
                 throw new Error(`Downloaded content is not a supported image: ${url}`);
             }
 
-            return await this._saveBytesAsImage(bytes, extension);
+            return await this._saveBytesAsImage(bytes, extension, options.metadata);
         } catch (e) {
             console.error('Error downloading image:', e);
             throw e;
@@ -282,14 +359,14 @@ class FileManager {
         return null;
     }
 
-    async saveDataUrl(dataUrl) {
+    async saveDataUrl(dataUrl, metadata = null) {
         const match = /^data:(image\/[^;]+);base64,(.+)$/i.exec(dataUrl || '');
         if (!match) {
             throw new Error('Invalid data URL image payload');
         }
 
         const [, mimeType, base64Data] = match;
-        return await this.saveImageFromBase64Auto(base64Data, mimeType);
+        return await this.saveImageFromBase64Auto(base64Data, mimeType, metadata);
     }
 
     _base64ToBytes(base64Data) {
@@ -301,13 +378,27 @@ class FileManager {
         return bytes;
     }
 
-    async _saveBytesAsImage(bytes, extension) {
+    async _saveBytesAsImage(bytes, extension, metadata = null) {
+        if (metadata) {
+            try {
+                bytes = embedGenerationMetadata(
+                    bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes),
+                    extension,
+                    metadata
+                );
+            } catch (e) {
+                // 元数据写入失败时仍保存原图
+                console.warn('[IMAGE] Failed to embed generation metadata:', e);
+            }
+        }
+
         const folder = await this.getImageFolder();
-        const timestamp = this._getTimestamp();
-        const filename = `generated_image_${timestamp}.${extension}`;
-        const file = await folder.createFile(filename, { overwrite: true });
+        // 文件名: generated_image_<时间戳>_<序号>.<扩展名>，不覆盖已有文件
+        imageSequence += 1;
+        const filename = `generated_image_${this._getTimestamp()}_${imageSequence}.${extension}`;
+        const file = await folder.createFile(filename);
         const binaryBuffer = bytes instanceof Uint8Array ? bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) : bytes;
-        await file.write(binaryBuffer, { format: require('uxp').storage.formats.binary });
+        await file.write(binaryBuffer, { format: this._getBinaryFormat() });
         console.log(`[IMAGE] Image saved to: ${file.nativePath}`);
         return file;
     }
@@ -333,7 +424,7 @@ class FileManager {
      * Get timestamp string for file naming
      */
     _getTimestamp() {
-        const now = new Date();
+        const now = this.now();
         return (
             now.getFullYear().toString() +
             (now.getMonth() + 1).toString().padStart(2, '0') +
@@ -464,22 +555,22 @@ class FileManager {
                 return null;
             }
 
-            // 使用文件名中的时间戳排序（更可靠）
-            // 文件名格式: generated_image_20251129161530.png
+            // 使用文件名中的时间戳与序号排序（更可靠）
+            // 文件名格式: generated_image_20251129161530_3.png（旧文件没有序号）
             imageFiles.sort((a, b) => {
                 const extractTimestamp = (name) => {
-                    const match = name.match(/generated_image_(\d+)\.(png|jpg|jpeg|webp)/);
-                    return match ? match[1] : '0';
+                    const match = name.match(/generated_image_(\d+)(?:_(\d+))?\.(png|jpg|jpeg|webp)/);
+                    return match ? [match[1], parseInt(match[2] || '0', 10)] : ['0', 0];
                 };
-                const timeA = extractTimestamp(a.name);
-                const timeB = extractTimestamp(b.name);
-                return timeB.localeCompare(timeA); // 降序排列，最新的在前
+                const [timeA, sequenceA] = extractTimestamp(a.name);
+                const [timeB, sequenceB] = extractTimestamp(b.name);
+                return timeB.localeCompare(timeA) || sequenceB - sequenceA; // 降序排列，最新的在前
             });
 
             const latestFile = imageFiles[0];
 
             // Create a session token for the file
-            const token = fs.createSessionToken(latestFile);
+            const token = this._getFileSystem().createSessionToken(latestFile);
             console.log('[FileManager] Latest image token created for:', latestFile.name);
             console.log('[FileManager] Token:', token);
             return token;
@@ -499,7 +590,7 @@ class FileManager {
         try {
             console.log('[FileManager] Step A: Getting file from session token:', token);
             // 使用 getEntryForSessionToken 来解析 session token
-            const file = await fs.getEntryForSessionToken(token);
+            const file = await this._getFileSystem().getEntryForSessionToken(token);
 
             console.log('[FileManager] Step B: Got file object');
             console.log('[FileManager] - File name:', file.name);
@@ -525,7 +616,7 @@ class FileManager {
             console.log(`[FileManager] Converting file to base64: ${file.name}`);
 
             // 读取文件为二进制
-            const arrayBuffer = await file.read({ format: require('uxp').storage.formats.binary });
+            const arrayBuffer = await file.read({ format: this._getBinaryFormat() });
             const bytes = new Uint8Array(arrayBuffer);
 
             // 转换为base64
@@ -0,0 +1,297 @@
+/**
+ * 生成参数元数据
+ * 输出图片与导入的图层都附带生成参数（prompt、provider、模型、Image API、seed、选区、时间等），
+ * 便于之后查看或按原参数重新生成。
+ * - PNG：keyword 为 psbanana 的 tEXt 块，内容为 JSON（非 ASCII 字符转义为 \uXXXX，满足 tEXt 的 Latin-1 限制）
+ * - JPEG：APP1 XMP 段
+ * - 图层：Photoshop 图层 XMP（PSOperations.setLayerGenerationMetadata）
+ * WebP 等其它格式不写入文件元数据。
+ */
+
+const METADATA_KEYWORD = 'psbanana';
+const METADATA_VERSION = 1;
+const XMP_NAMESPACE = 'https://github.com/LiuYangArt/PSBananaUXP/ns/1.0/';
+const JPEG_XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const JPEG_EXIF_HEADER = 'Exif\0\0';
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function asciiBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+}
+
+function asciiText(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i++) {
+        text += String.fromCharCode(bytes[i]);
+    }
+    return text;
+}
+
+function utf8Bytes(text) {
+    if (typeof globalThis.TextEncoder === 'function') {
+        return new globalThis.TextEncoder().encode(text);
+    }
+    const bytes = [];
+    for (const char of encodeURIComponent(text).match(/%[0-9A-F]{2}|[^%]/g) || []) {
+        bytes.push(char.length === 3 ? parseInt(char.slice(1), 16) : char.charCodeAt(0));
+    }
+    return new Uint8Array(bytes);
+}
+
+function readUint32(bytes, offset) {
+    return (
+        ((bytes[offset] << 24) |
+            (bytes[offset + 1] << 16) |
+            (bytes[offset + 2] << 8) |
+            bytes[offset + 3]) >>>
+        0
+    );
+}
+
+function writeUint32(bytes, offset, value) {
+    bytes[offset] = (value >>> 24) & 0xff;
+    bytes[offset + 1] = (value >>> 16) & 0xff;
+    bytes[offset + 2] = (value >>> 8) & 0xff;
+    bytes[offset + 3] = value & 0xff;
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+function isPng(bytes) {
+    return bytes.length > 8 && PNG_SIGNATURE.every((value, index) => bytes[index] === value);
+}
+
+// 遍历 PNG 数据块，返回 [{ type, offset, dataOffset, length }]
+function listPngChunks(bytes) {
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= bytes.length) {
+        const length = readUint32(bytes, offset);
+        const type = asciiText(bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, offset, dataOffset: offset + 8, length });
+        offset += length + 12;
+        if (type === 'IEND') break;
+    }
+    return chunks;
+}
+
+// JSON 中的非 ASCII 字符转义为 \uXXXX，解析后与原文一致
+function toAsciiJson(value) {
+    return JSON.stringify(value).replace(
+        /[\u007f-\uffff]/g,
+        (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+    );
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * 生成写入文件与图层的元数据
+ * @returns {Object}
+ */
+function createGenerationMetadata({
+    prompt,
+    provider,
+    model,
+    imageApi,
+    mode,
+    aspectRatio,
+    resolution,
+    seed = null,
+    region = null,
+}) {
+    return {
+        version: METADATA_VERSION,
+        prompt,
+        provider,
+        model,
+        imageApi,
+        mode,
+        aspectRatio,
+        resolution,
+        seed: seed ?? null,
+        region: region || null,
+        createdAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * 生成包含元数据的 XMP 包（元数据以 JSON 保存在 psbanana:generation 属性中）
+ * @param {Object} metadata
+ * @returns {string}
+ */
+function buildXmpPacket(metadata) {
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        `<rdf:Description rdf:about="" xmlns:psbanana="${XMP_NAMESPACE}" psbanana:generation="${escapeXml(
+            toAsciiJson(metadata)
+        )}"/>`,
+        '</rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>',
+    ].join('\n');
+}
+
+/**
+ * 从 XMP 文本中读取元数据，不存在或无法解析时返回 null
+ * @param {string} xmp
+ * @returns {Object|null}
+ */
+function parseXmpPacket(xmp) {
+    const match = /psbanana:generation="([^"]*)"/.exec(xmp || '');
+    if (!match) return null;
+    try {
+        return JSON.parse(unescapeXml(match[1]));
+    } catch {
+        return null;
+    }
+}
+
+function embedPngText(bytes, text) {
+    const iend = listPngChunks(bytes).find((chunk) => chunk.type === 'IEND');
+    if (!iend) {
+        throw new Error('PNG has no IEND chunk');
+    }
+
+    const data = asciiBytes(`${METADATA_KEYWORD}\0${text}`);
+    const typeAndData = concatBytes([asciiBytes('tEXt'), data]);
+    const chunk = new Uint8Array(typeAndData.length + 8);
+    writeUint32(chunk, 0, data.length);
+    chunk.set(typeAndData, 4);
+    writeUint32(chunk, chunk.length - 4, crc32(typeAndData));
+
+    return concatBytes([bytes.subarray(0, iend.offset), chunk, bytes.subarray(iend.offset)]);
+}
+
+// SOI 之后开头的 JFIF (APP0) 与 Exif (APP1) 段的结束位置，XMP 段按惯例放在它们之后
+function findJpegXmpOffset(bytes) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        const isExif =
+            marker === 0xe1 &&
+            asciiText(bytes.subarray(offset + 4, offset + 4 + JPEG_EXIF_HEADER.length)) ===
+                JPEG_EXIF_HEADER;
+        if (marker !== 0xe0 && !isExif) break;
+        offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+    return Math.min(offset, bytes.length);
+}
+
+function embedJpegXmp(bytes, xmp) {
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+        throw new Error('Not a JPEG file');
+    }
+
+    const payload = concatBytes([asciiBytes(JPEG_XMP_HEADER), utf8Bytes(xmp)]);
+    if (payload.length + 2 > 0xffff) {
+        throw new Error('XMP packet is too large for a JPEG APP1 segment');
+    }
+
+    const segment = new Uint8Array(payload.length + 4);
+    segment[0] = 0xff;
+    segment[1] = 0xe1;
+    segment[2] = ((payload.length + 2) >>> 8) & 0xff;
+    segment[3] = (payload.length + 2) & 0xff;
+    segment.set(payload, 4);
+
+    const offset = findJpegXmpOffset(bytes);
+    return concatBytes([bytes.subarray(0, offset), segment, bytes.subarray(offset)]);
+}
+
+/**
+ * 将元数据写入图片字节，不支持的格式原样返回
+ * @param {Uint8Array} bytes
+ * @param {string} extension - png / jpg / webp
+ * @param {Object} metadata
+ * @returns {Uint8Array}
+ */
+function embedGenerationMetadata(bytes, extension, metadata) {
+    if (extension === 'png' && isPng(bytes)) {
+        return embedPngText(bytes, toAsciiJson(metadata));
+    }
+    if (extension === 'jpg') {
+        return embedJpegXmp(bytes, buildXmpPacket(metadata));
+    }
+    return bytes;
+}
+
+/**
+ * 读取 PNG tEXt 块中的元数据，不存在时返回 null
+ * @param {Uint8Array} bytes
+ * @returns {Object|null}
+ */
+function readPngGenerationMetadata(bytes) {
+    if (!isPng(bytes)) return null;
+
+    const prefix = `${METADATA_KEYWORD}\0`;
+    for (const chunk of listPngChunks(bytes)) {
+        if (chunk.type !== 'tEXt') continue;
+        const text = asciiText(bytes.subarray(chunk.dataOffset, chunk.dataOffset + chunk.length));
+        if (text.startsWith(prefix)) {
+            try {
+                return JSON.parse(text.slice(prefix.length));
+            } catch {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    createGenerationMetadata,
+    buildXmpPacket,
+    parseXmpPacket,
+    embedGenerationMetadata,
+    readPngGenerationMetadata,
+};
@@ -0,0 +1,314 @@
+/**
+ * 生成历史
+ * 每次生成成功后记录 prompt、provider、模型、模式、比例、分辨率、选区，以及输入图与输出图，
+ * 可在 History 页把输出图重新导入当前文档，或用相同参数与输入重新生成。
+ * 保存在插件数据目录的 History 文件夹：history.json 为索引，每条记录的图片放在以 id 命名的子文件夹中。
+ */
+
+const HISTORY_FOLDER = 'History';
+const INDEX_FILE = 'history.json';
+const DEFAULT_MAX_ENTRIES = 50;
+
+// exportGenerationInputs() 结果中的输入图字段 -> 保存的文件名（输入图为 WebP，选区蒙版为 PNG）
+// sourceData / referenceData 为旧版本的多图输入，现在的多图输入保存在 roleImages 中
+const INPUT_FILES = {
+    imageData: 'input.webp',
+    sourceData: 'source.webp',
+    referenceData: 'reference.webp',
+    maskData: 'mask.png',
+    maskAlphaData: 'mask_alpha.png',
+};
+
+function base64ToBytes(base64Data) {
+    const binaryString = atob(base64Data);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function bytesToBase64(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binaryString += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binaryString);
+}
+
+async function getOrCreateFolder(parent, name) {
+    try {
+        return await parent.getEntry(name);
+    } catch {
+        try {
+            return await parent.createFolder(name);
+        } catch (e) {
+            // 并发写入时目录可能刚被另一个调用创建
+            try {
+                return await parent.getEntry(name);
+            } catch {
+                throw e;
+            }
+        }
+    }
+}
+
+class HistoryStore {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getDataFolder] - 返回插件数据目录，默认使用 UXP localFileSystem
+     * @param {*} [options.binaryFormat] - 读写二进制文件的 format 参数，默认 UXP formats.binary
+     */
+    constructor({ getDataFolder = null, binaryFormat = null } = {}) {
+        this.getDataFolder = getDataFolder;
+        this.binaryFormat = binaryFormat;
+        this.entries = []; // 最新在前
+        this.pendingIds = new Set(); // 正在写入文件、尚未加入 entries 的记录
+        this.loaded = false;
+    }
+
+    _getDataFolder() {
+        if (!this.getDataFolder) {
+            const fs = require('uxp').storage.localFileSystem;
+            this.getDataFolder = () => fs.getDataFolder();
+        }
+        return this.getDataFolder();
+    }
+
+    _getBinaryFormat() {
+        if (!this.binaryFormat) {
+            this.binaryFormat = require('uxp').storage.formats.binary;
+        }
+        return this.binaryFormat;
+    }
+
+    async _getHistoryFolder() {
+        return await getOrCreateFolder(await this._getDataFolder(), HISTORY_FOLDER);
+    }
+
+    async _getEntryFolder(id) {
+        const historyFolder = await this._getHistoryFolder();
+        return await historyFolder.getEntry(id);
+    }
+
+    async load() {
+        try {
+            const historyFolder = await this._getHistoryFolder();
+            const entry = await historyFolder.getEntry(INDEX_FILE);
+            const entries = JSON.parse(await entry.read());
+            this.entries = Array.isArray(entries) ? entries : [];
+        } catch {
+            // 索引不存在（首次使用）或已损坏
+            this.entries = [];
+        }
+        this.loaded = true;
+    }
+
+    async save() {
+        try {
+            const historyFolder = await this._getHistoryFolder();
+            const entry = await historyFolder.createFile(INDEX_FILE, { overwrite: true });
+            await entry.write(JSON.stringify(this.entries, null, 4));
+        } catch (e) {
+            console.error('[History] Error saving history index:', e);
+        }
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+
+    getEntry(id) {
+        return this.entries.find((entry) => entry.id === id) || null;
+    }
+
+    /**
+     * 新增一条历史记录，并复制输出图与输入图到记录文件夹
+     * @param {Object} record - prompt、provider、model、imageApi、mode、aspectRatio、resolution、region 等
+     * @param {Object} files
+     * @param {Array<File>} files.outputFiles - 生成的图片文件
+     * @param {Object} [files.inputs] - { imageData, maskData, maskAlphaData } base64，
+     *   多图模式的 roleImages 为 [{role, index, label, data}]
+     * @param {number} [maxEntries=50] - 保留的最大条数，超出时删除最旧的记录
+     * @returns {Promise<Object>} 新记录
+     */
+    async addEntry(record, { outputFiles, inputs = {} }, maxEntries = DEFAULT_MAX_ENTRIES) {
+        // 在第一个 await 之前占用 id，同一秒内并发完成的批量任务不会拿到相同的 id
+        const id = this._createId();
+        this.pendingIds.add(id);
+        try {
+            return await this._writeEntry(id, record, { outputFiles, inputs }, maxEntries);
+        } finally {
+            this.pendingIds.delete(id);
+        }
+    }
+
+    async _writeEntry(id, record, { outputFiles, inputs }, maxEntries) {
+        const historyFolder = await this._getHistoryFolder();
+        const folder = await historyFolder.createFolder(id);
+        const format = this._getBinaryFormat();
+
+        const outputs = [];
+        for (const [index, outputFile] of outputFiles.entries()) {
+            const extension = outputFile.name.split('.').pop().toLowerCase();
+            const name = `output_${index + 1}.${extension}`;
+            const bytes = await outputFile.read({ format });
+            const file = await folder.createFile(name, { overwrite: true });
+            await file.write(bytes, { format });
+            outputs.push(name);
+        }
+
+        const savedInputs = {};
+        for (const [field, name] of Object.entries(INPUT_FILES)) {
+            if (!inputs[field]) continue;
+            const bytes = base64ToBytes(inputs[field]);
+            const file = await folder.createFile(name, { overwrite: true });
+            await file.write(bytes.buffer, { format });
+            savedInputs[field] = name;
+        }
+        if (Array.isArray(inputs.roleImages) && inputs.roleImages.length > 0) {
+            savedInputs.roleImages = [];
+            for (const image of inputs.roleImages) {
+                const name = `role_${image.role}${image.index ? `_${image.index}` : ''}.webp`;
+                const bytes = base64ToBytes(image.data);
+                const file = await folder.createFile(name, { overwrite: true });
+                await file.write(bytes.buffer, { format });
+                savedInputs.roleImages.push({
+                    role: image.role,
+                    index: image.index,
+                    label: image.label,
+                    name,
+                });
+            }
+        }
+
+        const entry = {
+            ...record,
+            id,
+            createdAt: new Date().toISOString(),
+            inputs: savedInputs,
+            outputs,
+        };
+        this.entries.unshift(entry);
+        await this._prune(maxEntries);
+        await this.save();
+        console.log(`[History] Added entry ${id} with ${outputs.length} output(s)`);
+        return entry;
+    }
+
+    /**
+     * 删除历史记录及其文件夹
+     * @returns {Promise<boolean>}
+     */
+    async removeEntry(id) {
+        if (!this.getEntry(id)) return false;
+
+        this.entries = this.entries.filter((entry) => entry.id !== id);
+        await this._deleteEntryFolder(id);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * 获取记录的输出图文件，用于重新导入
+     * @returns {Promise<Array<File>>}
+     */
+    async getOutputFiles(entry) {
+        const folder = await this._getEntryFolder(entry.id);
+        const files = [];
+        for (const name of entry.outputs) {
+            files.push(await folder.getEntry(name));
+        }
+        return files;
+    }
+
+    /**
+     * 读取记录的输入图，格式与 exportGenerationInputs() 的结果一致，用于重新生成
+     * @returns {Promise<Object>} - { imageData, sourceData, referenceData, maskData, maskAlphaData, roleImages }，
+     *   未保存的为 null
+     */
+    async loadInputs(entry) {
+        const folder = await this._getEntryFolder(entry.id);
+        const format = this._getBinaryFormat();
+        const result = {};
+        for (const field of Object.keys(INPUT_FILES)) {
+            const name = entry.inputs[field];
+            if (!name) {
+                result[field] = null;
+                continue;
+            }
+            const file = await folder.getEntry(name);
+            result[field] = bytesToBase64(await file.read({ format }));
+        }
+
+        result.roleImages = null;
+        if (Array.isArray(entry.inputs.roleImages)) {
+            result.roleImages = [];
+            for (const { name, ...role } of entry.inputs.roleImages) {
+                const file = await folder.getEntry(name);
+                result.roleImages.push({
+                    ...role,
+                    data: bytesToBase64(await file.read({ format })),
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 记录中全部输入图的文件名，用于显示缩略图
+     * @returns {string[]}
+     */
+    getInputNames(entry) {
+        const { roleImages = [], ...files } = entry.inputs;
+        return [...Object.values(files), ...roleImages.map(({ name }) => name)];
+    }
+
+    /**
+     * 记录中图片的 plugin-data URL，供 <img> 显示缩略图
+     */
+    getImageUrl(entry, name) {
+        return `plugin-data:/${HISTORY_FOLDER}/${entry.id}/${name}`;
+    }
+
+    _createId() {
+        const base = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+        let id = base;
+        let suffix = 1;
+        // 同一秒内完成的多个任务
+        while (this.getEntry(id) || this.pendingIds.has(id)) {
+            id = `${base}_${++suffix}`;
+        }
+        return id;
+    }
+
+    async _prune(maxEntries) {
+        const limit = Math.max(1, maxEntries);
+        if (this.entries.length <= limit) return;
+
+        const removed = this.entries.slice(limit);
+        this.entries = this.entries.slice(0, limit);
+        for (const entry of removed) {
+            await this._deleteEntryFolder(entry.id);
+        }
+        console.log(
+            `[History] Pruned ${removed.length} old entr${removed.length > 1 ? 'ies' : 'y'}`
+        );
+    }
+
+    async _deleteEntryFolder(id) {
+        try {
+            const folder = await this._getEntryFolder(id);
+            // UXP 只能删除空文件夹，先删除其中的文件
+            for (const file of await folder.getEntries()) {
+                await file.delete();
+            }
+            await folder.delete();
+        } catch (e) {
+            console.error(`[History] Failed to delete entry folder ${id}:`, e);
+        }
+    }
+}
+
+module.exports = { HistoryStore, DEFAULT_MAX_ENTRIES };
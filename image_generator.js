@@ -4,14 +4,27 @@
  */
 const { Z_IMAGE_TURBO_WORKFLOW, QWEN_IMAGE_EDIT_WORKFLOW } = require('./workflow_templates.js');
 const { getProviderConfig } = require('./api_providers');
-const { requestAny } = require('./network_client');
+const { request, requestAny, delay, isAbortError, throwIfAborted } = require('./network_client');
+const { apiKeyPool, getProviderApiKeys, maskApiKey, parseRetryAfter } = require('./api_key_pool');
 const { BANANA_IMAGE_API, GPT_IMAGE_2_API } = require('./aspect_ratio');
+const { redactHeaders, redactText, redactUrls } = require('./redaction');
 const {
     GPT_IMAGE_2_DEFAULT_COUNT,
     GPT_IMAGE_2_DEFAULT_QUALITY,
     isGptImage2Api,
     resolveGptImage2Size,
 } = require('./gpt_image_2');
+const { createRandomSeed, isSeedSupported } = require('./seed_control');
+const { normalizeRoleImages, buildRoleInstruction } = require('./layer_roles');
+
+// 单次请求最多生成的候选图数量（n / candidateCount / batch_size）
+const MAX_VARIANT_COUNT = 4;
+
+// 没有蒙版参数的 provider 把蒙版作为最后一张图片发送，并用这段说明告诉模型蒙版的含义
+const MASK_INSTRUCTION =
+    'The last image is an inpainting mask with the same size as the image to edit: ' +
+    'white marks the area to change according to the prompt, black areas must stay exactly unchanged. ' +
+    'Do not draw the mask itself in the result.';
 
 class ImageGenerator {
     constructor(fileManager) {
@@ -20,8 +33,13 @@ class ImageGenerator {
 
     /**
      * Generate image from prompt
-     * @param {Object} options
-     * @returns {Promise<File>}
+     * @param {Object} options - count 为单次请求的候选图数量（1 ~ MAX_VARIANT_COUNT），
+     *   seed 为随机种子（null 表示由服务端 / workflow 决定，provider 不支持时忽略），
+     *   metadata 为写入输出图片（PNG tEXt / JPEG XMP）的生成参数，
+     *   maskImage / maskAlphaImage 为选区导出的重绘蒙版（PNG，白色 / 透明处为需要修改的区域），
+     *   roleImages 为多图模式按角色导出的图层组 [{role, index, label, data}]（见 layer_roles.js），
+     *   旧的 sourceImage / referenceImage 会转换为对应角色
+     * @returns {Promise<File[]>} 按服务器返回顺序保存的全部候选图
      */
     async generate(options) {
         const {
@@ -33,16 +51,27 @@ class ImageGenerator {
             mode = 'text2img',
             searchWeb = false,
             inputImage,
-            sourceImage,
-            referenceImage,
+            sourceImage = null,
+            referenceImage = null,
+            roleImages: groupImages = null,
             imageApiKind = BANANA_IMAGE_API,
+            onApiKeyUsed = null,
+            retryPolicy = null,
+            signal = null,
+            onProgress = null,
+            timeoutMs = 0,
+            count = 1,
+            seed = null,
+            metadata = null,
+            maskImage = null,
+            maskAlphaImage = null,
         } = options;
 
         if (!provider || !provider.apiKey || !provider.baseUrl) {
             throw new Error('Invalid provider configuration');
         }
 
-        const config = getProviderConfig(provider.name, provider.baseUrl);
+        const config = getProviderConfig(provider.name, provider.baseUrl, provider);
         if (!config.supportsImageApi(imageApiKind)) {
             throw new Error(`Provider ${provider.name} does not support image API ${imageApiKind}`);
         }
@@ -52,6 +81,20 @@ class ImageGenerator {
         console.log(`[DEBUG] Generation mode: ${mode}`);
         console.log(`[DEBUG] Search web mode: ${searchWeb}`);
 
+        const variantCount = Math.min(Math.max(parseInt(count) || 1, 1), MAX_VARIANT_COUNT);
+        console.log(`[DEBUG] Variant count: ${variantCount}`);
+
+        const roleImages = normalizeRoleImages({
+            roleImages: groupImages,
+            sourceImage,
+            referenceImage,
+        });
+        if (roleImages.length > 0) {
+            console.log(
+                `[DEBUG] Role images: ${roleImages.map((image) => image.label).join(', ')}`
+            );
+        }
+
         if (isGptImage2Api(imageApiKind)) {
             return await this._generateWithGptImage2({
                 prompt,
@@ -61,9 +104,17 @@ class ImageGenerator {
                 debugMode,
                 mode,
                 inputImage,
-                sourceImage,
-                referenceImage,
+                roleImages,
                 config,
+                onApiKeyUsed,
+                retryPolicy,
+                signal,
+                onProgress,
+                timeoutMs,
+                count: variantCount,
+                seed,
+                metadata,
+                maskAlphaImage,
             });
         }
 
@@ -76,12 +127,55 @@ class ImageGenerator {
             mode,
             searchWeb,
             inputImage,
-            sourceImage,
-            referenceImage,
+            roleImages,
             config,
+            onApiKeyUsed,
+            retryPolicy,
+            signal,
+            onProgress,
+            timeoutMs,
+            count: variantCount,
+            seed,
+            metadata,
+            maskImage,
         });
     }
 
+    /**
+     * 构建 requestAny 的 key 轮换参数：按冷却状态排序 key，被拒绝的 key 进入冷却
+     * @param {Function} buildRequestForKey - (apiKey) => { urls, headers }
+     */
+    _buildKeyRotationOptions(provider, buildRequestForKey) {
+        return {
+            apiKeys: apiKeyPool.getOrderedKeys(provider.name, getProviderApiKeys(provider)),
+            buildRequestForKey,
+            onKeyRejected: (apiKey, response) => {
+                const retryAfterMs = parseRetryAfter(response.headers?.get('retry-after'));
+                apiKeyPool.markCooldown(provider.name, apiKey, response.status, retryAfterMs);
+            },
+        };
+    }
+
+    /**
+     * 生成请求的传输参数：timeoutMs 来自 SettingsManager.getRequestTimeout（0 表示不限时），
+     * 有进度回调时走 XHR 以获得上传/下载字节数
+     */
+    _buildTransferRequestOptions(onProgress, timeoutMs) {
+        if (typeof onProgress !== 'function') {
+            return { timeout: timeoutMs };
+        }
+        return { onProgress, timeout: timeoutMs };
+    }
+
+    // 通知调用方本次实际使用的 key（序号 + 脱敏后的末尾），用于任务日志
+    _reportApiKeyUsed(provider, apiKey, onApiKeyUsed) {
+        if (typeof onApiKeyUsed !== 'function' || !apiKey) return;
+
+        const apiKeys = getProviderApiKeys(provider);
+        const index = apiKeys.indexOf(apiKey);
+        onApiKeyUsed(`#${index + 1}/${apiKeys.length} ${maskApiKey(apiKey)}`);
+    }
+
     async _generateWithBanana({
         prompt,
         provider,
@@ -91,9 +185,17 @@ class ImageGenerator {
         mode,
         searchWeb,
         inputImage,
-        sourceImage,
-        referenceImage,
+        roleImages,
         config,
+        onApiKeyUsed,
+        retryPolicy,
+        signal,
+        onProgress,
+        timeoutMs,
+        count,
+        seed,
+        metadata,
+        maskImage,
     }) {
         const payload = await this._buildPayload(
             prompt,
@@ -104,17 +206,31 @@ class ImageGenerator {
             mode,
             searchWeb,
             inputImage,
-            sourceImage,
-            referenceImage
+            roleImages,
+            maskImage
         );
+        this._applyVariantCount(payload, config.type, count);
+        if (this._applySeed(payload, config.type, seed)) {
+            console.log(`[DEBUG] Seed: ${seed}`);
+        }
+        if (maskImage) {
+            // ComfyUI 在构建 workflow 时已加入蒙版
+            const maskApplied =
+                config.type === 'comfyui' || this._applyMask(payload, config.type, maskImage);
+            console.log(
+                maskApplied
+                    ? '[DEBUG] Inpaint mask attached'
+                    : `[DEBUG] ${config.type} does not support inpaint masks, ignoring`
+            );
+        }
         const apiUrls = config.buildApiUrls('generate', {
             model: provider.model,
             apiKey: provider.apiKey,
         });
         const headers = config.buildHeaders(provider.apiKey, { endpointType: 'generate' });
 
-        console.log(`[DEBUG] API URLs:`, apiUrls);
-        console.log(`[DEBUG] Headers:`, headers);
+        console.log(`[DEBUG] API URLs:`, redactUrls(apiUrls));
+        console.log(`[DEBUG] Headers:`, redactHeaders(headers));
         console.log(`[DEBUG] Payload:`, JSON.stringify(payload, null, 2));
 
         if (debugMode) {
@@ -122,20 +238,31 @@ class ImageGenerator {
         }
 
         try {
-            const { response, url, attempts } = await requestAny(apiUrls, {
+            const { response, url, attempts, apiKey } = await requestAny(apiUrls, {
                 method: 'POST',
                 headers,
                 body: JSON.stringify(payload),
                 shouldAcceptResponse: (candidateResponse) =>
                     candidateResponse.ok ||
                     ![404, 500, 502, 503, 504].includes(candidateResponse.status),
+                retry: retryPolicy,
+                signal,
+                ...this._buildTransferRequestOptions(onProgress, timeoutMs),
+                ...this._buildKeyRotationOptions(provider, (candidateKey) => ({
+                    urls: config.buildApiUrls('generate', {
+                        model: provider.model,
+                        apiKey: candidateKey,
+                    }),
+                    headers: config.buildHeaders(candidateKey, { endpointType: 'generate' }),
+                })),
             });
 
             if (attempts.length > 0) {
-                console.warn('[DEBUG] Fallback attempts:', attempts);
+                console.warn('[DEBUG] Fallback attempts:', redactText(JSON.stringify(attempts)));
             }
+            this._reportApiKeyUsed(provider, apiKey, onApiKeyUsed);
 
-            console.log(`[DEBUG] Final API URL: ${url}`);
+            console.log(`[DEBUG] Final API URL: ${redactUrls(url)}`);
             console.log(`[DEBUG] Response status: ${response.status} ${response.statusText}`);
 
             if (!response.ok) {
@@ -150,11 +277,16 @@ class ImageGenerator {
                             `URLs: ${apiUrls.join(', ')}\n` +
                             `Final URL: ${url}\n` +
                             `Status: ${response.status} ${response.statusText}\n` +
+                            `Attempts: ${JSON.stringify(attempts)}\n` +
                             `Response: ${errorText}\n`
                     );
                 }
 
-                throw new Error(`HTTP Error: ${response.status} - ${errorText.substring(0, 200)}`);
+                const httpError = new Error(
+                    `HTTP Error: ${response.status} - ${errorText.substring(0, 200)}`
+                );
+                httpError.attempts = attempts;
+                throw httpError;
             }
 
             const responseData = await response.json();
@@ -164,8 +296,18 @@ class ImageGenerator {
                 await this.fileManager.saveResponse(responseData, provider.name);
             }
 
-            return await this._processResponse(responseData, config.type, provider);
+            return await this._processResponse(responseData, config.type, provider, {
+                signal,
+                onProgress,
+                timeout: timeoutMs,
+                clientId: payload.client_id,
+                metadata,
+            });
         } catch (e) {
+            if (isAbortError(e)) {
+                console.log(`[DEBUG] Generation cancelled for provider ${provider.name}`);
+                throw e;
+            }
             console.error('Image generation failed:', e);
 
             if (debugMode) {
@@ -195,11 +337,22 @@ class ImageGenerator {
         debugMode,
         mode,
         inputImage,
-        sourceImage,
-        referenceImage,
+        roleImages,
         config,
+        onApiKeyUsed,
+        retryPolicy,
+        signal,
+        onProgress,
+        timeoutMs,
+        count,
+        seed,
+        metadata,
+        maskAlphaImage,
     }) {
         const size = resolveGptImage2Size(resolution, aspectRatio);
+        if (seed !== null && seed !== undefined) {
+            console.log(`[DEBUG] GPT Image 2 does not support seed, ignoring: ${seed}`);
+        }
         const endpointType = mode === 'imgedit' ? 'gptImage2Edit' : 'gptImage2Generate';
         const apiUrls = config.buildApiUrls(endpointType, { apiKey: provider.apiKey });
         const request = await this._buildGptImage2Request({
@@ -210,13 +363,14 @@ class ImageGenerator {
             size,
             mode,
             inputImage,
-            sourceImage,
-            referenceImage,
+            roleImages,
             config,
+            count,
+            maskAlphaImage,
         });
 
-        console.log(`[DEBUG] GPT Image 2 API URLs:`, apiUrls);
-        console.log(`[DEBUG] GPT Image 2 headers:`, request.headers);
+        console.log(`[DEBUG] GPT Image 2 API URLs:`, redactUrls(apiUrls));
+        console.log(`[DEBUG] GPT Image 2 headers:`, redactHeaders(request.headers));
         console.log(`[DEBUG] GPT Image 2 payload:`, JSON.stringify(request.debugPayload, null, 2));
 
         if (debugMode) {
@@ -227,24 +381,44 @@ class ImageGenerator {
         }
 
         try {
-            const { response, url, attempts } = await requestAny(apiUrls, {
+            const { response, url, attempts, apiKey } = await requestAny(apiUrls, {
                 method: request.method,
                 headers: request.headers,
                 body: request.body,
                 shouldAcceptResponse: (candidateResponse) =>
                     candidateResponse.ok ||
                     ![404, 500, 502, 503, 504].includes(candidateResponse.status),
+                retry: retryPolicy,
+                signal,
+                ...this._buildTransferRequestOptions(onProgress, timeoutMs),
+                ...this._buildKeyRotationOptions(provider, (candidateKey) => ({
+                    urls: config.buildApiUrls(endpointType, { apiKey: candidateKey }),
+                    // 只替换鉴权相关请求头，保留 multipart 的 Content-Type
+                    headers: {
+                        ...request.headers,
+                        ...config.buildHeaders(candidateKey, {
+                            includeContentType: false,
+                            endpointType,
+                        }),
+                    },
+                })),
             });
 
             if (attempts.length > 0) {
-                console.warn('[DEBUG] GPT Image 2 fallback attempts:', attempts);
+                console.warn(
+                    '[DEBUG] GPT Image 2 fallback attempts:',
+                    redactText(JSON.stringify(attempts))
+                );
             }
+            this._reportApiKeyUsed(provider, apiKey, onApiKeyUsed);
 
             if (!response.ok) {
                 const errorText = await response.text();
-                throw new Error(
+                const httpError = new Error(
                     `GPT Image 2 request failed for provider ${provider.name} (${mode}, ${resolution}, ${aspectRatio}, ${size}, ${url}): ${response.status} - ${errorText.substring(0, 400)}`
                 );
+                httpError.attempts = attempts;
+                throw httpError;
             }
 
             const responseData = await response.json();
@@ -252,8 +426,19 @@ class ImageGenerator {
                 await this.fileManager.saveResponse(responseData, `${provider.name}_gpt_image_2`);
             }
 
-            return await this._processGptImage2Response(responseData);
+            return await this._processGptImage2Response(responseData, {
+                signal,
+                onProgress,
+                timeout: timeoutMs,
+                metadata,
+            });
         } catch (error) {
+            if (isAbortError(error)) {
+                console.log(
+                    `[DEBUG] GPT Image 2 generation cancelled for provider ${provider.name}`
+                );
+                throw error;
+            }
             console.error('GPT Image 2 generation failed:', error);
             if (debugMode) {
                 await this.fileManager.saveLog(
@@ -266,6 +451,7 @@ class ImageGenerator {
                         `Size: ${size}\n` +
                         `URLs: ${apiUrls.join(', ')}\n` +
                         `Error: ${error.message}\n` +
+                        `Attempts: ${error.attempts ? JSON.stringify(error.attempts) : '[]'}\n` +
                         `Stack: ${error.stack}\n`
                 );
             }
@@ -281,9 +467,10 @@ class ImageGenerator {
         size,
         mode,
         inputImage,
-        sourceImage,
-        referenceImage,
+        roleImages,
         config,
+        count = GPT_IMAGE_2_DEFAULT_COUNT,
+        maskAlphaImage = null,
     }) {
         if (mode === 'imgedit') {
             return await this._buildGptImage2EditRequest({
@@ -293,9 +480,10 @@ class ImageGenerator {
                 resolution,
                 size,
                 inputImage,
-                sourceImage,
-                referenceImage,
+                roleImages,
                 config,
+                count,
+                maskAlphaImage,
             });
         }
 
@@ -306,18 +494,29 @@ class ImageGenerator {
             resolution,
             size,
             config,
+            count,
         });
     }
 
-    _buildGptImage2GenerationRequest({ prompt, provider, aspectRatio, resolution, size, config }) {
+    _buildGptImage2GenerationRequest({
+        prompt,
+        provider,
+        aspectRatio,
+        resolution,
+        size,
+        config,
+        count = GPT_IMAGE_2_DEFAULT_COUNT,
+    }) {
         const payload = {
             model: provider.model,
             prompt,
             size,
             quality: GPT_IMAGE_2_DEFAULT_QUALITY,
-            n: GPT_IMAGE_2_DEFAULT_COUNT,
-            response_format: 'b64_json',
+            n: count,
         };
+        if (config.gptImage2ResponseFormat) {
+            payload.response_format = config.gptImage2ResponseFormat;
+        }
 
         return {
             method: 'POST',
@@ -340,34 +539,28 @@ class ImageGenerator {
         resolution,
         size,
         inputImage,
-        sourceImage,
-        referenceImage,
+        roleImages,
         config,
+        count = GPT_IMAGE_2_DEFAULT_COUNT,
+        maskAlphaImage = null,
     }) {
         const imageParts = [];
         const debugImages = [];
 
-        if (referenceImage) {
-            imageParts.push({
-                fieldName: 'image',
-                filename: 'reference.webp',
-                mimeType: 'image/webp',
-                base64Data: referenceImage,
-            });
-            debugImages.push('reference.webp');
-        }
-        if (sourceImage) {
+        // 按角色顺序添加图层组导出的图片，文件名如 reference.webp / reference_2.webp
+        for (const image of roleImages) {
+            const filename = `${image.role}${image.index ? `_${image.index}` : ''}.webp`;
             imageParts.push({
-                fieldName: 'image',
-                filename: 'source.webp',
+                fieldName: config.gptImage2ImageFieldName,
+                filename,
                 mimeType: 'image/webp',
-                base64Data: sourceImage,
+                base64Data: image.data,
             });
-            debugImages.push('source.webp');
+            debugImages.push(filename);
         }
         if (inputImage) {
             imageParts.push({
-                fieldName: 'image',
+                fieldName: config.gptImage2ImageFieldName,
                 filename: 'input.png',
                 mimeType: 'image/png',
                 base64Data: inputImage,
@@ -379,17 +572,32 @@ class ImageGenerator {
             throw new Error('GPT Image 2 edit request requires at least one input image');
         }
 
-        const multipart = this._buildMultipartRequestBody(
-            [
-                { name: 'model', value: provider.model },
-                { name: 'prompt', value: prompt },
-                { name: 'size', value: size },
-                { name: 'quality', value: GPT_IMAGE_2_DEFAULT_QUALITY },
-                { name: 'n', value: String(GPT_IMAGE_2_DEFAULT_COUNT) },
-                { name: 'response_format', value: 'b64_json' },
-            ],
-            imageParts
-        );
+        // 透明处为需要修改的区域，作用于第一张输入图
+        if (maskAlphaImage) {
+            imageParts.push({
+                fieldName: 'mask',
+                filename: 'mask.png',
+                mimeType: 'image/png',
+                base64Data: maskAlphaImage,
+            });
+        }
+
+        // 多图时在 prompt 前说明每张图片的角色
+        const finalPrompt =
+            roleImages.length > 0
+                ? `System Instruction: ${buildRoleInstruction(roleImages)}\n\nUser Prompt: ${prompt}`
+                : prompt;
+        const fields = [
+            { name: 'model', value: provider.model },
+            { name: 'prompt', value: finalPrompt },
+            { name: 'size', value: size },
+            { name: 'quality', value: GPT_IMAGE_2_DEFAULT_QUALITY },
+            { name: 'n', value: String(count) },
+        ];
+        if (config.gptImage2ResponseFormat) {
+            fields.push({ name: 'response_format', value: config.gptImage2ResponseFormat });
+        }
+        const multipart = this._buildMultipartRequestBody(fields, imageParts);
 
         return {
             method: 'POST',
@@ -407,12 +615,13 @@ class ImageGenerator {
                 resolution,
                 aspectRatio,
                 model: provider.model,
-                prompt,
+                prompt: finalPrompt,
                 size,
                 quality: GPT_IMAGE_2_DEFAULT_QUALITY,
-                n: GPT_IMAGE_2_DEFAULT_COUNT,
-                response_format: 'b64_json',
+                n: count,
+                response_format: config.gptImage2ResponseFormat || undefined,
                 images: debugImages,
+                mask: maskAlphaImage ? 'mask.png' : undefined,
             },
         };
     }
@@ -482,8 +691,8 @@ class ImageGenerator {
         mode = 'text2img',
         searchWeb = false,
         inputImage = null,
-        sourceImage = null,
-        referenceImage = null
+        roleImages = [],
+        maskImage = null
     ) {
         if (providerType === 'google_official') {
             return this._buildGooglePayload(
@@ -493,8 +702,7 @@ class ImageGenerator {
                 mode,
                 searchWeb,
                 inputImage,
-                sourceImage,
-                referenceImage
+                roleImages
             );
         } else if (providerType === 'yunwu') {
             return this._buildYunwuPayload(
@@ -504,8 +712,7 @@ class ImageGenerator {
                 mode,
                 searchWeb,
                 inputImage,
-                sourceImage,
-                referenceImage
+                roleImages
             );
         } else if (providerType === 'gptgod') {
             return this._buildGPTGodPayload(
@@ -516,8 +723,7 @@ class ImageGenerator {
                 mode,
                 searchWeb,
                 inputImage,
-                sourceImage,
-                referenceImage
+                roleImages
             );
         } else if (providerType === 'openrouter') {
             return this._buildOpenRouterPayload(
@@ -528,8 +734,7 @@ class ImageGenerator {
                 mode,
                 searchWeb,
                 inputImage,
-                sourceImage,
-                referenceImage
+                roleImages
             );
         } else if (providerType === 'seedream') {
             return this._buildSeedreamPayload(
@@ -540,8 +745,7 @@ class ImageGenerator {
                 mode,
                 searchWeb,
                 inputImage,
-                sourceImage,
-                referenceImage
+                roleImages
             );
         } else if (providerType === 'comfyui') {
             return this._buildComfyUIPayload(
@@ -551,12 +755,160 @@ class ImageGenerator {
                 provider,
                 mode,
                 inputImage,
-                sourceImage,
-                referenceImage
+                roleImages,
+                maskImage
             );
         }
     }
 
+    /**
+     * 在已构建的 payload 上设置候选图数量，count 为 1 时保持原请求不变
+     * - Gemini 原生：candidateCount（Google 官方使用 snake_case）
+     * - OpenAI Chat（GPTGod / OpenRouter）：n
+     * - Seedream：组图模式 sequential_image_generation + max_images
+     * - ComfyUI：workflow 中潜空间的 batch_size
+     */
+    _applyVariantCount(payload, providerType, count) {
+        if (!payload || !(count > 1)) return payload;
+
+        if (providerType === 'google_official') {
+            payload.generationConfig.candidate_count = count;
+        } else if (providerType === 'yunwu') {
+            payload.generationConfig.candidateCount = count;
+        } else if (providerType === 'gptgod' || providerType === 'openrouter') {
+            payload.n = count;
+        } else if (providerType === 'seedream') {
+            payload.sequential_image_generation = 'auto';
+            payload.sequential_image_generation_options = { max_images: count };
+        } else if (providerType === 'comfyui') {
+            this._applyComfyUIBatchSize(payload.prompt, count);
+        }
+        return payload;
+    }
+
+    /**
+     * 设置随机种子，返回是否生效
+     * Gemini 原生写入 generationConfig.seed，OpenAI Chat / Seedream 使用顶层 seed，
+     * ComfyUI 覆盖采样器的 seed / noise_seed
+     */
+    _applySeed(payload, providerType, seed) {
+        if (!payload || seed === null || seed === undefined) return false;
+        if (!isSeedSupported(providerType, BANANA_IMAGE_API)) return false;
+
+        if (providerType === 'google_official' || providerType === 'yunwu') {
+            payload.generationConfig.seed = seed;
+        } else if (['gptgod', 'openrouter', 'seedream'].includes(providerType)) {
+            payload.seed = seed;
+        } else if (providerType === 'comfyui') {
+            for (const node of Object.values(payload.prompt)) {
+                if (!node.inputs || !/KSampler/.test(node.class_type)) continue;
+                if (node.inputs.seed !== undefined) node.inputs.seed = seed;
+                if (node.inputs.noise_seed !== undefined) node.inputs.noise_seed = seed;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 附加重绘蒙版（白色为需要修改的区域），返回是否生效
+     * Gemini 原生与 OpenAI Chat 没有蒙版参数：蒙版作为最后一张图片发送，并在 prompt 前说明其含义
+     */
+    _applyMask(payload, providerType, maskImage) {
+        if (!payload || !maskImage) return false;
+
+        if (providerType === 'google_official' || providerType === 'yunwu') {
+            const parts = payload.contents[0].parts;
+            const textPart = parts.find((part) => typeof part.text === 'string');
+            textPart.text = `${MASK_INSTRUCTION}\n\n${textPart.text}`;
+            parts.push({ inlineData: { mimeType: 'image/png', data: maskImage } });
+        } else if (providerType === 'gptgod' || providerType === 'openrouter') {
+            const content = payload.messages[0].content;
+            // 文生图时 content 为字符串，没有可以对应的输入图
+            if (!Array.isArray(content)) return false;
+
+            const textPart = content.find((part) => part.type === 'text');
+            textPart.text = `${MASK_INSTRUCTION}\n\n${textPart.text}`;
+            content.push({
+                type: 'image_url',
+                image_url: { url: `data:image/png;base64,${maskImage}` },
+            });
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 将已上传的蒙版加入 ComfyUI workflow
+     * workflow 中已有 LoadImageMask 节点（自定义 inpaint workflow）时直接替换其图片；
+     * 否则为每个采样器插入 LoadImageMask + SetLatentNoiseMask，只重绘蒙版中的白色区域
+     */
+    _applyComfyUIMask(workflow, maskFilename) {
+        const maskNodes = Object.values(workflow).filter(
+            (node) => node.class_type === 'LoadImageMask'
+        );
+        if (maskNodes.length > 0) {
+            for (const node of maskNodes) {
+                node.inputs.image = maskFilename;
+            }
+            return workflow;
+        }
+
+        const maskNodeId = 'psbanana_mask';
+        let maskNodeAdded = false;
+        for (const nodeId of Object.keys(workflow)) {
+            const node = workflow[nodeId];
+            if (node.class_type !== 'KSampler' && node.class_type !== 'KSamplerAdvanced') continue;
+
+            const latentLink = node.inputs && node.inputs.latent_image;
+            if (!Array.isArray(latentLink)) continue;
+
+            if (!maskNodeAdded) {
+                workflow[maskNodeId] = {
+                    class_type: 'LoadImageMask',
+                    inputs: { image: maskFilename, channel: 'red' },
+                };
+                maskNodeAdded = true;
+            }
+            const noiseMaskNodeId = `psbanana_noise_mask_${nodeId}`;
+            workflow[noiseMaskNodeId] = {
+                class_type: 'SetLatentNoiseMask',
+                inputs: { samples: latentLink, mask: [maskNodeId, 0] },
+            };
+            node.inputs.latent_image = [noiseMaskNodeId, 0];
+        }
+        return workflow;
+    }
+
+    /**
+     * 设置 ComfyUI workflow 的 batch_size
+     * 采样器的 latent 来自 EmptyLatentImage 类节点时直接修改 batch_size，
+     * 来自 VAEEncode（图生图）时插入 RepeatLatentBatch 节点复制潜空间
+     */
+    _applyComfyUIBatchSize(workflow, count) {
+        const nodeIds = Object.keys(workflow);
+        for (const nodeId of nodeIds) {
+            const node = workflow[nodeId];
+            if (node.class_type !== 'KSampler' && node.class_type !== 'KSamplerAdvanced') continue;
+
+            const latentLink = node.inputs && node.inputs.latent_image;
+            if (!Array.isArray(latentLink) || !workflow[latentLink[0]]) continue;
+
+            const latentNode = workflow[latentLink[0]];
+            if (latentNode.inputs && latentNode.inputs.batch_size !== undefined) {
+                latentNode.inputs.batch_size = count;
+            } else {
+                const repeatNodeId = `psbanana_repeat_${nodeId}`;
+                workflow[repeatNodeId] = {
+                    class_type: 'RepeatLatentBatch',
+                    inputs: { samples: latentLink, amount: count },
+                };
+                node.inputs.latent_image = [repeatNodeId, 0];
+            }
+        }
+        return workflow;
+    }
+
     /**
      * Build Google Official Gemini API payload
      */
@@ -567,8 +919,7 @@ class ImageGenerator {
         mode = 'text2img',
         searchWeb = false,
         inputImage = null,
-        sourceImage = null,
-        referenceImage = null
+        roleImages = []
     ) {
         const generationConfig = {
             response_modalities: ['IMAGE'],
@@ -585,39 +936,19 @@ class ImageGenerator {
         const parts = [];
 
         // 多图模式: 添加system prompt和多张图片
-        if (sourceImage || referenceImage) {
-            let systemPrompt = '';
-            let imageCount = 0;
-
-            // 注意：图片顺序是 Reference -> Source
-            if (referenceImage) {
-                imageCount++;
-                systemPrompt += `Image ${imageCount} is the Reference Layer (use this for style/content reference). `;
-            }
-
-            if (sourceImage) {
-                imageCount++;
-                systemPrompt += `Image ${imageCount} is the Source Layer (the content to be modified). `;
-            }
+        if (roleImages.length > 0) {
+            // 注意：图片按角色顺序发送（Reference -> Style -> Character -> Pose -> Source -> Mask）
+            const systemPrompt = buildRoleInstruction(roleImages);
 
             // 添加system prompt和用户prompt（prompt在最前面）
             parts.push({ text: `System Instruction: ${systemPrompt}\n\nUser Prompt: ${prompt}` });
 
-            // 添加图片（顺序: Reference -> Source）
-            if (referenceImage) {
-                parts.push({
-                    inlineData: {
-                        mimeType: 'image/webp',
-                        data: referenceImage,
-                    },
-                });
-            }
-
-            if (sourceImage) {
+            // 添加图片（与说明中的编号一致）
+            for (const image of roleImages) {
                 parts.push({
                     inlineData: {
                         mimeType: 'image/webp',
-                        data: sourceImage,
+                        data: image.data,
                     },
                 });
             }
@@ -664,8 +995,7 @@ class ImageGenerator {
         mode = 'text2img',
         searchWeb = false,
         inputImage = null,
-        sourceImage = null,
-        referenceImage = null
+        roleImages = []
     ) {
         const generationConfig = {
             responseModalities: ['image'],
@@ -682,39 +1012,19 @@ class ImageGenerator {
         const parts = [];
 
         // 多图模式: 添加system prompt和多张图片
-        if (sourceImage || referenceImage) {
-            let systemPrompt = '';
-            let imageCount = 0;
-
-            // 注意：图片顺序是 Reference -> Source
-            if (referenceImage) {
-                imageCount++;
-                systemPrompt += `Image ${imageCount} is the Reference Layer (use this for style/content reference). `;
-            }
-
-            if (sourceImage) {
-                imageCount++;
-                systemPrompt += `Image ${imageCount} is the Source Layer (the content to be modified). `;
-            }
+        if (roleImages.length > 0) {
+            // 注意：图片按角色顺序发送（Reference -> Style -> Character -> Pose -> Source -> Mask）
+            const systemPrompt = buildRoleInstruction(roleImages);
 
             // 添加system prompt和用户prompt（prompt在最前面）
             parts.push({ text: `System Instruction: ${systemPrompt}\n\nUser Prompt: ${prompt}` });
 
-            // 添加图片（顺序: Reference -> Source）
-            if (referenceImage) {
-                parts.push({
-                    inlineData: {
-                        mimeType: 'image/webp',
-                        data: referenceImage,
-                    },
-                });
-            }
-
-            if (sourceImage) {
+            // 添加图片（与说明中的编号一致）
+            for (const image of roleImages) {
                 parts.push({
                     inlineData: {
                         mimeType: 'image/webp',
-                        data: sourceImage,
+                        data: image.data,
                     },
                 });
             }
@@ -764,8 +1074,7 @@ class ImageGenerator {
         mode = 'text2img',
         _searchWeb = false,
         inputImage = null,
-        sourceImage = null,
-        referenceImage = null
+        roleImages = []
     ) {
         let model = provider.model;
         const isGptgodOfficial = provider.baseUrl.includes('gptgod.online');
@@ -791,40 +1100,25 @@ class ImageGenerator {
         const content = [];
 
         // 多图模式: 添加图片注释到prompt并添加图片
-        if (sourceImage || referenceImage) {
-            let imageAnnotations = '';
-            let imageIndex = 0;
-
-            // 注意：图片顺序是 Reference -> Source
-            // 先添加文本prompt和图片注释（在最前面）
-            if (referenceImage) {
-                imageIndex++;
-                imageAnnotations += `\n[Attached Image ${imageIndex}: Reference]`;
-            }
-
-            if (sourceImage) {
-                imageIndex++;
-                imageAnnotations += `\n[Attached Image ${imageIndex}: Source]`;
-            }
+        if (roleImages.length > 0) {
+            // 注意：图片按角色顺序发送，注释中的编号与图片顺序一致
+            const imageAnnotations = roleImages
+                .map((image, index) => `\n[Attached Image ${index + 1}: ${image.label}]`)
+                .join('');
+            const systemPrompt = buildRoleInstruction(roleImages);
 
             // 添加文本prompt和图片注释（在最前面）
-            content.push({ type: 'text', text: finalPrompt + imageAnnotations });
-
-            // 按顺序添加图片（Reference -> Source）
-            if (referenceImage) {
-                content.push({
-                    type: 'image_url',
-                    image_url: {
-                        url: `data:image/webp;base64,${referenceImage}`,
-                    },
-                });
-            }
+            content.push({
+                type: 'text',
+                text: `System Instruction: ${systemPrompt}\n\nUser Prompt: ${finalPrompt}${imageAnnotations}`,
+            });
 
-            if (sourceImage) {
+            // 按顺序添加图片
+            for (const image of roleImages) {
                 content.push({
                     type: 'image_url',
                     image_url: {
-                        url: `data:image/webp;base64,${sourceImage}`,
+                        url: `data:image/webp;base64,${image.data}`,
                     },
                 });
             }
@@ -869,8 +1163,7 @@ class ImageGenerator {
         mode = 'text2img',
         _searchWeb = false,
         inputImage = null,
-        sourceImage = null,
-        referenceImage = null
+        roleImages = []
     ) {
         const imageConfig = {
             aspect_ratio: aspectRatio,
@@ -884,30 +1177,21 @@ class ImageGenerator {
         let messageContent;
 
         // 多图模式: 使用数组格式
-        if (sourceImage || referenceImage) {
+        if (roleImages.length > 0) {
             messageContent = [];
 
-            // 先添加文本prompt（在最前面）
+            // 先添加角色说明和文本prompt（在最前面）
             messageContent.push({
                 type: 'text',
-                text: prompt,
+                text: `System Instruction: ${buildRoleInstruction(roleImages)}\n\nUser Prompt: ${prompt}`,
             });
 
-            // 注意：图片顺序是 Reference -> Source
-            if (referenceImage) {
-                messageContent.push({
-                    type: 'image_url',
-                    image_url: {
-                        url: `data:image/webp;base64,${referenceImage}`,
-                    },
-                });
-            }
-
-            if (sourceImage) {
+            // 注意：图片按角色顺序发送
+            for (const image of roleImages) {
                 messageContent.push({
                     type: 'image_url',
                     image_url: {
-                        url: `data:image/webp;base64,${sourceImage}`,
+                        url: `data:image/webp;base64,${image.data}`,
                     },
                 });
             }
@@ -964,8 +1248,7 @@ class ImageGenerator {
         mode = 'text2img',
         _searchWeb = false,
         inputImage = null,
-        sourceImage = null,
-        referenceImage = null
+        roleImages = []
     ) {
         // 在 prompt 中添加宽高比描述 (类似 GPTGod)
         let finalPrompt = prompt;
@@ -997,21 +1280,22 @@ class ImageGenerator {
 
         // 图生图模式: 添加图片
         // Seedream 支持单张图片输入 (image字段)
-        // 多图模式: 只使用第一张图片 (优先使用 sourceImage)
+        // 多图模式: 只使用一张图片 (优先使用 Source 组，否则使用排在最前的角色)
+        const sourceImage = roleImages.find((image) => image.role === 'source');
         if (mode === 'imgedit' && inputImage) {
             // 使用 base64 格式 (文档支持)
             payload.image = `data:image/png;base64,${inputImage}`;
         } else if (sourceImage) {
             // 多图模式: 优先使用 source 图片
-            payload.image = `data:image/webp;base64,${sourceImage}`;
-            // 如果有 reference 图片，在 prompt 中说明
-            if (referenceImage) {
+            payload.image = `data:image/webp;base64,${sourceImage.data}`;
+            // 如果有其它角色的图片，在 prompt 中说明
+            if (roleImages.length > 1) {
                 finalPrompt = `[Style Reference: See attached image] ${finalPrompt}`;
                 payload.prompt = finalPrompt;
             }
-        } else if (referenceImage) {
-            // 只有 reference 图片时使用它
-            payload.image = `data:image/webp;base64,${referenceImage}`;
+        } else if (roleImages.length > 0) {
+            // 没有 Source 组时使用排在最前的角色图片
+            payload.image = `data:image/webp;base64,${roleImages[0].data}`;
         }
 
         return payload;
@@ -1028,18 +1312,29 @@ class ImageGenerator {
         provider,
         mode = 'text2img',
         inputImage = null,
-        sourceImage = null,
-        referenceImage = null
+        roleImages = [],
+        maskImage = null
     ) {
         // Calculate dimensions
         const { width, height } = this._getPixelDimensions(resolution, aspectRatio);
-        const seed = Math.floor(Math.random() * 1000000000);
+        // 未指定 seed 时随机，指定时由 _applySeed 覆盖
+        const seed = createRandomSeed();
         const baseUrl = provider.baseUrl.endsWith('/')
             ? provider.baseUrl.slice(0, -1)
             : provider.baseUrl;
 
         let workflow;
 
+        // Qwen Image Edit workflow 只有两个图片输入：Source 组（image1）与排在最前的其它角色（image2），
+        // Mask 组在没有选区蒙版时作为重绘蒙版
+        const sourceImage = roleImages.find((image) => image.role === 'source')?.data || null;
+        const referenceImage =
+            roleImages.find((image) => image.role !== 'source' && image.role !== 'mask')?.data ||
+            null;
+        if (!maskImage) {
+            maskImage = roleImages.find((image) => image.role === 'mask')?.data || null;
+        }
+
         if (mode === 'imgedit' && (inputImage || sourceImage)) {
             // === Image Edit Mode: Use Qwen Image Edit Workflow ===
             console.log('[ComfyUI] Using Qwen Image Edit workflow for imgedit mode.');
@@ -1106,6 +1401,26 @@ class ImageGenerator {
                 workflow['3'].inputs.seed = seed;
             }
 
+            // 选区蒙版：只重绘蒙版中的白色区域
+            if (maskImage) {
+                let maskFilename;
+                try {
+                    console.log('[ComfyUI] Uploading inpaint mask...');
+                    maskFilename = await this._uploadImageToComfyUI(
+                        maskImage,
+                        baseUrl,
+                        'ps_banana_mask'
+                    );
+                    console.log('[ComfyUI] Inpaint mask uploaded:', maskFilename);
+                } catch (uploadError) {
+                    console.error('[ComfyUI] Inpaint mask upload failed:', uploadError);
+                    throw new Error(
+                        `Failed to upload inpaint mask to ComfyUI: ${uploadError.message}`
+                    );
+                }
+                this._applyComfyUIMask(workflow, maskFilename);
+            }
+
             // Note: Qwen workflow uses ImageScaleToTotalPixels (93) which scales to 1MP,
             // so we don't need to inject width/height directly for image edit.
             // Using 4-step Lightning LoRA for ~5x faster generation.
@@ -1160,11 +1475,12 @@ class ImageGenerator {
      * Bypassing UXP FormData issues by constructing the body manually
      * @param {string} base64Image - Base64 encoded image (without data: prefix)
      * @param {string} baseUrl - ComfyUI base URL
+     * @param {string} [filenamePrefix] - 上传文件名前缀，避免同一毫秒内上传的图片重名
      * @returns {Promise<string>} - Filename of uploaded image
      */
-    async _uploadImageToComfyUI(base64Image, baseUrl) {
+    async _uploadImageToComfyUI(base64Image, baseUrl, filenamePrefix = 'ps_banana_input') {
         const uploadUrl = `${baseUrl}/upload/image`;
-        const filename = `ps_banana_input_${Date.now()}.png`;
+        const filename = `${filenamePrefix}_${Date.now()}.png`;
 
         // Generate a random boundary
         const boundary = '----BananaBoundary' + Math.random().toString(36).substring(2);
@@ -1205,7 +1521,7 @@ class ImageGenerator {
         console.log(`[ComfyUI] Filename: ${filename}, Size: ${totalLength} bytes`);
 
         // 5. Send Request
-        const response = await fetch(uploadUrl, {
+        const response = await request(uploadUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': `multipart/form-data; boundary=${boundary}`,
@@ -1400,39 +1716,51 @@ class ImageGenerator {
         return ratioMap[aspectRatio] || `Aspect ratio ${aspectRatio}`;
     }
 
-    async _processGptImage2Response(responseData) {
-        const imageRef = this._extractGptImage2ImageRef(responseData);
+    async _processGptImage2Response(responseData, transferOptions = {}) {
+        const imageRefs = this._extractGptImage2ImageRefs(responseData);
+        const imageFiles = [];
+
+        for (const imageRef of imageRefs) {
+            imageFiles.push(await this._saveGptImage2ImageRef(imageRef, transferOptions));
+        }
+        return imageFiles;
+    }
 
+    async _saveGptImage2ImageRef(imageRef, transferOptions) {
         if (imageRef.type === 'b64_json') {
             return await this.fileManager.saveImageFromBase64Auto(
                 imageRef.data,
-                imageRef.mimeType || 'image/png'
+                imageRef.mimeType || 'image/png',
+                transferOptions.metadata
             );
         }
 
         if (imageRef.type === 'data_url') {
-            return await this.fileManager.saveDataUrl(imageRef.url);
+            return await this.fileManager.saveDataUrl(imageRef.url, transferOptions.metadata);
         }
 
         if (imageRef.type === 'url') {
-            return await this.fileManager.downloadImageAndDetectType(imageRef.url);
+            return await this.fileManager.downloadImageAndDetectType(imageRef.url, transferOptions);
         }
 
         throw new Error('Unsupported GPT Image 2 image reference type');
     }
 
-    _extractGptImage2ImageRef(responseData) {
+    _extractGptImage2ImageRefs(responseData) {
         if (!responseData || !Array.isArray(responseData.data) || responseData.data.length === 0) {
             const serverMessage = this._extractServerMessage(responseData);
             throw new Error(`No GPT Image 2 image data found. ${serverMessage}`);
         }
 
-        const firstItem = responseData.data[0];
-        if (firstItem.b64_json) {
-            return { type: 'b64_json', data: firstItem.b64_json, mimeType: 'image/png' };
+        return responseData.data.map((item) => this._extractGptImage2ImageRef(item, responseData));
+    }
+
+    _extractGptImage2ImageRef(item, responseData) {
+        if (item.b64_json) {
+            return { type: 'b64_json', data: item.b64_json, mimeType: 'image/png' };
         }
 
-        const imageUrl = firstItem.url;
+        const imageUrl = item.url;
         if (!imageUrl) {
             const serverMessage = this._extractServerMessage(responseData);
             throw new Error(`No GPT Image 2 image URL found. ${serverMessage}`);
@@ -1450,19 +1778,21 @@ class ImageGenerator {
     }
 
     /**
-     * Process API response and return image file
+     * Process API response and return image files
+     * @param {Object} transferOptions - { signal, onProgress, timeout, clientId, metadata }，
+     *   用于下载、ComfyUI 轮询与写入输出图片的生成参数
      */
-    async _processResponse(responseData, providerType, provider) {
+    async _processResponse(responseData, providerType, provider, transferOptions = {}) {
         if (providerType === 'google_official' || providerType === 'yunwu') {
-            return await this._processGeminiResponse(responseData);
+            return await this._processGeminiResponse(responseData, transferOptions);
         } else if (providerType === 'gptgod') {
-            return await this._processGPTGodResponse(responseData);
+            return await this._processGPTGodResponse(responseData, transferOptions);
         } else if (providerType === 'openrouter') {
-            return await this._processOpenRouterResponse(responseData);
+            return await this._processOpenRouterResponse(responseData, transferOptions);
         } else if (providerType === 'seedream') {
-            return await this._processSeedreamResponse(responseData);
+            return await this._processSeedreamResponse(responseData, transferOptions);
         } else if (providerType === 'comfyui') {
-            return await this._processComfyUIResponse(responseData, provider);
+            return await this._processComfyUIResponse(responseData, provider, transferOptions);
         }
 
         throw new Error(`Unsupported provider response processor: ${providerType}`);
@@ -1470,26 +1800,40 @@ class ImageGenerator {
 
     /**
      * Process Gemini/Yunwu response (base64 inline data)
+     * 多候选时读取每个 candidate 中的全部图片
      */
-    async _processGeminiResponse(responseData) {
+    async _processGeminiResponse(responseData, transferOptions = {}) {
         if (!responseData.candidates || !responseData.candidates[0]) {
             // 提取服务器返回的文字内容
             const serverMessage = this._extractServerMessage(responseData);
             throw new Error(`No image generated. ${serverMessage}`);
         }
 
-        const parts = responseData.candidates[0].content.parts;
-        for (const part of parts) {
-            if (part.inlineData) {
-                const base64Data = part.inlineData.data;
-                const mimeType = part.inlineData.mimeType || 'image/png';
-                const extension = this._getExtensionFromMimeType(mimeType);
+        const imageFiles = [];
+        for (const candidate of responseData.candidates) {
+            const candidateParts = candidate.content?.parts || [];
+            for (const part of candidateParts) {
+                if (part.inlineData) {
+                    const base64Data = part.inlineData.data;
+                    const mimeType = part.inlineData.mimeType || 'image/png';
+                    const extension = this._getExtensionFromMimeType(mimeType);
 
-                return await this.fileManager.saveImageFromBase64(base64Data, extension);
+                    imageFiles.push(
+                        await this.fileManager.saveImageFromBase64(
+                            base64Data,
+                            extension,
+                            transferOptions.metadata
+                        )
+                    );
+                }
             }
         }
+        if (imageFiles.length > 0) {
+            return imageFiles;
+        }
 
         // 如果有parts但没有图片，尝试提取文字内容
+        const parts = responseData.candidates[0].content?.parts;
         const textContent = this._extractTextFromParts(parts);
         const errorMsg = textContent
             ? `No image. AI response: ${textContent}`
@@ -1500,63 +1844,67 @@ class ImageGenerator {
     /**
      * Process GPTGod response (URL in various formats)
      */
-    async _processGPTGodResponse(responseData) {
-        let imageUrl = null;
+    async _processGPTGodResponse(responseData, transferOptions = {}) {
+        let imageUrls = [];
 
         // Check direct image field
         if (responseData.image) {
-            imageUrl = responseData.image;
+            imageUrls = [responseData.image];
         }
         // Check images array
         else if (responseData.images && responseData.images.length > 0) {
-            imageUrl = responseData.images[0];
+            imageUrls = responseData.images;
         }
-        // Check choices format
+        // Check choices format（请求 n > 1 时每个 choice 一张图）
         else if (responseData.choices && responseData.choices.length > 0) {
-            const content = responseData.choices[0].message.content;
-
-            // Extract URL from markdown or plain text
-            const urlMatch = content.match(/!\[.*?\]\((https?:\/\/[^)]+)\)/);
-            if (urlMatch) {
-                imageUrl = urlMatch[1];
-            } else {
-                const plainUrlMatch = content.match(/(https?:\/\/[^\s]+\.(png|jpg|jpeg|webp))/i);
-                if (plainUrlMatch) {
-                    imageUrl = plainUrlMatch[1];
+            for (const choice of responseData.choices) {
+                const content = choice.message?.content;
+                if (typeof content !== 'string') continue;
+
+                // Extract URL from markdown or plain text
+                const urlMatch = content.match(/!\[.*?\]\((https?:\/\/[^)]+)\)/);
+                if (urlMatch) {
+                    imageUrls.push(urlMatch[1]);
+                } else {
+                    const plainUrlMatch = content.match(
+                        /(https?:\/\/[^\s]+\.(png|jpg|jpeg|webp))/i
+                    );
+                    if (plainUrlMatch) {
+                        imageUrls.push(plainUrlMatch[1]);
+                    }
                 }
             }
-
-            // 如果没有找到URL，尝试从content中提取文字信息
-            if (!imageUrl && typeof content === 'string') {
-                const serverMessage = this._extractServerMessage(responseData);
-                throw new Error(`No image generated. ${serverMessage}`);
-            }
         }
 
-        if (!imageUrl) {
+        // 如果没有找到URL，尝试从content中提取文字信息
+        if (imageUrls.length === 0) {
             const serverMessage = this._extractServerMessage(responseData);
             throw new Error(`No image generated. ${serverMessage}`);
         }
 
-        // Download image
-        return await this.fileManager.downloadImage(imageUrl);
+        // Download images
+        const imageFiles = [];
+        for (const imageUrl of imageUrls) {
+            imageFiles.push(await this.fileManager.downloadImage(imageUrl, transferOptions));
+        }
+        return imageFiles;
     }
 
     /**
      * Process OpenRouter response
      */
-    async _processOpenRouterResponse(responseData) {
+    async _processOpenRouterResponse(responseData, transferOptions = {}) {
         if (!responseData.choices || responseData.choices.length === 0) {
             const serverMessage = this._extractServerMessage(responseData);
             throw new Error(`No image generated. ${serverMessage}`);
         }
 
-        const message = responseData.choices[0].message;
-
-        // Check for images array
-        if (message.images && message.images.length > 0) {
-            const imageInfo = message.images[0];
-            if (imageInfo.image_url && imageInfo.image_url.url) {
+        // Check for images array（请求 n > 1 时分布在多个 choice 中）
+        const imageFiles = [];
+        for (const choice of responseData.choices) {
+            const images = choice.message?.images || [];
+            for (const imageInfo of images) {
+                if (!imageInfo.image_url || !imageInfo.image_url.url) continue;
                 const url = imageInfo.image_url.url;
 
                 // Check if it's a data URL or HTTP URL
@@ -1564,12 +1912,21 @@ class ImageGenerator {
                     const base64Data = url.split(';base64,')[1];
                     const mimeType = url.match(/data:(image\/[^;]+)/)[1];
                     const extension = this._getExtensionFromMimeType(mimeType);
-                    return await this.fileManager.saveImageFromBase64(base64Data, extension);
+                    imageFiles.push(
+                        await this.fileManager.saveImageFromBase64(
+                            base64Data,
+                            extension,
+                            transferOptions.metadata
+                        )
+                    );
                 } else {
-                    return await this.fileManager.downloadImage(url);
+                    imageFiles.push(await this.fileManager.downloadImage(url, transferOptions));
                 }
             }
         }
+        if (imageFiles.length > 0) {
+            return imageFiles;
+        }
 
         const serverMessage = this._extractServerMessage(responseData);
         throw new Error(`No image generated. ${serverMessage}`);
@@ -1579,7 +1936,7 @@ class ImageGenerator {
      * Process Seedream response (URL format)
      * Seedream 返回格式: { data: [{ url: "...", size: "1760x2368" }], usage: {...} }
      */
-    async _processSeedreamResponse(responseData) {
+    async _processSeedreamResponse(responseData, transferOptions = {}) {
         // 检查是否有 data 数组
         if (
             !responseData.data ||
@@ -1590,23 +1947,100 @@ class ImageGenerator {
             throw new Error(`No image generated. ${serverMessage}`);
         }
 
-        // 获取第一张图片的 URL
-        const imageData = responseData.data[0];
-        if (!imageData.url) {
+        // 组图模式下 data 中有多张图片，逐张下载
+        const imageUrls = responseData.data.map((imageData) => imageData.url).filter(Boolean);
+        if (imageUrls.length === 0) {
             throw new Error('No image URL in Seedream response');
         }
 
-        // 下载图片
-        return await this.fileManager.downloadImage(imageData.url);
+        const imageFiles = [];
+        for (const imageUrl of imageUrls) {
+            imageFiles.push(await this.fileManager.downloadImage(imageUrl, transferOptions));
+        }
+        return imageFiles;
+    }
+
+    /**
+     * 监听 ComfyUI websocket 的采样进度（progress 消息），只处理当前 prompt 的消息
+     * 连接失败不影响生成，仍以 history 轮询为准
+     * @returns {Function} 关闭连接
+     */
+    _watchComfyUIProgress(baseUrl, clientId, promptId, onProgress) {
+        if (typeof globalThis.WebSocket !== 'function') {
+            return () => {};
+        }
+
+        const wsUrl = `${baseUrl.replace(/^http/, 'ws')}/ws?clientId=${encodeURIComponent(
+            clientId || ''
+        )}`;
+        let socket = null;
+        try {
+            socket = new globalThis.WebSocket(wsUrl);
+        } catch (e) {
+            console.warn('[ComfyUI] Progress websocket unavailable:', e);
+            return () => {};
+        }
+
+        socket.onmessage = (event) => {
+            // 二进制消息为预览图，忽略
+            if (typeof event.data !== 'string') return;
+
+            let message = null;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+
+            const data = message.data || {};
+            if (data.prompt_id && data.prompt_id !== promptId) return;
+
+            if (message.type === 'execution_start') {
+                onProgress({ phase: 'running' });
+            } else if (message.type === 'progress') {
+                onProgress({ phase: 'sampling', value: data.value, max: data.max });
+            }
+        };
+        socket.onerror = (e) => console.warn('[ComfyUI] Progress websocket error:', e);
+
+        return () => {
+            try {
+                socket.close();
+            } catch (e) {
+                console.warn('[ComfyUI] Failed to close progress websocket:', e);
+            }
+        };
+    }
+
+    /**
+     * 查询 prompt 在 ComfyUI 队列中的位置（1 开始），已开始执行返回 0，不在队列中返回 null
+     */
+    async _getComfyUIQueuePosition(baseUrl, promptId, signal) {
+        const queueRes = await request(`${baseUrl}/queue`, { signal });
+        if (!queueRes.ok) return null;
+
+        const queueData = await queueRes.json();
+        const findIndex = (items) => (items || []).findIndex((item) => item[1] === promptId);
+        if (findIndex(queueData.queue_running) !== -1) return 0;
+
+        const pendingIndex = findIndex(queueData.queue_pending);
+        return pendingIndex === -1 ? null : pendingIndex + 1;
     }
 
     /**
      * Process ComfyUI response
      * 1. Get prompt_id from response
-     * 2. Poll history until done
+     * 2. Poll history until done (websocket 上报采样进度，开始前轮询队列位置)
      * 3. Download image
      */
-    async _processComfyUIResponse(responseData, provider) {
+    async _processComfyUIResponse(responseData, provider, transferOptions = {}) {
+        const {
+            signal = null,
+            onProgress = null,
+            timeout = 300000,
+            clientId = null,
+            metadata = null,
+        } = transferOptions;
         if (!responseData.prompt_id) {
             throw new Error('ComfyUI did not return a prompt_id');
         }
@@ -1618,51 +2052,87 @@ class ImageGenerator {
 
         console.log(`[ComfyUI] Queued prompt: ${promptId}. Waiting for generation...`);
 
-        // Poll history
-        // Max wait: 5 minutes (300 seconds)
-        const maxRetries = 300;
+        // Poll history, 每秒一次，最长等待时间即 provider 的生成超时（0 表示一直等待）
+        const maxRetries = timeout > 0 ? Math.ceil(timeout / 1000) : Infinity;
         let retries = 0;
         let outputImages = null;
+        let started = false;
+        const stopWatching = onProgress
+            ? this._watchComfyUIProgress(baseUrl, clientId, promptId, (event) => {
+                  started = true;
+                  onProgress(event);
+              })
+            : () => {};
 
-        while (retries < maxRetries) {
-            await new Promise((r) => setTimeout(r, 1000)); // Wait 1 sec
+        try {
+            while (retries < maxRetries) {
+                await delay(1000, signal); // Wait 1 sec, 取消时立即中断轮询
 
-            try {
-                const historyUrl = `${baseUrl}/history/${promptId}`;
-                const historyRes = await fetch(historyUrl);
-
-                if (historyRes.ok) {
-                    const historyData = await historyRes.json();
-                    if (historyData[promptId]) {
-                        // Job done!
-                        const outputs = historyData[promptId].outputs;
-                        // Find the output from SaveImage node (usually "9" in our workflow)
-                        for (const nodeId in outputs) {
-                            if (outputs[nodeId].images && outputs[nodeId].images.length > 0) {
-                                outputImages = outputs[nodeId].images;
-                                break;
+                try {
+                    if (onProgress && !started) {
+                        const position = await this._getComfyUIQueuePosition(
+                            baseUrl,
+                            promptId,
+                            signal
+                        );
+                        if (position > 0) {
+                            onProgress({ phase: 'queued', position });
+                        }
+                    }
+
+                    const historyUrl = `${baseUrl}/history/${promptId}`;
+                    const historyRes = await request(historyUrl, { signal });
+
+                    if (historyRes.ok) {
+                        const historyData = await historyRes.json();
+                        if (historyData[promptId]) {
+                            // Job done!
+                            const outputs = historyData[promptId].outputs;
+                            // Find the output from SaveImage node (usually "9" in our workflow)
+                            for (const nodeId in outputs) {
+                                if (outputs[nodeId].images && outputs[nodeId].images.length > 0) {
+                                    outputImages = outputs[nodeId].images;
+                                    break;
+                                }
                             }
+                            break;
                         }
-                        break;
                     }
+                } catch (e) {
+                    if (isAbortError(e) || (signal && signal.aborted)) {
+                        console.log(`[ComfyUI] Polling cancelled for prompt: ${promptId}`);
+                        throwIfAborted(signal);
+                        throw e;
+                    }
+                    console.warn('[ComfyUI] Polling error:', e);
                 }
-            } catch (e) {
-                console.warn('[ComfyUI] Polling error:', e);
+                retries++;
             }
-            retries++;
+        } finally {
+            stopWatching();
         }
 
         if (!outputImages || outputImages.length === 0) {
             throw new Error('ComfyUI generation timed out or returned no images.');
         }
 
-        // Get the first image
-        const imgInfo = outputImages[0];
-        // ComfyUI View URL: /view?filename=...&subfolder=...&type=...
-        const viewUrl = `${baseUrl}/view?filename=${encodeURIComponent(imgInfo.filename)}&subfolder=${encodeURIComponent(imgInfo.subfolder)}&type=${encodeURIComponent(imgInfo.type)}`;
-
-        console.log(`[ComfyUI] Downloading image from: ${viewUrl}`);
-        return await this.fileManager.downloadImage(viewUrl);
+        // batch_size > 1 时 SaveImage 节点会输出多张图片，逐张下载
+        const imageFiles = [];
+        for (const imgInfo of outputImages) {
+            // ComfyUI View URL: /view?filename=...&subfolder=...&type=...
+            const viewUrl = `${baseUrl}/view?filename=${encodeURIComponent(imgInfo.filename)}&subfolder=${encodeURIComponent(imgInfo.subfolder)}&type=${encodeURIComponent(imgInfo.type)}`;
+
+            console.log(`[ComfyUI] Downloading image from: ${viewUrl}`);
+            imageFiles.push(
+                await this.fileManager.downloadImage(viewUrl, {
+                    signal,
+                    onProgress,
+                    timeout,
+                    metadata,
+                })
+            );
+        }
+        return imageFiles;
     }
 
     /**
@@ -1754,4 +2224,4 @@ class ImageGenerator {
     }
 }
 
-module.exports = { ImageGenerator };
+module.exports = { ImageGenerator, MAX_VARIANT_COUNT };
@@ -0,0 +1,134 @@
+/**
+ * 多图模式的图层组角色
+ * 文档顶层的图层组按名称识别角色（大小写不敏感，可带序号，如 Reference 2、Style、Pose_1），
+ * 每个组导出为一张图片，按下面的角色顺序（同一角色按序号）发送，
+ * 并由各 payload builder 在说明中告诉模型每张图片的用途。
+ */
+const LAYER_ROLES = [
+    {
+        role: 'reference',
+        name: 'Reference',
+        color: 'violet',
+        description: 'use this for style/content reference',
+    },
+    {
+        role: 'style',
+        name: 'Style',
+        color: 'blue',
+        description: 'follow its art style, colors and rendering',
+    },
+    {
+        role: 'character',
+        name: 'Character',
+        color: 'orange',
+        description: 'keep the identity and appearance of this character',
+    },
+    {
+        role: 'pose',
+        name: 'Pose',
+        color: 'yellowColor',
+        description: 'follow this pose and composition',
+    },
+    { role: 'source', name: 'Source', color: 'green', description: 'the content to be modified' },
+    {
+        role: 'mask',
+        name: 'Mask',
+        color: 'red',
+        description:
+            'white marks the area of the Source to change, black areas must stay unchanged',
+    },
+];
+
+const ROLE_ORDER = LAYER_ROLES.map(({ role }) => role);
+
+function getRoleDefinition(role) {
+    return LAYER_ROLES.find((definition) => definition.role === role) || null;
+}
+
+/**
+ * 从图层组名称识别角色
+ * @param {string} name - 图层组名称，如 "Reference 2"、"style"、"Pose_1"
+ * @returns {{role: string, index: number, label: string}|null} - index 为名称中的序号（没有时为 0）
+ */
+function parseRoleGroupName(name) {
+    const match = /^\s*([a-z]+)(?:[\s_-]*(\d+))?\s*$/i.exec(name || '');
+    if (!match) return null;
+
+    const definition = getRoleDefinition(match[1].toLowerCase());
+    if (!definition) return null;
+
+    const index = match[2] ? parseInt(match[2], 10) : 0;
+    return {
+        role: definition.role,
+        index,
+        label: index ? `${definition.name} ${index}` : definition.name,
+    };
+}
+
+/**
+ * 按角色顺序排序，同一角色按序号
+ * @param {Array<{role: string, index?: number}>} items
+ * @returns {Array} 新数组
+ */
+function sortByRole(items) {
+    return [...items].sort(
+        (a, b) =>
+            ROLE_ORDER.indexOf(a.role) - ROLE_ORDER.indexOf(b.role) ||
+            (a.index || 0) - (b.index || 0)
+    );
+}
+
+/**
+ * 统一多图输入：优先使用 roleImages，否则把旧的 sourceImage / referenceImage（包括旧的历史记录）转换为角色图片
+ * @param {Object} options
+ * @param {Array<{role: string, index?: number, label?: string, data: string}>} [options.roleImages]
+ * @param {string} [options.sourceImage]
+ * @param {string} [options.referenceImage]
+ * @returns {Array<{role: string, index: number, label: string, data: string}>}
+ */
+function normalizeRoleImages({ roleImages = null, sourceImage = null, referenceImage = null }) {
+    const images = [];
+    if (Array.isArray(roleImages) && roleImages.length > 0) {
+        for (const image of roleImages) {
+            const definition = getRoleDefinition(image.role);
+            if (!definition || !image.data) continue;
+            images.push({
+                role: image.role,
+                index: image.index || 0,
+                label: image.label || definition.name,
+                data: image.data,
+            });
+        }
+    } else {
+        if (referenceImage) {
+            images.push({ role: 'reference', index: 0, label: 'Reference', data: referenceImage });
+        }
+        if (sourceImage) {
+            images.push({ role: 'source', index: 0, label: 'Source', data: sourceImage });
+        }
+    }
+    return sortByRole(images);
+}
+
+/**
+ * 说明每张图片的用途，图片按 roleImages 的顺序编号
+ * @param {Array<{role: string, label: string}>} roleImages - normalizeRoleImages 的结果
+ * @returns {string}
+ */
+function buildRoleInstruction(roleImages) {
+    return roleImages
+        .map(
+            (image, index) =>
+                `Image ${index + 1} is the ${image.label} Layer (${getRoleDefinition(image.role).description}). `
+        )
+        .join('');
+}
+
+module.exports = {
+    LAYER_ROLES,
+    getRoleDefinition,
+    parseRoleGroupName,
+    sortByRole,
+    normalizeRoleImages,
+    buildRoleInstruction,
+};
@@ -2,6 +2,7 @@ const translations = {
     en: {
         tab_generate: 'Generate',
         tab_settings: 'Settings',
+        tab_history: 'History',
         label_prompt_presets: 'Prompt Presets',
         placeholder_select_preset: 'Select a preset...',
         btn_add: 'Add',
@@ -13,11 +14,26 @@ const translations = {
         option_image_api_banana: 'Nano Banana',
         option_image_api_gpt_image_2: 'GPT Image 2',
         label_resolution: 'Resolution:',
+        label_variant_count: 'Variants:',
+        option_variant_import_group: 'Import All as Group',
+        option_variant_import_pick: 'Pick Variants',
+        label_batch_count: 'Batch:',
+        label_seed: 'Seed:',
+        option_seed_random: 'Random',
+        option_seed_fixed: 'Fixed',
+        option_seed_increment: 'Increment',
+        placeholder_seed: 'Last used seed',
         placeholder_select: 'Select',
         btn_smart_ratio: 'Smart Ratio',
         checkbox_search_web: 'Search Web (Experimental)',
         checkbox_selection_mode: 'Generate by Selection Mask',
+        checkbox_inpaint_mask: 'Inpaint Selection Shape Only',
+        checkbox_mask_result: 'Mask Result to Selection Shape',
+        label_result_mask_expand: 'Mask Expand (px)',
+        label_result_mask_feather: 'Mask Feather (px)',
         btn_generate: 'Generate Image',
+        btn_cancel: 'Cancel',
+        btn_cancelling: 'Cancelling...',
         btn_generating: 'Generating',
         btn_generating_count: 'Generating {count} image(s)',
         radio_text2img: 'Text to Image',
@@ -30,6 +46,7 @@ const translations = {
         label_provider: 'Provider',
         placeholder_select_provider: 'Select Provider',
         btn_test_connection: 'Test Connection',
+        btn_fetch_models: 'Fetch Models',
         label_api_key: 'API Key',
         placeholder_api_key: 'Enter API Key',
         label_base_url: 'Base URL',
@@ -38,9 +55,90 @@ const translations = {
         placeholder_banana_model_id: 'gemini-...',
         label_gpt_image_2_model_id: 'GPT Image 2 Model',
         placeholder_gpt_image_2_model_id: 'gpt-image-2',
+        btn_duplicate: 'Duplicate',
+        label_provider_type: 'Provider Type',
+        label_backup_api_keys: 'Backup API Keys',
+        msg_api_keys_stored: 'Saved in secure storage: {keys}',
+        label_organization: 'Organization ID',
+        label_project: 'Project ID',
+        label_auth_type: 'Auth Type',
+        label_base_path: 'Base Path',
+        label_endpoint_generate: 'Generate Endpoint',
+        label_endpoint_gpt_image_2_generate: 'GPT Image 2 Generate Endpoint',
+        label_endpoint_gpt_image_2_edit: 'GPT Image 2 Edit Endpoint',
+        label_endpoint_test: 'Test Endpoint',
         label_export_settings: 'Image to Generator Export Settings',
         label_max_size: 'Max Size',
         label_quality: 'Quality',
+        label_network_settings: 'Network Settings',
+        label_config_bundle: 'Configuration Bundle',
+        label_export_api_keys: 'Include API keys in export',
+        btn_export_config: 'Export',
+        btn_import_config: 'Import',
+        msg_config_exported: 'Configuration exported to {path}',
+        msg_config_import_confirm:
+            'Import this configuration?\n\nNew providers: {providersAdded}\nUpdated providers: {providersUpdated}\nNew presets: {presetsAdded}\nUpdated presets: {presetsUpdated}\nChanged settings: {settingsChanged}{keysNote}',
+        msg_config_import_keys_note:
+            '\n\nThe bundle contains API keys and will replace local keys.',
+        msg_config_import_keys_dropped:
+            '\n\nThe endpoint of {providers} changes, so their local API keys will be removed. Enter the keys again after importing.',
+        msg_config_imported: 'Configuration imported',
+        label_retry_attempts: 'Retry Attempts',
+        label_retry_base_delay: 'Retry Delay (ms)',
+        label_banana_timeout: 'Nano Banana Timeout (s)',
+        label_gpt_image_2_timeout: 'GPT Image 2 Timeout (s)',
+        label_provider_timeout: 'Request Timeout (s)',
+        placeholder_provider_timeout: 'Use image API default',
+        label_provider_rpm_limit: 'Requests / Minute',
+        placeholder_provider_rpm_limit: 'Unlimited',
+        label_max_concurrent_tasks: 'Max Concurrent Tasks (0 = unlimited)',
+        progress_pending: 'In queue #{position} · {elapsed}s',
+        progress_rate_limited: 'Waiting for {provider} rate limit (#{position}) · {elapsed}s',
+        label_task_summary: 'Running {running} · Queued {queued} · Finished {finished}',
+        btn_clear_finished: 'Clear Finished',
+        btn_retry: 'Retry',
+        label_history_max_entries: 'History Entries to Keep (0 = off)',
+        btn_history_reimport: 'Re-import',
+        btn_history_rerun: 'Re-run',
+        btn_history_delete: 'Delete',
+        msg_history_empty: 'No generation history yet',
+        msg_history_reimported: '✅ Imported {count} layer(s) from history',
+        msg_history_rerun:
+            'Re-running with the recorded settings, see the Generate tab for progress',
+        msg_history_provider_missing: 'Provider "{provider}" no longer exists',
+        msg_history_action_failed: '❌ History action failed: {error}',
+        btn_regenerate_layer: 'Regenerate Selected Layer',
+        btn_regenerate_replace: 'Replace',
+        btn_regenerate_stack: 'Stack',
+        label_regenerate_target: 'Regenerate {layer} in {region}',
+        label_full_canvas: 'full canvas',
+        msg_select_layer_first: 'Please select a layer first',
+        msg_layer_no_metadata: '{layer} has no PS Banana generation metadata',
+        msg_regenerate_document_changed:
+            'The active document changed, please select the layer again',
+        msg_regenerate_target_missing:
+            'Original layer {layer} no longer exists, the new layer was placed on top',
+        label_outpaint: 'Outpaint:',
+        option_outpaint_all: 'All Sides',
+        option_outpaint_left: 'Left',
+        option_outpaint_right: 'Right',
+        option_outpaint_top: 'Top',
+        option_outpaint_bottom: 'Bottom',
+        placeholder_outpaint_amount: 'Pixels',
+        option_outpaint_by_amount: 'By Pixels',
+        btn_outpaint: 'Outpaint',
+        msg_outpaint_unchanged: 'Canvas already matches the target, nothing to outpaint',
+        msg_outpaint_failed: '❌ Outpaint failed: {error}',
+        label_upscale: 'Upscale:',
+        option_upscale_refine: '1x (Refine)',
+        placeholder_tile_overlap: 'Overlap (px)',
+        btn_tiled_upscale: 'Tiled Upscale',
+        msg_upscale_exporting: 'Resizing the document and exporting tiles...',
+        msg_upscale_failed: '❌ Tiled upscale failed: {error}',
+        msg_upscale_summary:
+            'Tiled upscale finished: {succeeded}/{total} tiles imported, {failed} failed (group: {group})',
+        label_proxy_url: 'Proxy URL',
+        label_custom_headers: 'Custom Headers (one "Name: value" per line)',
         checkbox_debug_mode: 'Debug Mode',
         label_log_path: 'Log File Path',
         placeholder_log_path: 'Log path will appear here',
@@ -53,10 +151,25 @@ const translations = {
         msg_enter_provider_name: 'Enter new provider name:',
         msg_no_provider_selected: 'No provider selected',
         msg_delete_provider: 'Delete provider "{name}"?',
+        msg_duplicate_provider: 'Name for the copy of "{name}":',
         msg_testing_connection: 'Testing connection...',
+        label_diagnostics_dry_run: 'Test generation when testing connection (uses credits)',
+        diag_status_pass: 'PASS',
+        diag_status_warn: 'WARN',
+        diag_status_fail: 'FAIL',
+        diag_status_skip: 'SKIP',
+        diag_check_config: 'Configuration',
+        diag_check_reachability: 'Reachable',
+        diag_check_auth: 'Authentication',
+        diag_check_model: 'Model',
+        diag_check_dry_run: 'Test generation',
+        msg_diagnostics_passed: 'All checks passed ({warnings} warnings)',
+        msg_diagnostics_failed: '{count} checks failed, see details below',
+        msg_fetching_models: 'Fetching model list...',
+        msg_models_loaded:
+            'Found {count} models: {banana} for Nano Banana, {gpt} for GPT Image 2. Pick one and click Save.',
+        placeholder_select_model: 'Select from discovered models',
         msg_provider_saved: 'Provider saved successfully',
-        msg_seedream_test_success:
-            '✅ Seedream Configuration Saved\n\n⚠️ Note: Seedream API cannot test connection automatically\n✓ Configuration saved, please verify API Key by generating an image\n✓ If image generation succeeds, configuration is correct',
         msg_analyzing_ratio: 'Analyzing canvas ratio...',
         msg_ratio_unchanged: '✅ Canvas is already {ratio} ratio ({width}x{height})',
         msg_ratio_adjusted:
@@ -69,11 +182,29 @@ const translations = {
         msg_banana_model_missing: 'Please configure Nano Banana model for the selected provider',
         msg_provider_image_api_not_supported: '{provider} does not support {imageApi}',
         msg_gpt_model_missing: 'Please configure GPT Image 2 model for the selected provider',
-        msg_getting_canvas_info: 'Getting canvas info...',
-        msg_generating_image: 'Generating image... ({mode}, {resolution}, {ratio})',
-        msg_importing_image: 'Importing image to Photoshop...',
         msg_complete: '✅ Complete! Layer: {layer}',
+        msg_complete_variants: '✅ Complete! Imported {count} variants into group: {group}',
+        msg_no_variant_selected: 'No variant selected, nothing imported',
+        dialog_pick_variants: 'Select the variants to import ({count} generated)',
+        btn_import_selected: 'Import Selected',
+        progress_picking: 'Waiting for variant selection · {elapsed}s',
+        msg_batch_exporting: 'Exporting canvas once for {count} batch tasks...',
+        msg_batch_summary:
+            'Batch finished: {succeeded}/{total} succeeded, {failed} failed, {cancelled} cancelled, {layers} layers imported',
         msg_generation_failed: '❌ Generation failed: {error}',
+        msg_generation_cancelled: 'Task #{id} cancelled',
+        progress_preparing: 'Preparing canvas · {elapsed}s',
+        progress_exporting: 'Exporting canvas · {elapsed}s',
+        progress_uploading: 'Uploading {amount} · {elapsed}s',
+        progress_waiting: 'Waiting for server · {elapsed}s',
+        progress_downloading: 'Downloading {amount} · {elapsed}s',
+        progress_queued: 'ComfyUI queue position {position} · {elapsed}s',
+        progress_running: 'Running · {elapsed}s',
+        progress_sampling: 'Sampling step {value}/{max} · {elapsed}s',
+        progress_importing: 'Importing layer · {elapsed}s',
+        progress_done: 'Done · {layers} layer(s) · {elapsed}s',
+        progress_failed: 'Failed · {elapsed}s',
+        progress_cancelled: 'Cancelled · {elapsed}s',
         dialog_cancel: 'Cancel',
         dialog_ok: 'OK',
         dialog_placeholder_name: 'Enter name...',
@@ -81,6 +212,7 @@ const translations = {
     zh: {
         tab_generate: '生成',
         tab_settings: '设置',
+        tab_history: '历史',
         label_prompt_presets: '提示词预设',
         placeholder_select_preset: '选择预设...',
         btn_add: '添加',
@@ -92,11 +224,26 @@ const translations = {
         option_image_api_banana: 'Nano Banana',
         option_image_api_gpt_image_2: 'GPT Image 2',
         label_resolution: '分辨率:',
+        label_variant_count: '候选数:',
+        option_variant_import_group: '全部导入到图层组',
+        option_variant_import_pick: '挑选后导入',
+        label_batch_count: '批量:',
+        label_seed: 'Seed:',
+        option_seed_random: '随机',
+        option_seed_fixed: '固定',
+        option_seed_increment: '递增',
+        placeholder_seed: '上次使用的 seed',
         placeholder_select: '选择',
         btn_smart_ratio: '智能比例',
         checkbox_search_web: '联网搜索 (实验性)',
         checkbox_selection_mode: '选区生成模式',
+        checkbox_inpaint_mask: '按选区形状局部重绘',
+        checkbox_mask_result: '导入结果按选区形状添加蒙版',
+        label_result_mask_expand: '蒙版扩展 (px)',
+        label_result_mask_feather: '蒙版羽化 (px)',
         btn_generate: '生成图像',
+        btn_cancel: '取消',
+        btn_cancelling: '正在取消...',
         btn_generating: '生成中...',
         btn_generating_count: '正在生成 {count} 张图像',
         radio_text2img: '文生图',
@@ -109,6 +256,7 @@ const translations = {
         label_provider: '服务商',
         placeholder_select_provider: '选择服务商',
         btn_test_connection: '测试连接',
+        btn_fetch_models: '获取模型',
         label_api_key: 'API Key',
         placeholder_api_key: '输入 API Key',
         label_base_url: 'Base URL',
@@ -117,9 +265,86 @@ const translations = {
         placeholder_banana_model_id: 'gemini-...',
         label_gpt_image_2_model_id: 'GPT Image 2 模型',
         placeholder_gpt_image_2_model_id: 'gpt-image-2',
+        btn_duplicate: '复制',
+        label_provider_type: 'Provider 类型',
+        label_backup_api_keys: '备用 API Key',
+        msg_api_keys_stored: '已保存在安全存储中：{keys}',
+        label_organization: '组织 ID (Organization)',
+        label_project: '项目 ID (Project)',
+        label_auth_type: '鉴权方式',
+        label_base_path: 'Base Path',
+        label_endpoint_generate: '生图 Endpoint',
+        label_endpoint_gpt_image_2_generate: 'GPT Image 2 生图 Endpoint',
+        label_endpoint_gpt_image_2_edit: 'GPT Image 2 编辑 Endpoint',
+        label_endpoint_test: '测试 Endpoint',
         label_export_settings: '图像导出设置',
         label_max_size: '最大尺寸',
         label_quality: '质量',
+        label_network_settings: '网络设置',
+        label_config_bundle: '配置包',
+        label_export_api_keys: '导出时包含 API Key',
+        btn_export_config: '导出',
+        btn_import_config: '导入',
+        msg_config_exported: '配置已导出到 {path}',
+        msg_config_import_confirm:
+            '确定导入此配置？\n\n新增 Provider：{providersAdded}\n更新 Provider：{providersUpdated}\n新增预设：{presetsAdded}\n更新预设：{presetsUpdated}\n变更的设置：{settingsChanged}{keysNote}',
+        msg_config_import_keys_note: '\n\n配置包包含 API Key，将覆盖本机的 key。',
+        msg_config_import_keys_dropped:
+            '\n\n{providers} 的端点将被更改，本机的 API Key 会被移除，导入后请重新填写。',
+        msg_config_imported: '配置已导入',
+        label_retry_attempts: '重试次数',
+        label_retry_base_delay: '重试间隔 (毫秒)',
+        label_banana_timeout: 'Nano Banana 超时 (秒)',
+        label_gpt_image_2_timeout: 'GPT Image 2 超时 (秒)',
+        label_provider_timeout: '请求超时 (秒)',
+        placeholder_provider_timeout: '使用图像 API 默认值',
+        label_provider_rpm_limit: '每分钟请求数',
+        placeholder_provider_rpm_limit: '不限制',
+        label_max_concurrent_tasks: '最大并发任务数 (0 为不限制)',
+        progress_pending: '排队中 第 {position} 位 · {elapsed}s',
+        progress_rate_limited: '等待 {provider} 速率限制 (第 {position} 位) · {elapsed}s',
+        label_task_summary: '执行中 {running} · 排队 {queued} · 已结束 {finished}',
+        btn_clear_finished: '清除已结束',
+        btn_retry: '重试',
+        label_history_max_entries: '保留的历史记录条数 (0 为不记录)',
+        btn_history_reimport: '重新导入',
+        btn_history_rerun: '重新生成',
+        btn_history_delete: '删除',
+        msg_history_empty: '暂无生成历史',
+        msg_history_reimported: '✅ 已从历史记录导入 {count} 个图层',
+        msg_history_rerun: '正在使用记录的参数重新生成，进度见生成页',
+        msg_history_provider_missing: 'Provider "{provider}" 已不存在',
+        msg_history_action_failed: '❌ 历史记录操作失败：{error}',
+        btn_regenerate_layer: '重新生成选中图层',
+        btn_regenerate_replace: '替换',
+        btn_regenerate_stack: '叠加',
+        label_regenerate_target: '在 {region} 重新生成 {layer}',
+        label_full_canvas: '整个画布',
+        msg_select_layer_first: '请先选择一个图层',
+        msg_layer_no_metadata: '{layer} 没有 PS Banana 生成参数',
+        msg_regenerate_document_changed: '当前文档已切换，请重新选择图层',
+        msg_regenerate_target_missing: '原图层 {layer} 已不存在，新图层已放在顶层',
+        label_outpaint: '扩图:',
+        option_outpaint_all: '四周',
+        option_outpaint_left: '向左',
+        option_outpaint_right: '向右',
+        option_outpaint_top: '向上',
+        option_outpaint_bottom: '向下',
+        placeholder_outpaint_amount: '像素',
+        option_outpaint_by_amount: '按像素',
+        btn_outpaint: '扩图',
+        msg_outpaint_unchanged: '画布已符合目标比例，无需扩图',
+        msg_outpaint_failed: '❌ 扩图失败: {error}',
+        label_upscale: '放大:',
+        option_upscale_refine: '1x（仅细化）',
+        placeholder_tile_overlap: '重叠（像素）',
+        btn_tiled_upscale: '分块放大',
+        msg_upscale_exporting: '正在放大文档并导出分块...',
+        msg_upscale_failed: '❌ 分块放大失败: {error}',
+        msg_upscale_summary:
+            '分块放大完成：导入 {succeeded}/{total} 个分块，失败 {failed}（图层组: {group}）',
+        label_proxy_url: '代理地址',
+        label_custom_headers: '自定义请求头（每行一个 "Name: value"）',
         checkbox_debug_mode: '调试模式',
         label_log_path: '日志文件路径',
         placeholder_log_path: '日志路径将显示在这里',
@@ -132,10 +357,25 @@ const translations = {
         msg_enter_provider_name: '输入新服务商名称:',
         msg_no_provider_selected: '未选择服务商',
         msg_delete_provider: '删除服务商 "{name}"?',
+        msg_duplicate_provider: '输入 "{name}" 副本的名称:',
         msg_testing_connection: '正在测试连接...',
+        label_diagnostics_dry_run: '测试连接时试生成一张小图（会消耗额度）',
+        diag_status_pass: '通过',
+        diag_status_warn: '警告',
+        diag_status_fail: '失败',
+        diag_status_skip: '跳过',
+        diag_check_config: '配置',
+        diag_check_reachability: '可达性',
+        diag_check_auth: '鉴权',
+        diag_check_model: '模型',
+        diag_check_dry_run: '试生成',
+        msg_diagnostics_passed: '全部检查通过（{warnings} 项警告）',
+        msg_diagnostics_failed: '{count} 项检查失败，详见下方列表',
+        msg_fetching_models: '正在获取模型列表...',
+        msg_models_loaded:
+            '共 {count} 个模型：Nano Banana 可用 {banana} 个，GPT Image 2 可用 {gpt} 个。选择后点击保存。',
+        placeholder_select_model: '从已发现的模型中选择',
         msg_provider_saved: '服务商保存成功',
-        msg_seedream_test_success:
-            '✅ Seedream 配置已保存\n\n⚠️ 注意：Seedream API 无法自动测试连接\n✓ 配置已保存，请通过实际生图来验证 API Key 是否有效\n✓ 如果生图成功，说明配置正确',
         msg_analyzing_ratio: '正在分析画布比例...',
         msg_ratio_unchanged: '✅ 画布已经是 {ratio} 比例 ({width}x{height})',
         msg_ratio_adjusted:
@@ -148,11 +388,29 @@ const translations = {
         msg_banana_model_missing: '请先为当前服务商配置 Nano Banana 模型',
         msg_provider_image_api_not_supported: '{provider} 不支持 {imageApi}',
         msg_gpt_model_missing: '请先为当前服务商配置 GPT Image 2 模型',
-        msg_getting_canvas_info: '正在获取画布信息...',
-        msg_generating_image: '正在生成图像... ({mode}, {resolution}, {ratio})',
-        msg_importing_image: '正在导入图像到 Photoshop...',
         msg_complete: '✅ 完成! 图层: {layer}',
+        msg_complete_variants: '✅ 完成! 已将 {count} 张候选图导入图层组: {group}',
+        msg_no_variant_selected: '未选择候选图，未导入任何图层',
+        dialog_pick_variants: '选择要导入的候选图（共生成 {count} 张）',
+        btn_import_selected: '导入所选',
+        progress_picking: '等待挑选候选图 · {elapsed}s',
+        msg_batch_exporting: '正在导出画布（{count} 个批量任务共用）...',
+        msg_batch_summary:
+            '批量生成完成：成功 {succeeded}/{total}，失败 {failed}，取消 {cancelled}，共导入 {layers} 个图层',
         msg_generation_failed: '❌ 生成失败: {error}',
+        msg_generation_cancelled: '任务 #{id} 已取消',
+        progress_preparing: '正在准备画布 · {elapsed}s',
+        progress_exporting: '正在导出画布 · {elapsed}s',
+        progress_uploading: '上传中 {amount} · {elapsed}s',
+        progress_waiting: '等待服务器生成 · {elapsed}s',
+        progress_downloading: '下载中 {amount} · {elapsed}s',
+        progress_queued: 'ComfyUI 队列第 {position} 位 · {elapsed}s',
+        progress_running: '执行中 · {elapsed}s',
+        progress_sampling: '采样 {value}/{max} 步 · {elapsed}s',
+        progress_importing: '正在导入图层 · {elapsed}s',
+        progress_done: '完成 · {layers} 个图层 · {elapsed}s',
+        progress_failed: '失败 · {elapsed}s',
+        progress_cancelled: '已取消 · {elapsed}s',
         dialog_cancel: '取消',
         dialog_ok: '确定',
         dialog_placeholder_name: '输入名称...',
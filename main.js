@@ -5,8 +5,39 @@ const { PresetManager } = require('./presets_manager');
 const { ImageGenerator } = require('./image_generator');
 const { FileManager } = require('./file_manager');
 const { PSOperations } = require('./ps_operations');
-const { getProviderConfig } = require('./api_providers');
-const { calculateAspectRatio, BANANA_IMAGE_API, GPT_IMAGE_2_API } = require('./aspect_ratio');
+const { PROVIDER_CONFIGS, PROVIDER_TYPES, getProviderConfig } = require('./api_providers');
+const { parseApiKeys, getProviderApiKeys, maskApiKey } = require('./api_key_pool');
+const { buildModelOptions } = require('./model_discovery');
+const { createConfigBundle, validateConfigBundle, diffConfigBundle } = require('./config_bundle');
+const { TaskQueue } = require('./task_queue');
+const { HistoryStore, DEFAULT_MAX_ENTRIES } = require('./history_store');
+const { createGenerationMetadata } = require('./generation_metadata');
+const {
+    SEED_MODES,
+    DEFAULT_SEED_MODE,
+    resolveSeed,
+    offsetSeed,
+    isSeedSupported,
+} = require('./seed_control');
+const {
+    configureNetwork,
+    createAbortError,
+    isAbortError,
+    throwIfAborted,
+} = require('./network_client');
+const {
+    calculateAspectRatio,
+    getAspectRatiosForImageApi,
+    BANANA_IMAGE_API,
+    GPT_IMAGE_2_API,
+} = require('./aspect_ratio');
+const { OUTPAINT_DIRECTIONS, calculateOutpaintPlan } = require('./outpaint');
+const {
+    UPSCALE_FACTORS,
+    DEFAULT_TILE_OVERLAP,
+    getTileSize,
+    calculateTilePlan,
+} = require('./tile_upscale');
 const { isGptImage2Api, resolveGptImage2Size } = require('./gpt_image_2');
 const translations = require('./localization');
 
@@ -28,6 +59,8 @@ const providerManager = new ProviderManager();
 const presetManager = new PresetManager();
 const fileManager = new FileManager();
 const imageGenerator = new ImageGenerator(fileManager);
+const taskQueue = new TaskQueue();
+const historyStore = new HistoryStore();
 
 // Current state
 let currentProvider = null;
@@ -35,9 +68,25 @@ let currentPreset = null;
 let activeGenerationCount = 0; // 当前正在执行的生成任务数量
 let isProcessing = false; // 用于测试操作的锁
 let taskIdCounter = 0; // 任务ID计数器，用于调试
+let batchIdCounter = 0; // 批量生成计数器，用于任务日志
+let upscaleIdCounter = 0; // 分块放大计数器，用于任务日志与图层组名称
+let regenerateTarget = null; // 等待确认的重新生成图层 { documentId, layerId, layerName, region }
+const runningTasks = new Map(); // taskId -> { controller, prompt, startedAt, progress }，用于面板上的进度与取消按钮
+const MAX_RECENT_TASKS = 10;
+let recentTasks = []; // 最近结束的任务（最新在前），面板中显示结果、错误详情与重试按钮
+let taskProgressTimer = null; // 有任务运行时每秒刷新耗时
 const taskLogs = []; // 存储任务日志
 let generationMode = 'text2img'; // 'text2img' or 'imgedit'
 let currentImageApiKind = BANANA_IMAGE_API;
+const discoveredModels = new Map(); // providerName -> { banana: [], gpt_image_2: [] }，仅保存在内存中
+const MODEL_DROPDOWNS = [
+    { imageApi: BANANA_IMAGE_API, selectId: 'bananaModelSelect', inputId: 'inputBananaModelId' },
+    {
+        imageApi: GPT_IMAGE_2_API,
+        selectId: 'gptImage2ModelSelect',
+        inputId: 'inputGptImage2ModelId',
+    },
+];
 
 // 添加任务日志并写入文件
 async function logTask(message) {
@@ -67,12 +116,19 @@ function getSelectedImageApiKind() {
     return currentImageApiKind || settingsManager.get('selected_image_api', BANANA_IMAGE_API);
 }
 
+function getCurrentProviderConfig() {
+    if (!currentProvider) {
+        return null;
+    }
+    return getProviderConfig(currentProvider.name, currentProvider.baseUrl, currentProvider);
+}
+
 function getEffectiveImageApiKind(imageApiKind = getSelectedImageApiKind()) {
     if (!currentProvider) {
         return imageApiKind;
     }
 
-    const providerConfig = getProviderConfig(currentProvider.name, currentProvider.baseUrl);
+    const providerConfig = getCurrentProviderConfig();
     if (providerConfig.supportsImageApi(imageApiKind)) {
         return imageApiKind;
     }
@@ -110,21 +166,32 @@ function setElementDisabled(element, disabled) {
 function updateImageApiDependentUI() {
     const imageApiSelect = document.getElementById('imageApiSelect');
     const searchWebCheckbox = document.getElementById('searchWebCheckbox');
+    const bananaModelInput = document.getElementById('inputBananaModelId');
     const gptImage2ModelInput = document.getElementById('inputGptImage2ModelId');
     const preferredKind = getSelectedImageApiKind();
     const effectiveKind = getEffectiveImageApiKind(preferredKind);
-    const providerConfig = currentProvider
-        ? getProviderConfig(currentProvider.name, currentProvider.baseUrl)
-        : null;
+    const providerConfig = getCurrentProviderConfig();
     const supportsGptImage2 = providerConfig
         ? providerConfig.supportsImageApi(GPT_IMAGE_2_API)
         : true;
+    const supportsBanana = providerConfig
+        ? providerConfig.supportsImageApi(BANANA_IMAGE_API)
+        : true;
+    const bananaOption = imageApiSelect?.querySelector('sp-menu-item[value="banana"]');
     const gptImage2Option = imageApiSelect?.querySelector('sp-menu-item[value="gpt_image_2"]');
     const gptMode = isGptImage2Api(effectiveKind);
 
     if (imageApiSelect) {
         setDropdownValue(imageApiSelect, effectiveKind);
-        setElementDisabled(imageApiSelect, !supportsGptImage2);
+        setElementDisabled(imageApiSelect, !supportsGptImage2 || !supportsBanana);
+    }
+
+    if (bananaOption) {
+        setElementDisabled(bananaOption, !supportsBanana);
+    }
+
+    if (bananaModelInput) {
+        setElementDisabled(bananaModelInput, !supportsBanana);
     }
 
     if (gptImage2Option) {
@@ -135,9 +202,39 @@ function updateImageApiDependentUI() {
         setElementDisabled(gptImage2ModelInput, !supportsGptImage2);
     }
 
+    setElementDisabled(document.getElementById('bananaModelSelect'), !supportsBanana);
+    setElementDisabled(document.getElementById('gptImage2ModelSelect'), !supportsGptImage2);
+
     if (searchWebCheckbox) {
         setElementDisabled(searchWebCheckbox, gptMode);
     }
+
+    updateOutpaintRatioOptions(effectiveKind);
+}
+
+// 扩图的目标比例选项跟随当前 Image API 的比例集合，第一项为按像素数扩展
+function updateOutpaintRatioOptions(imageApiKind = getEffectiveImageApiKind()) {
+    const outpaintRatioSelect = document.getElementById('outpaintRatioSelect');
+    if (!outpaintRatioSelect) return;
+
+    const menu = outpaintRatioSelect.querySelector('sp-menu');
+    menu.innerHTML = '';
+    const ratioNames = getAspectRatiosForImageApi(imageApiKind).map(({ name }) => name);
+    const savedRatio = settingsManager.get('outpaint_ratio', 'none');
+    const selectedRatio = ratioNames.includes(savedRatio) ? savedRatio : 'none';
+
+    const fragment = document.createDocumentFragment();
+    for (const value of ['none', ...ratioNames]) {
+        const item = document.createElement('sp-menu-item');
+        item.value = value;
+        item.textContent = value === 'none' ? getText('option_outpaint_by_amount') : value;
+        if (value === selectedRatio) {
+            item.selected = true;
+        }
+        fragment.appendChild(item);
+    }
+    menu.appendChild(fragment);
+    outpaintRatioSelect.value = selectedRatio;
 }
 
 async function setSelectedImageApiKind(imageApiKind) {
@@ -165,8 +262,12 @@ function buildGenerationProvider(imageApiKind) {
 async function initializeApp() {
     // Load all managers
     await settingsManager.load();
+    configureNetwork(settingsManager.getNetworkConfig());
+    taskQueue.configure(settingsManager.getQueueConfig());
+    taskQueue.onChange(renderTaskPanel);
     await providerManager.load();
     await presetManager.load();
+    await historyStore.load();
     currentImageApiKind = settingsManager.get('selected_image_api', BANANA_IMAGE_API);
 
     // Setup tabs
@@ -207,54 +308,41 @@ async function initializeApp() {
 }
 
 function setupTabs() {
-    const tabGenerate = document.getElementById('tabGenerate');
-    const tabSettings = document.getElementById('tabSettings');
-    const contentGenerate = document.getElementById('contentGenerate');
-    const contentSettings = document.getElementById('contentSettings');
+    const tabs = {
+        generate: ['tabGenerate', 'contentGenerate'],
+        history: ['tabHistory', 'contentHistory'],
+        settings: ['tabSettings', 'contentSettings'],
+    };
 
     function switchTab(tabId) {
-        if (tabId === 'generate') {
-            tabGenerate.classList.add('selected');
-            tabSettings.classList.remove('selected');
-            contentGenerate.classList.remove('hidden');
-            contentSettings.classList.add('hidden');
-        } else {
-            tabGenerate.classList.remove('selected');
-            tabSettings.classList.add('selected');
-            contentGenerate.classList.add('hidden');
-            contentSettings.classList.remove('hidden');
+        for (const [id, [tabElementId, contentElementId]] of Object.entries(tabs)) {
+            const tab = document.getElementById(tabElementId);
+            const content = document.getElementById(contentElementId);
+            if (id === tabId) {
+                tab.classList.add('selected');
+                content.classList.remove('hidden');
+            } else {
+                tab.classList.remove('selected');
+                content.classList.add('hidden');
+            }
+        }
+        if (tabId === 'history') {
+            renderHistory();
         }
     }
 
-    tabGenerate.addEventListener('click', () => switchTab('generate'));
-    tabSettings.addEventListener('click', () => switchTab('settings'));
+    for (const [id, [tabElementId]] of Object.entries(tabs)) {
+        document.getElementById(tabElementId).addEventListener('click', () => switchTab(id));
+    }
 
     // Setup Generation Mode Radio Group
     const generationModeGroup = document.getElementById('generationModeGroup');
-    const multiImageModeSection = document.getElementById('multiImageModeSection');
 
     const savedMode = settingsManager.get('generation_mode', 'text2img');
     generationMode = savedMode;
 
-    function updateModeUI(mode) {
-        generationMode = mode;
-        if (mode === 'text2img') {
-            multiImageModeSection.classList.add('hidden');
-        } else {
-            multiImageModeSection.classList.remove('hidden');
-        }
-    }
-
     // 设置初始选中状态
-    setTimeout(() => {
-        const radios = generationModeGroup.querySelectorAll('sp-radio');
-        radios.forEach((radio) => {
-            if (radio.value === savedMode) {
-                radio.checked = true;
-            }
-        });
-        updateModeUI(savedMode);
-    }, 100);
+    setTimeout(() => applyGenerationMode(savedMode), 100);
 
     generationModeGroup.addEventListener('change', async (e) => {
         const mode = e.target.value;
@@ -263,6 +351,25 @@ function setupTabs() {
     });
 }
 
+function updateModeUI(mode) {
+    generationMode = mode;
+    const multiImageModeSection = document.getElementById('multiImageModeSection');
+    if (mode === 'text2img') {
+        multiImageModeSection.classList.add('hidden');
+    } else {
+        multiImageModeSection.classList.remove('hidden');
+    }
+}
+
+// 同步单选框的选中状态并更新相关界面
+function applyGenerationMode(mode) {
+    const radios = document.getElementById('generationModeGroup').querySelectorAll('sp-radio');
+    radios.forEach((radio) => {
+        radio.checked = radio.value === mode;
+    });
+    updateModeUI(mode);
+}
+
 function setupGenerateUI() {
     const presetSelect = document.getElementById('presetSelect');
     const btnAddPreset = document.getElementById('btnAddPreset');
@@ -278,6 +385,11 @@ function setupGenerateUI() {
     const imageApiSelect = document.getElementById('imageApiSelect');
     const resolutionSelect = document.getElementById('resolutionSelect');
     const btnSmartCanvasRatio = document.getElementById('btnSmartCanvasRatio');
+    const variantCountSelect = document.getElementById('variantCountSelect');
+    const variantImportSelect = document.getElementById('variantImportSelect');
+    const batchCountSelect = document.getElementById('batchCountSelect');
+    const seedModeSelect = document.getElementById('seedModeSelect');
+    const inputSeed = document.getElementById('inputSeed');
 
     // 初始化可拖拽调整大小的 Prompt 文本框
     setupResizableTextarea();
@@ -309,11 +421,96 @@ function setupGenerateUI() {
         console.log(`[UI] Resolution switched to: ${value}`);
     });
 
+    // Variant Count & Import Mode
+    setDropdownValue(variantCountSelect, String(settingsManager.get('variant_count', 1)));
+    variantCountSelect.addEventListener('change', async (e) => {
+        const value = parseInt(e.target.value) || 1;
+        await settingsManager.set('variant_count', value);
+        console.log(`[UI] Variant count switched to: ${value}`);
+    });
+
+    setDropdownValue(variantImportSelect, settingsManager.get('variant_import_mode', 'group'));
+    variantImportSelect.addEventListener('change', async (e) => {
+        await settingsManager.set('variant_import_mode', e.target.value);
+        console.log(`[UI] Variant import mode switched to: ${e.target.value}`);
+    });
+
+    // Batch Count
+    setDropdownValue(batchCountSelect, String(settingsManager.get('batch_count', 1)));
+    batchCountSelect.addEventListener('change', async (e) => {
+        const value = parseInt(e.target.value) || 1;
+        await settingsManager.set('batch_count', value);
+        console.log(`[UI] Batch count switched to: ${value}`);
+    });
+
+    // Seed：random 模式下输入框只显示上次使用的 seed
+    setDropdownValue(seedModeSelect, getSeedMode());
+    inputSeed.value = String(settingsManager.get('seed_value', ''));
+    updateSeedUI();
+    seedModeSelect.addEventListener('change', async (e) => {
+        await settingsManager.set('seed_mode', e.target.value);
+        updateSeedUI();
+        console.log(`[UI] Seed mode switched to: ${e.target.value}`);
+    });
+    inputSeed.addEventListener('change', async (e) => {
+        await settingsManager.set('seed_value', e.target.value.trim());
+    });
+
     // Smart Canvas Ratio
     btnSmartCanvasRatio.addEventListener('click', async () => {
         await handleSmartCanvasRatio();
     });
 
+    // Regenerate Selected Layer：读取图层元数据，确认后替换或叠加
+    document.getElementById('btnRegenerateLayer').addEventListener('click', handleRegenerateLayer);
+    document
+        .getElementById('btnRegenerateReplace')
+        .addEventListener('click', () => confirmRegenerateLayer('replace'));
+    document
+        .getElementById('btnRegenerateStack')
+        .addEventListener('click', () => confirmRegenerateLayer('stack'));
+    document.getElementById('btnRegenerateCancel').addEventListener('click', cancelRegenerateLayer);
+
+    // Outpaint：方向与像素数，或目标比例（选择比例时忽略像素数）
+    const outpaintDirectionSelect = document.getElementById('outpaintDirectionSelect');
+    const inputOutpaintAmount = document.getElementById('inputOutpaintAmount');
+    setDropdownValue(outpaintDirectionSelect, settingsManager.get('outpaint_direction', 'all'));
+    outpaintDirectionSelect.addEventListener('change', async (e) => {
+        await settingsManager.set('outpaint_direction', e.target.value);
+        console.log(`[UI] Outpaint direction switched to: ${e.target.value}`);
+    });
+    inputOutpaintAmount.value = String(settingsManager.get('outpaint_amount', 256));
+    inputOutpaintAmount.addEventListener('change', async (e) => {
+        const value = Math.max(1, Math.min(4096, parseInt(e.target.value) || 256));
+        e.target.value = String(value);
+        await settingsManager.set('outpaint_amount', value);
+    });
+    updateOutpaintRatioOptions();
+    document.getElementById('outpaintRatioSelect').addEventListener('change', async (e) => {
+        await settingsManager.set('outpaint_ratio', e.target.value);
+        console.log(`[UI] Outpaint ratio switched to: ${e.target.value}`);
+    });
+    document.getElementById('btnOutpaint').addEventListener('click', handleOutpaint);
+
+    // Tiled Upscale：放大倍数（1x 只做细化）与分块重叠像素
+    const upscaleFactorSelect = document.getElementById('upscaleFactorSelect');
+    const inputTileOverlap = document.getElementById('inputTileOverlap');
+    setDropdownValue(upscaleFactorSelect, String(settingsManager.get('upscale_factor', 2)));
+    upscaleFactorSelect.addEventListener('change', async (e) => {
+        const value = parseInt(e.target.value) || 1;
+        await settingsManager.set('upscale_factor', value);
+        console.log(`[UI] Upscale factor switched to: ${value}`);
+    });
+    inputTileOverlap.value = String(
+        settingsManager.get('upscale_tile_overlap', DEFAULT_TILE_OVERLAP)
+    );
+    inputTileOverlap.addEventListener('change', async (e) => {
+        const value = Math.max(0, Math.min(512, parseInt(e.target.value) || 0));
+        e.target.value = String(value);
+        await settingsManager.set('upscale_tile_overlap', value);
+    });
+    document.getElementById('btnTiledUpscale').addEventListener('click', handleTiledUpscale);
+
     // Populate preset dropdown
     updatePresetDropdown();
 
@@ -416,7 +613,7 @@ function setupGenerateUI() {
 
     // Generate Button
     btnGenerate.addEventListener('click', async () => {
-        await handleGenerateImage();
+        await handleBatchGenerate();
     });
 
     // Test Buttons
@@ -425,34 +622,130 @@ function setupGenerateUI() {
     btnEnsureGroups.addEventListener('click', handleEnsureGroups);
 }
 
+// 用已保存的设置填充 Settings 页的输入框与复选框
+function refreshSettingsInputs() {
+    document.getElementById('selectionModeCheckbox').checked = settingsManager.get(
+        'selection_mode',
+        true
+    );
+    document.getElementById('searchWebCheckbox').checked = settingsManager.get(
+        'search_web_mode',
+        false
+    );
+    document.getElementById('inpaintMaskCheckbox').checked = settingsManager.get(
+        'inpaint_mask_mode',
+        false
+    );
+    document.getElementById('maskResultCheckbox').checked = settingsManager.get(
+        'mask_result_to_selection',
+        false
+    );
+    document.getElementById('inputResultMaskExpand').value = String(
+        settingsManager.get('result_mask_expand', 0)
+    );
+    document.getElementById('inputResultMaskFeather').value = String(
+        settingsManager.get('result_mask_feather', 0)
+    );
+
+    // Debug Mode 与调试详情区域（日志路径 + 调试按钮）
+    const debugMode = settingsManager.get('debug_mode', false);
+    document.getElementById('debugModeCheckbox').checked = debugMode;
+    updateDebugFolderPath();
+    const debugDetailsSection = document.getElementById('debugDetailsSection');
+    if (debugMode) {
+        debugDetailsSection.classList.remove('hidden');
+    } else {
+        debugDetailsSection.classList.add('hidden');
+    }
+
+    // Export Settings
+    const maxSize = settingsManager.get('export_max_size', 2048);
+    const quality = settingsManager.get('export_quality', 80);
+    console.log(`[UI] Loading Export Settings - Max Size: ${maxSize}, Quality: ${quality}`);
+    document.getElementById('inputMaxSize').value = String(maxSize);
+    document.getElementById('inputQuality').value = String(quality);
+
+    // Network Settings
+    const requestTimeouts = settingsManager.get('request_timeouts', {});
+    document.getElementById('inputRetryAttempts').value = String(
+        settingsManager.get('retry_max_attempts', 3)
+    );
+    document.getElementById('inputRetryBaseDelay').value = String(
+        settingsManager.get('retry_base_delay_ms', 1000)
+    );
+    document.getElementById('inputBananaTimeout').value = String(requestTimeouts[BANANA_IMAGE_API]);
+    document.getElementById('inputGptImage2Timeout').value = String(
+        requestTimeouts[GPT_IMAGE_2_API]
+    );
+    document.getElementById('inputMaxConcurrentTasks').value = String(
+        settingsManager.get('max_concurrent_tasks', 0)
+    );
+    document.getElementById('inputHistoryMaxEntries').value = String(
+        settingsManager.get('history_max_entries', DEFAULT_MAX_ENTRIES)
+    );
+    document.getElementById('inputProxyUrl').value = settingsManager.get('network_proxy_url', '');
+    document.getElementById('inputCustomHeaders').value = settingsManager.get(
+        'network_custom_headers',
+        ''
+    );
+}
+
 function setupSettingsUI() {
     const selectionModeCheckbox = document.getElementById('selectionModeCheckbox');
     const searchWebCheckbox = document.getElementById('searchWebCheckbox');
     const providerSelect = document.getElementById('providerSelect');
+    const btnAddProvider = document.getElementById('btnAddProvider');
+    const btnDuplicateProvider = document.getElementById('btnDuplicateProvider');
+    const btnDeleteProvider = document.getElementById('btnDeleteProvider');
     const btnSaveProvider = document.getElementById('btnSaveProvider');
     const btnTestConnection = document.getElementById('btnTestConnection');
-    const inputApiKey = document.getElementById('inputApiKey');
-    const inputBaseUrl = document.getElementById('inputBaseUrl');
-    const inputBananaModelId = document.getElementById('inputBananaModelId');
-    const inputGptImage2ModelId = document.getElementById('inputGptImage2ModelId');
+    const btnFetchModels = document.getElementById('btnFetchModels');
+    const providerTypeSelect = document.getElementById('providerTypeSelect');
     const debugModeCheckbox = document.getElementById('debugModeCheckbox');
     const inputMaxSize = document.getElementById('inputMaxSize');
     const inputQuality = document.getElementById('inputQuality');
+    const inputRetryAttempts = document.getElementById('inputRetryAttempts');
+    const inputRetryBaseDelay = document.getElementById('inputRetryBaseDelay');
+    const inputBananaTimeout = document.getElementById('inputBananaTimeout');
+    const inputGptImage2Timeout = document.getElementById('inputGptImage2Timeout');
+    const inputProxyUrl = document.getElementById('inputProxyUrl');
+    const inputCustomHeaders = document.getElementById('inputCustomHeaders');
+    const inputMaxConcurrentTasks = document.getElementById('inputMaxConcurrentTasks');
+    const inputHistoryMaxEntries = document.getElementById('inputHistoryMaxEntries');
     const languageSelect = document.getElementById('languageSelect');
+    const btnExportConfig = document.getElementById('btnExportConfig');
+    const btnImportConfig = document.getElementById('btnImportConfig');
 
-    // Selection Mode
-    const savedSelectionMode = settingsManager.get('selection_mode', true);
-    selectionModeCheckbox.checked = savedSelectionMode;
+    // 输入框与复选框的值由 refreshSettingsInputs 统一填充，导入配置后也会再次调用
+    refreshSettingsInputs();
 
+    // Selection Mode
     selectionModeCheckbox.addEventListener('change', async (e) => {
         await settingsManager.set('selection_mode', e.target.checked);
         console.log(`[UI] Selection mode switched to: ${e.target.checked}`);
     });
 
-    // Search Web Mode
-    const savedSearchWebMode = settingsManager.get('search_web_mode', false);
-    searchWebCheckbox.checked = savedSearchWebMode;
+    // Inpaint Mask Mode：单图编辑时按选区形状重绘
+    document.getElementById('inpaintMaskCheckbox').addEventListener('change', async (e) => {
+        await settingsManager.set('inpaint_mask_mode', e.target.checked);
+        console.log(`[UI] Inpaint mask mode switched to: ${e.target.checked}`);
+    });
+
+    // Mask Result to Selection：导入结果后按选区形状添加图层蒙版，扩展可为负数（收缩）
+    document.getElementById('maskResultCheckbox').addEventListener('change', async (e) => {
+        await settingsManager.set('mask_result_to_selection', e.target.checked);
+        console.log(`[UI] Mask result to selection switched to: ${e.target.checked}`);
+    });
+    document.getElementById('inputResultMaskExpand').addEventListener('change', async (e) => {
+        const value = Math.min(Math.max(parseInt(e.target.value) || 0, -100), 100);
+        await settingsManager.set('result_mask_expand', value);
+    });
+    document.getElementById('inputResultMaskFeather').addEventListener('change', async (e) => {
+        const value = Math.min(Math.max(parseInt(e.target.value) || 0, 0), 250);
+        await settingsManager.set('result_mask_feather', value);
+    });
 
+    // Search Web Mode
     searchWebCheckbox.addEventListener('change', async (e) => {
         await settingsManager.set('search_web_mode', e.target.checked);
         console.log(`[UI] Search web mode switched to: ${e.target.checked}`);
@@ -483,9 +776,6 @@ function setupSettingsUI() {
     }
 
     // Debug Mode
-    debugModeCheckbox.checked = settingsManager.get('debug_mode', false);
-    updateDebugFolderPath();
-
     debugModeCheckbox.addEventListener('change', async (e) => {
         await settingsManager.set('debug_mode', e.target.checked);
         updateDebugFolderPath();
@@ -499,22 +789,7 @@ function setupSettingsUI() {
         }
     });
 
-    // Initialize debug details section visibility
-    const debugDetailsSection = document.getElementById('debugDetailsSection');
-    if (debugModeCheckbox.checked) {
-        debugDetailsSection.classList.remove('hidden');
-    }
-
-    // Export Settings
     // Export Settings
-    const maxSize = settingsManager.get('export_max_size', 2048);
-    const quality = settingsManager.get('export_quality', 80);
-
-    console.log(`[UI] Loading Export Settings - Max Size: ${maxSize}, Quality: ${quality}`);
-
-    inputMaxSize.value = String(maxSize);
-    inputQuality.value = String(quality);
-
     inputMaxSize.addEventListener('change', async (e) => {
         const value = parseInt(e.target.value) || 2048;
         await settingsManager.set('export_max_size', value);
@@ -525,6 +800,56 @@ function setupSettingsUI() {
         await settingsManager.set('export_quality', value);
     });
 
+    // Network Retry Settings
+    inputRetryAttempts.addEventListener('change', async (e) => {
+        const value = Math.min(Math.max(parseInt(e.target.value) || 1, 1), 10);
+        await settingsManager.set('retry_max_attempts', value);
+    });
+
+    inputRetryBaseDelay.addEventListener('change', async (e) => {
+        const value = Math.max(parseInt(e.target.value) || 0, 0);
+        await settingsManager.set('retry_base_delay_ms', value);
+    });
+
+    // Request Timeouts (seconds, 0 = no limit)
+    inputBananaTimeout.addEventListener('change', async (e) => {
+        const value = Math.max(parseInt(e.target.value) || 0, 0);
+        await settingsManager.setImageApiTimeout(BANANA_IMAGE_API, value);
+    });
+
+    inputGptImage2Timeout.addEventListener('change', async (e) => {
+        const value = Math.max(parseInt(e.target.value) || 0, 0);
+        await settingsManager.setImageApiTimeout(GPT_IMAGE_2_API, value);
+    });
+
+    // 生成队列并发上限，修改后立即应用到排队中的任务
+    inputMaxConcurrentTasks.addEventListener('change', async (e) => {
+        const value = Math.max(parseInt(e.target.value) || 0, 0);
+        await settingsManager.set('max_concurrent_tasks', value);
+        taskQueue.configure(settingsManager.getQueueConfig());
+    });
+
+    // 历史记录保留条数，0 表示不记录；调小后在下次记录时删除多余的旧记录
+    inputHistoryMaxEntries.addEventListener('change', async (e) => {
+        const value = Math.max(parseInt(e.target.value) || 0, 0);
+        await settingsManager.set('history_max_entries', value);
+    });
+
+    // Proxy & Custom Headers，修改后立即应用到后续所有请求
+    inputProxyUrl.addEventListener('change', async (e) => {
+        await settingsManager.set('network_proxy_url', e.target.value.trim());
+        configureNetwork(settingsManager.getNetworkConfig());
+    });
+
+    inputCustomHeaders.addEventListener('change', async (e) => {
+        await settingsManager.set('network_custom_headers', e.target.value);
+        configureNetwork(settingsManager.getNetworkConfig());
+    });
+
+    // Config Bundle
+    btnExportConfig.addEventListener('click', handleExportConfig);
+    btnImportConfig.addEventListener('click', handleImportConfig);
+
     // Provider Selection
     providerSelect.addEventListener('change', async (e) => {
         console.log(`[Settings] Provider changed to: ${e.target.value}`);
@@ -533,6 +858,68 @@ function setupSettingsUI() {
         await settingsManager.set('selected_provider', e.target.value);
     });
 
+    // Provider Type
+    updateProviderTypeDropdown();
+    providerTypeSelect.addEventListener('change', (e) => {
+        updateProviderTypeDependentUI(e.target.value);
+
+        // 自定义 provider 切换类型时用该类型的模板默认值填充协议字段，点击 Save 后才会生效
+        if (currentProvider && currentProvider.custom && PROVIDER_TYPES[e.target.value]) {
+            fillProviderProtocolFields(PROVIDER_CONFIGS[PROVIDER_TYPES[e.target.value].template]);
+        }
+    });
+
+    // Add Provider
+    btnAddProvider.addEventListener('click', async () => {
+        const newName = await promptUser(getText('msg_enter_provider_name'));
+        if (!newName) return;
+
+        // 默认沿用当前 provider 的类型，用户可在 Provider Type 中修改
+        const type = currentProvider?.type || 'gemini-native';
+        const result = await providerManager.addProvider(newName, type);
+        await handleProviderListChange(result);
+    });
+
+    // Duplicate Provider
+    btnDuplicateProvider.addEventListener('click', async () => {
+        if (!currentProvider) {
+            showStatus(getText('msg_no_provider_selected'), 'error');
+            return;
+        }
+
+        const newName = await promptUser(
+            getText('msg_duplicate_provider', { name: currentProvider.name }),
+            `${currentProvider.name} 2`
+        );
+        if (!newName) return;
+
+        const result = await providerManager.duplicateProvider(currentProvider.name, newName);
+        await handleProviderListChange(result);
+    });
+
+    // Delete Provider
+    btnDeleteProvider.addEventListener('click', async () => {
+        if (!currentProvider) {
+            showStatus(getText('msg_no_provider_selected'), 'error');
+            return;
+        }
+
+        const confirmed = await confirmUser(
+            getText('msg_delete_provider', { name: currentProvider.name })
+        );
+        if (!confirmed) return;
+
+        const deletedName = currentProvider.name;
+        const result = await providerManager.deleteProvider(deletedName);
+        if (result.success) {
+            await settingsManager.setProviderTimeout(deletedName, null);
+            await settingsManager.setProviderRpmLimit(deletedName, null);
+            taskQueue.configure(settingsManager.getQueueConfig());
+            result.name = providerManager.getAllNames()[0] || null;
+        }
+        await handleProviderListChange(result);
+    });
+
     // Save Provider
     btnSaveProvider.addEventListener('click', async () => {
         if (!currentProvider) {
@@ -540,22 +927,21 @@ function setupSettingsUI() {
             return;
         }
 
+        const formValues = readProviderForm();
         const result = await providerManager.updateProvider(
             currentProvider.name,
-            inputApiKey.value,
-            inputBaseUrl.value,
-            inputBananaModelId.value,
-            inputGptImage2ModelId.value
+            formValues.apiKey,
+            formValues.baseUrl,
+            formValues.models[BANANA_IMAGE_API],
+            formValues.models[GPT_IMAGE_2_API],
+            formValues
         );
 
         if (result.success) {
-            currentProvider.apiKey = inputApiKey.value;
-            currentProvider.baseUrl = inputBaseUrl.value;
-            currentProvider.models = {
-                banana: inputBananaModelId.value,
-                gpt_image_2: inputGptImage2ModelId.value,
-            };
-            currentProvider.model = inputBananaModelId.value;
+            await settingsManager.setProviderTimeout(currentProvider.name, formValues.timeout);
+            await settingsManager.setProviderRpmLimit(currentProvider.name, formValues.rpmLimit);
+            taskQueue.configure(settingsManager.getQueueConfig());
+            loadProviderConfig(currentProvider.name);
             await settingsManager.set('selected_provider', currentProvider.name);
             showStatus(getText('msg_provider_saved'), 'success');
         } else {
@@ -571,22 +957,61 @@ function setupSettingsUI() {
         }
 
         showStatus(getText('msg_testing_connection'), 'info');
+        renderDiagnostics([]);
 
-        const testConfig = {
-            name: currentProvider.name,
-            apiKey: inputApiKey.value,
-            baseUrl: inputBaseUrl.value,
-            model: inputBananaModelId.value,
-        };
+        const testConfig = buildProviderTestConfig();
+        const dryRun = document.getElementById('diagnosticsDryRunCheckbox').checked
+            ? (imageApi, signal) => runDiagnosticGeneration(testConfig, imageApi, signal)
+            : null;
+        const result = await providerManager.runDiagnostics(testConfig, { dryRun });
+        renderDiagnostics(result.checks);
 
-        const result = await providerManager.testConnection(testConfig);
+        const countStatus = (status) => result.checks.filter((c) => c.status === status).length;
         if (result.success) {
-            // 如果返回的是 messageKey，使用 getText 转换为当前语言
-            const message = result.messageKey ? getText(result.messageKey) : result.message;
-            showStatus(message, 'success');
+            showStatus(
+                getText('msg_diagnostics_passed', { warnings: countStatus('warn') }),
+                'success'
+            );
         } else {
+            showStatus(getText('msg_diagnostics_failed', { count: countStatus('fail') }), 'error');
+        }
+    });
+
+    // Fetch Models
+    btnFetchModels.addEventListener('click', async () => {
+        if (!currentProvider) {
+            showStatus(getText('msg_no_provider_selected'), 'error');
+            return;
+        }
+
+        showStatus(getText('msg_fetching_models'), 'info');
+
+        const providerName = currentProvider.name;
+        const result = await providerManager.fetchModels(buildProviderTestConfig());
+        if (!result.success) {
             showStatus(result.message, 'error');
+            return;
+        }
+
+        discoveredModels.set(providerName, result.models);
+        if (currentProvider && currentProvider.name === providerName) {
+            updateModelDropdowns();
         }
+        showStatus(
+            getText('msg_models_loaded', {
+                count: result.count,
+                banana: result.models[BANANA_IMAGE_API].length,
+                gpt: result.models[GPT_IMAGE_2_API].length,
+            }),
+            'success'
+        );
+    });
+
+    // 从发现的模型中选择后写入模型输入框，点击 Save 后生效
+    MODEL_DROPDOWNS.forEach(({ selectId, inputId }) => {
+        document.getElementById(selectId).addEventListener('change', (e) => {
+            document.getElementById(inputId).value = e.target.value;
+        });
     });
 }
 
@@ -647,82 +1072,685 @@ function updateProviderDropdown(selectedName = null) {
     }
 }
 
-function loadProviderConfig(providerName) {
-    const provider = providerManager.getProvider(providerName);
-    if (!provider) {
-        clearProviderConfig();
-        return;
-    }
-
-    currentProvider = provider;
-    document.getElementById('inputApiKey').value = provider.apiKey || '';
-    document.getElementById('inputBaseUrl').value = provider.baseUrl || '';
-    document.getElementById('inputBananaModelId').value = providerManager.getModelForImageApi(
-        provider,
-        BANANA_IMAGE_API
-    );
-    document.getElementById('inputGptImage2ModelId').value = providerManager.getModelForImageApi(
-        provider,
-        GPT_IMAGE_2_API
-    );
-    updateImageApiDependentUI();
-}
+function updateProviderTypeDropdown() {
+    const providerTypeSelect = document.getElementById('providerTypeSelect');
+    const menu = providerTypeSelect.querySelector('sp-menu');
+    menu.innerHTML = '';
 
-function clearProviderConfig() {
-    currentProvider = null;
-    document.getElementById('inputApiKey').value = '';
-    document.getElementById('inputBaseUrl').value = '';
-    document.getElementById('inputBananaModelId').value = '';
-    document.getElementById('inputGptImage2ModelId').value = '';
+    Object.values(PROVIDER_TYPES).forEach((providerType) => {
+        const item = document.createElement('sp-menu-item');
+        item.value = providerType.id;
+        item.textContent = providerType.name;
+        menu.appendChild(item);
+    });
 }
 
-function showStatus(message, type) {
-    const statusDiv = document.getElementById('connectionStatus');
-    statusDiv.textContent = message;
-    statusDiv.className = 'status-message';
-
-    if (type === 'success') {
-        statusDiv.classList.add('status-success');
-    } else if (type === 'error') {
-        statusDiv.classList.add('status-error');
-    } else {
-        statusDiv.classList.add('status-info');
+function fillProviderProtocolFields(protocol) {
+    if (!protocol) {
+        return;
     }
 
-    setTimeout(() => {
-        statusDiv.textContent = '';
-        statusDiv.className = 'status-message';
-    }, 5000);
+    const endpoints = protocol.endpoints || {};
+    setDropdownValue(document.getElementById('authTypeSelect'), protocol.authType);
+    document.getElementById('inputBasePath').value = protocol.basePath || '';
+    document.getElementById('inputEndpointGenerate').value = endpoints.generate || '';
+    document.getElementById('inputEndpointGptImage2Generate').value =
+        endpoints.gptImage2Generate || '';
+    document.getElementById('inputEndpointGptImage2Edit').value = endpoints.gptImage2Edit || '';
+    document.getElementById('inputEndpointTest').value = endpoints.test || '';
 }
 
-function showGenerateStatus(message, type) {
-    const statusDiv = document.getElementById('generateStatus');
-    statusDiv.textContent = message;
-    statusDiv.className = 'status-message';
-
-    if (type === 'success') {
-        statusDiv.classList.add('status-success');
-    } else if (type === 'error') {
-        statusDiv.classList.add('status-error');
+// OpenAI Images 类型才显示组织/项目请求头
+function updateProviderTypeDependentUI(type) {
+    const openaiHeadersSection = document.getElementById('openaiHeadersSection');
+    if (type === 'openai-images') {
+        openaiHeadersSection.classList.remove('hidden');
     } else {
-        statusDiv.classList.add('status-info');
+        openaiHeadersSection.classList.add('hidden');
     }
+}
 
-    if (type === 'success' || type === 'error') {
-        setTimeout(() => {
-            statusDiv.textContent = '';
-            statusDiv.className = 'status-message';
-        }, 5000);
+// 导出 provider / 预设 / 设置为一个配置包，默认不包含 API Key
+async function handleExportConfig() {
+    try {
+        const bundle = createConfigBundle({
+            providers: providerManager.providers,
+            presets: presetManager.presets,
+            settings: settingsManager.settings,
+            includeApiKeys: document.getElementById('exportApiKeysCheckbox').checked,
+            pluginVersion: require('./manifest.json').version,
+        });
+        const date = new Date().toISOString().slice(0, 10);
+        const path = await fileManager.saveJsonWithPicker(`psbanana-config-${date}.json`, bundle);
+        if (path) {
+            showStatus(getText('msg_config_exported', { path }), 'success', 'configBundleStatus');
+        }
+    } catch (e) {
+        console.error('[Config] Export failed:', e);
+        showStatus(e.message, 'error', 'configBundleStatus');
     }
 }
 
-// 更新生成按钮的状态和文本
-function updateGeneratingButton() {
-    const btnGenerate = document.getElementById('btnGenerate');
+// 导入配置包：校验 → 显示差异并确认 → 由各 Manager 合并 → 刷新界面
+// 导入确认中列出将要变更的名称
+function formatNameList(names) {
+    return names.length > 0 ? names.join(', ') : '-';
+}
 
-    if (activeGenerationCount > 0) {
-        btnGenerate.classList.add('shine-effect');
-        btnGenerate.textContent = getText('btn_generating_count', { count: activeGenerationCount });
+async function handleImportConfig() {
+    try {
+        const bundle = await fileManager.readJsonWithPicker();
+        if (!bundle) return;
+
+        validateConfigBundle(bundle, { settings: settingsManager.settings });
+        const diff = diffConfigBundle(bundle, {
+            providers: providerManager.providers,
+            presets: presetManager.presets,
+            settings: settingsManager.settings,
+        });
+        const confirmed = await confirmUser(
+            getText('msg_config_import_confirm', {
+                providersAdded: formatNameList(diff.providers.added),
+                providersUpdated: formatNameList(
+                    diff.providers.updated.map(
+                        (name) => `${name} (${diff.providers.changedFields[name].join(', ')})`
+                    )
+                ),
+                presetsAdded: formatNameList(diff.presets.added),
+                presetsUpdated: formatNameList(diff.presets.updated),
+                settingsChanged: formatNameList(diff.settings.changed),
+                keysNote: bundle.includesApiKeys
+                    ? getText('msg_config_import_keys_note')
+                    : diff.providers.keysDropped.length > 0
+                      ? getText('msg_config_import_keys_dropped', {
+                            providers: formatNameList(diff.providers.keysDropped),
+                        })
+                      : '',
+            })
+        );
+        if (!confirmed) return;
+
+        await providerManager.importProviders(bundle.providers);
+        await presetManager.importPresets(bundle.presets);
+        await settingsManager.importSettings(bundle.settings);
+        console.log('[Config] Imported bundle:', diff);
+
+        configureNetwork(settingsManager.getNetworkConfig());
+        taskQueue.configure(settingsManager.getQueueConfig());
+        refreshSettingsInputs();
+        updatePresetDropdown(currentPreset);
+        const providerName = currentProvider ? currentProvider.name : null;
+        updateProviderDropdown(providerName);
+        if (providerName) {
+            loadProviderConfig(providerName);
+        }
+        updateImageApiDependentUI();
+        showStatus(getText('msg_config_imported'), 'success', 'configBundleStatus');
+    } catch (e) {
+        console.error('[Config] Import failed:', e);
+        showStatus(e.message, 'error', 'configBundleStatus');
+    }
+}
+
+// 只显示已保存 key 的末 4 位，便于确认使用的是哪把 key
+function updateApiKeyStorageHint(provider) {
+    const hint = document.getElementById('apiKeyStorageHint');
+    const apiKeys = getProviderApiKeys(provider).filter((apiKey) => apiKey !== 'not-needed');
+    hint.textContent =
+        apiKeys.length > 0
+            ? getText('msg_api_keys_stored', { keys: apiKeys.map(maskApiKey).join(', ') })
+            : '';
+}
+
+// 测试连接与获取模型使用表单中尚未保存的值
+function buildProviderTestConfig() {
+    const formValues = readProviderForm();
+    return {
+        ...currentProvider,
+        ...(currentProvider.custom ? formValues : {}),
+        type: formValues.type,
+        organization: formValues.organization,
+        project: formValues.project,
+        name: currentProvider.name,
+        apiKey: formValues.apiKey,
+        baseUrl: formValues.baseUrl,
+        model: formValues.models[BANANA_IMAGE_API],
+        models: formValues.models,
+    };
+}
+
+// 诊断中的试生成：1K / 1:1 单张、不重试，生成的文件直接删除
+async function runDiagnosticGeneration(providerConfig, imageApi, signal) {
+    const imageFiles = await imageGenerator.generate({
+        prompt: 'A small red circle on a white background',
+        provider: { ...providerConfig, model: providerConfig.models[imageApi] },
+        aspectRatio: '1:1',
+        resolution: '1K',
+        debugMode: false,
+        imageApiKind: imageApi,
+        retryPolicy: { maxAttempts: 1 },
+        timeoutMs: settingsManager.getRequestTimeout(providerConfig.name, imageApi),
+        signal,
+    });
+    for (const imageFile of imageFiles) {
+        await imageFile.delete();
+    }
+}
+
+// 渲染连接诊断结果，每项一行：状态 + 检查项 / 目标 + 详情
+function renderDiagnostics(checks) {
+    const table = document.getElementById('diagnosticsTable');
+    table.innerHTML = '';
+    if (checks.length === 0) {
+        table.classList.add('hidden');
+        return;
+    }
+    table.classList.remove('hidden');
+
+    const statusClasses = {
+        pass: 'status-success',
+        warn: 'diagnostic-warn',
+        fail: 'status-error',
+        skip: 'diagnostic-skip',
+    };
+
+    checks.forEach((check) => {
+        const row = document.createElement('div');
+        row.className = 'diagnostic-row';
+
+        const status = document.createElement('span');
+        status.className = `diagnostic-status ${statusClasses[check.status]}`;
+        status.textContent = getText(`diag_status_${check.status}`);
+
+        const info = document.createElement('div');
+        info.className = 'diagnostic-info';
+
+        const label = document.createElement('span');
+        label.className = 'diagnostic-label';
+        const apiLabel = check.imageApi
+            ? ` (${getText(`option_image_api_${check.imageApi}`)})`
+            : '';
+        label.textContent = `${getText(`diag_check_${check.kind}`)}${apiLabel}${
+            check.target ? ` · ${check.target}` : ''
+        }`;
+        label.title = check.target;
+
+        const detail = document.createElement('span');
+        detail.className = 'diagnostic-detail';
+        detail.textContent = check.detail;
+
+        info.appendChild(label);
+        info.appendChild(detail);
+        row.appendChild(status);
+        row.appendChild(info);
+        table.appendChild(row);
+    });
+}
+
+// 用已发现的模型填充下拉框；未获取过模型列表的 provider 隐藏下拉框，仍可手动输入
+function updateModelDropdowns() {
+    const models = currentProvider ? discoveredModels.get(currentProvider.name) : null;
+
+    MODEL_DROPDOWNS.forEach(({ imageApi, selectId, inputId }) => {
+        const select = document.getElementById(selectId);
+        const menu = select.querySelector('sp-menu');
+        menu.innerHTML = '';
+
+        if (!models) {
+            select.classList.add('hidden');
+            return;
+        }
+
+        const savedModel = document.getElementById(inputId).value.trim();
+        buildModelOptions(models[imageApi] || [], savedModel).forEach((modelId) => {
+            const item = document.createElement('sp-menu-item');
+            item.value = modelId;
+            item.textContent = modelId;
+            menu.appendChild(item);
+        });
+        setDropdownValue(select, savedModel);
+        select.classList.remove('hidden');
+    });
+}
+
+// 留空表示使用图像 API 的默认超时
+function readProviderTimeout() {
+    const value = document.getElementById('inputProviderTimeout').value.trim();
+    if (value === '') return null;
+    return Math.max(parseInt(value) || 0, 0);
+}
+
+// 读取 Settings 页 provider 表单，自定义 provider 额外包含协议字段
+function readProviderForm() {
+    const readEndpoint = (id) => document.getElementById(id).value.trim() || null;
+
+    return {
+        apiKey: document.getElementById('inputApiKey').value,
+        backupApiKeys: parseApiKeys(document.getElementById('inputBackupApiKeys').value),
+        baseUrl: document.getElementById('inputBaseUrl').value,
+        models: {
+            [BANANA_IMAGE_API]: document.getElementById('inputBananaModelId').value,
+            [GPT_IMAGE_2_API]: document.getElementById('inputGptImage2ModelId').value,
+        },
+        type: document.getElementById('providerTypeSelect').value,
+        timeout: readProviderTimeout(),
+        rpmLimit: Math.max(
+            parseInt(document.getElementById('inputProviderRpmLimit').value) || 0,
+            0
+        ),
+        organization: document.getElementById('inputOrganization').value,
+        project: document.getElementById('inputProject').value,
+        authType: document.getElementById('authTypeSelect').value,
+        basePath: document.getElementById('inputBasePath').value.trim(),
+        endpoints: {
+            generate: readEndpoint('inputEndpointGenerate'),
+            gptImage2Generate: readEndpoint('inputEndpointGptImage2Generate'),
+            gptImage2Edit: readEndpoint('inputEndpointGptImage2Edit'),
+            test: readEndpoint('inputEndpointTest'),
+        },
+    };
+}
+
+// 增删 provider 后刷新下拉框并切换到结果中的 provider
+async function handleProviderListChange(result) {
+    if (!result.success) {
+        showStatus(result.message, 'error');
+        return;
+    }
+
+    updateProviderDropdown(result.name);
+    if (result.name) {
+        loadProviderConfig(result.name);
+    } else {
+        clearProviderConfig();
+    }
+    await settingsManager.set('selected_provider', result.name);
+    showStatus(result.message, 'success');
+}
+
+function loadProviderConfig(providerName) {
+    const provider = providerManager.getProvider(providerName);
+    if (!provider) {
+        clearProviderConfig();
+        return;
+    }
+
+    currentProvider = provider;
+    document.getElementById('inputApiKey').value = provider.apiKey || '';
+    document.getElementById('inputBackupApiKeys').value = (provider.backupApiKeys || []).join(', ');
+    updateApiKeyStorageHint(provider);
+    document.getElementById('inputBaseUrl').value = provider.baseUrl || '';
+    document.getElementById('inputBananaModelId').value = providerManager.getModelForImageApi(
+        provider,
+        BANANA_IMAGE_API
+    );
+    document.getElementById('inputGptImage2ModelId').value = providerManager.getModelForImageApi(
+        provider,
+        GPT_IMAGE_2_API
+    );
+
+    const providerTimeout = settingsManager.get('provider_timeouts', {})[provider.name];
+    document.getElementById('inputProviderTimeout').value =
+        providerTimeout === undefined ? '' : String(providerTimeout);
+    const providerRpmLimit = settingsManager.get('provider_rpm_limits', {})[provider.name];
+    document.getElementById('inputProviderRpmLimit').value = providerRpmLimit
+        ? String(providerRpmLimit)
+        : '';
+
+    setDropdownValue(document.getElementById('providerTypeSelect'), provider.type);
+    document.getElementById('inputOrganization').value = provider.organization || '';
+    document.getElementById('inputProject').value = provider.project || '';
+    updateProviderTypeDependentUI(provider.type);
+
+    // 协议细节只对自定义 provider 开放，内置 provider 不可删除
+    const customProviderSection = document.getElementById('customProviderSection');
+    if (provider.custom) {
+        fillProviderProtocolFields(provider);
+        customProviderSection.classList.remove('hidden');
+    } else {
+        customProviderSection.classList.add('hidden');
+    }
+    setElementDisabled(document.getElementById('btnDeleteProvider'), !provider.custom);
+
+    updateModelDropdowns();
+    renderDiagnostics([]);
+    updateImageApiDependentUI();
+}
+
+function clearProviderConfig() {
+    currentProvider = null;
+    document.getElementById('inputApiKey').value = '';
+    document.getElementById('inputBackupApiKeys').value = '';
+    updateApiKeyStorageHint(null);
+    document.getElementById('inputBaseUrl').value = '';
+    document.getElementById('inputBananaModelId').value = '';
+    document.getElementById('inputGptImage2ModelId').value = '';
+    document.getElementById('inputProviderTimeout').value = '';
+    document.getElementById('inputProviderRpmLimit').value = '';
+    document.getElementById('inputOrganization').value = '';
+    document.getElementById('inputProject').value = '';
+    document.getElementById('openaiHeadersSection').classList.add('hidden');
+    document.getElementById('customProviderSection').classList.add('hidden');
+    updateModelDropdowns();
+}
+
+function showStatus(message, type, statusId = 'connectionStatus') {
+    const statusDiv = document.getElementById(statusId);
+    statusDiv.textContent = message;
+    statusDiv.className = 'status-message';
+
+    if (type === 'success') {
+        statusDiv.classList.add('status-success');
+    } else if (type === 'error') {
+        statusDiv.classList.add('status-error');
+    } else {
+        statusDiv.classList.add('status-info');
+    }
+
+    setTimeout(() => {
+        statusDiv.textContent = '';
+        statusDiv.className = 'status-message';
+    }, 5000);
+}
+
+function showGenerateStatus(message, type) {
+    const statusDiv = document.getElementById('generateStatus');
+    statusDiv.textContent = message;
+    statusDiv.className = 'status-message';
+
+    if (type === 'success') {
+        statusDiv.classList.add('status-success');
+    } else if (type === 'error') {
+        statusDiv.classList.add('status-error');
+    } else {
+        statusDiv.classList.add('status-info');
+    }
+
+    if (type === 'success' || type === 'error') {
+        setTimeout(() => {
+            statusDiv.textContent = '';
+            statusDiv.className = 'status-message';
+        }, 5000);
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+}
+
+// 将 image_generator 上报的进度事件转换为任务行的文字
+function formatTaskProgress(task) {
+    const progress = task.progress || { phase: 'preparing' };
+    const elapsed = Math.round(((task.finishedAt || Date.now()) - task.startedAt) / 1000);
+
+    // 已结束的任务
+    switch (task.status) {
+        case 'success':
+            return getText('progress_done', { layers: task.layers.length, elapsed });
+        case 'failed':
+            return getText('progress_failed', { elapsed });
+        case 'cancelled':
+            return getText('progress_cancelled', { elapsed });
+    }
+
+    const amount =
+        progress.total > 0
+            ? `${Math.round((progress.loaded / progress.total) * 100)}%`
+            : formatBytes(progress.loaded || 0);
+
+    switch (progress.phase) {
+        case 'exporting':
+            return getText('progress_exporting', { elapsed });
+        case 'uploading':
+            return getText('progress_uploading', { amount, elapsed });
+        case 'waiting':
+            return getText('progress_waiting', { elapsed });
+        case 'downloading':
+            return getText('progress_downloading', { amount, elapsed });
+        case 'queued':
+            return getText('progress_queued', { position: progress.position, elapsed });
+        case 'running':
+            return getText('progress_running', { elapsed });
+        case 'sampling':
+            return getText('progress_sampling', {
+                value: progress.value,
+                max: progress.max,
+                elapsed,
+            });
+        case 'pending': {
+            // 本地生成队列：显示排队位置，provider 配额用完时显示等待速率限制
+            const queued = taskQueue.getQueued().find((job) => job.id === task.id);
+            if (!queued) return getText('progress_waiting', { elapsed });
+            return queued.rateLimited
+                ? getText('progress_rate_limited', {
+                      provider: queued.provider,
+                      position: queued.position,
+                      elapsed,
+                  })
+                : getText('progress_pending', { position: queued.position, elapsed });
+        }
+        case 'picking':
+            return getText('progress_picking', { elapsed });
+        case 'importing':
+            return getText('progress_importing', { elapsed });
+        default:
+            return getText('progress_preparing', { elapsed });
+    }
+}
+
+function refreshTaskProgressLabels() {
+    runningTasks.forEach((task) => {
+        if (task.progressLabel) {
+            task.progressLabel.textContent = formatTaskProgress(task);
+        }
+    });
+}
+
+function updateTaskProgress(taskId, progress) {
+    const task = runningTasks.get(taskId);
+    if (!task) return;
+
+    task.progress = progress;
+    if (task.progressLabel) {
+        task.progressLabel.textContent = formatTaskProgress(task);
+    }
+}
+
+// 任务行的参数摘要：provider · 模型 · 模式 · 比例 · 分辨率
+function formatTaskMeta(task) {
+    const modeText = task.mode === 'imgedit' ? getText('radio_imgedit') : getText('radio_text2img');
+    const seedText = task.seed !== null && task.seed !== undefined ? `seed ${task.seed}` : null;
+    return [task.providerName, task.model, modeText, task.aspectRatio, task.resolution, seedText]
+        .filter(Boolean)
+        .join(' · ');
+}
+
+function createTaskInfo(task) {
+    const info = document.createElement('div');
+    info.className = 'task-info';
+
+    const label = document.createElement('span');
+    label.className = 'task-label';
+    label.textContent = task.batchLabel
+        ? `#${task.id} [${task.batchLabel}] ${task.prompt}`
+        : `#${task.id} ${task.prompt}`;
+    label.title = task.prompt;
+
+    const meta = document.createElement('span');
+    meta.className = 'task-meta';
+    meta.textContent = formatTaskMeta(task);
+
+    const progressLabel = document.createElement('span');
+    progressLabel.className = 'task-progress';
+    progressLabel.textContent = formatTaskProgress(task);
+    task.progressLabel = task.status ? null : progressLabel;
+
+    info.appendChild(label);
+    info.appendChild(meta);
+    info.appendChild(progressLabel);
+
+    if (task.error) {
+        const errorLabel = document.createElement('span');
+        errorLabel.className = 'task-error';
+        errorLabel.textContent = task.error;
+        info.appendChild(errorLabel);
+    }
+    return info;
+}
+
+// 渲染任务面板：正在执行的任务显示进度与取消按钮，最近结束的任务显示结果与重试按钮
+// 排队中的任务按队列顺序排在执行中任务之后，可上移 / 下移，取消即移出队列
+function renderTaskPanel() {
+    const taskList = document.getElementById('taskList');
+    taskList.innerHTML = '';
+
+    if (runningTasks.size === 0) {
+        clearInterval(taskProgressTimer);
+        taskProgressTimer = null;
+    } else if (!taskProgressTimer) {
+        taskProgressTimer = setInterval(refreshTaskProgressLabels, 1000);
+    }
+
+    if (runningTasks.size === 0 && recentTasks.length === 0) {
+        taskList.classList.add('hidden');
+        return;
+    }
+    taskList.classList.remove('hidden');
+
+    const queuedIds = taskQueue.getQueued().map((job) => job.id);
+    const header = document.createElement('div');
+    header.className = 'task-row';
+
+    const summary = document.createElement('span');
+    summary.className = 'task-summary';
+    summary.textContent = getText('label_task_summary', {
+        running: runningTasks.size - queuedIds.length,
+        queued: queuedIds.length,
+        finished: recentTasks.length,
+    });
+    header.appendChild(summary);
+
+    if (recentTasks.length > 0) {
+        const btnClear = document.createElement('sp-action-button');
+        btnClear.setAttribute('size', 's');
+        btnClear.textContent = getText('btn_clear_finished');
+        btnClear.addEventListener('click', () => {
+            recentTasks.forEach(releaseTaskExportData);
+            recentTasks = [];
+            renderTaskPanel();
+        });
+        header.appendChild(btnClear);
+    }
+    taskList.appendChild(header);
+
+    const orderedTaskIds = [
+        ...[...runningTasks.keys()].filter((taskId) => !queuedIds.includes(taskId)),
+        ...queuedIds.filter((taskId) => runningTasks.has(taskId)),
+    ];
+
+    orderedTaskIds.forEach((taskId) => {
+        const task = runningTasks.get(taskId);
+        const row = document.createElement('div');
+        row.className = 'task-row';
+
+        const cancelling = task.controller.signal.aborted;
+        const btnCancel = document.createElement('sp-action-button');
+        btnCancel.setAttribute('size', 's');
+        btnCancel.textContent = getText(cancelling ? 'btn_cancelling' : 'btn_cancel');
+        setElementDisabled(btnCancel, cancelling);
+        btnCancel.addEventListener('click', () => cancelTask(taskId));
+
+        row.appendChild(createTaskInfo(task));
+        if (queuedIds.includes(taskId)) {
+            [
+                ['↑', -1],
+                ['↓', 1],
+            ].forEach(([text, offset]) => {
+                const btnMove = document.createElement('sp-action-button');
+                btnMove.setAttribute('size', 's');
+                btnMove.textContent = text;
+                btnMove.addEventListener('click', () => taskQueue.move(taskId, offset));
+                row.appendChild(btnMove);
+            });
+        }
+        row.appendChild(btnCancel);
+        taskList.appendChild(row);
+    });
+
+    recentTasks.forEach((task) => {
+        const row = document.createElement('div');
+        row.className = `task-row task-${task.status}`;
+        row.appendChild(createTaskInfo(task));
+
+        if (task.status !== 'success' && task.retryable) {
+            const btnRetry = document.createElement('sp-action-button');
+            btnRetry.setAttribute('size', 's');
+            btnRetry.textContent = getText('btn_retry');
+            btnRetry.addEventListener('click', () => retryTask(task));
+            row.appendChild(btnRetry);
+        }
+        taskList.appendChild(row);
+    });
+}
+
+function cancelTask(taskId) {
+    const task = runningTasks.get(taskId);
+    if (!task || task.controller.signal.aborted) return;
+
+    logTask(`[Task ${taskId}] Cancel requested`);
+    task.controller.abort();
+    renderTaskPanel();
+}
+
+// 任务结束：移入最近任务列表，超出上限的旧记录丢弃
+function finishTask(taskId, outcome) {
+    const task = runningTasks.get(taskId);
+    runningTasks.delete(taskId);
+    if (!task) return;
+
+    task.status = outcome.status;
+    task.error = outcome.error || null;
+    task.layers = outcome.layers || [];
+    task.finishedAt = Date.now();
+    task.progressLabel = null;
+    if (task.status === 'success' || !task.retryable) {
+        // 不会重试，导出数据的引用已在任务结束时释放
+        task.exportData = null;
+    }
+    recentTasks = [task, ...recentTasks];
+    recentTasks.slice(MAX_RECENT_TASKS).forEach(releaseTaskExportData);
+    recentTasks = recentTasks.slice(0, MAX_RECENT_TASKS);
+}
+
+// 从最近任务列表移除、不再能重试的任务释放导出数据（删除不再需要的选区通道）
+function releaseTaskExportData(task) {
+    const exportData = task.exportData;
+    task.exportData = null;
+    releaseExportData(exportData, task.request.targetDocument.id);
+}
+
+// 使用原任务的参数与导出的画布重新生成；取消于导出之前的任务会重新导出当前画布
+async function retryTask(task) {
+    recentTasks = recentTasks.filter((recent) => recent !== task);
+    logTask(`[Task ${task.id}] Retry requested`);
+    await handleGenerateImage({
+        request: task.request,
+        exportData: task.exportData || undefined,
+        ownsExportData: true,
+        seed: task.seed,
+        batchLabel: task.batchLabel,
+    });
+}
+
+// 更新生成按钮的状态和文本
+function updateGeneratingButton() {
+    const btnGenerate = document.getElementById('btnGenerate');
+
+    if (activeGenerationCount > 0) {
+        btnGenerate.classList.add('shine-effect');
+        btnGenerate.textContent = getText('btn_generating_count', { count: activeGenerationCount });
     } else {
         btnGenerate.classList.remove('shine-effect');
         btnGenerate.textContent = getText('btn_generate');
@@ -778,315 +1806,1543 @@ async function handleSmartCanvasRatio() {
     }
 }
 
-async function handleGenerateImage() {
-    // 不再阻止并发请求，允许同时执行多个生成任务
+/**
+ * 扩图：扩展画布后导出整张画布与新增区域的蒙版，用当前 Image API 的编辑接口生成填充内容，
+ * 结果导入到原图层下方。画布扩展为一步历史记录，生成失败时可直接撤销
+ */
+async function handleOutpaint() {
+    const request = collectGenerationRequest();
+    if (!request) return;
+
+    const direction = settingsManager.get('outpaint_direction', 'all');
+    const amount = settingsManager.get('outpaint_amount', 256);
+    const ratioName = settingsManager.get('outpaint_ratio', 'none');
+    const ratio = getAspectRatiosForImageApi(request.imageApiKind).find(
+        ({ name }) => name === ratioName
+    );
+    const { debugMode } = request;
 
-    if (!app.activeDocument) {
-        showGenerateStatus(getText('msg_open_document_first'), 'error');
+    let exportData;
+    try {
+        exportData = await executeAsModal(
+            async (executionContext) => {
+                const canvas = await PSOperations.getCanvasInfo();
+                const plan = calculateOutpaintPlan({
+                    width: canvas.width,
+                    height: canvas.height,
+                    direction: OUTPAINT_DIRECTIONS.includes(direction) ? direction : 'all',
+                    amount,
+                    ratio: ratio ? ratio.value : null,
+                });
+                if (!plan.changed) return null;
+
+                await PSOperations.extendCanvas(plan, executionContext);
+                const info = await PSOperations.getCanvasInfo();
+                const maxSize = settingsManager.get('export_max_size', 2048);
+                const quality = settingsManager.get('export_quality', 80);
+
+                const exportResult = await PSOperations.exportVisibleLayersAsWebP(
+                    maxSize,
+                    quality,
+                    executionContext,
+                    null
+                );
+                const imageData = await fileManager.fileToBase64(exportResult.file);
+
+                // 新增区域（含与原图交界的过渡带）作为重绘蒙版
+                await PSOperations.selectOutsideRect(plan.keepRect);
+                let maskResult;
+                try {
+                    maskResult = await PSOperations.exportSelectionMask(
+                        maxSize,
+                        executionContext,
+                        null
+                    );
+                } finally {
+                    await PSOperations.clearSelection();
+                }
+                const maskData = await fileManager.fileToBase64(maskResult.file);
+                const maskAlphaData = await fileManager.fileToBase64(maskResult.alphaFile);
+
+                // Only delete if debug mode is OFF
+                if (!debugMode) {
+                    for (const file of [exportResult.file, maskResult.file, maskResult.alphaFile]) {
+                        try {
+                            await file.delete();
+                            console.log(
+                                `[Cleanup] Deleted temporary outpaint file: ${file.nativePath}`
+                            );
+                        } catch (e) {
+                            console.error(`[Cleanup] Failed to delete outpaint file:`, e);
+                        }
+                    }
+                }
+
+                return {
+                    info,
+                    imageData,
+                    region: null,
+                    roleImages: null,
+                    maskData,
+                    maskAlphaData,
+                    selectionChannel: null,
+                    canvas,
+                };
+            },
+            { commandName: 'Outpaint' }
+        );
+    } catch (e) {
+        console.error('Outpaint failed:', e);
+        const errorMessage = e?.message || String(e) || 'Unknown error';
+        showGenerateStatus(getText('msg_outpaint_failed', { error: errorMessage }), 'error');
+        return;
+    }
+
+    if (!exportData) {
+        showGenerateStatus(getText('msg_outpaint_unchanged'), 'info');
+        return;
+    }
+
+    const { canvas, ...inputs } = exportData;
+    logTask(
+        `[Outpaint] Canvas extended ${canvas.width}x${canvas.height} -> ${inputs.info.width}x${inputs.info.height} (${ratio ? ratio.name : `${direction} ${amount}px`})`
+    );
+    await handleGenerateImage({
+        request: { ...request, mode: 'imgedit', multiImageMode: false, outpaint: true },
+        exportData: inputs,
+        ownsExportData: true,
+    });
+}
+
+/**
+ * 分块放大：按倍数放大文档后，把画布（开启选区模式且有选区时为选区范围）切成互相重叠的分块，
+ * 每块以当前 prompt 单独图生图，分块按输出分辨率切分，放回时不会被拉伸。
+ * 全部任务结束后按分块顺序叠放、添加羽化蒙版并放入同一个图层组。
+ * 分块任务不记录生成历史，也不能单独重试（重试的结果不会进入图层组）；全部失败时撤销文档放大
+ */
+async function handleTiledUpscale() {
+    const request = collectGenerationRequest();
+    if (!request) return;
+
+    const upscaleId = ++upscaleIdCounter;
+    const factor = UPSCALE_FACTORS.includes(settingsManager.get('upscale_factor', 2))
+        ? settingsManager.get('upscale_factor', 2)
+        : 1;
+    const overlap = settingsManager.get('upscale_tile_overlap', DEFAULT_TILE_OVERLAP);
+    const maxSize = settingsManager.get('export_max_size', 2048);
+    const quality = settingsManager.get('export_quality', 80);
+    const tileSize = getTileSize(request.resolution, maxSize);
+    const { debugMode } = request;
+
+    const documentId = request.targetDocument.id;
+    let resizeHistoryStateId = null;
+    let prepared;
+    try {
+        showGenerateStatus(getText('msg_upscale_exporting'), 'info');
+        prepared = await executeAsModal(
+            async (executionContext) => {
+                let bounds = null;
+                if (request.selectionMode) {
+                    const selectionInfo = await PSOperations.getSelectionInfo();
+                    if (selectionInfo && selectionInfo.hasSelection) {
+                        bounds = selectionInfo.bounds;
+                    }
+                }
+
+                if (factor > 1) {
+                    resizeHistoryStateId = await PSOperations.resizeDocument(factor);
+                }
+                const info = await PSOperations.getCanvasInfo();
+
+                // 选区范围随文档一起放大
+                const area = { left: 0, top: 0, width: info.width, height: info.height };
+                if (bounds) {
+                    area.left = Math.max(0, Math.round(bounds.left * factor));
+                    area.top = Math.max(0, Math.round(bounds.top * factor));
+                    area.width =
+                        Math.min(info.width, Math.round(bounds.right * factor)) - area.left;
+                    area.height =
+                        Math.min(info.height, Math.round(bounds.bottom * factor)) - area.top;
+                }
+
+                const tiles = calculateTilePlan({
+                    ...area,
+                    tileSize,
+                    overlap,
+                    imageApiKind: request.imageApiKind,
+                });
+                const tileImages = [];
+                for (const tile of tiles) {
+                    const exportResult = await PSOperations.exportVisibleLayersAsWebP(
+                        maxSize,
+                        quality,
+                        executionContext,
+                        tile
+                    );
+                    tileImages.push(await fileManager.fileToBase64(exportResult.file));
+                    // Only delete if debug mode is OFF
+                    if (!debugMode) {
+                        try {
+                            await exportResult.file.delete();
+                            console.log(
+                                `[Cleanup] Deleted temporary tile file: ${exportResult.file.nativePath}`
+                            );
+                        } catch (e) {
+                            console.error(`[Cleanup] Failed to delete tile file:`, e);
+                        }
+                    }
+                }
+                return { info, tiles, tileImages };
+            },
+            { commandName: 'Tiled Upscale' }
+        );
+    } catch (e) {
+        const errorMessage = e?.message || String(e) || 'Unknown error';
+        logTask(`[Upscale ${upscaleId}] Export failed: ${errorMessage}`);
+        await undoUpscaleResize(upscaleId, resizeHistoryStateId, documentId);
+        showGenerateStatus(getText('msg_upscale_failed', { error: errorMessage }), 'error');
         return;
     }
 
+    const { info, tiles, tileImages } = prepared;
+    logTask(
+        `[Upscale ${upscaleId}] Started - ${factor}x to ${info.width}x${info.height}, ${tiles.length} tiles of ${tiles[0].width}x${tiles[0].height}`
+    );
+
+    const results = await Promise.all(
+        tiles.map((tile, index) =>
+            handleGenerateImage({
+                request: {
+                    ...request,
+                    mode: 'imgedit',
+                    multiImageMode: false,
+                    variantCount: 1,
+                },
+                exportData: {
+                    info,
+                    imageData: tileImages[index],
+                    region: {
+                        left: tile.left,
+                        top: tile.top,
+                        right: tile.right,
+                        bottom: tile.bottom,
+                        width: tile.width,
+                        height: tile.height,
+                        aspectRatio: tile.aspectRatio,
+                    },
+                    roleImages: null,
+                    maskData: null,
+                    maskAlphaData: null,
+                    selectionChannel: null,
+                },
+                ownsExportData: true,
+                recordHistory: false,
+                retryable: false,
+                batchLabel: `${index + 1}/${tiles.length}`,
+            })
+        )
+    );
+
+    const tileLayers = [];
+    results.forEach((result, index) => {
+        if (result.status === 'success' && result.layerIds && result.layerIds.length > 0) {
+            tileLayers.push({ layerId: result.layerIds[0], mask: tiles[index].mask });
+        }
+    });
+
+    let groupName = null;
+    if (tileLayers.length > 0) {
+        try {
+            groupName = await executeAsModal(
+                () =>
+                    PSOperations.blendTileLayers(
+                        tileLayers,
+                        `Banana Upscale ${upscaleId}`,
+                        documentId
+                    ),
+                { commandName: 'Blend Upscale Tiles' }
+            );
+        } catch (e) {
+            logTask(`[Upscale ${upscaleId}] Failed to blend tiles: ${e?.message || String(e)}`);
+        }
+    } else {
+        await undoUpscaleResize(upscaleId, resizeHistoryStateId, documentId);
+    }
+
+    const summary = {
+        total: tiles.length,
+        succeeded: tileLayers.length,
+        failed: results.filter((result) => result.status === 'failed').length,
+        group: groupName || '-',
+    };
+    logTask(`[Upscale ${upscaleId}] Finished - ${JSON.stringify(summary)}`);
+    showGenerateStatus(
+        getText('msg_upscale_summary', summary),
+        summary.succeeded < summary.total ? 'error' : 'success'
+    );
+}
+
+// 撤销分块放大前的文档放大；放大后文档已有其他操作时保留
+async function undoUpscaleResize(upscaleId, historyStateId, documentId) {
+    if (historyStateId === null) return;
+
+    try {
+        const undone = await executeAsModal(
+            () => PSOperations.undoHistoryState(historyStateId, documentId),
+            { commandName: 'Undo Upscale Resize' }
+        );
+        logTask(
+            `[Upscale ${upscaleId}] ${undone ? 'Reverted document resize' : 'Document changed after resize, keeping it'}`
+        );
+    } catch (e) {
+        logTask(
+            `[Upscale ${upscaleId}] Failed to revert document resize: ${e?.message || String(e)}`
+        );
+    }
+}
+
+function getSeedMode() {
+    const mode = settingsManager.get('seed_mode', DEFAULT_SEED_MODE);
+    return SEED_MODES.includes(mode) ? mode : DEFAULT_SEED_MODE;
+}
+
+function updateSeedUI() {
+    setElementDisabled(document.getElementById('inputSeed'), getSeedMode() === 'random');
+}
+
+/**
+ * 按 seed 模式取出本次生成的 seed，并更新输入框中的下一个 seed
+ * @param {number} [count=1] - 占用的 seed 数量，批量生成时为任务数
+ * @returns {number}
+ */
+function takeGenerationSeed(count = 1) {
+    const inputSeed = document.getElementById('inputSeed');
+    const { seed, nextValue } = resolveSeed({
+        mode: getSeedMode(),
+        value: inputSeed.value,
+        count,
+    });
+    inputSeed.value = String(nextValue);
+    settingsManager.set('seed_value', String(nextValue)).catch((err) => {
+        console.error('[UI] Failed to save seed value:', err);
+    });
+    return seed;
+}
+
+/**
+ * 校验当前输入并收集一次生成所需的参数，不满足条件时显示错误并返回 null
+ * 批量生成时只收集一次，N 个任务共用
+ * @param {Object} [options]
+ * @param {number} [options.seedCount=1] - 占用的 seed 数量，批量生成时为任务数
+ */
+function collectGenerationRequest({ seedCount = 1 } = {}) {
+    if (!app.activeDocument) {
+        showGenerateStatus(getText('msg_open_document_first'), 'error');
+        return null;
+    }
+
+    const targetDocument = app.activeDocument;
+
+    const prompt = document.getElementById('promptInput').value.trim();
+    if (!prompt) {
+        showGenerateStatus(getText('msg_enter_prompt'), 'error');
+        return null;
+    }
+
+    if (!currentProvider || !currentProvider.apiKey || !currentProvider.baseUrl) {
+        showGenerateStatus(getText('msg_configure_provider'), 'error');
+        return null;
+    }
+
+    const resolution = document.getElementById('resolutionSelect').value || '1K';
+    const imageApiKind = getEffectiveImageApiKind();
+    const providerConfig = getCurrentProviderConfig();
+
+    if (!providerConfig.supportsImageApi(imageApiKind)) {
+        showGenerateStatus(
+            getText('msg_provider_image_api_not_supported', {
+                provider: currentProvider.name,
+                imageApi: isGptImage2Api(imageApiKind)
+                    ? getText('option_image_api_gpt_image_2')
+                    : getText('option_image_api_banana'),
+            }),
+            'error'
+        );
+        return null;
+    }
+
+    const providerForGeneration = buildGenerationProvider(imageApiKind);
+
+    if (!providerForGeneration || !providerForGeneration.model) {
+        const messageKey = isGptImage2Api(imageApiKind)
+            ? 'msg_gpt_model_missing'
+            : 'msg_banana_model_missing';
+        showGenerateStatus(getText(messageKey), 'error');
+        return null;
+    }
+
+    const debugMode = settingsManager.get('debug_mode', false);
+    const mode = generationMode;
+    const selectionMode = settingsManager.get('selection_mode', false);
+    const searchWebMode = settingsManager.get('search_web_mode', false);
+    const multiImageMode = settingsManager.get('multi_image_mode', false);
+    const inpaintMaskMode = settingsManager.get('inpaint_mask_mode', false);
+    const maskResultToSelection = settingsManager.get('mask_result_to_selection', false);
+    const saveGeneratedImages = settingsManager.get('save_generated_images', false);
+    const variantCount = settingsManager.get('variant_count', 1);
+    const variantImportMode = settingsManager.get('variant_import_mode', 'group');
+    const seed = takeGenerationSeed(seedCount);
+
+    return {
+        targetDocument,
+        prompt,
+        resolution,
+        imageApiKind,
+        providerForGeneration,
+        debugMode,
+        mode,
+        selectionMode,
+        searchWebMode,
+        multiImageMode,
+        inpaintMaskMode,
+        maskResultToSelection,
+        saveGeneratedImages,
+        variantCount,
+        variantImportMode,
+        seed,
+    };
+}
+
+/**
+ * 读取画布信息并导出生成所需的输入图片（base64）
+ * 批量生成时只导出一次，结果由各任务复用
+ * 单图编辑且开启选区重绘时，同时导出选区形状的蒙版（maskData 灰度 / maskAlphaData 透明）
+ * 开启结果蒙版时把选区存为通道（selectionChannel），导入后据此为新图层添加图层蒙版
+ */
+async function exportGenerationInputs({
+    imageApiKind,
+    debugMode,
+    mode,
+    selectionMode,
+    multiImageMode,
+    inpaintMaskMode = false,
+    maskResultToSelection = false,
+    regenerateTarget = null,
+}) {
+    try {
+        return await executeAsModal(
+            async (executionContext) => {
+                // 重新生成图层时先隐藏原图层，导出的输入与原图层生成时一致
+                const hiddenLayerId =
+                    regenerateTarget &&
+                    PSOperations.setLayerVisibility(regenerateTarget.layerId, false)
+                        ? regenerateTarget.layerId
+                        : null;
+                try {
+                    const info = await PSOperations.getCanvasInfo();
+                    let region = null;
+                    let hasSelection = false;
+
+                    if (regenerateTarget) {
+                        // 使用原图层生成时的区域，null 表示整个画布
+                        region = regenerateTarget.region;
+                    } else if (selectionMode) {
+                        const selectionInfo = await PSOperations.getSelectionInfo();
+                        if (selectionInfo && selectionInfo.hasSelection) {
+                            hasSelection = true;
+                            region = PSOperations.calculateGenerationRegion(
+                                selectionInfo.bounds,
+                                info.width,
+                                info.height,
+                                imageApiKind
+                            );
+                            // 在 executeAsModal 内部，先保存到临时变量，稍后记录到日志
+                        }
+                    }
+
+                    let imageData = null;
+                    let roleImages = null;
+                    let maskData = null;
+                    let maskAlphaData = null;
+                    const maxSize = settingsManager.get('export_max_size', 2048);
+                    const quality = settingsManager.get('export_quality', 80);
+
+                    if (mode === 'imgedit' && multiImageMode) {
+                        // 每个角色组导出一张图片，按角色顺序发送
+                        const roleGroups = await PSOperations.findRoleGroups();
+                        if (roleGroups.length === 0) {
+                            throw new Error(
+                                'No role layer groups found (Reference / Style / Character / Pose / Source / Mask)'
+                            );
+                        }
+
+                        roleImages = [];
+                        for (const { group, role, index, label } of roleGroups) {
+                            const groupResult = await PSOperations.exportGroupAsWebP(
+                                group,
+                                maxSize,
+                                quality,
+                                executionContext,
+                                region
+                            );
+                            const data = await fileManager.fileToBase64(groupResult.file);
+                            roleImages.push({ role, index, label, data });
+                            // Only delete if debug mode is OFF
+                            if (!debugMode) {
+                                try {
+                                    await groupResult.file.delete();
+                                    console.log(
+                                        `[Cleanup] Deleted temporary ${label} file: ${groupResult.file.nativePath}`
+                                    );
+                                } catch (e) {
+                                    console.error(`[Cleanup] Failed to delete ${label} file:`, e);
+                                }
+                            }
+                        }
+                    } else if (mode === 'imgedit') {
+                        const exportResult = await PSOperations.exportVisibleLayersAsWebP(
+                            maxSize,
+                            quality,
+                            executionContext,
+                            region
+                        );
+                        imageData = await fileManager.fileToBase64(exportResult.file);
+                        // Only delete if debug mode is OFF
+                        if (!debugMode) {
+                            try {
+                                await exportResult.file.delete();
+                                console.log(
+                                    `[Cleanup] Deleted temporary export file: ${exportResult.file.nativePath}`
+                                );
+                            } catch (e) {
+                                console.error(`[Cleanup] Failed to delete export file:`, e);
+                            }
+                        }
+
+                        if (inpaintMaskMode && hasSelection) {
+                            const maskResult = await PSOperations.exportSelectionMask(
+                                maxSize,
+                                executionContext,
+                                region
+                            );
+                            maskData = await fileManager.fileToBase64(maskResult.file);
+                            maskAlphaData = await fileManager.fileToBase64(maskResult.alphaFile);
+                            // Only delete if debug mode is OFF
+                            if (!debugMode) {
+                                for (const file of [maskResult.file, maskResult.alphaFile]) {
+                                    try {
+                                        await file.delete();
+                                        console.log(
+                                            `[Cleanup] Deleted temporary mask file: ${file.nativePath}`
+                                        );
+                                    } catch (e) {
+                                        console.error(`[Cleanup] Failed to delete mask file:`, e);
+                                    }
+                                }
+                            }
+                        }
+                    }
+
+                    // 导出全部成功后再保存选区通道，导出失败时不会留下通道
+                    let selectionChannel = null;
+                    if (maskResultToSelection && hasSelection) {
+                        selectionChannel = `PS Banana Selection ${Date.now()}`;
+                        await PSOperations.saveSelectionToChannel(selectionChannel);
+                    }
+
+                    return {
+                        info,
+                        imageData,
+                        region,
+                        roleImages,
+                        maskData,
+                        maskAlphaData,
+                        selectionChannel,
+                    };
+                } finally {
+                    if (hiddenLayerId !== null) {
+                        PSOperations.setLayerVisibility(hiddenLayerId, true);
+                    }
+                }
+            },
+            { commandName: 'Get Canvas Info and Export' }
+        );
+    } catch (e) {
+        console.error('Failed to get canvas info or export:', e);
+        throw e;
+    }
+}
+
+/**
+ * 执行一次生成任务
+ * @param {Object} [options]
+ * @param {Object} [options.request] - collectGenerationRequest() 的结果，省略时读取当前界面
+ * @param {Object} [options.exportData] - exportGenerationInputs() 的结果，批量生成时共用
+ * @param {number} [options.seed] - 覆盖 request.seed，批量生成时每个任务使用不同的 seed（provider 支持时生效）
+ * @param {string} [options.batchLabel] - 任务列表中显示的批次序号，如 2/4
+ * @param {boolean} [options.recordHistory=true] - 是否记录生成历史，分块放大的分块不记录
+ * @param {boolean} [options.retryable=true] - 失败后能否在任务列表中重试
+ * @param {boolean} [options.ownsExportData] - 本任务接管调用方对 exportData 的引用（重试、新建的导出数据），
+ *   否则另外增加一个引用（批量生成共用时）
+ * @returns {Promise<{status: string, layers?: string[], error?: string}>}
+ */
+async function handleGenerateImage(options = {}) {
+    // 不再阻止并发请求，允许同时执行多个生成任务
+    const request = options.request || collectGenerationRequest();
+    if (!request) {
+        return { status: 'invalid' };
+    }
+
+    const {
+        targetDocument,
+        prompt,
+        resolution,
+        imageApiKind,
+        providerForGeneration,
+        debugMode,
+        mode,
+        searchWebMode,
+        saveGeneratedImages,
+        variantCount,
+        variantImportMode,
+    } = request;
+    // provider 不支持 seed 时记录为 null
+    const requestedSeed = options.seed ?? request.seed ?? null;
+    const providerType = getProviderConfig(
+        providerForGeneration.name,
+        providerForGeneration.baseUrl,
+        providerForGeneration
+    ).type;
+    const seed = isSeedSupported(providerType, imageApiKind) ? requestedSeed : null;
+
+    // 增加任务计数并更新按钮状态
+    activeGenerationCount++;
+    const taskId = ++taskIdCounter; // 为此任务分配唯一ID
+    const abortController = new AbortController();
+    const signal = abortController.signal;
+    const task = {
+        id: taskId,
+        controller: abortController,
+        request,
+        prompt,
+        providerName: providerForGeneration.name,
+        model: providerForGeneration.model,
+        mode,
+        resolution,
+        aspectRatio: null,
+        seed,
+        exportData: options.exportData || null,
+        batchLabel: options.batchLabel || null,
+        retryable: options.retryable !== false,
+        startedAt: Date.now(),
+        progress: null,
+        status: null,
+        error: null,
+    };
+    runningTasks.set(taskId, task);
+    let outcome = { status: 'failed' };
+    if (options.exportData && !options.ownsExportData) {
+        retainExportData(options.exportData);
+    }
+    logTask(
+        `[Task ${taskId}] Started${options.batchLabel ? ` (batch ${options.batchLabel})` : ''} - Active tasks: ${activeGenerationCount}`
+    );
+    if (seed !== null) {
+        logTask(`[Task ${taskId}] Seed: ${seed}`);
+    } else if (requestedSeed !== null) {
+        logTask(
+            `[Task ${taskId}] Seed ${requestedSeed} ignored: not supported by ${providerForGeneration.name}`
+        );
+    }
+    updateGeneratingButton();
+    renderTaskPanel();
+
+    try {
+        await settingsManager.set('latest_prompt', prompt);
+
+        let exportData = options.exportData;
+        if (!exportData) {
+            updateTaskProgress(taskId, { phase: 'exporting' });
+            exportData = await exportGenerationInputs(request);
+            task.exportData = exportData;
+        }
+
+        let aspectRatio = '1:1';
+        const canvasInfo = exportData.info;
+        const exportedImageData = exportData.imageData;
+        const selectionRegion = exportData.region;
+        const roleImages = exportData.roleImages || null;
+        const maskImageData = exportData.maskData || null;
+
+        // 记录选区信息到日志文件
+        if (selectionRegion) {
+            logTask(
+                `[Task ${taskId}] Captured selection region: ${JSON.stringify(selectionRegion)}`
+            );
+            aspectRatio = selectionRegion.aspectRatio;
+            if (maskImageData) {
+                logTask(`[Task ${taskId}] Inpainting with selection mask`);
+            }
+        } else {
+            logTask(`[Task ${taskId}] No selection, using full canvas`);
+            aspectRatio = calculateAspectRatio(canvasInfo.width, canvasInfo.height, imageApiKind);
+        }
+        task.aspectRatio = aspectRatio;
+
+        // 生成参数写入输出图片与导入的图层，便于之后查看与重新生成
+        const metadata = createGenerationMetadata({
+            prompt,
+            provider: providerForGeneration.name,
+            model: providerForGeneration.model,
+            imageApi: imageApiKind,
+            mode,
+            aspectRatio,
+            resolution,
+            seed,
+            region: selectionRegion,
+        });
+
+        // 导出在 executeAsModal 中无法中断，导出结束后再检查是否已取消
+        throwIfAborted(signal);
+
+        if (isGptImage2Api(imageApiKind)) {
+            resolveGptImage2Size(resolution, aspectRatio);
+        }
+
+        // 生成请求经过任务队列：受全局并发上限与 provider 每分钟请求数限制
+        updateTaskProgress(taskId, { phase: 'pending' });
+        logTask(`[Task ${taskId}] Queued for provider: ${providerForGeneration.name}`);
+
+        const imageFiles = await taskQueue.enqueue({
+            id: taskId,
+            provider: providerForGeneration.name,
+            signal,
+            run: () => {
+                logTask(`[Task ${taskId}] Dequeued, sending request`);
+                updateTaskProgress(taskId, { phase: 'waiting' });
+                return imageGenerator.generate({
+                    prompt,
+                    provider: providerForGeneration,
+                    imageApiKind,
+                    aspectRatio,
+                    resolution,
+                    debugMode,
+                    mode: mode,
+                    searchWeb: searchWebMode,
+                    inputImage: exportedImageData,
+                    roleImages,
+                    // 旧的历史记录中保存的多图输入
+                    sourceImage: exportData.sourceData || null,
+                    referenceImage: exportData.referenceData || null,
+                    onApiKeyUsed: (keyLabel) =>
+                        logTask(`[Task ${taskId}] API key used: ${keyLabel}`),
+                    retryPolicy: settingsManager.getRetryPolicy(),
+                    timeoutMs: settingsManager.getRequestTimeout(
+                        providerForGeneration.name,
+                        imageApiKind
+                    ),
+                    signal,
+                    onProgress: (progress) => updateTaskProgress(taskId, progress),
+                    count: variantCount,
+                    seed,
+                    metadata,
+                    maskImage: maskImageData,
+                    maskAlphaImage: exportData.maskAlphaData || null,
+                });
+            },
+        });
+
+        if (
+            !Array.isArray(imageFiles) ||
+            imageFiles.length === 0 ||
+            imageFiles.some((imageFile) => !imageFile || !imageFile.nativePath)
+        ) {
+            throw new Error('Image generation returned invalid file object');
+        }
+        logTask(`[Task ${taskId}] Generated ${imageFiles.length} image(s)`);
+        const keepGeneratedFiles = debugMode || saveGeneratedImages;
+
+        // 请求完成后才取消的任务：跳过导入，并清理已下载的图片
+        if (signal.aborted) {
+            if (!keepGeneratedFiles) {
+                await deleteGeneratedFiles(imageFiles);
+            }
+            throw createAbortError();
+        }
+
+        if (options.recordHistory !== false) {
+            await recordHistory(task, exportData, imageFiles);
+        }
+
+        // 多张候选图：挑选模式下先让用户选择要导入的图片
+        let filesToImport = imageFiles;
+        if (imageFiles.length > 1 && variantImportMode === 'pick') {
+            updateTaskProgress(taskId, { phase: 'picking' });
+            filesToImport = await pickVariants(imageFiles);
+            logTask(
+                `[Task ${taskId}] Picked ${filesToImport.length}/${imageFiles.length} variants`
+            );
+        }
+
+        if (filesToImport.length === 0) {
+            showGenerateStatus(getText('msg_no_variant_selected'), 'info');
+            if (!keepGeneratedFiles) {
+                await deleteGeneratedFiles(imageFiles);
+            }
+            outcome = { status: 'success', layers: [] };
+            return outcome;
+        }
+
+        updateTaskProgress(taskId, { phase: 'importing' });
+
+        // 在 executeAsModal 外部记录导入信息
+        if (selectionRegion) {
+            logTask(`[Task ${taskId}] Importing with region: ${JSON.stringify(selectionRegion)}`);
+        } else {
+            logTask(`[Task ${taskId}] Importing without region (full canvas)`);
+        }
+
+        // Ensure we are in the correct document
+        const targetDocumentId = targetDocument.id;
+        logTask(
+            `[Task ${taskId}] Target document ID: ${targetDocumentId}, Current active: ${app.activeDocument?.id}`
+        );
+
+        const importResult = await importImageFiles(
+            filesToImport,
+            selectionRegion,
+            targetDocumentId,
+            metadata
+        );
+
+        if (request.regenerateTarget) {
+            await placeRegeneratedLayer(taskId, request.regenerateTarget, importResult);
+        }
+        if (request.outpaint) {
+            await placeOutpaintLayer(taskId, importResult);
+        }
+        if (exportData.selectionChannel) {
+            await maskImportedLayer(taskId, exportData.selectionChannel, importResult);
+        }
+
+        if (importResult.groupName) {
+            logTask(
+                `[Task ${taskId}] Completed successfully - Group: ${importResult.groupName} (${importResult.layerNames.join(', ')})`
+            );
+            showGenerateStatus(
+                getText('msg_complete_variants', {
+                    count: importResult.layerNames.length,
+                    group: importResult.groupName,
+                }),
+                'success'
+            );
+        } else {
+            const layerName = importResult.layerNames[0];
+            logTask(`[Task ${taskId}] Completed successfully - Layer: ${layerName}`);
+            showGenerateStatus(getText('msg_complete', { layer: layerName }), 'success');
+        }
+
+        // Cleanup generated files if not debugging and not configured to save
+        if (!keepGeneratedFiles) {
+            await deleteGeneratedFiles(imageFiles);
+            logTask(`[Cleanup] Deleted ${imageFiles.length} generated image file(s)`);
+        }
+        outcome = {
+            status: 'success',
+            layers: importResult.layerNames,
+            layerIds: importResult.layerIds,
+            documentId: importResult.documentId,
+        };
+        return outcome;
+    } catch (e) {
+        if (isAbortError(e)) {
+            logTask(`[Task ${taskId}] Cancelled`);
+            showGenerateStatus(getText('msg_generation_cancelled', { id: taskId }), 'info');
+            outcome = { status: 'cancelled' };
+            return outcome;
+        }
+
+        logTask(`[Task ${taskId}] Generation failed: ${e?.message || String(e)}`);
+        const errorMessage = e?.message || String(e) || 'Unknown error';
+
+        if (debugMode) {
+            try {
+                const errorLog = `=== Error Log ===
+Time: ${new Date().toISOString()}
+Task ID: ${taskId}
+Error: ${errorMessage}
+Stack: ${e?.stack || 'N/A'}`;
+                await fileManager.saveLog(errorLog);
+            } catch (logError) {
+                console.error('Failed to save error log:', logError);
+            }
+        }
+
+        showGenerateStatus(getText('msg_generation_failed', { error: errorMessage }), 'error');
+        outcome = { status: 'failed', error: errorMessage };
+        return outcome;
+    } finally {
+        // 减少任务计数并更新按钮状态
+        logTask(`[Task ${taskId}] Finished - Remaining active tasks: ${activeGenerationCount - 1}`);
+        activeGenerationCount--;
+        // 成功或不能重试的任务释放导出数据的引用；其余任务移出最近任务列表时才释放
+        if (outcome.status === 'success' || !task.retryable) {
+            await releaseExportData(task.exportData, targetDocument.id);
+        }
+        finishTask(taskId, outcome);
+        updateGeneratingButton();
+        renderTaskPanel();
+    }
+}
+
+/**
+ * 批量生成：同一 prompt 调度 N 个独立任务
+ * 画布只导出一次，各任务复用导出的 base64；各任务的 seed 从当前 seed 起依次加 1（provider 支持时生效）
+ */
+async function handleBatchGenerate() {
+    const batchCount = settingsManager.get('batch_count', 1);
+    if (batchCount <= 1) {
+        await handleGenerateImage();
+        return;
+    }
+
+    const request = collectGenerationRequest({ seedCount: batchCount });
+    if (!request) return;
+
+    const batchId = ++batchIdCounter;
+    let exportData = null;
+    try {
+        showGenerateStatus(getText('msg_batch_exporting', { count: batchCount }), 'info');
+        exportData = await exportGenerationInputs(request);
+    } catch (e) {
+        const errorMessage = e?.message || String(e) || 'Unknown error';
+        logTask(`[Batch ${batchId}] Canvas export failed: ${errorMessage}`);
+        showGenerateStatus(getText('msg_generation_failed', { error: errorMessage }), 'error');
+        return;
+    }
+
+    const baseSeed = request.seed;
+    logTask(`[Batch ${batchId}] Started - ${batchCount} tasks, base seed: ${baseSeed}`);
+
+    // 各任务各自持有导出数据的引用，批量本身的引用在全部任务结束后释放
+    const results = await Promise.all(
+        Array.from({ length: batchCount }, (_, index) =>
+            handleGenerateImage({
+                request,
+                exportData,
+                seed: offsetSeed(baseSeed, index),
+                batchLabel: `${index + 1}/${batchCount}`,
+            })
+        )
+    );
+
+    const summary = {
+        total: batchCount,
+        succeeded: results.filter((result) => result.status === 'success').length,
+        failed: results.filter((result) => result.status === 'failed').length,
+        cancelled: results.filter((result) => result.status === 'cancelled').length,
+        layers: results.reduce((count, result) => count + (result.layers || []).length, 0),
+    };
+    logTask(`[Batch ${batchId}] Finished - ${JSON.stringify(summary)}`);
+    await releaseExportData(exportData, request.targetDocument.id);
+    showGenerateStatus(
+        getText('msg_batch_summary', summary),
+        summary.failed > 0 ? 'error' : 'success'
+    );
+}
+
+/**
+ * 将图片导入目标文档：有选区时放回选区位置，否则铺满画布；多张图片放入同一个图层组
+ * @param {File[]} imageFiles
+ * @param {Object|null} selectionRegion
+ * @param {number} targetDocumentId
+ * @param {Object} [metadata] - 写入图层 XMP 的生成参数
+ * @returns {Promise<{documentId: number, layerNames: string[], layerIds: number[],
+ *   groupName: string|null, groupId: number|null}>} - 之后的放置、蒙版等操作按 ID 在目标文档中查找图层
+ */
+async function importImageFiles(imageFiles, selectionRegion, targetDocumentId, metadata = null) {
+    const fs = require('uxp').storage.localFileSystem;
+    const imageTokens = imageFiles.map((imageFile) => fs.createSessionToken(imageFile));
+
+    return await executeAsModal(
+        async (executionContext) => {
+            const layers = [];
+            for (const imageToken of imageTokens) {
+                if (selectionRegion) {
+                    layers.push(
+                        await PSOperations.importImageInRegion(
+                            imageToken,
+                            selectionRegion,
+                            executionContext,
+                            targetDocumentId,
+                            metadata
+                        )
+                    );
+                } else {
+                    layers.push(
+                        await PSOperations.importImageByToken(
+                            imageToken,
+                            executionContext,
+                            targetDocumentId,
+                            metadata
+                        )
+                    );
+                }
+            }
+            const result = {
+                documentId: targetDocumentId,
+                layerNames: layers.map(({ layerName }) => layerName),
+                layerIds: layers.map(({ layerId }) => layerId),
+                groupName: null,
+                groupId: null,
+            };
+
+            // 多张候选图放入同一个图层组，便于对比和切换显示
+            if (layers.length > 1) {
+                const group = await PSOperations.groupLayers(
+                    result.layerIds,
+                    `${result.layerNames[0]} Variants`,
+                    targetDocumentId
+                );
+                result.groupName = group.name;
+                result.groupId = group.id;
+            }
+            return result;
+        },
+        { commandName: 'Import Generated Image' }
+    );
+}
+
+// 按生成时的选区形状为导入的图层（或候选图组）添加图层蒙版，失败时保留没有蒙版的结果
+async function maskImportedLayer(taskId, channelName, importResult) {
+    const layerName = importResult.groupName || importResult.layerNames[0];
+    const layerId = importResult.groupId || importResult.layerIds[0];
+    const expand = settingsManager.get('result_mask_expand', 0);
+    const feather = settingsManager.get('result_mask_feather', 0);
+    try {
+        await executeAsModal(
+            () =>
+                PSOperations.applyChannelMaskToLayer(
+                    layerId,
+                    channelName,
+                    { expand, feather },
+                    importResult.documentId
+                ),
+            { commandName: 'Mask Generated Layer' }
+        );
+        logTask(
+            `[Task ${taskId}] Masked ${layerName} to selection (expand: ${expand}, feather: ${feather})`
+        );
+    } catch (e) {
+        logTask(`[Task ${taskId}] Failed to mask layer to selection: ${e?.message || String(e)}`);
+    }
+}
+
+// 导出数据由创建者持有第一个引用；批量生成的各任务共用同一份导出数据，各自再持有一个引用
+function retainExportData(exportData) {
+    exportData.owners = (exportData.owners ?? 1) + 1;
+}
+
+// 释放一个引用，最后一个持有者释放时删除导出时保存的选区通道
+async function releaseExportData(exportData, documentId) {
+    if (!exportData) return;
+    exportData.owners = (exportData.owners ?? 1) - 1;
+    if (exportData.owners > 0) return;
+    await releaseSelectionChannel(exportData, documentId);
+}
+
+// 删除导出时保存的选区通道
+async function releaseSelectionChannel(exportData, documentId) {
+    if (!exportData || !exportData.selectionChannel) return;
+
+    const channelName = exportData.selectionChannel;
+    exportData.selectionChannel = null;
+    try {
+        await executeAsModal(() => PSOperations.deleteChannel(channelName, documentId), {
+            commandName: 'Delete Selection Channel',
+        });
+    } catch (e) {
+        console.error('[Cleanup] Failed to delete selection channel:', e);
+    }
+}
+
+// 删除生成的图片文件（未开启 Debug / 保存生成图片时）
+async function deleteGeneratedFiles(imageFiles) {
+    for (const imageFile of imageFiles) {
+        try {
+            await imageFile.delete();
+            console.log(`[Cleanup] Deleted generated image file: ${imageFile.nativePath}`);
+        } catch (e) {
+            console.error(`[Cleanup] Failed to delete generated image:`, e);
+        }
+    }
+}
+
+/**
+ * 显示候选图缩略图，由用户勾选要导入的图片
+ * @param {File[]} imageFiles
+ * @returns {Promise<File[]>} 选中的图片，取消时返回空数组
+ */
+async function pickVariants(imageFiles) {
+    const thumbnails = [];
+    for (const imageFile of imageFiles) {
+        const extension = imageFile.name.split('.').pop().toLowerCase();
+        const mimeType = extension === 'jpg' ? 'image/jpeg' : `image/${extension}`;
+        const base64Data = await fileManager.fileToBase64(imageFile);
+        thumbnails.push(`data:${mimeType};base64,${base64Data}`);
+    }
+
+    return new Promise((resolve) => {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'custom-dialog';
+
+        const container = document.createElement('div');
+        container.className = 'dialog-container';
+
+        const title = document.createElement('sp-label');
+        title.textContent = getText('dialog_pick_variants', { count: imageFiles.length });
+        title.setAttribute('size', 'S');
+        title.className = 'dialog-title';
+        container.appendChild(title);
+
+        // 缩略图 + 复选框，默认全部选中
+        const grid = document.createElement('div');
+        grid.className = 'variant-grid';
+        const checkboxes = imageFiles.map((imageFile, index) => {
+            const item = document.createElement('div');
+            item.className = 'variant-item';
+
+            const image = document.createElement('img');
+            image.className = 'variant-thumbnail';
+            image.src = thumbnails[index];
+            item.appendChild(image);
+
+            const checkbox = document.createElement('sp-checkbox');
+            checkbox.size = 's';
+            checkbox.checked = true;
+            checkbox.textContent = `#${index + 1}`;
+            image.addEventListener('click', () => {
+                checkbox.checked = !checkbox.checked;
+            });
+            item.appendChild(checkbox);
+
+            grid.appendChild(item);
+            return checkbox;
+        });
+        container.appendChild(grid);
+
+        const close = (result) => {
+            dialog.close();
+            document.body.removeChild(dialog);
+            resolve(result);
+        };
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'dialog-buttons';
+
+        const cancelBtn = document.createElement('sp-action-button');
+        cancelBtn.size = 'S';
+        cancelBtn.textContent = getText('dialog_cancel');
+        cancelBtn.className = 'dialog-button';
+        cancelBtn.addEventListener('click', () => close([]));
+        buttonContainer.appendChild(cancelBtn);
+
+        const importBtn = document.createElement('sp-action-button');
+        importBtn.size = 'S';
+        importBtn.textContent = getText('btn_import_selected');
+        importBtn.className = 'dialog-button';
+        importBtn.addEventListener('click', () =>
+            close(imageFiles.filter((imageFile, index) => checkboxes[index].checked))
+        );
+        buttonContainer.appendChild(importBtn);
+
+        container.appendChild(buttonContainer);
+        dialog.appendChild(container);
+
+        document.body.appendChild(dialog);
+        dialog.showModal();
+    });
+}
+
+// 记录生成历史，失败时只写日志，不影响本次任务
+async function recordHistory(task, exportData, imageFiles) {
+    const maxEntries = settingsManager.get('history_max_entries', DEFAULT_MAX_ENTRIES);
+    if (maxEntries <= 0) return;
+
+    try {
+        const { request } = task;
+        const entry = await historyStore.addEntry(
+            {
+                taskId: task.id,
+                prompt: task.prompt,
+                provider: task.providerName,
+                model: task.model,
+                imageApi: request.imageApiKind,
+                mode: task.mode,
+                aspectRatio: task.aspectRatio,
+                resolution: task.resolution,
+                searchWeb: request.searchWebMode,
+                variantCount: request.variantCount,
+                seed: task.seed,
+                outpaint: Boolean(request.outpaint),
+                canvas: { width: exportData.info.width, height: exportData.info.height },
+                region: exportData.region,
+            },
+            { outputFiles: imageFiles, inputs: exportData },
+            maxEntries
+        );
+        logTask(`[Task ${task.id}] Recorded history entry: ${entry.id}`);
+        renderHistory();
+    } catch (e) {
+        console.error('[History] Failed to record entry:', e);
+        logTask(`[Task ${task.id}] Failed to record history: ${e?.message || String(e)}`);
+    }
+}
+
+// 渲染 History 页：每条记录显示输入 / 输出缩略图、prompt 与参数，以及重新导入、重新生成、删除按钮
+function renderHistory() {
+    const historyList = document.getElementById('historyList');
+    historyList.innerHTML = '';
+
+    const entries = historyStore.getEntries();
+    if (entries.length === 0) {
+        const empty = document.createElement('span');
+        empty.className = 'task-summary';
+        empty.textContent = getText('msg_history_empty');
+        historyList.appendChild(empty);
+        return;
+    }
+
+    entries.forEach((entry) => {
+        const row = document.createElement('div');
+        row.className = 'history-row';
+
+        const thumbnails = document.createElement('div');
+        thumbnails.className = 'history-thumbnails';
+        [...historyStore.getInputNames(entry), ...entry.outputs].forEach((name) => {
+            const image = document.createElement('img');
+            image.className = entry.outputs.includes(name)
+                ? 'history-thumbnail history-output'
+                : 'history-thumbnail';
+            image.src = historyStore.getImageUrl(entry, name);
+            image.title = name;
+            thumbnails.appendChild(image);
+        });
+
+        const info = document.createElement('div');
+        info.className = 'task-info';
+
+        const label = document.createElement('span');
+        label.className = 'task-label';
+        label.textContent = entry.prompt;
+        label.title = entry.prompt;
+
+        const meta = document.createElement('span');
+        meta.className = 'task-meta';
+        meta.textContent = [
+            new Date(entry.createdAt).toLocaleString(),
+            formatTaskMeta({
+                providerName: entry.provider,
+                model: entry.model,
+                mode: entry.mode,
+                aspectRatio: entry.aspectRatio,
+                resolution: entry.resolution,
+                seed: entry.seed,
+            }),
+        ].join(' · ');
+
+        info.appendChild(label);
+        info.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'row';
+        [
+            ['btn_history_reimport', () => reimportHistoryEntry(entry)],
+            ['btn_history_rerun', () => rerunHistoryEntry(entry)],
+            ['btn_history_delete', () => deleteHistoryEntry(entry)],
+        ].forEach(([textKey, onClick]) => {
+            const button = document.createElement('sp-action-button');
+            button.setAttribute('size', 's');
+            button.textContent = getText(textKey);
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        });
+
+        row.appendChild(thumbnails);
+        row.appendChild(info);
+        row.appendChild(actions);
+        historyList.appendChild(row);
+    });
+}
+
+// 当前文档与记录的画布尺寸一致时，记录的选区位置仍然有效
+function isHistoryCanvas(entry, targetDocument) {
+    return Boolean(
+        entry.canvas &&
+        targetDocument.width === entry.canvas.width &&
+        targetDocument.height === entry.canvas.height
+    );
+}
+
+// 将历史输出图导入当前文档；当前文档与记录的画布尺寸一致时放回原选区位置
+async function reimportHistoryEntry(entry) {
     const targetDocument = app.activeDocument;
-
-    const prompt = document.getElementById('promptInput').value.trim();
-    if (!prompt) {
-        showGenerateStatus(getText('msg_enter_prompt'), 'error');
+    if (!targetDocument) {
+        showStatus(getText('msg_open_document_first'), 'error', 'historyStatus');
         return;
     }
 
-    if (!currentProvider || !currentProvider.apiKey || !currentProvider.baseUrl) {
-        showGenerateStatus(getText('msg_configure_provider'), 'error');
-        return;
+    try {
+        const sameCanvas = isHistoryCanvas(entry, targetDocument);
+        const outputFiles = await historyStore.getOutputFiles(entry);
+        const region = sameCanvas ? entry.region : null;
+        const result = await importImageFiles(outputFiles, region, targetDocument.id, {
+            ...createGenerationMetadata({ ...entry, region }),
+            createdAt: entry.createdAt,
+        });
+        console.log(`[History] Re-imported entry ${entry.id}: ${result.layerNames.join(', ')}`);
+        showStatus(
+            getText('msg_history_reimported', { count: result.layerNames.length }),
+            'success',
+            'historyStatus'
+        );
+    } catch (e) {
+        console.error('[History] Re-import failed:', e);
+        showStatus(
+            getText('msg_history_action_failed', { error: e?.message || String(e) }),
+            'error',
+            'historyStatus'
+        );
     }
+}
 
-    const resolution = document.getElementById('resolutionSelect').value || '1K';
-    const imageApiKind = getEffectiveImageApiKind();
-    const providerConfig = getProviderConfig(currentProvider.name, currentProvider.baseUrl);
+// 用记录的参数与输入图重新生成，结果导入当前文档
+// 画布尺寸不同时不再使用原选区与扩图位置，结果按记录的生成区域比例整张导入
+async function rerunHistoryEntry(entry) {
+    const targetDocument = app.activeDocument;
+    if (!targetDocument) {
+        showStatus(getText('msg_open_document_first'), 'error', 'historyStatus');
+        return;
+    }
 
-    if (!providerConfig.supportsImageApi(imageApiKind)) {
-        showGenerateStatus(
-            getText('msg_provider_image_api_not_supported', {
-                provider: currentProvider.name,
-                imageApi: isGptImage2Api(imageApiKind)
-                    ? getText('option_image_api_gpt_image_2')
-                    : getText('option_image_api_banana'),
-            }),
-            'error'
+    const provider = providerManager.getProvider(entry.provider);
+    if (!provider) {
+        showStatus(
+            getText('msg_history_provider_missing', { provider: entry.provider }),
+            'error',
+            'historyStatus'
         );
         return;
     }
 
-    const providerForGeneration = buildGenerationProvider(imageApiKind);
-
-    if (!providerForGeneration || !providerForGeneration.model) {
-        const messageKey = isGptImage2Api(imageApiKind)
-            ? 'msg_gpt_model_missing'
-            : 'msg_banana_model_missing';
-        showGenerateStatus(getText(messageKey), 'error');
+    let inputs;
+    try {
+        inputs = await historyStore.loadInputs(entry);
+    } catch (e) {
+        console.error('[History] Failed to load inputs:', e);
+        showStatus(
+            getText('msg_history_action_failed', { error: e?.message || String(e) }),
+            'error',
+            'historyStatus'
+        );
         return;
     }
 
-    const debugMode = settingsManager.get('debug_mode', false);
-    const mode = generationMode;
-    const selectionMode = settingsManager.get('selection_mode', false);
-    const searchWebMode = settingsManager.get('search_web_mode', false);
-    const multiImageMode = settingsManager.get('multi_image_mode', false);
-    const saveGeneratedImages = settingsManager.get('save_generated_images', false);
+    const sameCanvas = isHistoryCanvas(entry, targetDocument);
+    const region = sameCanvas ? entry.region : null;
+    const generationArea = entry.region || entry.canvas;
+    const request = {
+        targetDocument,
+        prompt: entry.prompt,
+        resolution: entry.resolution,
+        imageApiKind: entry.imageApi,
+        providerForGeneration: { ...provider, model: entry.model },
+        debugMode: settingsManager.get('debug_mode', false),
+        mode: entry.mode,
+        selectionMode: Boolean(region),
+        searchWebMode: entry.searchWeb,
+        multiImageMode: Boolean(inputs.sourceData || inputs.roleImages),
+        saveGeneratedImages: settingsManager.get('save_generated_images', false),
+        variantCount: entry.variantCount || 1,
+        variantImportMode: settingsManager.get('variant_import_mode', 'group'),
+        outpaint: sameCanvas && Boolean(entry.outpaint),
+    };
+    const info = sameCanvas
+        ? entry.canvas
+        : { width: generationArea.width, height: generationArea.height };
+
+    showStatus(getText('msg_history_rerun'), 'info', 'historyStatus');
+    await handleGenerateImage({
+        request,
+        exportData: { info, region, ...inputs },
+        ownsExportData: true,
+        seed: entry.seed ?? null,
+    });
+}
 
-    // 增加任务计数并更新按钮状态
-    activeGenerationCount++;
-    const taskId = ++taskIdCounter; // 为此任务分配唯一ID
-    logTask(`[Task ${taskId}] Started - Active tasks: ${activeGenerationCount}`);
-    updateGeneratingButton();
+async function deleteHistoryEntry(entry) {
+    await historyStore.removeEntry(entry.id);
+    renderHistory();
+}
 
+// 将重新生成的图层移到原图层位置；原图层已被删除时保留在顶层
+async function placeRegeneratedLayer(taskId, regenerateTarget, importResult) {
+    const layerId = importResult.groupId || importResult.layerIds[0];
+    const replaceTarget = regenerateTarget.placement === 'replace';
     try {
-        await settingsManager.set('latest_prompt', prompt);
-
-        showGenerateStatus(getText('msg_getting_canvas_info'), 'info');
-
-        let aspectRatio = '1:1';
-        let canvasInfo = null;
-        let exportedImageData = null;
-        let selectionRegion = null;
-        let sourceImageData = null;
-        let referenceImageData = null;
-
-        try {
-            const exportData = await executeAsModal(
-                async (executionContext) => {
-                    const info = await PSOperations.getCanvasInfo();
-                    let region = null;
-
-                    if (selectionMode) {
-                        const selectionInfo = await PSOperations.getSelectionInfo();
-                        if (selectionInfo && selectionInfo.hasSelection) {
-                            region = PSOperations.calculateGenerationRegion(
-                                selectionInfo.bounds,
-                                info.width,
-                                info.height,
-                                imageApiKind
-                            );
-                            // 在 executeAsModal 内部，先保存到临时变量，稍后记录到日志
-                        }
-                    }
-
-                    let imageData = null;
-                    let sourceData = null;
-                    let referenceData = null;
-                    const maxSize = settingsManager.get('export_max_size', 2048);
-                    const quality = settingsManager.get('export_quality', 80);
-
-                    if (mode === 'imgedit' && multiImageMode) {
-                        const { sourceGroup, referenceGroup } =
-                            await PSOperations.findSourceReferenceGroups();
-
-                        const missingGroups = [];
-                        if (!sourceGroup) missingGroups.push('Source');
-                        if (!referenceGroup) missingGroups.push('Reference');
-
-                        if (missingGroups.length > 0) {
-                            throw new Error(
-                                `Missing required layer groups: ${missingGroups.join(' / ')}`
-                            );
-                        }
-
-                        const sourceResult = await PSOperations.exportGroupAsWebP(
-                            sourceGroup,
-                            maxSize,
-                            quality,
-                            executionContext,
-                            region
-                        );
-                        sourceData = await fileManager.fileToBase64(sourceResult.file);
-                        // Only delete if debug mode is OFF
-                        if (!debugMode) {
-                            try {
-                                await sourceResult.file.delete();
-                                console.log(
-                                    `[Cleanup] Deleted temporary source file: ${sourceResult.file.nativePath}`
-                                );
-                            } catch (e) {
-                                console.error(`[Cleanup] Failed to delete source file:`, e);
-                            }
-                        }
+        await executeAsModal(
+            () =>
+                PSOperations.placeLayerAt(
+                    layerId,
+                    regenerateTarget.layerId,
+                    replaceTarget,
+                    importResult.documentId
+                ),
+            { commandName: 'Place Regenerated Layer' }
+        );
+        logTask(
+            `[Task ${taskId}] ${replaceTarget ? 'Replaced' : 'Stacked above'} layer: ${regenerateTarget.layerName}`
+        );
+    } catch (e) {
+        logTask(`[Task ${taskId}] Failed to place regenerated layer: ${e?.message || String(e)}`);
+        showGenerateStatus(
+            getText('msg_regenerate_target_missing', { layer: regenerateTarget.layerName }),
+            'info'
+        );
+    }
+}
 
-                        const referenceResult = await PSOperations.exportGroupAsWebP(
-                            referenceGroup,
-                            maxSize,
-                            quality,
-                            executionContext,
-                            region
-                        );
-                        referenceData = await fileManager.fileToBase64(referenceResult.file);
-                        // Only delete if debug mode is OFF
-                        if (!debugMode) {
-                            try {
-                                await referenceResult.file.delete();
-                                console.log(
-                                    `[Cleanup] Deleted temporary reference file: ${referenceResult.file.nativePath}`
-                                );
-                            } catch (e) {
-                                console.error(`[Cleanup] Failed to delete reference file:`, e);
-                            }
-                        }
-                    } else if (mode === 'imgedit') {
-                        const exportResult = await PSOperations.exportVisibleLayersAsWebP(
-                            maxSize,
-                            quality,
-                            executionContext,
-                            region
-                        );
-                        imageData = await fileManager.fileToBase64(exportResult.file);
-                        // Only delete if debug mode is OFF
-                        if (!debugMode) {
-                            try {
-                                await exportResult.file.delete();
-                                console.log(
-                                    `[Cleanup] Deleted temporary export file: ${exportResult.file.nativePath}`
-                                );
-                            } catch (e) {
-                                console.error(`[Cleanup] Failed to delete export file:`, e);
-                            }
-                        }
-                    }
+// 扩图结果移到原图层下方，只填充原图周围的新区域；失败时保留在顶层
+async function placeOutpaintLayer(taskId, importResult) {
+    const layerId = importResult.groupId || importResult.layerIds[0];
+    try {
+        await executeAsModal(
+            () => PSOperations.moveLayerToBottom(layerId, importResult.documentId),
+            { commandName: 'Place Outpaint Layer' }
+        );
+        logTask(`[Task ${taskId}] Moved outpaint result below the original layers`);
+    } catch (e) {
+        logTask(`[Task ${taskId}] Failed to move outpaint result: ${e?.message || String(e)}`);
+    }
+}
 
-                    return { info, imageData, region, sourceData, referenceData };
-                },
-                { commandName: 'Get Canvas Info and Export' }
-            );
+/**
+ * 读取选中图层的生成参数，恢复到生成页并显示确认面板
+ */
+async function handleRegenerateLayer() {
+    const doc = app.activeDocument;
+    if (!doc) {
+        showGenerateStatus(getText('msg_open_document_first'), 'error');
+        return;
+    }
 
-            canvasInfo = exportData.info;
-            exportedImageData = exportData.imageData;
-            selectionRegion = exportData.region;
-            sourceImageData = exportData.sourceData;
-            referenceImageData = exportData.referenceData;
+    const layer = doc.activeLayers[0];
+    if (!layer) {
+        showGenerateStatus(getText('msg_select_layer_first'), 'error');
+        return;
+    }
 
-            // 记录选区信息到日志文件
-            if (selectionRegion) {
-                logTask(
-                    `[Task ${taskId}] Captured selection region: ${JSON.stringify(selectionRegion)}`
-                );
-                aspectRatio = selectionRegion.aspectRatio;
-            } else {
-                logTask(`[Task ${taskId}] No selection, using full canvas`);
-                aspectRatio = calculateAspectRatio(
-                    canvasInfo.width,
-                    canvasInfo.height,
-                    imageApiKind
-                );
-            }
-        } catch (e) {
-            console.error('Failed to get canvas info or export:', e);
-            throw e;
-        }
+    const metadata = await PSOperations.getLayerGenerationMetadata(layer.id);
+    if (!metadata) {
+        showGenerateStatus(getText('msg_layer_no_metadata', { layer: layer.name }), 'error');
+        return;
+    }
+    console.log(`[UI] Restoring generation settings from layer ${layer.name}:`, metadata);
 
-        const modeText = mode === 'imgedit' ? getText('radio_imgedit') : getText('radio_text2img');
+    const providerRestored = await restoreGenerationSettings(metadata);
+    if (!providerRestored) {
         showGenerateStatus(
-            getText('msg_generating_image', {
-                mode: modeText,
-                resolution: resolution,
-                ratio: aspectRatio,
-            }),
+            getText('msg_history_provider_missing', { provider: metadata.provider }),
             'info'
         );
+    }
 
-        if (isGptImage2Api(imageApiKind)) {
-            resolveGptImage2Size(resolution, aspectRatio);
-        }
-
-        const imageFile = await imageGenerator.generate({
-            prompt,
-            provider: providerForGeneration,
-            imageApiKind,
-            aspectRatio,
-            resolution,
-            debugMode,
-            mode: mode,
-            searchWeb: searchWebMode,
-            inputImage: exportedImageData,
-            sourceImage: sourceImageData,
-            referenceImage: referenceImageData,
-        });
-
-        if (!imageFile || !imageFile.nativePath) {
-            throw new Error('Image generation returned invalid file object');
-        }
+    regenerateTarget = {
+        documentId: doc.id,
+        layerId: layer.id,
+        layerName: layer.name,
+        region: metadata.region || null,
+    };
+    renderRegeneratePanel();
+}
 
-        const fs = require('uxp').storage.localFileSystem;
-        const imageToken = fs.createSessionToken(imageFile);
+/**
+ * 将 prompt、provider、Image API、分辨率与模式恢复到生成页
+ * @returns {Promise<boolean>} provider 是否仍然存在
+ */
+async function restoreGenerationSettings(metadata) {
+    document.getElementById('promptInput').value = metadata.prompt || '';
+
+    const providerExists = Boolean(providerManager.getProvider(metadata.provider));
+    if (providerExists) {
+        updateProviderDropdown(metadata.provider);
+        loadProviderConfig(metadata.provider);
+        await settingsManager.set('selected_provider', metadata.provider);
+    }
 
-        showGenerateStatus(getText('msg_importing_image'), 'info');
+    if (metadata.imageApi) {
+        setDropdownValue(document.getElementById('imageApiSelect'), metadata.imageApi);
+        await setSelectedImageApiKind(metadata.imageApi);
+    }
+    if (metadata.resolution) {
+        setDropdownValue(document.getElementById('resolutionSelect'), metadata.resolution);
+        await settingsManager.set('generation_resolution', metadata.resolution);
+    }
+    if (metadata.mode) {
+        applyGenerationMode(metadata.mode);
+        await settingsManager.set('generation_mode', metadata.mode);
+    }
+    if (metadata.seed !== null && metadata.seed !== undefined) {
+        // random 模式下仍使用新的 seed；切换到 fixed 即可复现原图层
+        document.getElementById('inputSeed').value = String(metadata.seed);
+        await settingsManager.set('seed_value', String(metadata.seed));
+    }
+    return providerExists;
+}
 
-        // 在 executeAsModal 外部记录导入信息
-        if (selectionRegion) {
-            logTask(`[Task ${taskId}] Importing with region: ${JSON.stringify(selectionRegion)}`);
-        } else {
-            logTask(`[Task ${taskId}] Importing without region (full canvas)`);
-        }
+function renderRegeneratePanel() {
+    const panel = document.getElementById('regeneratePanel');
+    if (!regenerateTarget) {
+        panel.classList.add('hidden');
+        return;
+    }
 
-        // Ensure we are in the correct document
-        const targetDocumentId = targetDocument.id;
-        logTask(
-            `[Task ${taskId}] Target document ID: ${targetDocumentId}, Current active: ${app.activeDocument?.id}`
-        );
+    const { region, layerName } = regenerateTarget;
+    document.getElementById('regenerateInfo').textContent = getText('label_regenerate_target', {
+        layer: layerName,
+        region: region
+            ? `${region.width}×${region.height} @ (${region.left}, ${region.top})`
+            : getText('label_full_canvas'),
+    });
+    panel.classList.remove('hidden');
+}
 
-        const layerName = await executeAsModal(
-            async (executionContext) => {
-                if (selectionRegion) {
-                    return await PSOperations.importImageInRegion(
-                        imageToken,
-                        selectionRegion,
-                        executionContext,
-                        targetDocumentId
-                    );
-                } else {
-                    return await PSOperations.importImageByToken(
-                        imageToken,
-                        executionContext,
-                        targetDocumentId
-                    );
-                }
-            },
-            { commandName: 'Import Generated Image' }
-        );
+/**
+ * 使用生成页当前参数重新生成，结果放在原图层的区域与图层位置
+ * @param {string} placement - replace 替换原图层 / stack 叠加在原图层上方
+ */
+async function confirmRegenerateLayer(placement) {
+    const target = regenerateTarget;
+    if (!target) return;
 
-        logTask(`[Task ${taskId}] Completed successfully - Layer: ${layerName}`);
-        showGenerateStatus(getText('msg_complete', { layer: layerName }), 'success');
+    const request = collectGenerationRequest();
+    if (!request) return;
 
-        // Cleanup generated file if not debugging and not configured to save
-        if (!debugMode && !saveGeneratedImages) {
-            try {
-                await imageFile.delete();
-                console.log(`[Cleanup] Deleted generated image file: ${imageFile.nativePath}`);
-                logTask(`[Cleanup] Deleted generated image file`);
-            } catch (e) {
-                console.error(`[Cleanup] Failed to delete generated image:`, e);
-            }
-        }
-    } catch (e) {
-        logTask(`[Task ${taskId}] Generation failed: ${e?.message || String(e)}`);
-        const errorMessage = e?.message || String(e) || 'Unknown error';
+    if (request.targetDocument.id !== target.documentId) {
+        showGenerateStatus(getText('msg_regenerate_document_changed'), 'error');
+        return;
+    }
 
-        if (debugMode) {
-            try {
-                const errorLog = `=== Error Log ===
-Time: ${new Date().toISOString()}
-Task ID: ${taskId}
-Error: ${errorMessage}
-Stack: ${e?.stack || 'N/A'}`;
-                await fileManager.saveLog(errorLog);
-            } catch (logError) {
-                console.error('Failed to save error log:', logError);
-            }
-        }
+    regenerateTarget = null;
+    renderRegeneratePanel();
+    await handleGenerateImage({
+        request: { ...request, regenerateTarget: { ...target, placement } },
+    });
+}
 
-        showGenerateStatus(getText('msg_generation_failed', { error: errorMessage }), 'error');
-    } finally {
-        // 减少任务计数并更新按钮状态
-        logTask(`[Task ${taskId}] Finished - Remaining active tasks: ${activeGenerationCount - 1}`);
-        activeGenerationCount--;
-        updateGeneratingButton();
-    }
+function cancelRegenerateLayer() {
+    regenerateTarget = null;
+    renderRegeneratePanel();
 }
 
 function promptUser(message, defaultValue = '') {
@@ -1259,7 +3515,7 @@ async function handleTestImport() {
         const regionText = selectionMode ? ' (Selection Mode)' : '';
         showGenerateStatus(`📥 Importing image${regionText}...`, 'info');
 
-        const layerName = await executeAsModal(
+        const { layerName } = await executeAsModal(
             async () => {
                 let region = null;
                 if (selectionMode) {
@@ -1336,27 +3592,18 @@ async function handleTestExport() {
                 }
 
                 if (multiImageMode && generationMode === 'imgedit') {
-                    const { sourceGroup, referenceGroup } =
-                        await PSOperations.findSourceReferenceGroups();
-                    const results = { mode: 'multi' };
+                    const roleGroups = await PSOperations.findRoleGroups();
+                    const results = { mode: 'multi', groups: [] };
 
-                    if (sourceGroup) {
-                        results.source = await PSOperations.exportGroupAsWebP(
-                            sourceGroup,
-                            maxSize,
-                            quality,
-                            executionContext,
-                            region
-                        );
-                    }
-                    if (referenceGroup) {
-                        results.reference = await PSOperations.exportGroupAsWebP(
-                            referenceGroup,
+                    for (const { group, label } of roleGroups) {
+                        const result = await PSOperations.exportGroupAsWebP(
+                            group,
                             maxSize,
                             quality,
                             executionContext,
                             region
                         );
+                        results.groups.push({ label, result });
                     }
                     return results;
                 } else {
@@ -1376,12 +3623,11 @@ async function handleTestExport() {
 
         if (exportResults.mode === 'multi') {
             let message = `✅ Multi-image export successful${regionText}!\n`;
-            if (exportResults.source)
-                message += `Source: ${exportResults.source.width}x${exportResults.source.height}\n`;
-            if (exportResults.reference)
-                message += `Reference: ${exportResults.reference.width}x${exportResults.reference.height}`;
-            if (!exportResults.source && !exportResults.reference)
-                message = `⚠️ Source/Reference groups not found`;
+            message += exportResults.groups
+                .map(({ label, result }) => `${label}: ${result.width}x${result.height}`)
+                .join('\n');
+            if (exportResults.groups.length === 0)
+                message = `⚠️ Role layer groups not found (Reference / Style / Character / Pose / Source / Mask)`;
             showGenerateStatus(message, 'success');
         } else {
             const result = exportResults.result;
@@ -1498,6 +3744,8 @@ function updateLanguage(lang) {
     // Update tabs
     document.getElementById('labelTabGenerate').textContent = getText('tab_generate');
     document.getElementById('labelTabSettings').textContent = getText('tab_settings');
+    document.getElementById('labelTabHistory').textContent = getText('tab_history');
+    renderHistory();
 
     // Update Generate tab
     document.getElementById('labelPromptPresets').textContent = getText('label_prompt_presets');
@@ -1516,10 +3764,53 @@ function updateLanguage(lang) {
     document.getElementById('labelResolution').textContent = getText('label_resolution');
     document.getElementById('resolutionSelect').placeholder = getText('placeholder_select');
     document.getElementById('btnSmartCanvasRatio').textContent = getText('btn_smart_ratio');
+    document.getElementById('labelVariantCount').textContent = getText('label_variant_count');
+    document.querySelector('#variantImportSelect sp-menu-item[value="group"]').textContent =
+        getText('option_variant_import_group');
+    document.querySelector('#variantImportSelect sp-menu-item[value="pick"]').textContent = getText(
+        'option_variant_import_pick'
+    );
+    document.getElementById('labelBatchCount').textContent = getText('label_batch_count');
+    document.getElementById('labelSeed').textContent = getText('label_seed');
+    document.getElementById('inputSeed').placeholder = getText('placeholder_seed');
+    for (const mode of SEED_MODES) {
+        document.querySelector(`#seedModeSelect sp-menu-item[value="${mode}"]`).textContent =
+            getText(`option_seed_${mode}`);
+    }
     document.getElementById('searchWebCheckbox').textContent = getText('checkbox_search_web');
     document.getElementById('selectionModeCheckbox').textContent =
         getText('checkbox_selection_mode');
+    document.getElementById('inpaintMaskCheckbox').textContent = getText('checkbox_inpaint_mask');
+    document.getElementById('maskResultCheckbox').textContent = getText('checkbox_mask_result');
+    document.getElementById('labelResultMaskExpand').textContent = getText(
+        'label_result_mask_expand'
+    );
+    document.getElementById('labelResultMaskFeather').textContent = getText(
+        'label_result_mask_feather'
+    );
     document.getElementById('btnGenerate').textContent = getText('btn_generate');
+    document.getElementById('btnRegenerateLayer').textContent = getText('btn_regenerate_layer');
+    document.getElementById('btnRegenerateReplace').textContent = getText('btn_regenerate_replace');
+    document.getElementById('btnRegenerateStack').textContent = getText('btn_regenerate_stack');
+    document.getElementById('btnRegenerateCancel').textContent = getText('dialog_cancel');
+    renderRegeneratePanel();
+    document.getElementById('labelOutpaint').textContent = getText('label_outpaint');
+    for (const direction of OUTPAINT_DIRECTIONS) {
+        document.querySelector(
+            `#outpaintDirectionSelect sp-menu-item[value="${direction}"]`
+        ).textContent = getText(`option_outpaint_${direction}`);
+    }
+    document.getElementById('inputOutpaintAmount').placeholder = getText(
+        'placeholder_outpaint_amount'
+    );
+    updateOutpaintRatioOptions();
+    document.getElementById('btnOutpaint').textContent = getText('btn_outpaint');
+    document.getElementById('labelUpscale').textContent = getText('label_upscale');
+    document.querySelector('#upscaleFactorSelect sp-menu-item[value="1"]').textContent =
+        getText('option_upscale_refine');
+    document.getElementById('inputTileOverlap').placeholder = getText('placeholder_tile_overlap');
+    document.getElementById('btnTiledUpscale').textContent = getText('btn_tiled_upscale');
+    renderTaskPanel();
     document.getElementById('radioText2Img').textContent = getText('radio_text2img');
     document.getElementById('radioImgEdit').textContent = getText('radio_imgedit');
     document.getElementById('multiImageModeCheckbox').textContent =
@@ -1535,9 +3826,19 @@ function updateLanguage(lang) {
     const btnAddProvider = document.getElementById('btnAddProvider');
     if (btnAddProvider) btnAddProvider.textContent = getText('btn_add');
     document.getElementById('btnSaveProvider').textContent = getText('btn_save');
+    document.getElementById('btnDuplicateProvider').textContent = getText('btn_duplicate');
     const btnDeleteProvider = document.getElementById('btnDeleteProvider');
     if (btnDeleteProvider) btnDeleteProvider.textContent = getText('btn_del');
     document.getElementById('btnTestConnection').textContent = getText('btn_test_connection');
+    document.getElementById('btnFetchModels').textContent = getText('btn_fetch_models');
+    updateApiKeyStorageHint(currentProvider);
+    document.getElementById('diagnosticsDryRunCheckbox').textContent = getText(
+        'label_diagnostics_dry_run'
+    );
+    document.getElementById('bananaModelSelect').placeholder = getText('placeholder_select_model');
+    document.getElementById('gptImage2ModelSelect').placeholder = getText(
+        'placeholder_select_model'
+    );
     document.getElementById('labelApiKey').textContent = getText('label_api_key');
     document.getElementById('inputApiKey').placeholder = getText('placeholder_api_key');
     document.getElementById('labelBaseUrl').textContent = getText('label_base_url');
@@ -1552,9 +3853,53 @@ function updateLanguage(lang) {
     document.getElementById('inputGptImage2ModelId').placeholder = getText(
         'placeholder_gpt_image_2_model_id'
     );
+    document.getElementById('labelProviderType').textContent = getText('label_provider_type');
+    document.getElementById('labelBackupApiKeys').textContent = getText('label_backup_api_keys');
+    document.getElementById('labelOrganization').textContent = getText('label_organization');
+    document.getElementById('labelProject').textContent = getText('label_project');
+    document.getElementById('labelAuthType').textContent = getText('label_auth_type');
+    document.getElementById('labelBasePath').textContent = getText('label_base_path');
+    document.getElementById('labelEndpointGenerate').textContent =
+        getText('label_endpoint_generate');
+    document.getElementById('labelEndpointGptImage2Generate').textContent = getText(
+        'label_endpoint_gpt_image_2_generate'
+    );
+    document.getElementById('labelEndpointGptImage2Edit').textContent = getText(
+        'label_endpoint_gpt_image_2_edit'
+    );
+    document.getElementById('labelEndpointTest').textContent = getText('label_endpoint_test');
     document.getElementById('labelExportSettings').textContent = getText('label_export_settings');
     document.getElementById('labelMaxSize').textContent = getText('label_max_size');
     document.getElementById('labelQuality').textContent = getText('label_quality');
+    document.getElementById('labelNetworkSettings').textContent = getText('label_network_settings');
+    document.getElementById('labelConfigBundle').textContent = getText('label_config_bundle');
+    document.getElementById('exportApiKeysCheckbox').textContent = getText('label_export_api_keys');
+    document.getElementById('btnExportConfig').textContent = getText('btn_export_config');
+    document.getElementById('btnImportConfig').textContent = getText('btn_import_config');
+    document.getElementById('labelHistoryMaxEntries').textContent = getText(
+        'label_history_max_entries'
+    );
+    document.getElementById('labelRetryAttempts').textContent = getText('label_retry_attempts');
+    document.getElementById('labelRetryBaseDelay').textContent = getText('label_retry_base_delay');
+    document.getElementById('labelBananaTimeout').textContent = getText('label_banana_timeout');
+    document.getElementById('labelGptImage2Timeout').textContent = getText(
+        'label_gpt_image_2_timeout'
+    );
+    document.getElementById('labelProviderTimeout').textContent = getText('label_provider_timeout');
+    document.getElementById('inputProviderTimeout').placeholder = getText(
+        'placeholder_provider_timeout'
+    );
+    document.getElementById('labelProviderRpmLimit').textContent = getText(
+        'label_provider_rpm_limit'
+    );
+    document.getElementById('inputProviderRpmLimit').placeholder = getText(
+        'placeholder_provider_rpm_limit'
+    );
+    document.getElementById('labelMaxConcurrentTasks').textContent = getText(
+        'label_max_concurrent_tasks'
+    );
+    document.getElementById('labelProxyUrl').textContent = getText('label_proxy_url');
+    document.getElementById('labelCustomHeaders').textContent = getText('label_custom_headers');
     document.getElementById('debugModeCheckbox').textContent = getText('checkbox_debug_mode');
     document.getElementById('labelLogPath').textContent = getText('label_log_path');
     document.getElementById('debugFolderPath').placeholder = getText('placeholder_log_path');
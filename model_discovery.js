@@ -0,0 +1,92 @@
+/**
+ * 模型列表发现
+ * 解析 provider 的 /models 响应（Gemini 原生、OpenAI 风格、OpenRouter 三种格式），
+ * 筛选出可生成图像的模型，供 Settings 页的模型下拉框使用。
+ */
+const { BANANA_IMAGE_API, GPT_IMAGE_2_API } = require('./aspect_ratio');
+
+// 按模型 ID 判断是否为图像模型（OpenAI 风格列表不提供模态信息）
+const IMAGE_MODEL_PATTERN = /image|imagen|banana|dall-e|seedream|flux|qwen-image/i;
+// GPT Image 2 接口（/images/generations）只接受 OpenAI 图像模型
+const GPT_IMAGE_MODEL_PATTERN = /gpt-image|dall-e/i;
+
+/**
+ * 将 /models 响应统一为 { id, name, imageCapable } 列表
+ * - Gemini: { models: [{ name: 'models/xxx', displayName, supportedGenerationMethods }] }
+ * - OpenAI: { data: [{ id, object: 'model' }] }
+ * - OpenRouter: { data: [{ id, name, architecture: { output_modalities: ['image', 'text'] } }] }
+ * @param {Object} data
+ * @returns {Array<{id: string, name: string, imageCapable: boolean}>}
+ */
+function parseModelList(data) {
+    if (!data || typeof data !== 'object') return [];
+
+    if (Array.isArray(data.models)) {
+        return data.models
+            .filter((model) => model && model.name)
+            .map((model) => {
+                const id = String(model.name).replace(/^models\//, '');
+                const methods = model.supportedGenerationMethods || [];
+                return {
+                    id,
+                    name: model.displayName || id,
+                    imageCapable:
+                        IMAGE_MODEL_PATTERN.test(id) &&
+                        (methods.length === 0 ||
+                            methods.includes('generateContent') ||
+                            methods.includes('predict')),
+                };
+            });
+    }
+
+    const items = Array.isArray(data.data) ? data.data : Array.isArray(data) ? data : [];
+    return items
+        .filter((model) => model && model.id)
+        .map((model) => {
+            const outputModalities = model.architecture?.output_modalities;
+            return {
+                id: String(model.id),
+                name: model.name || String(model.id),
+                imageCapable: Array.isArray(outputModalities)
+                    ? outputModalities.includes('image')
+                    : IMAGE_MODEL_PATTERN.test(model.id),
+            };
+        });
+}
+
+/**
+ * 筛选某个图像 API 可用的模型 ID（去重并排序）
+ * @param {Array} models - parseModelList 的结果
+ * @param {string} imageApi - BANANA_IMAGE_API / GPT_IMAGE_2_API
+ * @returns {string[]}
+ */
+function filterModelsForImageApi(models, imageApi) {
+    const ids = models
+        .filter((model) => model.imageCapable)
+        .map((model) => model.id)
+        .filter((id) => {
+            const isGptImageModel = GPT_IMAGE_MODEL_PATTERN.test(id);
+            if (imageApi === GPT_IMAGE_2_API) return isGptImageModel;
+            if (imageApi === BANANA_IMAGE_API) return !isGptImageModel;
+            return true;
+        });
+    return [...new Set(ids)].sort();
+}
+
+/**
+ * 下拉框选项：发现的模型在前，已保存但不在列表中的模型也保留
+ * @param {string[]} modelIds
+ * @param {string} savedModel
+ * @returns {string[]}
+ */
+function buildModelOptions(modelIds, savedModel) {
+    const saved = String(savedModel || '').trim();
+    if (!saved || modelIds.includes(saved)) return [...modelIds];
+    return [saved, ...modelIds];
+}
+
+module.exports = {
+    parseModelList,
+    filterModelsForImageApi,
+    buildModelOptions,
+};
@@ -2,6 +2,155 @@
  * 网络请求客户端
  * 优先使用 fetch，失败后自动回退到 XMLHttpRequest，以兼容部分 UXP 运行时的网络差异。
  */
+const { KEY_ROTATION_STATUSES, parseRetryAfter } = require('./api_key_pool');
+const { redactUrls } = require('./redaction');
+
+/**
+ * 默认重试策略：只请求一次。生成请求由调用方传入 SettingsManager.getRetryPolicy() 的配置
+ * - maxAttempts: 总尝试轮数（含首次）
+ * - baseDelayMs / maxDelayMs: 指数退避的起始与上限
+ * - jitter: 随机抖动比例，0.3 表示在 ±30% 内浮动
+ * - retryStatuses: 视为暂时性错误的状态码
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    jitter: 0.3,
+    retryStatuses: [429, 500, 502, 503, 504],
+};
+
+// 未指定 timeout 时 fetch 与 XHR 共用的默认超时；生成请求由调用方按 provider / 图像 API 传入
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * 全局网络配置，由 SettingsManager.getNetworkConfig() 通过 configureNetwork 写入
+ * - proxyUrl: 转发网关地址。包含 {url} 时替换为编码后的原始 URL，否则将原始 URL 拼接在其后
+ * - headers: 附加到每个请求的自定义请求头（请求自身的同名请求头优先）
+ * 本地地址（localhost / 127.0.0.1，如 ComfyUI）不经过代理
+ */
+const networkConfig = {
+    proxyUrl: '',
+    headers: {},
+};
+
+function configureNetwork(config = {}) {
+    networkConfig.proxyUrl = String(config.proxyUrl || '').trim();
+    networkConfig.headers = { ...(config.headers || {}) };
+    console.log(
+        `[Network] Proxy: ${networkConfig.proxyUrl || 'none'}, custom headers: ${
+            Object.keys(networkConfig.headers).length
+        }`
+    );
+}
+
+/**
+ * 解析 "Name: value" 形式的多行请求头文本，忽略空行与 # 开头的注释
+ * @param {string} text
+ * @returns {Object}
+ */
+function parseHeaderLines(text) {
+    const headers = {};
+    for (const line of String(text || '').split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+
+        const separatorIndex = trimmed.indexOf(':');
+        if (separatorIndex <= 0) continue;
+        const name = trimmed.slice(0, separatorIndex).trim();
+        const value = trimmed.slice(separatorIndex + 1).trim();
+        if (name) headers[name] = value;
+    }
+    return headers;
+}
+
+function isLocalUrl(url) {
+    return /^(https?|wss?):\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/i.test(url);
+}
+
+/**
+ * 按全局代理配置改写请求地址
+ * @param {string} url
+ * @returns {string}
+ */
+function applyProxy(url) {
+    const proxyUrl = networkConfig.proxyUrl;
+    if (!proxyUrl || !/^https?:\/\//i.test(url) || isLocalUrl(url) || url.startsWith(proxyUrl)) {
+        return url;
+    }
+    if (proxyUrl.includes('{url}')) {
+        return proxyUrl.replace('{url}', encodeURIComponent(url));
+    }
+    return `${proxyUrl.replace(/\/+$/, '')}/${url}`;
+}
+
+/**
+ * 创建超时错误。与取消错误区分：幂等请求超时后可以按重试策略重试；
+ * 超时说明服务端可能仍在处理，POST 等非幂等请求不会重试，也不会切换到另一种传输方式或候选 URL 重发
+ */
+function createTimeoutError(timeout) {
+    const error = new Error(`Request timeout after ${timeout}ms`);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+function isTimeoutError(error) {
+    return Boolean(error) && error.name === 'TimeoutError';
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// 非幂等请求（如提交生成任务）超时或连接中断后，请求体可能已经送达，重发可能导致重复计费
+function isResendableAfterTransportError(options) {
+    return IDEMPOTENT_METHODS.includes((options.method || 'GET').toUpperCase());
+}
+
+/**
+ * 创建取消错误，与 fetch 被 AbortSignal 中断时的错误保持同名
+ * @param {string} message
+ * @returns {Error}
+ */
+function createAbortError(message = 'Request aborted') {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+}
+
+/**
+ * 可被 AbortSignal 中断的等待
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
 /**
  * 将 ArrayBuffer 解码为文本
@@ -103,11 +252,23 @@ function requestWithXhr(url, options = {}) {
             return;
         }
 
+        const signal = options.signal || null;
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
         const xhr = new globalThis.XMLHttpRequest();
         const method = options.method || 'GET';
         const headers = options.headers || {};
-        const timeout = options.timeout || 60000;
+        // timeout 为 0 表示不限时，用于耗时较长的生成请求
+        const timeout = options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT_MS;
         const responseType = options.responseType || '';
+        const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+        const onAbort = () => xhr.abort();
+        const cleanup = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
 
         xhr.open(method, url, true);
         xhr.timeout = timeout;
@@ -121,59 +282,224 @@ function requestWithXhr(url, options = {}) {
             xhr.setRequestHeader(key, value);
         }
 
-        xhr.onload = () => resolve(new XhrResponse(xhr, responseType));
-        xhr.onerror = () => reject(new Error('XHR network error'));
-        xhr.ontimeout = () => reject(new Error(`XHR timeout after ${timeout}ms`));
-        xhr.onabort = () => reject(new Error('XHR request aborted'));
+        xhr.onload = () => {
+            cleanup();
+            resolve(new XhrResponse(xhr, responseType));
+        };
+        xhr.onerror = () => {
+            cleanup();
+            reject(new Error('XHR network error'));
+        };
+        xhr.ontimeout = () => {
+            cleanup();
+            reject(createTimeoutError(timeout));
+        };
+        xhr.onabort = () => {
+            cleanup();
+            reject(createAbortError('XHR request aborted'));
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
         const body = options.body === undefined ? null : options.body;
+        if (onProgress) {
+            if (body !== null && xhr.upload) {
+                xhr.upload.onprogress = (event) =>
+                    onProgress({
+                        phase: 'uploading',
+                        loaded: event.loaded,
+                        total: event.lengthComputable ? event.total : 0,
+                    });
+                // 上传完成后进入等待服务端处理阶段
+                xhr.upload.onload = () => onProgress({ phase: 'waiting' });
+            }
+            xhr.onprogress = (event) =>
+                onProgress({
+                    phase: 'downloading',
+                    loaded: event.loaded,
+                    total: event.lengthComputable ? event.total : 0,
+                });
+        }
+
         if (body instanceof Uint8Array) {
             xhr.send(body.buffer);
             return;
         }
 
         xhr.send(body);
+        if (onProgress && (body === null || !xhr.upload)) {
+            onProgress({ phase: 'waiting' });
+        }
     });
 }
 
+function buildNetworkError(url, options, fetchError, xhrError) {
+    const errorParts = [];
+    if (fetchError) {
+        errorParts.push(`fetch: ${fetchError.message}`);
+    }
+    if (xhrError) {
+        errorParts.push(`xhr: ${xhrError.message}`);
+    }
+
+    const combinedError = new Error(`Network request failed (${errorParts.join('; ')})`);
+    combinedError.fetchError = fetchError;
+    combinedError.xhrError = xhrError;
+    combinedError.url = url;
+    combinedError.method = options.method || 'GET';
+    return combinedError;
+}
+
+// fetch Response 读取响应体的方法，超时需要覆盖到读取完成为止
+const FETCH_BODY_METHODS = ['arrayBuffer', 'json', 'text', 'blob'];
+
+/**
+ * 带超时的 fetch：超时后中断请求并抛出 TimeoutError，外部取消信号仍按 AbortError 处理
+ * 与 XHR 的 timeout 一致，超时覆盖整个传输过程：计时持续到响应体读取完成
+ */
+async function fetchWithTimeout(url, options, timeout) {
+    if (!timeout || typeof AbortController !== 'function') {
+        return await fetch(url, options);
+    }
+
+    const outerSignal = options.signal || null;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const cleanup = () => {
+        clearTimeout(timer);
+        if (outerSignal) outerSignal.removeEventListener('abort', onAbort);
+    };
+    if (outerSignal) outerSignal.addEventListener('abort', onAbort, { once: true });
+
+    let response;
+    try {
+        response = await fetch(url, { ...options, signal: controller.signal });
+    } catch (e) {
+        cleanup();
+        if (timedOut) {
+            throw createTimeoutError(timeout);
+        }
+        throw e;
+    }
+
+    const bodyMethods = FETCH_BODY_METHODS.filter(
+        (method) => typeof response[method] === 'function'
+    );
+    if (bodyMethods.length === 0) {
+        cleanup();
+    }
+    for (const method of bodyMethods) {
+        const read = response[method].bind(response);
+        response[method] = async (...args) => {
+            try {
+                return await read(...args);
+            } catch (e) {
+                if (timedOut) {
+                    throw createTimeoutError(timeout);
+                }
+                throw e;
+            } finally {
+                cleanup();
+            }
+        };
+    }
+    return response;
+}
+
 /**
- * 统一网络请求入口
+ * 统一网络请求入口，会附加全局自定义请求头并按全局代理改写地址
  * @param {string} url
- * @param {Object} options
+ * @param {Object} options - fetch 选项，另支持 timeout 与 onProgress
+ * @param {number} [options.timeout] - 超时毫秒数（包括读取响应体），fetch 与 XHR 共用，0 表示不限时，默认 60 秒
+ * @param {Function} [options.onProgress] - 进度回调，参数为
+ *   { phase: 'uploading' | 'waiting' | 'downloading', loaded, total }，total 未知时为 0
  * @returns {Promise<Response|XhrResponse>}
  */
 async function request(url, options = {}) {
     let fetchError = null;
+    throwIfAborted(options.signal);
+    const { onProgress, timeout: requestTimeout, ...rest } = options;
+    const timeout = requestTimeout !== undefined ? requestTimeout : DEFAULT_TIMEOUT_MS;
+    const fetchOptions = {
+        ...rest,
+        headers: { ...networkConfig.headers, ...(rest.headers || {}) },
+    };
+    const xhrOptions = { ...fetchOptions, timeout, onProgress };
+    const targetUrl = applyProxy(url);
+
+    // 需要进度时优先使用 XHR（fetch 无法报告上传进度），失败后回退到 fetch
+    if (typeof onProgress === 'function' && typeof globalThis.XMLHttpRequest === 'function') {
+        try {
+            return await requestWithXhr(targetUrl, xhrOptions);
+        } catch (xhrError) {
+            // 超时说明服务端仍在处理，换传输方式只会重复提交
+            if (isAbortError(xhrError) || isTimeoutError(xhrError)) {
+                throw xhrError;
+            }
+            console.warn(
+                `[Network] XHR failed for ${options.method || 'GET'} ${redactUrls(url)}:`,
+                xhrError
+            );
+
+            try {
+                onProgress({ phase: 'waiting' });
+                return await fetchWithTimeout(targetUrl, fetchOptions, timeout);
+            } catch (e) {
+                if (isAbortError(e) || (options.signal && options.signal.aborted)) {
+                    throw createAbortError();
+                }
+                if (isTimeoutError(e)) {
+                    throw e;
+                }
+                throw buildNetworkError(url, options, e, xhrError);
+            }
+        }
+    }
 
     if (typeof fetch === 'function') {
         try {
-            return await fetch(url, options);
+            return await fetchWithTimeout(targetUrl, fetchOptions, timeout);
         } catch (e) {
+            // 用户取消或超时时不再回退到 XHR
+            if (isAbortError(e) || (options.signal && options.signal.aborted)) {
+                throw createAbortError();
+            }
+            if (isTimeoutError(e)) {
+                throw e;
+            }
             fetchError = e;
-            console.warn(`[Network] fetch failed for ${options.method || 'GET'} ${url}:`, e);
+            console.warn(
+                `[Network] fetch failed for ${options.method || 'GET'} ${redactUrls(url)}:`,
+                e
+            );
         }
     }
 
     try {
-        console.warn(`[Network] retrying with XMLHttpRequest for ${options.method || 'GET'} ${url}`);
-        return await requestWithXhr(url, options);
+        console.warn(
+            `[Network] retrying with XMLHttpRequest for ${options.method || 'GET'} ${redactUrls(url)}`
+        );
+        return await requestWithXhr(targetUrl, xhrOptions);
     } catch (xhrError) {
-        const errorParts = [];
-        if (fetchError) {
-            errorParts.push(`fetch: ${fetchError.message}`);
+        if (isAbortError(xhrError)) {
+            throw xhrError;
         }
-        errorParts.push(`xhr: ${xhrError.message}`);
-
-        const combinedError = new Error(`Network request failed (${errorParts.join('; ')})`);
-        combinedError.fetchError = fetchError;
-        combinedError.xhrError = xhrError;
-        combinedError.url = url;
-        combinedError.method = options.method || 'GET';
-        throw combinedError;
+        throw buildNetworkError(url, options, fetchError, xhrError);
     }
 }
 
-async function requestAny(urls, options = {}) {
+/**
+ * 依次尝试候选 URL，直到某个响应被接受
+ * @param {string|string[]} urls
+ * @param {Object} options
+ * @returns {Promise<{response, url, attempts}>}
+ */
+async function requestAnyUrl(urls, options = {}) {
     const candidates = [...new Set((Array.isArray(urls) ? urls : [urls]).filter(Boolean))];
     const { shouldAcceptResponse, ...requestOptions } = options;
     const attempts = [];
@@ -188,14 +514,24 @@ async function requestAny(urls, options = {}) {
                     message: `HTTP ${response.status} ${response.statusText || ''}`.trim(),
                 });
                 lastError = new Error(`Rejected response from ${url}: HTTP ${response.status}`);
+                lastError.status = response.status;
+                lastError.retryAfter = response.headers?.get?.('retry-after') || null;
                 continue;
             }
             return { response, url, attempts };
         } catch (error) {
+            if (isAbortError(error)) {
+                error.attempts = attempts;
+                throw error;
+            }
             attempts.push({
                 url,
                 message: error && error.message ? error.message : String(error),
             });
+            if (!isResendableAfterTransportError(requestOptions)) {
+                error.attempts = attempts;
+                throw error;
+            }
             lastError = error;
         }
     }
@@ -208,7 +544,147 @@ async function requestAny(urls, options = {}) {
     throw new Error('No request URL candidates available');
 }
 
+/**
+ * 计算第 attempt 次重试前的等待时间
+ * 服务端给出 Retry-After 时优先使用（不超过 maxDelayMs），否则按指数退避并加入抖动
+ * @param {Object} policy
+ * @param {number} attempt - 已失败的轮数，从 1 开始
+ * @param {number|null} retryAfterMs
+ * @param {Function} random
+ * @returns {number} 毫秒
+ */
+function computeRetryDelay(policy, attempt, retryAfterMs = null, random = Math.random) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+        return Math.min(retryAfterMs, policy.maxDelayMs);
+    }
+
+    const exponentialDelay = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+    const jitterFactor = 1 + policy.jitter * (random() * 2 - 1);
+    return Math.max(0, Math.round(exponentialDelay * jitterFactor));
+}
+
+/**
+ * 单轮请求：依次尝试 URL，传入 apiKeys 时启用 key 轮换
+ * 响应为 401/403/429 且还有下一把 key 时，换 key 重新尝试全部候选 URL
+ */
+async function requestAnyOnce(urls, options = {}) {
+    const { apiKeys, buildRequestForKey, onKeyRejected, ...requestOptions } = options;
+    if (!Array.isArray(apiKeys) || apiKeys.length === 0 || !buildRequestForKey) {
+        return await requestAnyUrl(urls, requestOptions);
+    }
+
+    const attempts = [];
+    for (let i = 0; i < apiKeys.length; i++) {
+        const apiKey = apiKeys[i];
+        const keyRequest = buildRequestForKey(apiKey);
+        let result;
+
+        try {
+            result = await requestAnyUrl(keyRequest.urls, {
+                ...requestOptions,
+                headers: keyRequest.headers,
+            });
+        } catch (error) {
+            // 网络层错误与 key 无关，不再轮换
+            error.attempts = [...attempts, ...(error.attempts || [])];
+            throw error;
+        }
+
+        attempts.push(...result.attempts);
+        const { response, url } = result;
+        if (!KEY_ROTATION_STATUSES.includes(response.status)) {
+            return { response, url, attempts, apiKey };
+        }
+
+        if (typeof onKeyRejected === 'function') {
+            onKeyRejected(apiKey, response);
+        }
+        if (i === apiKeys.length - 1) {
+            return { response, url, attempts, apiKey };
+        }
+
+        attempts.push({
+            url,
+            message: `HTTP ${response.status}, rotating to API key #${i + 2}`,
+        });
+    }
+
+    throw new Error('No API key candidates available');
+}
+
+/**
+ * 统一的多候选请求入口
+ * 每轮尝试全部候选 URL（及 key），遇到暂时性错误（retryStatuses 或网络错误）时按重试策略等待后再来一轮；
+ * 非幂等请求超时或网络错误后直接失败，不再重发；
+ * 每次失败与重试都会记录到 attempts 中
+ * @param {string|string[]} urls - 未启用 key 轮换时的候选 URL
+ * @param {Object} options
+ * @param {string[]} [options.apiKeys] - 有序 key 列表
+ * @param {Function} [options.buildRequestForKey] - (apiKey) => { urls, headers }
+ * @param {Function} [options.onKeyRejected] - (apiKey, response) => void，用于记录冷却
+ * @param {Object} [options.retry] - 重试策略，字段见 DEFAULT_RETRY_POLICY
+ * @param {AbortSignal} [options.signal] - 取消信号，中断当前请求与重试等待
+ * @returns {Promise<{response, url, attempts, apiKey}>}
+ */
+async function requestAny(urls, options = {}) {
+    const { retry, ...onceOptions } = options;
+    const policy = { ...DEFAULT_RETRY_POLICY, ...(retry || {}) };
+    const maxAttempts = Math.max(1, Math.floor(policy.maxAttempts) || 1);
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+        let result = null;
+        let error = null;
+
+        try {
+            result = await requestAnyOnce(urls, onceOptions);
+        } catch (e) {
+            error = e;
+        }
+
+        // 没有任何 attempts 的异常（如没有候选 URL）不是网络问题，重试无意义
+        const roundAttempts = result ? result.attempts : error.attempts || [];
+        attempts.push(...roundAttempts);
+
+        const status = result ? result.response.status : error.status;
+        const transportFailed = !result && status === undefined && roundAttempts.length > 0;
+        const retryable =
+            !isAbortError(error) &&
+            (policy.retryStatuses.includes(status) ||
+                (transportFailed && isResendableAfterTransportError(onceOptions)));
+
+        if (!retryable || attempt >= maxAttempts) {
+            if (result) {
+                return { ...result, attempts };
+            }
+            error.attempts = attempts;
+            throw error;
+        }
+
+        const retryAfter = result
+            ? result.response.headers?.get?.('retry-after')
+            : error.retryAfter;
+        const delayMs = computeRetryDelay(policy, attempt, parseRetryAfter(retryAfter));
+        const reason = status ? `HTTP ${status}` : error.message;
+        const message = `${reason}, retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxAttempts})`;
+        attempts.push({ url: result ? result.url : error.url || null, attempt, message });
+        console.warn(`[Network] ${message}`);
+        await delay(delayMs, onceOptions.signal);
+    }
+}
+
 module.exports = {
+    DEFAULT_RETRY_POLICY,
+    DEFAULT_TIMEOUT_MS,
+    configureNetwork,
+    parseHeaderLines,
+    applyProxy,
+    computeRetryDelay,
+    createAbortError,
+    isAbortError,
+    isTimeoutError,
+    throwIfAborted,
+    delay,
     request,
     requestAny,
 };
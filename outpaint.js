@@ -0,0 +1,115 @@
+/**
+ * 扩图（Outpaint）
+ * 按方向与像素数，或按目标比例扩展画布，计算原图在新画布中的位置与需要保留的区域。
+ * 新增区域（以及与原图交界处 overlap 像素的过渡带）作为重绘蒙版交给当前 Image API 的编辑接口生成。
+ */
+
+const OUTPAINT_DIRECTIONS = ['all', 'left', 'right', 'top', 'bottom'];
+// 蒙版向原图内侧延伸的像素，使生成内容与原图自然衔接
+const DEFAULT_OUTPAINT_OVERLAP = 16;
+
+// 扩展量在两侧均分时保持为偶数，避免 Photoshop 居中扩展时的取整与计算结果不一致
+function splitExtra(extra, startSide, endSide, direction) {
+    if (direction === startSide) return { extra, before: extra };
+    if (direction === endSide) return { extra, before: 0 };
+    const even = extra + (extra % 2);
+    return { extra: even, before: even / 2 };
+}
+
+function getAnchor(offset, extra) {
+    if (offset === 0) return 'start';
+    if (offset === extra) return 'end';
+    return 'middle';
+}
+
+/**
+ * 计算扩图后的画布
+ * @param {Object} options
+ * @param {number} options.width - 当前画布宽度
+ * @param {number} options.height - 当前画布高度
+ * @param {string} [options.direction='all'] - all / left / right / top / bottom
+ * @param {number} [options.amount=0] - 扩展的像素数（all 时四边各扩展该值）
+ * @param {number|null} [options.ratio=null] - 目标宽高比，设置后忽略 amount，只扩展需要变长的一边
+ * @param {number} [options.overlap] - 保留区域在新增区域一侧内缩的像素
+ * @returns {{width: number, height: number, offsetX: number, offsetY: number,
+ *   anchor: {horizontal: string, vertical: string}, keepRect: Object, changed: boolean}}
+ *   anchor 为原图在新画布中的位置（start / middle / end），keepRect 为不重绘的原图区域
+ */
+function calculateOutpaintPlan({
+    width,
+    height,
+    direction = 'all',
+    amount = 0,
+    ratio = null,
+    overlap = DEFAULT_OUTPAINT_OVERLAP,
+}) {
+    let extraX = 0;
+    let extraY = 0;
+    let offsetX = 0;
+    let offsetY = 0;
+
+    if (ratio) {
+        const currentRatio = width / height;
+        if (currentRatio < ratio) {
+            const split = splitExtra(
+                Math.round(height * ratio) - width,
+                'left',
+                'right',
+                direction
+            );
+            extraX = split.extra;
+            offsetX = split.before;
+        } else if (currentRatio > ratio) {
+            const split = splitExtra(
+                Math.round(width / ratio) - height,
+                'top',
+                'bottom',
+                direction
+            );
+            extraY = split.extra;
+            offsetY = split.before;
+        }
+    } else {
+        const pixels = Math.max(0, Math.round(amount) || 0);
+        if (direction === 'all' || direction === 'left' || direction === 'right') {
+            extraX = direction === 'all' ? pixels * 2 : pixels;
+            offsetX = direction === 'right' ? 0 : pixels;
+        }
+        if (direction === 'all' || direction === 'top' || direction === 'bottom') {
+            extraY = direction === 'all' ? pixels * 2 : pixels;
+            offsetY = direction === 'bottom' ? 0 : pixels;
+        }
+    }
+
+    const newWidth = width + extraX;
+    const newHeight = height + extraY;
+
+    // 只在与新增区域相邻的边内缩，内缩量不超过原图的 1/4
+    const insetX = Math.min(overlap, Math.floor(width / 4));
+    const insetY = Math.min(overlap, Math.floor(height / 4));
+    const keepRect = {
+        left: offsetX + (offsetX > 0 ? insetX : 0),
+        top: offsetY + (offsetY > 0 ? insetY : 0),
+        right: offsetX + width - (offsetX + width < newWidth ? insetX : 0),
+        bottom: offsetY + height - (offsetY + height < newHeight ? insetY : 0),
+    };
+
+    return {
+        width: newWidth,
+        height: newHeight,
+        offsetX,
+        offsetY,
+        anchor: {
+            horizontal: getAnchor(offsetX, extraX),
+            vertical: getAnchor(offsetY, extraY),
+        },
+        keepRect,
+        changed: extraX > 0 || extraY > 0,
+    };
+}
+
+module.exports = {
+    OUTPAINT_DIRECTIONS,
+    DEFAULT_OUTPAINT_OVERLAP,
+    calculateOutpaintPlan,
+};
@@ -127,6 +127,22 @@ class PresetManager {
         }
         return { success: false, message: 'Preset not found.' };
     }
+
+    /**
+     * Import presets from a config bundle, 同名预设覆盖提示词，其余追加
+     */
+    async importPresets(presets) {
+        for (const { name, prompt } of presets) {
+            const preset = this.presets.find((p) => p.name === name);
+            if (preset) {
+                preset.prompt = prompt;
+            } else {
+                this.presets.push({ name, prompt });
+            }
+        }
+        await this.save();
+        return { success: true, message: `Imported ${presets.length} presets.` };
+    }
 }
 
 module.exports = { PresetManager };
@@ -1,7 +1,12 @@
-const { app } = require('photoshop');
+const { app, constants } = require('photoshop');
 const { batchPlay } = require('photoshop').action;
 const fs = require('uxp').storage.localFileSystem;
 const { BANANA_IMAGE_API, getAspectRatiosForImageApi } = require('./aspect_ratio');
+const { buildXmpPacket, parseXmpPacket } = require('./generation_metadata');
+const { getRoleDefinition, parseRoleGroupName, sortByRole } = require('./layer_roles');
+
+// 导出重绘蒙版时临时保存选区的通道名称（导出后随历史记录回滚删除）
+const MASK_CHANNEL_NAME = 'PS Banana Mask';
 
 /**
  * Photoshop operations for image generation
@@ -213,6 +218,7 @@ class PSOperations {
     /**
      * Get the next available BananaImage layer name
      * Returns: BananaImage00, BananaImage01, etc.
+     * 会检查组内图层（多候选图导入后位于 Variants 组中）
      */
     static getNextLayerName() {
         try {
@@ -222,17 +228,21 @@ class PSOperations {
             }
 
             let maxNumber = -1;
-            const layers = doc.layers;
-
-            for (const layer of layers) {
-                if (layer.name.startsWith('BananaImage')) {
-                    const numberPart = layer.name.substring(11); // After "BananaImage"
-                    const num = parseInt(numberPart, 10);
-                    if (!isNaN(num) && num > maxNumber) {
-                        maxNumber = num;
+            const visit = (layers) => {
+                for (const layer of layers) {
+                    if (layer.name.startsWith('BananaImage')) {
+                        const numberPart = layer.name.substring(11); // After "BananaImage"
+                        const num = parseInt(numberPart, 10);
+                        if (!isNaN(num) && num > maxNumber) {
+                            maxNumber = num;
+                        }
+                    }
+                    if (layer.kind === 'group' && layer.layers) {
+                        visit(layer.layers);
                     }
                 }
-            }
+            };
+            visit(doc.layers);
 
             const nextNumber = maxNumber + 1;
             return `BananaImage${nextNumber.toString().padStart(2, '0')}`;
@@ -330,8 +340,15 @@ class PSOperations {
      * @param {string} token - File session token (直接用于 batchPlay)
      * @param {Object} executionContext - Context from executeAsModal
      * @param {number} targetDocumentId - Optional target document ID to import into
+     * @param {Object} metadata - 可选的生成参数，写入图层 XMP
+     * @returns {Promise<{layerName: string, layerId: number}>}
      */
-    static async importImageByToken(token, executionContext = null, targetDocumentId = null) {
+    static async importImageByToken(
+        token,
+        executionContext = null,
+        targetDocumentId = null,
+        metadata = null
+    ) {
         let suspensionID = null;
         try {
             // Validate input
@@ -407,12 +424,16 @@ class PSOperations {
             // Resize to canvas size
             await this.resizeLayerToCanvas(newLayer);
 
+            if (metadata) {
+                await this.setLayerGenerationMetadata(newLayer.id, metadata);
+            }
+
             // Commit history
             if (suspensionID !== null && executionContext && executionContext.hostControl) {
                 await executionContext.hostControl.resumeHistory(suspensionID, true);
             }
 
-            return layerName;
+            return { layerName, layerId: newLayer.id };
         } catch (e) {
             // Rollback history on error
             if (suspensionID !== null && executionContext && executionContext.hostControl) {
@@ -434,12 +455,15 @@ class PSOperations {
      * @param {Object} region - 生图区域 {left, top, width, height}
      * @param {Object} executionContext - Context from executeAsModal
      * @param {number} targetDocumentId - Optional target document ID to import into
+     * @param {Object} metadata - 可选的生成参数，写入图层 XMP
+     * @returns {Promise<{layerName: string, layerId: number}>}
      */
     static async importImageInRegion(
         token,
         region,
         executionContext = null,
-        targetDocumentId = null
+        targetDocumentId = null,
+        metadata = null
     ) {
         let suspensionID = null;
         try {
@@ -512,12 +536,16 @@ class PSOperations {
             // 调整图层到区域大小和位置
             await this.resizeLayerToRegion(newLayer, region);
 
+            if (metadata) {
+                await this.setLayerGenerationMetadata(newLayer.id, metadata);
+            }
+
             // Commit history
             if (suspensionID !== null && executionContext && executionContext.hostControl) {
                 await executionContext.hostControl.resumeHistory(suspensionID, true);
             }
 
-            return layerName;
+            return { layerName, layerId: newLayer.id };
         } catch (e) {
             // Rollback history on error
             if (suspensionID !== null && executionContext && executionContext.hostControl) {
@@ -529,6 +557,376 @@ class PSOperations {
         }
     }
 
+    /**
+     * 将生成参数写入图层 XMP 元数据，失败时只记录警告，不影响导入
+     * 必须在executeAsModal中调用
+     * @param {number} layerId - 图层 ID
+     * @param {Object} metadata - createGenerationMetadata() 的结果
+     */
+    static async setLayerGenerationMetadata(layerId, metadata) {
+        try {
+            await batchPlay(
+                [
+                    {
+                        _obj: 'set',
+                        _target: [
+                            { _ref: 'property', _property: 'metadata' },
+                            { _ref: 'layer', _id: layerId },
+                        ],
+                        to: {
+                            _obj: 'metadata',
+                            layerXMP: buildXmpPacket(metadata),
+                        },
+                    },
+                ],
+                {
+                    synchronousExecution: true,
+                    modalBehavior: 'wait',
+                }
+            );
+            console.log(`[PS] Wrote generation metadata to layer ${layerId}`);
+        } catch (e) {
+            console.warn(`[PS] Failed to write layer metadata for layer ${layerId}:`, e);
+        }
+    }
+
+    /**
+     * 读取图层 XMP 中的生成参数
+     * @param {number} layerId - 图层 ID
+     * @returns {Promise<Object|null>} - 不是本插件生成的图层时返回 null
+     */
+    static async getLayerGenerationMetadata(layerId) {
+        try {
+            const result = await batchPlay(
+                [
+                    {
+                        _obj: 'get',
+                        _target: [
+                            { _property: 'metadata' },
+                            { _ref: 'layer', _id: layerId },
+                        ],
+                    },
+                ],
+                {
+                    synchronousExecution: false,
+                }
+            );
+            return parseXmpPacket(result[0]?.metadata?.layerXMP);
+        } catch (e) {
+            console.warn(`[PS] Failed to read layer metadata for layer ${layerId}:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * 按 ID 查找已打开的文档，documentId 为 null 时返回当前文档
+     * @param {number|null} documentId
+     * @returns {Document|null}
+     */
+    static getDocumentById(documentId = null) {
+        if (documentId === null || documentId === undefined) {
+            return app.activeDocument || null;
+        }
+        for (const doc of app.documents) {
+            if (doc.id === documentId) return doc;
+        }
+        return null;
+    }
+
+    /**
+     * 在指定文档（默认当前文档）中按 ID 查找图层（包括组内图层）
+     * @param {number} layerId
+     * @param {number|null} [documentId] - 目标文档 ID，任务执行期间用户可能切换了当前文档
+     * @returns {Layer|null}
+     */
+    static findLayerById(layerId, documentId = null) {
+        const doc = this.getDocumentById(documentId);
+        if (!doc) return null;
+
+        const search = (layers) => {
+            for (const layer of layers) {
+                if (layer.id === layerId) return layer;
+                if (layer.layers) {
+                    const found = search(layer.layers);
+                    if (found) return found;
+                }
+            }
+            return null;
+        };
+        return search(doc.layers);
+    }
+
+    /**
+     * 设置图层可见性
+     * 必须在executeAsModal中调用
+     * @returns {boolean|null} - 修改前是否可见，图层不存在时返回 null
+     */
+    static setLayerVisibility(layerId, visible) {
+        const layer = this.findLayerById(layerId);
+        if (!layer) return null;
+
+        const wasVisible = layer.visible;
+        layer.visible = visible;
+        return wasVisible;
+    }
+
+    /**
+     * 将新导入的图层（或候选图组）移动到目标图层的位置：放在目标图层正上方，替换模式下删除目标图层
+     * 必须在executeAsModal中调用
+     * @param {number} layerId - 导入的图层或图层组 ID
+     * @param {number} targetLayerId - 目标图层 ID
+     * @param {boolean} replaceTarget - 是否删除目标图层
+     * @param {number|null} [documentId] - 两个图层所在的文档 ID
+     */
+    static placeLayerAt(layerId, targetLayerId, replaceTarget = false, documentId = null) {
+        if (!this.getDocumentById(documentId)) {
+            throw new Error(`Document not found: ${documentId}`);
+        }
+
+        const layer = this.findLayerById(layerId, documentId);
+        const target = this.findLayerById(targetLayerId, documentId);
+        if (!layer || !target) {
+            throw new Error(`Layer not found: ${!layer ? layerId : targetLayerId}`);
+        }
+
+        layer.move(target, constants.ElementPlacement.PLACEBEFORE);
+        console.log(`[PS] Moved ${layer.name} above layer ${target.name}`);
+
+        if (replaceTarget) {
+            const targetName = target.name;
+            target.delete();
+            console.log(`[PS] Deleted replaced layer: ${targetName}`);
+        }
+    }
+
+    /**
+     * 将图层（或图层组）移到文档最底层，扩图时让生成的内容位于原图层下方
+     * 必须在executeAsModal中调用
+     * @param {number} layerId - 文档顶层的图层或图层组 ID
+     * @param {number|null} [documentId] - 图层所在的文档 ID
+     */
+    static moveLayerToBottom(layerId, documentId = null) {
+        const doc = this.getDocumentById(documentId);
+        if (!doc) {
+            throw new Error(`Document not found: ${documentId}`);
+        }
+
+        const layer = this.findLayerById(layerId, documentId);
+        if (!layer) {
+            throw new Error(`Layer not found: ${layerId}`);
+        }
+
+        let bottomLayer = null;
+        for (const item of doc.layers) {
+            bottomLayer = item;
+        }
+        if (bottomLayer && bottomLayer.id !== layer.id) {
+            layer.move(bottomLayer, constants.ElementPlacement.PLACEAFTER);
+            console.log(`[PS] Moved ${layer.name} to the bottom of the document`);
+        }
+    }
+
+    /**
+     * 选中矩形以外的全部区域（扩图时需要生成的部分）
+     * 必须在executeAsModal中调用
+     * @param {Object} rect - 保留的矩形 {left, top, right, bottom}
+     */
+    static async selectOutsideRect(rect) {
+        await batchPlay(
+            [
+                {
+                    _obj: 'set',
+                    _target: [{ _ref: 'channel', _property: 'selection' }],
+                    to: {
+                        _obj: 'rectangle',
+                        top: { _unit: 'pixelsUnit', _value: rect.top },
+                        left: { _unit: 'pixelsUnit', _value: rect.left },
+                        bottom: { _unit: 'pixelsUnit', _value: rect.bottom },
+                        right: { _unit: 'pixelsUnit', _value: rect.right },
+                    },
+                },
+                { _obj: 'inverse' },
+            ],
+            {
+                synchronousExecution: true,
+                modalBehavior: 'wait',
+            }
+        );
+    }
+
+    /**
+     * 取消选区
+     * 必须在executeAsModal中调用
+     */
+    static async clearSelection() {
+        await batchPlay(
+            [
+                {
+                    _obj: 'set',
+                    _target: [{ _ref: 'channel', _property: 'selection' }],
+                    to: { _enum: 'ordinal', _value: 'none' },
+                },
+            ],
+            {
+                synchronousExecution: true,
+                modalBehavior: 'wait',
+            }
+        );
+    }
+
+    /**
+     * 将当前选区存储为 Alpha 通道，导入生成结果后用于创建图层蒙版
+     * 必须在executeAsModal中调用，且文档中存在选区
+     * @param {string} channelName - 通道名称
+     */
+    static async saveSelectionToChannel(channelName) {
+        await batchPlay(
+            [
+                {
+                    _obj: 'duplicate',
+                    _target: [{ _ref: 'channel', _property: 'selection' }],
+                    name: channelName,
+                },
+            ],
+            {
+                synchronousExecution: true,
+                modalBehavior: 'wait',
+            }
+        );
+        console.log(`[PS] Selection saved to channel: ${channelName}`);
+    }
+
+    /**
+     * 用通道中保存的选区为图层（或图层组）创建图层蒙版，完成后重新载入原选区
+     * 必须在executeAsModal中调用
+     * @param {number} layerId - 图层或图层组 ID
+     * @param {string} channelName - saveSelectionToChannel 保存的通道
+     * @param {Object} [options]
+     * @param {number} [options.expand=0] - 扩展像素，负数为收缩
+     * @param {number} [options.feather=0] - 羽化半径（像素）
+     * @param {number|null} [documentId] - 图层与通道所在的文档 ID，batchPlay 作用于当前文档，会先切换过去
+     */
+    static async applyChannelMaskToLayer(
+        layerId,
+        channelName,
+        { expand = 0, feather = 0 } = {},
+        documentId = null
+    ) {
+        if (documentId !== null) {
+            await this.activateDocumentById(documentId);
+        }
+        const layer = this.findLayerById(layerId, documentId);
+        if (!layer) {
+            throw new Error(`Layer not found: ${layerId}`);
+        }
+
+        const selectionRef = [{ _ref: 'channel', _property: 'selection' }];
+        const loadChannel = {
+            _obj: 'set',
+            _target: selectionRef,
+            to: { _ref: 'channel', _name: channelName },
+        };
+        const commands = [
+            { _obj: 'select', _target: [{ _ref: 'layer', _id: layer.id }], makeVisible: false },
+            loadChannel,
+        ];
+        if (expand !== 0) {
+            commands.push({
+                _obj: expand > 0 ? 'expand' : 'contract',
+                by: { _unit: 'pixelsUnit', _value: Math.abs(expand) },
+                selectionModifyEffectAtCanvasBounds: false,
+            });
+        }
+        if (feather > 0) {
+            commands.push({
+                _obj: 'feather',
+                radius: { _unit: 'pixelsUnit', _value: feather },
+                selectionModifyEffectAtCanvasBounds: false,
+            });
+        }
+        commands.push(
+            {
+                _obj: 'make',
+                new: { _class: 'channel' },
+                at: { _ref: 'channel', _enum: 'channel', _value: 'mask' },
+                using: { _enum: 'userMaskEnabled', _value: 'revealSelection' },
+            },
+            loadChannel
+        );
+
+        await batchPlay(commands, {
+            synchronousExecution: true,
+            modalBehavior: 'wait',
+        });
+        console.log(
+            `[PS] Layer mask added to ${layer.name} from channel ${channelName} (expand: ${expand}, feather: ${feather})`
+        );
+    }
+
+    /**
+     * 删除文档中的 Alpha 通道，通道不存在时忽略
+     * 必须在executeAsModal中调用
+     * @param {string} channelName
+     * @param {number} documentId
+     */
+    static async deleteChannel(channelName, documentId) {
+        try {
+            await batchPlay(
+                [
+                    {
+                        _obj: 'delete',
+                        _target: [
+                            { _ref: 'channel', _name: channelName },
+                            { _ref: 'document', _id: documentId },
+                        ],
+                    },
+                ],
+                {
+                    synchronousExecution: true,
+                    modalBehavior: 'wait',
+                }
+            );
+            console.log(`[PS] Deleted channel: ${channelName}`);
+        } catch (e) {
+            console.warn(`[PS] Failed to delete channel ${channelName}:`, e);
+        }
+    }
+
+    /**
+     * 将已导入的多张候选图层放入同一个图层组
+     * 必须在executeAsModal中调用
+     * @param {number[]} layerIds - 文档顶层的图层 ID（导入后的 BananaImageXX）
+     * @param {string} groupName - 图层组名称
+     * @param {number|null} [documentId] - 图层所在的文档 ID
+     * @returns {Promise<{name: string, id: number}>} - 图层组名称与 ID
+     */
+    static async groupLayers(layerIds, groupName, documentId = null) {
+        try {
+            const doc = this.getDocumentById(documentId);
+            if (!doc) {
+                throw new Error(`Document not found: ${documentId}`);
+            }
+
+            const layers = [];
+            for (const layer of doc.layers) {
+                if (layerIds.includes(layer.id)) {
+                    layers.push(layer);
+                }
+            }
+            if (layers.length === 0) {
+                throw new Error(`Layers not found: ${layerIds.join(', ')}`);
+            }
+
+            const group = await doc.createLayerGroup({ name: groupName, fromLayers: layers });
+            console.log(`[PS] Grouped ${layers.length} layers into: ${group.name}`);
+            return { name: group.name, id: group.id };
+        } catch (e) {
+            console.error('[PS] Error grouping layers:', e);
+            const errorMsg = e.message || String(e) || 'Unknown error';
+            throw new Error(`Failed to group layers: ${errorMsg}`);
+        }
+    }
+
     /**
      * Resize layer to fill canvas
      * Must be called within executeAsModal
@@ -1071,42 +1469,222 @@ class PSOperations {
             throw new Error(`Failed to export visible layers: ${errorMsg}`);
         }
     }
+
     /**
-     * 查找Source和Reference组
+     * 将当前选区（包括羽化）导出为重绘蒙版，与 exportVisibleLayersAsWebP 使用相同的区域与尺寸
+     * - 灰度蒙版：白色为选中（需要重绘）的区域，黑色保持不变，用于 ComfyUI 与 Gemini
+     * - 透明蒙版：选中区域透明，其余为不透明黑色，用于 GPT Image 2 /images/edits 的 mask 字段
+     * 必须在executeAsModal中调用，且文档中存在选区
+     * @param {number} maxSize - 导出图片长边最大长度
+     * @param {Object} executionContext - executeAsModal的执行上下文
+     * @param {Object} region - 可选，需要导出的区域 {left, top, right, bottom, width, height}
+     * @returns {Promise<Object>} - {file, alphaFile, width, height}
+     */
+    static async exportSelectionMask(maxSize = 2048, executionContext = null, region = null) {
+        try {
+            const doc = app.activeDocument;
+            if (!doc) {
+                throw new Error('No active document');
+            }
+
+            const exportSourceWidth = region ? region.width : doc.width;
+            const exportSourceHeight = region ? region.height : doc.height;
+            let exportWidth = exportSourceWidth;
+            let exportHeight = exportSourceHeight;
+            const maxDimension = Math.max(exportSourceWidth, exportSourceHeight);
+            if (maxDimension > maxSize) {
+                const scale = maxSize / maxDimension;
+                exportWidth = Math.round(exportSourceWidth * scale);
+                exportHeight = Math.round(exportSourceHeight * scale);
+            }
+            console.log(`[PS] Exporting selection mask: ${exportWidth}x${exportHeight}`);
+
+            const dataFolder = await fs.getDataFolder();
+            let exportFolder;
+            try {
+                exportFolder = await dataFolder.getEntry('ExportedImages');
+            } catch {
+                exportFolder = await dataFolder.createFolder('ExportedImages');
+            }
+            const timestamp = Date.now();
+            const maskFile = await exportFolder.createFile(`ps_mask_${timestamp}.png`, {
+                overwrite: true,
+            });
+            const alphaFile = await exportFolder.createFile(`ps_mask_alpha_${timestamp}.png`, {
+                overwrite: true,
+            });
+
+            // 挂起历史记录，导出后回滚，文档与选区保持原样
+            let suspensionID = null;
+            if (executionContext && executionContext.hostControl) {
+                suspensionID = await executionContext.hostControl.suspendHistory({
+                    documentID: doc.id,
+                    name: '导出蒙版',
+                });
+            }
+
+            const selectionRef = [{ _ref: 'channel', _property: 'selection' }];
+            const setSelection = (value) => ({
+                _obj: 'set',
+                _target: selectionRef,
+                to: { _enum: 'ordinal', _value: value },
+            });
+            const loadMaskSelection = {
+                _obj: 'set',
+                _target: selectionRef,
+                to: { _ref: 'channel', _name: MASK_CHANNEL_NAME },
+            };
+            const fillWith = (color) => ({
+                _obj: 'fill',
+                using: { _enum: 'fillContents', _value: color },
+                opacity: { _unit: 'percentUnit', _value: 100 },
+                mode: { _enum: 'blendMode', _value: 'normal' },
+            });
+
+            try {
+                // 选区存为通道（随裁切和缩放一起变换），再新建一个不透明的蒙版图层：
+                // 全部填充黑色，选区内填充白色，羽化部分为灰色
+                await batchPlay(
+                    [
+                        { _obj: 'duplicate', _target: selectionRef, name: MASK_CHANNEL_NAME },
+                        setSelection('allEnum'),
+                        { _obj: 'make', _target: [{ _ref: 'layer' }] },
+                    ],
+                    {
+                        synchronousExecution: true,
+                        modalBehavior: 'wait',
+                    }
+                );
+                // 新图层建在当前图层之上（可能在组内），移到文档最顶层，
+                // 展平时不会被上方图层或组的不透明度、混合模式、可见性影响
+                await this.moveLayerToTop(doc.activeLayers[0]);
+                await batchPlay(
+                    [fillWith('black'), loadMaskSelection, fillWith('white'), setSelection('none')],
+                    {
+                        synchronousExecution: true,
+                        modalBehavior: 'wait',
+                    }
+                );
+
+                if (region) {
+                    await doc.crop({
+                        left: region.left,
+                        top: region.top,
+                        right: region.right,
+                        bottom: region.bottom,
+                    });
+                }
+                if (maxDimension > maxSize) {
+                    await doc.resizeImage(exportWidth, exportHeight);
+                }
+
+                // 蒙版图层不透明，展平后只剩蒙版
+                await doc.flatten();
+                await this._savePngCopy(maskFile);
+
+                // 背景层转为普通图层后清除选区内的像素，得到透明蒙版
+                await batchPlay(
+                    [
+                        {
+                            _obj: 'set',
+                            _target: [{ _ref: 'layer', _property: 'background' }],
+                            to: {
+                                _obj: 'layer',
+                                opacity: { _unit: 'percentUnit', _value: 100 },
+                                mode: { _enum: 'blendMode', _value: 'normal' },
+                            },
+                        },
+                        loadMaskSelection,
+                        { _obj: 'delete' },
+                    ],
+                    {
+                        synchronousExecution: true,
+                        modalBehavior: 'wait',
+                    }
+                );
+                await this._savePngCopy(alphaFile);
+
+                console.log(`[PS] Selection mask exported: ${maskFile.nativePath}`);
+                return {
+                    file: maskFile,
+                    alphaFile: alphaFile,
+                    width: exportWidth,
+                    height: exportHeight,
+                };
+            } finally {
+                if (suspensionID !== null && executionContext && executionContext.hostControl) {
+                    await executionContext.hostControl.resumeHistory(suspensionID, false);
+                    console.log('[PS] History rolled back - document restored to original state');
+                }
+            }
+        } catch (e) {
+            console.error('[PS] Error exporting selection mask:', e);
+            const errorMsg = e.message || String(e) || 'Unknown error during export';
+            throw new Error(`Failed to export selection mask: ${errorMsg}`);
+        }
+    }
+
+    /**
+     * 以副本方式将当前文档保存为PNG
+     * 必须在executeAsModal中调用
+     */
+    static async _savePngCopy(file) {
+        await batchPlay(
+            [
+                {
+                    _obj: 'save',
+                    as: {
+                        _obj: 'PNGFormat',
+                        method: { _enum: 'PNGMethod', _value: 'quick' },
+                        PNGInterlaceType: { _enum: 'PNGInterlaceType', _value: 'PNGInterlaceNone' },
+                        PNGFilter: { _enum: 'PNGFilter', _value: 'PNGFilterAdaptive' },
+                        compression: 6,
+                    },
+                    in: {
+                        _path: fs.createSessionToken(file),
+                        _kind: 'local',
+                    },
+                    copy: true,
+                    lowerCase: true,
+                    _isCommand: true,
+                },
+            ],
+            {
+                synchronousExecution: true,
+                modalBehavior: 'wait',
+            }
+        );
+    }
+
+    /**
+     * 查找按名称标记角色的顶层图层组（Reference 1..N、Style、Character、Pose、Source、Mask 等，见 layer_roles.js）
      * 大小写不敏感,只查找顶层组
      * 必须在executeAsModal中调用
-     * @returns {Promise<Object>} - 返回 {sourceGroup, referenceGroup}
+     * @returns {Array<{group: LayerGroup, role: string, index: number, label: string}>} - 按角色顺序排列
      */
-    static findSourceReferenceGroups() {
+    static findRoleGroups() {
         try {
             const doc = app.activeDocument;
             if (!doc) {
                 throw new Error('No active document');
             }
 
-            let sourceGroup = null;
-            let referenceGroup = null;
-
-            // 遍历顶层图层查找Source和Reference组
+            const roleGroups = [];
             for (const layer of doc.layers) {
-                if (layer.kind === 'group') {
-                    const layerName = layer.name.toLowerCase();
-                    if (layerName === 'source') {
-                        sourceGroup = layer;
-                    } else if (layerName === 'reference') {
-                        referenceGroup = layer;
-                    }
+                if (layer.kind !== 'group') continue;
+                const role = parseRoleGroupName(layer.name);
+                if (role) {
+                    roleGroups.push({ group: layer, ...role });
                 }
             }
 
-            console.log(`[PS] Found Source group: ${sourceGroup ? sourceGroup.name : 'None'}`);
+            const sorted = sortByRole(roleGroups);
             console.log(
-                `[PS] Found Reference group: ${referenceGroup ? referenceGroup.name : 'None'}`
+                `[PS] Found role groups: ${sorted.map(({ group, label }) => `${group.name} (${label})`).join(', ') || 'None'}`
             );
-
-            return { sourceGroup, referenceGroup };
+            return sorted;
         } catch (e) {
-            console.error('Error finding source/reference groups:', e);
+            console.error('Error finding role groups:', e);
             throw e;
         }
     }
@@ -1303,6 +1881,7 @@ class PSOperations {
      * 创建或更新Reference和Source图层组并设置颜色
      * Reference组 -> 紫色
      * Source组 -> 绿色
+     * 其它角色组（Style、Character 等）保留，并按角色设置颜色
      * 必须在executeAsModal中调用
      * @returns {Promise<Object>} - 返回创建/更新结果
      */
@@ -1315,20 +1894,10 @@ class PSOperations {
 
             console.log('[PS] Checking for Reference/Source groups...');
 
-            // 查找现有的组
-            let referenceGroup = null;
-            let sourceGroup = null;
-
-            for (const layer of doc.layers) {
-                if (layer.kind === 'group') {
-                    const layerName = layer.name.toLowerCase();
-                    if (layerName === 'reference') {
-                        referenceGroup = layer;
-                    } else if (layerName === 'source') {
-                        sourceGroup = layer;
-                    }
-                }
-            }
+            // 查找现有的组（Reference 1、Reference 2 等都视为已有 Reference 组）
+            const roleGroups = this.findRoleGroups();
+            let referenceGroup = roleGroups.find(({ role }) => role === 'reference')?.group || null;
+            let sourceGroup = roleGroups.find(({ role }) => role === 'source')?.group || null;
 
             let referenceCreated = false;
             let sourceCreated = false;
@@ -1405,6 +1974,27 @@ class PSOperations {
                 }
             );
 
+            // 其它角色组（包括 Reference 2 等）按角色设置颜色
+            for (const { group, role } of roleGroups) {
+                if (group === referenceGroup || group === sourceGroup) continue;
+                await batchPlay(
+                    [
+                        {
+                            _obj: 'set',
+                            _target: [{ _ref: 'layer', _id: group.id }],
+                            to: {
+                                _obj: 'layer',
+                                color: { _enum: 'color', _value: getRoleDefinition(role).color },
+                            },
+                        },
+                    ],
+                    {
+                        synchronousExecution: true,
+                        modalBehavior: 'wait',
+                    }
+                );
+            }
+
             console.log('[PS] Reference/Source groups ready');
 
             return {
@@ -1510,6 +2100,212 @@ class PSOperations {
             throw new Error(`Failed to apply smart canvas ratio: ${errorMsg}`);
         }
     }
+
+    /**
+     * 按扩图计划扩展画布，新增区域保持透明（背景图层先转为普通图层）
+     * 必须在executeAsModal中调用，作为一步历史记录，可直接撤销
+     * @param {Object} plan - calculateOutpaintPlan 的结果
+     * @param {Object} executionContext - executeAsModal的执行上下文
+     */
+    static async extendCanvas(plan, executionContext = null) {
+        try {
+            const doc = app.activeDocument;
+            if (!doc) {
+                throw new Error('No active document');
+            }
+
+            let suspensionID = null;
+            if (executionContext && executionContext.hostControl) {
+                suspensionID = await executionContext.hostControl.suspendHistory({
+                    documentID: doc.id,
+                    name: '扩图',
+                });
+            }
+
+            let succeeded = false;
+            try {
+                if (doc.backgroundLayer) {
+                    await batchPlay(
+                        [
+                            {
+                                _obj: 'set',
+                                _target: [{ _ref: 'layer', _property: 'background' }],
+                                to: {
+                                    _obj: 'layer',
+                                    opacity: { _unit: 'percentUnit', _value: 100 },
+                                    mode: { _enum: 'blendMode', _value: 'normal' },
+                                },
+                            },
+                        ],
+                        {
+                            synchronousExecution: true,
+                            modalBehavior: 'wait',
+                        }
+                    );
+                    console.log('[PS] Background layer converted to a normal layer');
+                }
+
+                const vertical = { start: 'TOP', middle: 'MIDDLE', end: 'BOTTOM' }[
+                    plan.anchor.vertical
+                ];
+                const horizontal = { start: 'LEFT', middle: 'CENTER', end: 'RIGHT' }[
+                    plan.anchor.horizontal
+                ];
+                await doc.resizeCanvas(
+                    plan.width,
+                    plan.height,
+                    constants.AnchorPosition[`${vertical}${horizontal}`]
+                );
+                succeeded = true;
+                console.log(
+                    `[PS] Canvas extended to ${plan.width}x${plan.height} (original at ${plan.offsetX},${plan.offsetY})`
+                );
+            } finally {
+                if (suspensionID !== null && executionContext && executionContext.hostControl) {
+                    // 失败时回滚，保持文档原样
+                    await executionContext.hostControl.resumeHistory(suspensionID, succeeded);
+                }
+            }
+        } catch (e) {
+            console.error('[PS] Error extending canvas:', e);
+            const errorMsg = e.message || String(e) || 'Unknown error';
+            throw new Error(`Failed to extend canvas: ${errorMsg}`);
+        }
+    }
+
+    /**
+     * 按倍数放大整个文档
+     * 必须在executeAsModal中调用
+     * @param {number} factor - 放大倍数
+     * @returns {Promise<number|null>} - 放大后的历史记录 ID，可用 undoHistoryState 撤销
+     */
+    static async resizeDocument(factor) {
+        const doc = app.activeDocument;
+        if (!doc) {
+            throw new Error('No active document');
+        }
+
+        const width = Math.round(doc.width * factor);
+        const height = Math.round(doc.height * factor);
+        await doc.resizeImage(width, height);
+        console.log(`[PS] Document resized ${factor}x to ${width}x${height}`);
+        return doc.activeHistoryState ? doc.activeHistoryState.id : null;
+    }
+
+    /**
+     * 撤销一步操作：文档当前的历史记录仍是 historyStateId 时回到上一步，之后已有其他操作时保持不变
+     * 必须在executeAsModal中调用
+     * @param {number} historyStateId - 需要撤销的历史记录 ID
+     * @param {number} documentId - 文档 ID
+     * @returns {Promise<boolean>} - 是否已撤销
+     */
+    static async undoHistoryState(historyStateId, documentId) {
+        const doc = this.getDocumentById(documentId);
+        if (!doc || !doc.activeHistoryState || doc.activeHistoryState.id !== historyStateId) {
+            console.log(`[PS] History state ${historyStateId} is no longer current, skipping undo`);
+            return false;
+        }
+
+        await this.activateDocumentById(documentId);
+        await batchPlay(
+            [
+                {
+                    _obj: 'select',
+                    _target: [{ _ref: 'historyState', _enum: 'ordinal', _value: 'previous' }],
+                },
+            ],
+            {
+                synchronousExecution: true,
+                modalBehavior: 'wait',
+            }
+        );
+        console.log(`[PS] Undid history state ${historyStateId}`);
+        return true;
+    }
+
+    /**
+     * 拼合分块放大的结果：按分块顺序叠放（后面的分块在上），为有重叠的分块添加羽化蒙版，再放入同一个图层组
+     * 必须在executeAsModal中调用，完成后取消选区
+     * @param {Array<{layerId: number, mask: Object|null}>} tileLayers - 按分块顺序排列，mask 见 calculateTilePlan
+     * @param {string} groupName - 图层组名称
+     * @param {number|null} [documentId] - 分块图层所在的文档 ID，batchPlay 作用于当前文档，会先切换过去
+     * @returns {Promise<string>} - 图层组名称
+     */
+    static async blendTileLayers(tileLayers, groupName, documentId = null) {
+        try {
+            if (documentId !== null) {
+                await this.activateDocumentById(documentId);
+            }
+
+            const layers = new Map();
+            let previous = null;
+            for (const { layerId } of tileLayers) {
+                const layer = this.findLayerById(layerId, documentId);
+                if (!layer) {
+                    throw new Error(`Layer not found: ${layerId}`);
+                }
+                layers.set(layerId, layer);
+                if (previous) {
+                    layer.move(previous, constants.ElementPlacement.PLACEBEFORE);
+                }
+                previous = layer;
+            }
+
+            const selectionRef = [{ _ref: 'channel', _property: 'selection' }];
+            for (const { layerId, mask } of tileLayers) {
+                if (!mask) continue;
+                const layer = layers.get(layerId);
+                await batchPlay(
+                    [
+                        {
+                            _obj: 'select',
+                            _target: [{ _ref: 'layer', _id: layer.id }],
+                            makeVisible: false,
+                        },
+                        {
+                            _obj: 'set',
+                            _target: selectionRef,
+                            to: {
+                                _obj: 'rectangle',
+                                top: { _unit: 'pixelsUnit', _value: mask.top },
+                                left: { _unit: 'pixelsUnit', _value: mask.left },
+                                bottom: { _unit: 'pixelsUnit', _value: mask.bottom },
+                                right: { _unit: 'pixelsUnit', _value: mask.right },
+                            },
+                        },
+                        {
+                            _obj: 'feather',
+                            radius: { _unit: 'pixelsUnit', _value: mask.feather },
+                            selectionModifyEffectAtCanvasBounds: false,
+                        },
+                        {
+                            _obj: 'make',
+                            new: { _class: 'channel' },
+                            at: { _ref: 'channel', _enum: 'channel', _value: 'mask' },
+                            using: { _enum: 'userMaskEnabled', _value: 'revealSelection' },
+                        },
+                    ],
+                    {
+                        synchronousExecution: true,
+                        modalBehavior: 'wait',
+                    }
+                );
+                console.log(`[PS] Feathered tile mask added to ${layer.name}`);
+            }
+            await this.clearSelection();
+
+            const group = await this.groupLayers(
+                tileLayers.map(({ layerId }) => layerId),
+                groupName,
+                documentId
+            );
+            return group.name;
+        } catch (e) {
+            console.error('[PS] Error blending tile layers:', e);
+            const errorMsg = e.message || String(e) || 'Unknown error';
+            throw new Error(`Failed to blend tile layers: ${errorMsg}`);
+        }
+    }
 }
 
 module.exports = { PSOperations };
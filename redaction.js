@@ -0,0 +1,73 @@
+/**
+ * 日志脱敏
+ * 调试日志、payload / response 文件与控制台输出中的 API Key 一律替换为末 4 位掩码。
+ * ProviderManager 在加载/保存时通过 setRedactionSecrets 登记当前所有 key。
+ */
+const { maskApiKey } = require('./api_key_pool');
+
+// 这些请求头的值整体脱敏
+const SENSITIVE_HEADERS = ['authorization', 'x-goog-api-key', 'api-key', 'x-api-key'];
+
+// 过短的值（如 ComfyUI 的占位 key）不登记，避免误替换普通文本
+const MIN_SECRET_LENGTH = 8;
+
+let secrets = [];
+
+/**
+ * 登记需要脱敏的 key（覆盖之前的登记）
+ * @param {string[]} values
+ */
+function setRedactionSecrets(values) {
+    secrets = [...new Set((values || []).filter((v) => v && v.length >= MIN_SECRET_LENGTH))]
+        // 先替换较长的 key，避免一个 key 是另一个 key 前缀时残留
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * 脱敏文本：已登记的 key、Bearer token 与 URL 中的 key 参数
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    let result = text;
+    for (const secret of secrets) {
+        if (result.includes(secret)) {
+            result = result.split(secret).join(maskApiKey(secret));
+        }
+    }
+    return result
+        .replace(/(Bearer\s+)(?!\*{4})[^\s"',]+/gi, '$1****')
+        .replace(/([?&]key=)(?!\*{4})[^&\s"',]+/gi, '$1****');
+}
+
+/**
+ * 返回脱敏后的请求头副本，用于控制台输出
+ * @param {Object} headers
+ * @returns {Object}
+ */
+function redactHeaders(headers) {
+    const result = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+        result[name] = SENSITIVE_HEADERS.includes(name.toLowerCase())
+            ? redactText(String(value)).replace(/^(?!Bearer )(?!\*{4}).+$/i, '****')
+            : redactText(value);
+    }
+    return result;
+}
+
+/**
+ * 脱敏 URL 或 URL 列表
+ * @param {string|string[]} urls
+ */
+function redactUrls(urls) {
+    return Array.isArray(urls) ? urls.map((url) => redactText(url)) : redactText(urls);
+}
+
+module.exports = {
+    setRedactionSecrets,
+    redactText,
+    redactHeaders,
+    redactUrls,
+};
@@ -0,0 +1,90 @@
+/**
+ * 随机种子控制
+ * - random：每次生成使用新的随机 seed
+ * - fixed：每次都使用输入框中的 seed，便于复现
+ * - increment：使用输入框中的 seed，之后自动加上本次使用的数量
+ * 实际使用的 seed 会写入任务日志、生成历史与元数据；provider 不支持 seed 时记录为 null。
+ */
+const { isGptImage2Api } = require('./gpt_image_2');
+
+const SEED_MODES = ['random', 'fixed', 'increment'];
+const DEFAULT_SEED_MODE = 'random';
+// Gemini / Seedream 的 seed 为 32 位有符号整数
+const MAX_SEED = 2147483647;
+
+// 支持 seed 参数的 provider 类型（ImageGenerator._applySeed 按类型写入各自的原生字段）
+const SEED_PROVIDER_TYPES = [
+    'google_official',
+    'yunwu',
+    'gptgod',
+    'openrouter',
+    'seedream',
+    'comfyui',
+];
+
+function createRandomSeed(random = Math.random) {
+    return Math.floor(random() * (MAX_SEED + 1));
+}
+
+/**
+ * 解析输入的 seed，无效时返回 null
+ * @param {*} value
+ * @returns {number|null}
+ */
+function parseSeed(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) return null;
+    return seed;
+}
+
+/**
+ * 按模式决定本次使用的 seed 与输入框中保存的下一个 seed
+ * @param {Object} options
+ * @param {string} options.mode - random / fixed / increment
+ * @param {*} options.value - 输入框中的 seed，fixed / increment 模式下无效时改用随机 seed
+ * @param {number} [options.count=1] - 本次占用的 seed 数量（批量生成时为任务数）
+ * @param {Function} [options.random] - 随机数函数，便于测试
+ * @returns {{seed: number, nextValue: number}}
+ */
+function resolveSeed({ mode, value, count = 1, random = Math.random }) {
+    const parsed = parseSeed(value);
+    if (mode === 'random' || !SEED_MODES.includes(mode) || parsed === null) {
+        const seed = createRandomSeed(random);
+        // random 模式下输入框显示上次使用的 seed，便于切换到 fixed 复现
+        return { seed, nextValue: seed };
+    }
+
+    if (mode === 'increment') {
+        return { seed: parsed, nextValue: (parsed + count) % (MAX_SEED + 1) };
+    }
+    return { seed: parsed, nextValue: parsed };
+}
+
+/**
+ * 批量生成中第 index 个任务的 seed（超过上限时从 0 开始）
+ */
+function offsetSeed(seed, index) {
+    return (seed + index) % (MAX_SEED + 1);
+}
+
+/**
+ * provider 与 Image API 是否支持 seed
+ * @param {string} providerType
+ * @param {string} imageApiKind
+ * @returns {boolean}
+ */
+function isSeedSupported(providerType, imageApiKind) {
+    return !isGptImage2Api(imageApiKind) && SEED_PROVIDER_TYPES.includes(providerType);
+}
+
+module.exports = {
+    SEED_MODES,
+    DEFAULT_SEED_MODE,
+    MAX_SEED,
+    createRandomSeed,
+    parseSeed,
+    resolveSeed,
+    offsetSeed,
+    isSeedSupported,
+};
@@ -1,6 +1,19 @@
 const fs = require('uxp').storage.localFileSystem;
-const { getAllProviderConfigs, getProviderConfig } = require('./api_providers');
-const { requestAny } = require('./network_client');
+const {
+    PROVIDER_CONFIGS,
+    PROVIDER_TYPES,
+    HEADER_PROVIDER_FIELDS,
+    detectProviderType,
+    getAllProviderConfigs,
+    getProviderConfig,
+} = require('./api_providers');
+const { requestAny, parseHeaderLines } = require('./network_client');
+const { parseApiKeys } = require('./api_key_pool');
+const { parseModelList, filterModelsForImageApi } = require('./model_discovery');
+const { runDiagnostics } = require('./connection_diagnostics');
+const { CredentialStore, mergeCredentials, splitCredentials } = require('./credential_store');
+const { setRedactionSecrets } = require('./redaction');
+const { pickImportableSettings, getChangedEndpointFields } = require('./config_bundle');
 const { BANANA_IMAGE_API, GPT_IMAGE_2_API } = require('./aspect_ratio');
 
 class SettingsManager {
@@ -15,7 +28,40 @@ class SettingsManager {
             export_quality: 80,
             selection_mode: true,
             multi_image_mode: false,
+            // 单图编辑时导出选区形状的蒙版，只重绘选中的像素
+            inpaint_mask_mode: false,
+            // 导入结果后按生成时的选区形状添加图层蒙版，扩展（负数为收缩）与羽化单位为像素
+            mask_result_to_selection: false,
+            result_mask_expand: 0,
+            result_mask_feather: 0,
             search_web_mode: false,
+            retry_max_attempts: 3,
+            retry_base_delay_ms: 1000,
+            retry_max_delay_ms: 30000,
+            retry_jitter: 0.3,
+            // 生成请求超时（秒），0 表示不限时；provider_timeouts 按 provider 名称覆盖
+            request_timeouts: {
+                [BANANA_IMAGE_API]: 180,
+                [GPT_IMAGE_2_API]: 300,
+            },
+            provider_timeouts: {},
+            network_proxy_url: '',
+            network_custom_headers: '',
+            // 生成队列：全局并发上限（0 表示不限制）与按 provider 名称的每分钟请求数
+            max_concurrent_tasks: 0,
+            provider_rpm_limits: {},
+            // 生成历史保留的条数，0 表示不记录
+            history_max_entries: 50,
+            // 随机种子：random / fixed / increment，seed_value 为输入框中的 seed
+            seed_mode: 'random',
+            seed_value: '',
+            // 扩图：方向、每边扩展的像素数与目标比例（none 表示按像素数扩展）
+            outpaint_direction: 'all',
+            outpaint_amount: 256,
+            outpaint_ratio: 'none',
+            // 分块放大：放大倍数（1 表示只细化）与相邻分块的最小重叠像素
+            upscale_factor: 2,
+            upscale_tile_overlap: 128,
         };
         this.loaded = false;
     }
@@ -34,7 +80,14 @@ class SettingsManager {
 
             const data = await entry.read();
             const loadedSettings = JSON.parse(data);
-            this.settings = { ...this.settings, ...loadedSettings };
+            this.settings = {
+                ...this.settings,
+                ...loadedSettings,
+                request_timeouts: {
+                    ...this.settings.request_timeouts,
+                    ...(loadedSettings.request_timeouts || {}),
+                },
+            };
             if (!this.settings.selected_image_api) {
                 this.settings.selected_image_api = BANANA_IMAGE_API;
             }
@@ -62,12 +115,112 @@ class SettingsManager {
         this.settings[key] = value;
         await this.save();
     }
+
+    /**
+     * 生成请求的重试策略，传给 requestAny 的 retry 选项
+     */
+    getRetryPolicy() {
+        return {
+            maxAttempts: this.get('retry_max_attempts', 3),
+            baseDelayMs: this.get('retry_base_delay_ms', 1000),
+            maxDelayMs: this.get('retry_max_delay_ms', 30000),
+            jitter: this.get('retry_jitter', 0.3),
+        };
+    }
+
+    /**
+     * 生成请求的超时（毫秒）：provider 覆盖值优先，否则使用图像 API 的默认值
+     * @param {string} providerName
+     * @param {string} imageApi - BANANA_IMAGE_API / GPT_IMAGE_2_API
+     * @returns {number} 0 表示不限时
+     */
+    getRequestTimeout(providerName, imageApi) {
+        const providerTimeouts = this.get('provider_timeouts', {});
+        const requestTimeouts = this.get('request_timeouts', {});
+        const seconds =
+            providerTimeouts[providerName] !== undefined
+                ? providerTimeouts[providerName]
+                : requestTimeouts[imageApi];
+        return Math.max(0, Number(seconds) || 0) * 1000;
+    }
+
+    /**
+     * 设置 provider 的超时覆盖值（秒），传入 null 时恢复为图像 API 的默认值
+     */
+    async setProviderTimeout(providerName, seconds) {
+        const providerTimeouts = { ...this.get('provider_timeouts', {}) };
+        if (seconds === null || seconds === undefined) {
+            delete providerTimeouts[providerName];
+        } else {
+            providerTimeouts[providerName] = seconds;
+        }
+        await this.set('provider_timeouts', providerTimeouts);
+    }
+
+    /**
+     * 设置 provider 的每分钟请求数上限，传入 null 或 0 时不限制
+     */
+    async setProviderRpmLimit(providerName, limit) {
+        const rpmLimits = { ...this.get('provider_rpm_limits', {}) };
+        if (!limit) {
+            delete rpmLimits[providerName];
+        } else {
+            rpmLimits[providerName] = limit;
+        }
+        await this.set('provider_rpm_limits', rpmLimits);
+    }
+
+    /**
+     * 生成队列配置，传给 TaskQueue.configure
+     */
+    getQueueConfig() {
+        return {
+            concurrency: this.get('max_concurrent_tasks', 0),
+            rpmLimits: this.get('provider_rpm_limits', {}),
+        };
+    }
+
+    async setImageApiTimeout(imageApi, seconds) {
+        await this.set('request_timeouts', {
+            ...this.get('request_timeouts', {}),
+            [imageApi]: seconds,
+        });
+    }
+
+    /**
+     * 合并配置包中的设置（需先经 validateConfigBundle 校验），与本机相关的设置（语言、调试模式、代理等）保持不变
+     */
+    async importSettings(settings) {
+        const imported = pickImportableSettings(settings);
+
+        this.settings = {
+            ...this.settings,
+            ...imported,
+            request_timeouts: {
+                ...this.settings.request_timeouts,
+                ...(imported.request_timeouts || {}),
+            },
+        };
+        await this.save();
+        return { success: true, message: `Imported ${Object.keys(imported).length} settings.` };
+    }
+
+    /**
+     * 全局网络配置，传给 network_client.configureNetwork
+     */
+    getNetworkConfig() {
+        return {
+            proxyUrl: this.get('network_proxy_url', ''),
+            headers: parseHeaderLines(this.get('network_custom_headers', '')),
+        };
+    }
 }
 
 class ProviderManager {
     constructor() {
         this.providers = [];
         this.loaded = false;
+        this.credentialStore = new CredentialStore();
     }
 
     _migrateLegacyDefaultModel(config, savedModel) {
@@ -121,6 +274,22 @@ class ProviderManager {
         return savedBaseUrl;
     }
 
+    // 只保留已填写的可选字段（附加请求头、备用 key），避免给每条记录写入空字段
+    _pickOptionalFields(saved) {
+        const fields = {};
+        for (const field of HEADER_PROVIDER_FIELDS) {
+            if (saved[field]) {
+                fields[field] = saved[field];
+            }
+        }
+
+        const backupApiKeys = parseApiKeys(saved.backupApiKeys || []);
+        if (backupApiKeys.length > 0) {
+            fields.backupApiKeys = backupApiKeys;
+        }
+        return fields;
+    }
+
     _buildProviderRecord(config, saved = {}) {
         const migratedBaseUrl = this._migrateLegacyBaseUrl(config, saved.baseUrl);
         const migratedLegacyBananaModel = this._migrateLegacyDefaultModel(config, saved.model);
@@ -141,13 +310,81 @@ class ProviderManager {
 
         return {
             name: config.name,
+            preset: saved.preset || config.id,
+            type: saved.type || config.protocolType,
             apiKey: saved.apiKey || (config.id === 'comfyui' ? 'not-needed' : ''),
             baseUrl: migratedBaseUrl || config.defaultBaseUrl,
             model: models[BANANA_IMAGE_API],
             models,
+            ...this._pickOptionalFields(saved),
+        };
+    }
+
+    /**
+     * 构建用户自定义 provider 记录
+     * type 为协议类型，preset 指向 PROVIDER_CONFIGS 中的内置模板，basePath/endpoints/authType 可单独覆盖
+     */
+    _buildCustomProviderRecord(saved) {
+        const config = PROVIDER_CONFIGS[saved.preset];
+        if (!config) {
+            return null;
+        }
+
+        const savedModels = saved.models || {};
+        const models = {
+            [BANANA_IMAGE_API]:
+                savedModels[BANANA_IMAGE_API] ??
+                saved.model ??
+                config.defaultModels?.[BANANA_IMAGE_API] ??
+                config.defaultModel,
+            [GPT_IMAGE_2_API]:
+                savedModels[GPT_IMAGE_2_API] ?? config.defaultModels?.[GPT_IMAGE_2_API] ?? '',
+        };
+
+        return {
+            name: saved.name,
+            custom: true,
+            preset: config.id,
+            type: PROVIDER_TYPES[saved.type] ? saved.type : config.protocolType,
+            apiKey: saved.apiKey || (config.id === 'comfyui' ? 'not-needed' : ''),
+            baseUrl: saved.baseUrl || config.defaultBaseUrl,
+            basePath: saved.basePath ?? config.basePath ?? '',
+            endpoints: { ...config.endpoints, ...(saved.endpoints || {}) },
+            authType: saved.authType || config.authType,
+            model: models[BANANA_IMAGE_API],
+            models,
+            ...this._pickOptionalFields(saved),
         };
     }
 
+    /**
+     * 旧版 providers.json 没有 type 字段，按名称/URL 推断一次协议并写回，之后只使用显式 type
+     */
+    _migrateLegacyProviderType(saved) {
+        if (saved.type || (!saved.name && !saved.baseUrl)) {
+            return saved;
+        }
+
+        const detectedId = detectProviderType(saved.name, saved.baseUrl);
+        const preset = PROVIDER_CONFIGS[saved.preset] ? saved.preset : detectedId;
+        return { ...saved, preset, type: PROVIDER_CONFIGS[preset].protocolType };
+    }
+
+    _isBuiltInName(name) {
+        return getAllProviderConfigs().some((config) => config.name === name);
+    }
+
+    _validateNewName(name) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            return { success: false, message: 'Provider name is required.' };
+        }
+        if (this.getProvider(trimmedName)) {
+            return { success: false, message: 'Provider name already exists.' };
+        }
+        return { success: true, name: trimmedName };
+    }
+
     async load() {
         try {
             const dataFolder = await fs.getDataFolder();
@@ -163,13 +400,38 @@ class ProviderManager {
             }
 
             const data = await entry.read();
-            const savedProviders = JSON.parse(data);
+            const rawProviders = JSON.parse(data);
+            // providers.json 中的明文 key（旧版本或安全存储不可用时的回退保存）优先，并迁移到安全存储
+            const credentials = await this.credentialStore.load();
+            const savedProviders = rawProviders.map((p) =>
+                mergeCredentials(this._migrateLegacyProviderType(p), credentials[p.name])
+            );
+            const needsTypeMigration = rawProviders.some((p) => !p.type);
+            const needsCredentialMigration = rawProviders.some((p) => this._hasApiKeys(p));
             const defaultConfigs = getAllProviderConfigs();
             this.providers = defaultConfigs.map((config) => {
                 const saved = savedProviders.find((p) => p.name === config.name) || {};
                 return this._buildProviderRecord(config, saved);
             });
 
+            const customProviders = savedProviders
+                .filter((p) => p.custom && !this._isBuiltInName(p.name))
+                .map((p) => this._buildCustomProviderRecord(p))
+                .filter(Boolean);
+            this.providers.push(...customProviders);
+
+            if (needsTypeMigration) {
+                console.log('[Providers] Migrated legacy providers to explicit types');
+            }
+            if (needsCredentialMigration) {
+                console.log('[Providers] Moving plaintext API keys to secure storage');
+            }
+            if (needsTypeMigration || needsCredentialMigration) {
+                await this.save();
+            } else {
+                setRedactionSecrets(this._getAllApiKeys());
+            }
+
             this.loaded = true;
         } catch (e) {
             console.error('Error loading providers:', e);
@@ -177,11 +439,52 @@ class ProviderManager {
         }
     }
 
+    _hasApiKeys(provider) {
+        return Boolean(
+            provider.apiKey || (provider.backupApiKeys && provider.backupApiKeys.length)
+        );
+    }
+
+    // 需要在日志中脱敏的 key，不含 ComfyUI 的占位值
+    _getAllApiKeys() {
+        return this.providers
+            .flatMap((p) => [p.apiKey, ...(p.backupApiKeys || [])])
+            .filter((apiKey) => apiKey && apiKey !== 'not-needed');
+    }
+
+    /**
+     * 保存 providers.json；API Key 写入安全存储，安全存储不可用时才回退为明文保存
+     */
     async save() {
+        setRedactionSecrets(this._getAllApiKeys());
+
+        let records = this.providers;
+        try {
+            const credentials = {};
+            records = this.providers.map((provider) => {
+                const split = splitCredentials(provider);
+                credentials[provider.name] = split.credentials;
+                return split.record;
+            });
+            await this.credentialStore.save(credentials);
+        } catch (e) {
+            console.warn(
+                '[Providers] Secure storage unavailable, keeping API keys in providers.json:',
+                e
+            );
+            // 安全存储读取失败时内存中没有其中的 key：没有 key 的 provider 不写入空值，
+            // 否则下次读取时明文的空值会覆盖安全存储中的 key
+            records = this.credentialStore.readFailed
+                ? this.providers.map((provider) =>
+                      this._hasApiKeys(provider) ? provider : splitCredentials(provider).record
+                  )
+                : this.providers;
+        }
+
         try {
             const dataFolder = await fs.getDataFolder();
             const entry = await dataFolder.createFile('providers.json', { overwrite: true });
-            await entry.write(JSON.stringify(this.providers, null, 4));
+            await entry.write(JSON.stringify(records, null, 4));
         } catch (e) {
             console.error('Error saving providers:', e);
         }
@@ -202,12 +505,67 @@ class ProviderManager {
         return '';
     }
 
-    async updateProvider(originalName, apiKey, baseUrl, bananaModel, gptImage2Model) {
+    /**
+     * 更新 provider 配置
+     * @param {Object|null} protocolSettings -
+     *   {type, organization, project, backupApiKeys, basePath, endpoints, authType}，
+     *   type、organization/project、backupApiKeys 对所有 provider 生效，其余字段仅自定义 provider 使用
+     */
+    async updateProvider(
+        originalName,
+        apiKey,
+        baseUrl,
+        bananaModel,
+        gptImage2Model,
+        protocolSettings = null
+    ) {
         const provider = this.providers.find((p) => p.name === originalName);
         if (provider) {
-            const config = getProviderConfig(originalName, baseUrl);
+            if (protocolSettings && PROVIDER_TYPES[protocolSettings.type]) {
+                provider.type = protocolSettings.type;
+            }
+
+            if (protocolSettings) {
+                for (const field of HEADER_PROVIDER_FIELDS) {
+                    if (protocolSettings[field] === undefined) continue;
+                    const value = (protocolSettings[field] || '').trim();
+                    if (value) {
+                        provider[field] = value;
+                    } else {
+                        delete provider[field];
+                    }
+                }
+
+                if (protocolSettings.backupApiKeys !== undefined) {
+                    const backupApiKeys = parseApiKeys(protocolSettings.backupApiKeys).filter(
+                        (key) => key !== apiKey
+                    );
+                    if (backupApiKeys.length > 0) {
+                        provider.backupApiKeys = backupApiKeys;
+                    } else {
+                        delete provider.backupApiKeys;
+                    }
+                }
+            }
+
+            if (provider.custom && protocolSettings) {
+                const { basePath, endpoints, authType } = protocolSettings;
+                if (basePath !== undefined) {
+                    provider.basePath = basePath;
+                }
+                if (endpoints) {
+                    provider.endpoints = { ...provider.endpoints, ...endpoints };
+                }
+                if (authType) {
+                    provider.authType = authType;
+                }
+            }
+
+            const config = getProviderConfig(originalName, baseUrl, provider);
             provider.apiKey = apiKey;
-            provider.baseUrl = this._migrateLegacyBaseUrl(config, baseUrl) || baseUrl;
+            provider.baseUrl = provider.custom
+                ? baseUrl
+                : this._migrateLegacyBaseUrl(config, baseUrl) || baseUrl;
             provider.models = {
                 [BANANA_IMAGE_API]: bananaModel,
                 [GPT_IMAGE_2_API]: gptImage2Model,
@@ -219,90 +577,227 @@ class ProviderManager {
         return { success: false, message: 'Provider not found.' };
     }
 
+    /**
+     * 新增自定义 provider，协议字段从该协议类型的默认模板复制
+     */
+    async addProvider(name, type) {
+        const validation = this._validateNewName(name);
+        if (!validation.success) {
+            return validation;
+        }
+
+        const providerType = PROVIDER_TYPES[type];
+        if (!providerType) {
+            return { success: false, message: `Unknown provider type: ${type}` };
+        }
+
+        const provider = this._buildCustomProviderRecord({
+            name: validation.name,
+            type,
+            preset: providerType.template,
+        });
+
+        this.providers.push(provider);
+        await this.save();
+        return { success: true, message: 'Provider added.', name: provider.name };
+    }
+
+    /**
+     * 复制已有 provider（内置或自定义）为新的自定义 provider
+     */
+    async duplicateProvider(sourceName, newName) {
+        const source = this.getProvider(sourceName);
+        if (!source) {
+            return { success: false, message: 'Provider not found.' };
+        }
+
+        const validation = this._validateNewName(newName);
+        if (!validation.success) {
+            return validation;
+        }
+
+        const config = getProviderConfig(source.name, source.baseUrl, source);
+        const provider = this._buildCustomProviderRecord({
+            ...source,
+            name: validation.name,
+            preset: config.id,
+            type: config.protocolType,
+            basePath: config.basePath,
+            endpoints: config.endpoints,
+            authType: config.authType,
+        });
+
+        this.providers.push(provider);
+        await this.save();
+        return { success: true, message: 'Provider duplicated.', name: provider.name };
+    }
+
+    /**
+     * 合并配置包中的 provider：内置 provider 按名称覆盖配置，自定义 provider 新增或替换
+     * 配置包不含 key 时保留本机已有的 key，但 Base URL、端点或鉴权方式有变化时不保留；
+     * 当前版本不认识的内置 provider 会被跳过
+     */
+    async importProviders(records) {
+        let imported = 0;
+        for (const record of records) {
+            const existing = this.getProvider(record.name);
+            const keepCredentials =
+                existing && getChangedEndpointFields(record, existing).length === 0;
+            if (existing && !keepCredentials) {
+                console.log(
+                    `[Providers] Endpoint changed, dropping local API keys: ${record.name}`
+                );
+            }
+            const saved = this._migrateLegacyProviderType({
+                ...(keepCredentials ? splitCredentials(existing).credentials : {}),
+                ...record,
+            });
+            const builtInConfig = getAllProviderConfigs().find(
+                (config) => config.name === record.name
+            );
+            const provider = builtInConfig
+                ? this._buildProviderRecord(builtInConfig, saved)
+                : saved.custom
+                  ? this._buildCustomProviderRecord(saved)
+                  : null;
+
+            if (!provider) {
+                console.warn(`[Providers] Skipped unknown provider in bundle: ${record.name}`);
+                continue;
+            }
+
+            if (existing) {
+                this.providers[this.providers.indexOf(existing)] = provider;
+            } else {
+                this.providers.push(provider);
+            }
+            imported++;
+        }
+
+        await this.save();
+        return { success: true, message: `Imported ${imported} providers.` };
+    }
+
+    /**
+     * 删除自定义 provider，内置 provider 不可删除
+     */
+    async deleteProvider(name) {
+        const index = this.providers.findIndex((p) => p.name === name);
+        if (index === -1) {
+            return { success: false, message: 'Provider not found.' };
+        }
+        if (!this.providers[index].custom) {
+            return { success: false, message: 'Built-in providers cannot be deleted.' };
+        }
+
+        this.providers.splice(index, 1);
+        await this.save();
+        return { success: true, message: 'Provider deleted.' };
+    }
+
     getAllNames() {
         return this.providers
             .filter(
                 (provider) =>
-                    getProviderConfig(provider.name, provider.baseUrl).visibleInUi !== false
+                    getProviderConfig(provider.name, provider.baseUrl, provider).visibleInUi !==
+                    false
             )
             .map((provider) => provider.name);
     }
 
-    async testConnection(providerConfig) {
-        const { apiKey, baseUrl, name, model } = providerConfig;
+    /**
+     * 连接诊断：逐个候选 URL 检查可达性、鉴权、模型是否存在，可选试生成
+     * 结果同时写入 connection_test.log
+     * @param {Object} providerConfig - Settings 表单中的 provider 配置
+     * @param {Object} options - { dryRun, signal }，见 connection_diagnostics.runDiagnostics
+     * @returns {Promise<{success: boolean, checks: Array}>}
+     */
+    async runDiagnostics(providerConfig, options = {}) {
+        const { baseUrl, name } = providerConfig;
+        console.log(`[TestConnection] Running diagnostics - Name: ${name}, BaseUrl: ${baseUrl}`);
+
+        let result;
+        try {
+            result = await runDiagnostics(providerConfig, options);
+        } catch (e) {
+            result = {
+                success: false,
+                checks: [
+                    {
+                        kind: 'config',
+                        target: '',
+                        status: 'fail',
+                        detail: e?.message || String(e) || 'Unknown error',
+                    },
+                ],
+            };
+        }
 
-        const logToFile = async (message) => {
-            console.log(`[TestConnection] ${message}`);
-            try {
-                const dataFolder = await fs.getDataFolder();
-                const logFile = await dataFolder.createFile('connection_test.log', {
-                    overwrite: true,
-                });
-                const timestamp = new Date().toISOString();
-                await logFile.write(`[${timestamp}] ${message}`);
-            } catch (e) {
-                console.error('Failed to write log:', e);
-            }
-        };
+        try {
+            const dataFolder = await fs.getDataFolder();
+            const logFile = await dataFolder.createFile('connection_test.log', {
+                overwrite: true,
+            });
+            const lines = result.checks.map(
+                (check) =>
+                    `${check.status.toUpperCase()}\t${check.kind}\t${check.target}\t${check.detail}`
+            );
+            await logFile.write(
+                `[${new Date().toISOString()}] ${name} (${baseUrl})\n${lines.join('\n')}\n`
+            );
+        } catch (e) {
+            console.error('Failed to write log:', e);
+        }
 
-        await logToFile(`Testing connection - Name: ${name}, BaseUrl: ${baseUrl}`);
+        return result;
+    }
 
+    /**
+     * 通过 test 端点（/models）获取可用的图像模型
+     * @param {Object} providerConfig - 与 runDiagnostics 相同的表单配置
+     * @returns {Promise<{success, message, count, models}>} models 按图像 API 分组
+     */
+    async fetchModels(providerConfig) {
+        const { apiKey, baseUrl, name, model } = providerConfig;
         if (!apiKey || !baseUrl) {
-            await logToFile('Error: Missing API Key or Base URL');
             return { success: false, message: 'Missing API Key or Base URL.' };
         }
 
         try {
-            const config = getProviderConfig(name, baseUrl);
-
-            if (config.type === 'seedream') {
-                return { success: true, messageKey: 'msg_seedream_test_success' };
-            }
-
-            const apiUrls = config.buildApiUrls('test', { model, apiKey });
-            const headers = config.buildHeaders(apiKey, { endpointType: 'test' });
-
-            await logToFile(`Provider type: ${config.type}`);
-            await logToFile(`API URLs: ${apiUrls.join(', ')}`);
-
-            await logToFile('Attempting network request...');
-            const { response, url, attempts } = await requestAny(apiUrls, {
-                method: 'GET',
-                headers,
-            });
-
-            if (attempts.length > 0) {
-                await logToFile(`Fallback attempts: ${JSON.stringify(attempts)}`);
+            const config = getProviderConfig(name, baseUrl, providerConfig);
+            if (config.type === 'comfyui' || !config.endpoints.test) {
+                return {
+                    success: false,
+                    message: `${config.name} does not provide a model list endpoint.`,
+                };
             }
 
-            await logToFile(`Request succeeded - URL: ${url}, Status: ${response.status}`);
-
-            if (response.ok) {
-                const data = await response.json();
-                if (data.error) {
-                    return {
-                        success: false,
-                        message: `API Error: ${data.error.message || 'Unknown error'}`,
-                    };
+            const { response, url } = await requestAny(
+                config.buildApiUrls('test', { model, apiKey }),
+                {
+                    method: 'GET',
+                    headers: config.buildHeaders(apiKey, { endpointType: 'test' }),
                 }
-                return { success: true, message: 'Connection successful!' };
-            }
+            );
 
-            if (config.type === 'yunwu' && response.status === 404) {
+            if (!response.ok) {
+                const errorText = await response.text();
                 return {
-                    success: true,
-                    message:
-                        'Connection reachable. Yunwu model list endpoint is unavailable on this host, generation endpoint will be used.',
+                    success: false,
+                    message: `HTTP Error: ${response.status} - ${errorText.substring(0, 200)}`,
                 };
             }
 
-            const errorText = await response.text();
-            return {
-                success: false,
-                message: errorText
-                    ? `HTTP Error: ${response.status} - ${errorText.substring(0, 200)}`
-                    : `HTTP Error: ${response.status}`,
+            const allModels = parseModelList(await response.json());
+            const models = {
+                [BANANA_IMAGE_API]: filterModelsForImageApi(allModels, BANANA_IMAGE_API),
+                [GPT_IMAGE_2_API]: filterModelsForImageApi(allModels, GPT_IMAGE_2_API),
             };
+            console.log(
+                `[Providers] ${name}: ${allModels.length} models from ${url}, image models:`,
+                models
+            );
+            return { success: true, count: allModels.length, models };
         } catch (e) {
             return {
                 success: false,
@@ -0,0 +1,203 @@
+/**
+ * 生成任务队列
+ * 限制全局同时执行的生成请求数量，并按 provider 限制每分钟发起的请求数（滑动 60 秒窗口）。
+ * 排队中的任务可以调整顺序或移除；通过 signal 取消的排队任务会被直接移出队列。
+ */
+const { createAbortError } = require('./network_client');
+
+const RATE_WINDOW_MS = 60000;
+
+class TaskQueue {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=0] - 全局并发上限，0 表示不限制
+     * @param {Object} [options.rpmLimits={}] - { [providerName]: 每分钟请求数 }，未配置或 0 表示不限制
+     * @param {Function} [options.now] - 当前时间（毫秒），便于测试
+     */
+    constructor({ concurrency = 0, rpmLimits = {}, now = () => Date.now() } = {}) {
+        this.concurrency = concurrency;
+        this.rpmLimits = rpmLimits;
+        this.now = now;
+        this.queue = [];
+        this.running = new Set();
+        this.startTimes = new Map(); // providerName -> 最近 60 秒内的开始时间
+        this.timer = null;
+        this.listeners = new Set();
+    }
+
+    configure({ concurrency, rpmLimits } = {}) {
+        if (concurrency !== undefined) this.concurrency = Math.max(0, Number(concurrency) || 0);
+        if (rpmLimits !== undefined) this.rpmLimits = rpmLimits || {};
+        this._pump();
+        this._emit();
+    }
+
+    /**
+     * 队列状态变化（入队、开始、结束、调整顺序）时回调
+     * @returns {Function} 取消订阅
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * 加入队列，轮到该任务且 provider 仍有配额时执行 run()
+     * @param {Object} job
+     * @param {number|string} job.id
+     * @param {string} job.provider - provider 名称，用于每分钟请求数限制
+     * @param {Function} job.run - () => Promise
+     * @param {AbortSignal} [job.signal] - 排队中取消时移出队列并以 AbortError 拒绝
+     * @returns {Promise} run() 的结果
+     */
+    enqueue({ id, provider, run, signal = null }) {
+        if (signal && signal.aborted) {
+            return Promise.reject(createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { id, provider, run, resolve, reject, signal, onAbort: null };
+            if (signal) {
+                job.onAbort = () => this.remove(id);
+                signal.addEventListener('abort', job.onAbort);
+            }
+            this.queue.push(job);
+            this._pump();
+            this._emit();
+        });
+    }
+
+    /**
+     * 移除排队中的任务，其 Promise 以 AbortError 拒绝；已开始执行的任务不受影响
+     * @returns {boolean}
+     */
+    remove(id) {
+        const index = this.queue.findIndex((job) => job.id === id);
+        if (index === -1) return false;
+
+        const [job] = this.queue.splice(index, 1);
+        this._detach(job);
+        job.reject(createAbortError());
+        this._pump();
+        this._emit();
+        return true;
+    }
+
+    /**
+     * 调整排队中任务的顺序
+     * @param {number} offset - 负数前移，正数后移
+     * @returns {boolean}
+     */
+    move(id, offset) {
+        const index = this.queue.findIndex((job) => job.id === id);
+        if (index === -1) return false;
+
+        const target = Math.min(Math.max(index + offset, 0), this.queue.length - 1);
+        if (target === index) return false;
+
+        const [job] = this.queue.splice(index, 1);
+        this.queue.splice(target, 0, job);
+        this._pump();
+        this._emit();
+        return true;
+    }
+
+    /**
+     * 排队中的任务（按执行顺序），rateLimited 表示正在等待 provider 的每分钟配额
+     * @returns {Array<{id, provider, position: number, rateLimited: boolean}>}
+     */
+    getQueued() {
+        return this.queue.map((job, index) => ({
+            id: job.id,
+            provider: job.provider,
+            position: index + 1,
+            rateLimited: this._getRateLimitWait(job.provider) > 0,
+        }));
+    }
+
+    getRunningCount() {
+        return this.running.size;
+    }
+
+    _emit() {
+        for (const listener of this.listeners) {
+            try {
+                listener();
+            } catch (e) {
+                console.error('[Queue] Listener failed:', e);
+            }
+        }
+    }
+
+    _detach(job) {
+        if (job.signal && job.onAbort) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+    }
+
+    // 距离 provider 下一个可用配额还需等待的毫秒数，0 表示可以立即开始
+    _getRateLimitWait(provider) {
+        const limit = Number(this.rpmLimits[provider]) || 0;
+        if (limit <= 0) return 0;
+
+        const now = this.now();
+        const recent = (this.startTimes.get(provider) || []).filter(
+            (time) => now - time < RATE_WINDOW_MS
+        );
+        this.startTimes.set(provider, recent);
+        if (recent.length < limit) return 0;
+
+        return recent[recent.length - limit] + RATE_WINDOW_MS - now;
+    }
+
+    _pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        let nextWait = Infinity;
+        let index = 0;
+        while (index < this.queue.length) {
+            if (this.concurrency > 0 && this.running.size >= this.concurrency) return;
+
+            const job = this.queue[index];
+            const wait = this._getRateLimitWait(job.provider);
+            if (wait > 0) {
+                // 该 provider 配额已用完，让后面其它 provider 的任务先执行
+                nextWait = Math.min(nextWait, wait);
+                index++;
+                continue;
+            }
+
+            this.queue.splice(index, 1);
+            this._start(job);
+        }
+
+        if (nextWait !== Infinity) {
+            this.timer = setTimeout(() => {
+                this._pump();
+                this._emit();
+            }, nextWait);
+        }
+    }
+
+    _start(job) {
+        this._detach(job);
+        this.running.add(job);
+        if (Number(this.rpmLimits[job.provider]) > 0) {
+            const times = this.startTimes.get(job.provider) || [];
+            times.push(this.now());
+            this.startTimes.set(job.provider, times);
+        }
+
+        Promise.resolve()
+            .then(() => job.run())
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                this.running.delete(job);
+                this._pump();
+                this._emit();
+            });
+    }
+}
+
+module.exports = { TaskQueue, RATE_WINDOW_MS };
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ApiKeyPool,
+    parseApiKeys,
+    getProviderApiKeys,
+    parseRetryAfter,
+} = require('../api_key_pool');
+const { requestAny } = require('../network_client');
+
+test('Provider API keys should keep primary key first and drop duplicates', () => {
+    assert.deepEqual(parseApiKeys(' k2, k3\nk2 ,, '), ['k2', 'k3']);
+    assert.deepEqual(getProviderApiKeys({ apiKey: 'k1', backupApiKeys: ['k2', 'k1', 'k3'] }), [
+        'k1',
+        'k2',
+        'k3',
+    ]);
+});
+
+test('Cooling down keys should move behind available keys until they recover', () => {
+    const pool = new ApiKeyPool();
+    const now = 1000;
+    pool.markCooldown('Yunwu', 'k1', 429, parseRetryAfter('30'), now);
+
+    assert.deepEqual(pool.getOrderedKeys('Yunwu', ['k1', 'k2'], now), ['k2', 'k1']);
+    assert.deepEqual(pool.getOrderedKeys('GPTGod', ['k1', 'k2'], now), ['k1', 'k2']);
+    assert.deepEqual(pool.getOrderedKeys('Yunwu', ['k1', 'k2'], now + 30 * 1000), ['k1', 'k2']);
+});
+
+test('requestAny should rotate to the next key on 401/403/429', async (t) => {
+    const seenKeys = [];
+    const statusByKey = { k1: 429, k2: 401, k3: 200 };
+    t.mock.method(globalThis, 'fetch', (url, options) => {
+        const apiKey = options.headers.Authorization.replace('Bearer ', '');
+        const status = statusByKey[apiKey];
+        seenKeys.push(apiKey);
+        return Promise.resolve({ ok: status < 300, status, headers: { get: () => null } });
+    });
+
+    const rejected = [];
+    const { response, apiKey, attempts } = await requestAny([], {
+        method: 'POST',
+        apiKeys: ['k1', 'k2', 'k3'],
+        buildRequestForKey: (key) => ({
+            urls: ['https://example.test/v1/images/generations'],
+            headers: { Authorization: `Bearer ${key}` },
+        }),
+        onKeyRejected: (key, keyResponse) => rejected.push([key, keyResponse.status]),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(apiKey, 'k3');
+    assert.deepEqual(seenKeys, ['k1', 'k2', 'k3']);
+    assert.deepEqual(rejected, [
+        ['k1', 429],
+        ['k2', 401],
+    ]);
+    assert.equal(attempts.length, 2);
+});
@@ -30,3 +30,79 @@ test('Seedream and ComfyUI should stay hidden from provider UI list', () => {
     assert.equal(visibility.get('Gemini'), true);
     assert.equal(visibility.get('Yunwu'), true);
 });
+
+test('Custom provider record should override protocol fields of its preset', () => {
+    const record = {
+        name: 'Studio Gateway',
+        custom: true,
+        type: 'openai-chat',
+        preset: 'openrouter',
+        baseUrl: 'https://gateway.studio.local',
+        basePath: '/openai',
+        endpoints: { generate: '/v2/chat', test: null },
+        authType: 'query_param',
+    };
+    const config = getProviderConfig(record.name, record.baseUrl, record);
+    assert.equal(config.name, 'Studio Gateway');
+    assert.equal(config.type, 'openrouter');
+    assert.deepEqual(config.buildApiUrls('generate', { apiKey: 'k' }), [
+        'https://gateway.studio.local/openai/v2/chat?key=k',
+    ]);
+    assert.deepEqual(config.buildApiUrls('test', { apiKey: 'k' }), []);
+    assert.equal(config.visibleInUi, true);
+});
+
+test('Custom provider based on Yunwu should not fall back to legacy Yunwu hosts', () => {
+    const record = { name: 'Yunwu 2', custom: true, type: 'gemini-native', preset: 'yunwu' };
+    const config = getProviderConfig(record.name, 'https://yunwu.ai', record);
+    assert.deepEqual(config.getRequestBaseUrls(), ['https://yunwu.ai']);
+});
+
+test('Explicit provider type should win over name and URL hints', () => {
+    const record = {
+        name: 'Gemini',
+        type: 'openai-chat',
+        preset: 'google_official',
+        baseUrl: 'https://generativelanguage.googleapis.com',
+    };
+    const config = getProviderConfig(record.name, record.baseUrl, record);
+    assert.equal(config.type, 'openrouter');
+    assert.equal(config.protocolType, 'openai-chat');
+    assert.equal(config.visibleInUi, true);
+
+    const imagesConfig = getProviderConfig('My Proxy', 'http://localhost:8045', {
+        name: 'My Proxy',
+        type: 'openai-images',
+    });
+    assert.equal(imagesConfig.type, 'openai_images');
+    assert.deepEqual(imagesConfig.supportedImageApis, [GPT_IMAGE_2_API]);
+});
+
+test('Providers without an explicit type should not be guessed at runtime', () => {
+    assert.throws(() => getProviderConfig('My Gemini Proxy', 'http://localhost:8045'));
+});
+
+test('OpenAI provider should call Images API with organization and project headers', () => {
+    const record = {
+        name: 'OpenAI',
+        type: 'openai-images',
+        preset: 'openai_images',
+        organization: 'org-studio',
+        project: 'proj_banana',
+    };
+    const config = getProviderConfig(record.name, 'https://api.openai.com', record);
+    assert.equal(config.visibleInUi, true);
+    assert.equal(config.gptImage2ResponseFormat, null);
+    assert.deepEqual(config.buildApiUrls('gptImage2Generate', { apiKey: 'sk' }), [
+        'https://api.openai.com/v1/images/generations',
+    ]);
+    assert.deepEqual(config.buildApiUrls('gptImage2Edit', { apiKey: 'sk' }), [
+        'https://api.openai.com/v1/images/edits',
+    ]);
+    assert.deepEqual(config.buildHeaders('sk', { endpointType: 'gptImage2Generate' }), {
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer sk',
+        'OpenAI-Organization': 'org-studio',
+        'OpenAI-Project': 'proj_banana',
+    });
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createConfigBundle,
+    validateConfigBundle,
+    diffConfigBundle,
+    pickImportableSettings,
+    getChangedEndpointFields,
+} = require('../config_bundle');
+
+const providers = [
+    {
+        name: 'Yunwu',
+        type: 'openai-chat',
+        apiKey: 'sk-yunwu-primary-0001',
+        backupApiKeys: ['sk-yunwu-backup-0002'],
+        baseUrl: 'https://yunwu.ai',
+    },
+];
+const presets = [{ name: 'Portrait', prompt: 'soft light portrait' }];
+const settings = { latest_prompt: 'a cat', language: 'zh', retry_max_attempts: 3 };
+
+test('Config bundle should drop API keys and machine-local settings unless requested', () => {
+    const bundle = createConfigBundle({ providers, presets, settings, pluginVersion: '1.0.0' });
+
+    assert.equal(bundle.includesApiKeys, false);
+    assert.deepEqual(bundle.providers, [
+        { name: 'Yunwu', type: 'openai-chat', baseUrl: 'https://yunwu.ai' },
+    ]);
+    assert.deepEqual(bundle.settings, { retry_max_attempts: 3 });
+
+    const withKeys = createConfigBundle({ providers, presets, settings, includeApiKeys: true });
+    assert.equal(withKeys.providers[0].apiKey, 'sk-yunwu-primary-0001');
+    assert.equal(validateConfigBundle(withKeys), withKeys);
+});
+
+test('Config bundle validation should reject foreign files and newer versions', () => {
+    const bundle = createConfigBundle({ providers, presets, settings });
+
+    assert.throws(() => validateConfigBundle({ providers: [] }), /Not a PS Banana/);
+    assert.throws(() => validateConfigBundle({ ...bundle, version: 99 }), /version 99/);
+    assert.throws(
+        () => validateConfigBundle({ ...bundle, providers: [{ name: 'X', type: 'unknown' }] }),
+        /unknown type/
+    );
+});
+
+test('Config bundle diff should ignore missing keys and report added and updated items', () => {
+    const bundle = createConfigBundle({
+        providers: [
+            { ...providers[0], apiKey: '' },
+            { name: 'Gateway', type: 'openai-images', baseUrl: 'https://gw.test' },
+        ],
+        presets: [{ name: 'Portrait', prompt: 'hard light portrait' }],
+        settings: { retry_max_attempts: 5 },
+    });
+
+    const diff = diffConfigBundle(bundle, { providers, presets, settings });
+
+    assert.deepEqual(diff.providers, {
+        added: ['Gateway'],
+        updated: [],
+        unchanged: ['Yunwu'],
+        changedFields: {},
+        keysDropped: [],
+    });
+    assert.deepEqual(diff.presets.updated, ['Portrait']);
+    assert.deepEqual(diff.settings.changed, ['retry_max_attempts']);
+});
+
+test('Config bundle diff should list changed fields and drop keys when the endpoint changes', () => {
+    const localProviders = [
+        {
+            ...providers[0],
+            endpoints: { generate: '/v1/chat/completions', test: '/v1/models' },
+        },
+    ];
+    const bundle = createConfigBundle({
+        providers: [
+            {
+                ...localProviders[0],
+                baseUrl: 'https://attacker.test',
+                endpoints: { test: '/v1/models', generate: '/v1/chat/completions' },
+            },
+        ],
+        presets,
+        settings: { retry_max_attempts: 3 },
+    });
+
+    const diff = diffConfigBundle(bundle, { providers: localProviders, presets, settings });
+
+    assert.deepEqual(diff.providers.changedFields, { Yunwu: ['baseUrl'] });
+    assert.deepEqual(diff.providers.keysDropped, ['Yunwu']);
+    assert.deepEqual(getChangedEndpointFields(bundle.providers[0], localProviders[0]), ['baseUrl']);
+
+    const withKeys = { ...bundle, includesApiKeys: true };
+    assert.deepEqual(
+        diffConfigBundle(withKeys, { providers: localProviders, presets, settings }).providers
+            .keysDropped,
+        []
+    );
+});
+
+test('Config bundle diff should ignore the key order of nested settings', () => {
+    const localSettings = { ...settings, request_timeouts: { banana: 180, gpt_image_2: 300 } };
+    const bundle = createConfigBundle({
+        providers,
+        presets,
+        settings: { ...localSettings, request_timeouts: { gpt_image_2: 300, banana: 180 } },
+    });
+
+    const diff = diffConfigBundle(bundle, { providers, presets, settings: localSettings });
+
+    assert.deepEqual(diff.settings.changed, []);
+    assert.deepEqual(diff.providers.updated, []);
+});
+
+test('Config bundle should never export or import proxy and custom header settings', () => {
+    const localSettings = { ...settings, network_proxy_url: '', network_custom_headers: '' };
+    const exported = createConfigBundle({
+        providers,
+        presets,
+        settings: { ...localSettings, network_proxy_url: 'http://127.0.0.1:8888' },
+    });
+    assert.equal('network_proxy_url' in exported.settings, false);
+
+    const malicious = {
+        ...exported,
+        settings: {
+            retry_max_attempts: 3,
+            network_proxy_url: 'https://attacker.test',
+            network_custom_headers: 'X-Forward-To: https://attacker.test',
+        },
+    };
+    assert.equal(validateConfigBundle(malicious, { settings: localSettings }), malicious);
+    assert.deepEqual(pickImportableSettings(malicious.settings), { retry_max_attempts: 3 });
+    assert.deepEqual(
+        diffConfigBundle(malicious, { providers, presets, settings: localSettings }).settings,
+        { changed: [] }
+    );
+});
+
+test('Config bundle validation should reject unknown or ill-typed settings', () => {
+    const knownSettings = { ...settings, request_timeouts: { banana: 180 } };
+    const withSettings = (bundleSettings) => ({
+        ...createConfigBundle({ providers, presets, settings }),
+        settings: bundleSettings,
+    });
+
+    assert.throws(
+        () => validateConfigBundle(withSettings({ upload_url: 'x' }), { settings: knownSettings }),
+        /unknown setting "upload_url"/
+    );
+    assert.throws(
+        () =>
+            validateConfigBundle(withSettings({ retry_max_attempts: '3' }), {
+                settings: knownSettings,
+            }),
+        /"retry_max_attempts" must be of type number/
+    );
+    assert.throws(
+        () =>
+            validateConfigBundle(withSettings({ request_timeouts: { banana: 'never' } }), {
+                settings: knownSettings,
+            }),
+        /"request_timeouts" must map names to numbers/
+    );
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runDiagnostics } = require('../connection_diagnostics');
+const { isAbortError } = require('../network_client');
+
+const jsonResponse = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: () => Promise.resolve(body),
+    text: () => Promise.resolve(JSON.stringify(body)),
+});
+
+const openaiProvider = {
+    name: 'Studio Gateway',
+    type: 'openai-images',
+    apiKey: 'sk-test-1234567890',
+    baseUrl: 'https://gateway.example.test',
+    models: { gpt_image_2: 'gpt-image-2' },
+};
+
+test('Diagnostics should report reachability, auth and model checks per URL', async (t) => {
+    t.mock.method(globalThis, 'fetch', (url) =>
+        Promise.resolve(
+            url.endsWith('/models')
+                ? jsonResponse(200, { data: [{ id: 'gpt-image-1' }] })
+                : jsonResponse(405, {})
+        )
+    );
+
+    const { success, checks } = await runDiagnostics(openaiProvider);
+
+    assert.equal(success, true);
+    assert.deepEqual(
+        checks.map((check) => [check.kind, check.status, check.target]),
+        [
+            ['reachability', 'pass', 'https://gateway.example.test/v1/models'],
+            ['reachability', 'pass', 'https://gateway.example.test/v1/images/generations'],
+            ['auth', 'pass', ''],
+            ['model', 'warn', 'gpt-image-2'],
+        ]
+    );
+});
+
+test('Diagnostics should fail auth on 401 and skip the dry run', async (t) => {
+    t.mock.method(globalThis, 'fetch', () =>
+        Promise.resolve(jsonResponse(401, { error: { message: 'bad key' } }))
+    );
+    const dryRun = t.mock.fn(() => Promise.resolve());
+
+    const { success, checks } = await runDiagnostics(openaiProvider, { dryRun });
+
+    assert.equal(success, false);
+    assert.equal(checks.find((check) => check.kind === 'auth').status, 'fail');
+    assert.equal(dryRun.mock.callCount(), 0);
+});
+
+test('Diagnostics should stop the reachability checks when cancelled', async (t) => {
+    const controller = new AbortController();
+    const fetch = t.mock.method(
+        globalThis,
+        'fetch',
+        (url, init) =>
+            new Promise((resolve, reject) => {
+                init.signal.addEventListener('abort', () => reject(init.signal.reason));
+                controller.abort();
+            })
+    );
+
+    await assert.rejects(runDiagnostics(openaiProvider, { signal: controller.signal }), (e) =>
+        isAbortError(e)
+    );
+    assert.equal(fetch.mock.callCount(), 1);
+});
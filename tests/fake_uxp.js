@@ -0,0 +1,65 @@
+/**
+ * 测试用的内存 UXP Folder / File
+ * 与 UXP 一样：同名的文件或目录已存在时，createFolder 以及未指定 overwrite 的 createFile 会失败
+ */
+const assert = require('node:assert/strict');
+
+function createFakeFile(name, parent = null, content = null) {
+    const file = {
+        name,
+        isFile: true,
+        nativePath: parent ? `${parent.nativePath}/${name}` : `/${name}`,
+        content,
+        read: () => Promise.resolve(file.content),
+        write: (data) => {
+            file.content = data;
+            return Promise.resolve();
+        },
+        delete: () => {
+            if (parent) parent.children.delete(name);
+            return Promise.resolve();
+        },
+    };
+    return file;
+}
+
+function createFakeFolder(name, parent = null) {
+    const children = new Map();
+    const rejectExisting = (entryName) => Promise.reject(new Error(`${entryName} already exists`));
+    const folder = {
+        name,
+        isFile: false,
+        nativePath: parent ? `${parent.nativePath}/${name}` : `/${name}`,
+        children,
+        getEntry: (entryName) =>
+            children.has(entryName)
+                ? Promise.resolve(children.get(entryName))
+                : Promise.reject(new Error(`${entryName} not found`)),
+        getEntries: () => Promise.resolve([...children.values()]),
+        createFolder: (entryName) => {
+            if (children.has(entryName)) return rejectExisting(entryName);
+            const child = createFakeFolder(entryName, folder);
+            children.set(entryName, child);
+            return Promise.resolve(child);
+        },
+        createFile: (entryName, { overwrite = false } = {}) => {
+            if (children.has(entryName) && !overwrite) return rejectExisting(entryName);
+            const file = createFakeFile(entryName, folder);
+            children.set(entryName, file);
+            return Promise.resolve(file);
+        },
+        delete: () => {
+            assert.equal(children.size, 0, 'folder must be empty before delete');
+            if (parent) parent.children.delete(name);
+            return Promise.resolve();
+        },
+    };
+    return folder;
+}
+
+// 写入的二进制内容转为 base64，便于断言
+function contentToBase64(content) {
+    return btoa(String.fromCharCode(...new Uint8Array(content)));
+}
+
+module.exports = { createFakeFile, createFakeFolder, contentToBase64 };
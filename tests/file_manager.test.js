@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FileManager } = require('../file_manager');
+const { ImageGenerator } = require('../image_generator');
+const { TaskQueue } = require('../task_queue');
+const { createFakeFolder, contentToBase64 } = require('./fake_uxp');
+
+function createFileManager() {
+    const dataFolder = createFakeFolder('data');
+    const fileManager = new FileManager({
+        fileSystem: { getDataFolder: () => Promise.resolve(dataFolder) },
+        binaryFormat: 'binary',
+        // 固定时间：所有图片都在同一秒内保存
+        now: () => new Date(2025, 10, 29, 16, 15, 30),
+    });
+    return { fileManager, dataFolder };
+}
+
+test('Variants saved in the same second should each get their own file', async () => {
+    const { fileManager, dataFolder } = createFileManager();
+    const generator = new ImageGenerator(fileManager);
+
+    const gptFiles = await generator._processGptImage2Response({
+        data: [{ b64_json: 'AQID' }, { b64_json: 'BAUG' }],
+    });
+    const geminiFiles = await generator._processGeminiResponse({
+        candidates: [
+            { content: { parts: [{ inlineData: { data: 'BwgJ' } }] } },
+            { content: { parts: [{ inlineData: { data: 'CgsM', mimeType: 'image/png' } }] } },
+        ],
+    });
+
+    const files = [...gptFiles, ...geminiFiles];
+    assert.equal(new Set(files.map((file) => file.name)).size, 4);
+    files.forEach((file) => assert.match(file.name, /^generated_image_20251129161530_\d+\.png$/));
+    assert.deepEqual(
+        files.map((file) => contentToBase64(file.content)),
+        ['AQID', 'BAUG', 'BwgJ', 'CgsM']
+    );
+    assert.equal(dataFolder.children.get('GeneratedImages').children.size, 4);
+});
+
+test('Concurrent queue tasks finishing in the same second should not share output files', async () => {
+    const { fileManager, dataFolder } = createFileManager();
+    const queue = new TaskQueue({ concurrency: 2 });
+    let releaseSecond;
+    const secondImported = new Promise((resolve) => (releaseSecond = resolve));
+
+    // 第一个任务导入后删除自己的输出文件，此时第二个任务仍在导入
+    const first = queue.enqueue({
+        id: 1,
+        provider: 'Yunwu',
+        run: async () => {
+            const file = await fileManager.saveImageFromBase64('AQID', 'png');
+            await file.delete();
+            releaseSecond();
+            return file;
+        },
+    });
+    const second = queue.enqueue({
+        id: 2,
+        provider: 'Yunwu',
+        run: async () => {
+            const file = await fileManager.saveImageFromBase64('BAUG', 'png');
+            await secondImported;
+            return file;
+        },
+    });
+
+    const [firstFile, secondFile] = await Promise.all([first, second]);
+    assert.notEqual(firstFile.name, secondFile.name);
+    const imageFolder = dataFolder.children.get('GeneratedImages');
+    assert.deepEqual([...imageFolder.children.keys()], [secondFile.name]);
+    assert.equal(contentToBase64(imageFolder.children.get(secondFile.name).content), 'BAUG');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createGenerationMetadata,
+    buildXmpPacket,
+    parseXmpPacket,
+    embedGenerationMetadata,
+    readPngGenerationMetadata,
+} = require('../generation_metadata');
+
+// PNG 签名 + 空 IHDR（内容不影响数据块遍历）+ IEND
+const PNG_BYTES = Uint8Array.from([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x00, 0x49, 0x48, 0x44, 0x52,
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82,
+]);
+
+test('PNG output should carry an ASCII tEXt chunk before IEND', () => {
+    const bytes = embedGenerationMetadata(PNG_BYTES, 'png', { prompt: '猫' });
+    const text = '{"prompt":"\\u732b"}';
+    const chunkLength = 4 + 4 + 'psbanana\0'.length + text.length + 4;
+
+    assert.equal(bytes.length, PNG_BYTES.length + chunkLength);
+    assert.deepEqual([...bytes.subarray(bytes.length - 12)], [...PNG_BYTES.subarray(20)]);
+    // CRC32('tEXt' + data)
+    assert.deepEqual(
+        [...bytes.subarray(bytes.length - 16, bytes.length - 12)],
+        [0xe1, 0x4a, 0x01, 0x0e]
+    );
+    assert.deepEqual(readPngGenerationMetadata(bytes), { prompt: '猫' });
+    assert.equal(readPngGenerationMetadata(PNG_BYTES), null);
+});
+
+test('XMP packets should round-trip metadata and be inserted after the JPEG SOI marker', () => {
+    const metadata = createGenerationMetadata({
+        prompt: 'a "quoted" <cat> & 狗',
+        provider: 'Yunwu',
+        model: 'gemini-3-pro-image-preview',
+        imageApi: 'banana',
+        mode: 'imgedit',
+        aspectRatio: '16:9',
+        resolution: '2K',
+        seed: 42,
+        region: { left: 10, top: 20, width: 640, height: 360 },
+    });
+    const xmp = buildXmpPacket(metadata);
+    assert.equal(/[<>]cat|狗/.test(xmp), false);
+    assert.deepEqual(parseXmpPacket(xmp), metadata);
+    assert.equal(parseXmpPacket('<x:xmpmeta/>'), null);
+
+    const jpeg = Uint8Array.from([0xff, 0xd8, 0xff, 0xdb, 0x00, 0x02, 0xff, 0xd9]);
+    const bytes = embedGenerationMetadata(jpeg, 'jpg', metadata);
+    assert.deepEqual([...bytes.subarray(0, 4)], [0xff, 0xd8, 0xff, 0xe1]);
+    assert.equal((bytes[4] << 8) | bytes[5], bytes.length - jpeg.length - 2);
+    assert.deepEqual([...bytes.subarray(bytes.length - 6)], [...jpeg.subarray(2)]);
+
+    const webp = Uint8Array.from([0x52, 0x49, 0x46, 0x46]);
+    assert.equal(embedGenerationMetadata(webp, 'webp', metadata), webp);
+});
+
+test('XMP segments should follow the leading JFIF and Exif segments', () => {
+    const app0 = [0xff, 0xe0, 0x00, 0x07, 0x4a, 0x46, 0x49, 0x46, 0x00];
+    const exif = [0xff, 0xe1, 0x00, 0x08, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00];
+    const rest = [0xff, 0xdb, 0x00, 0x02, 0xff, 0xd9];
+    const jpeg = Uint8Array.from([0xff, 0xd8, ...app0, ...exif, ...rest]);
+
+    const bytes = embedGenerationMetadata(jpeg, 'jpg', { prompt: 'a cat' });
+    const headerLength = 2 + app0.length + exif.length;
+    assert.deepEqual([...bytes.subarray(0, headerLength)], [...jpeg.subarray(0, headerLength)]);
+    assert.deepEqual([...bytes.subarray(headerLength, headerLength + 2)], [0xff, 0xe1]);
+    assert.equal(
+        new globalThis.TextDecoder().decode(bytes.subarray(headerLength + 4, headerLength + 33)),
+        'http://ns.adobe.com/xap/1.0/\0'
+    );
+    assert.deepEqual([...bytes.subarray(bytes.length - rest.length)], rest);
+});
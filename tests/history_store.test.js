@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HistoryStore } = require('../history_store');
+const { createFakeFile, createFakeFolder } = require('./fake_uxp');
+
+test('History entries should keep outputs and inputs and round-trip through the index', async () => {
+    const dataFolder = createFakeFolder('data');
+    const options = { getDataFolder: () => Promise.resolve(dataFolder), binaryFormat: 'binary' };
+    const store = new HistoryStore(options);
+    await store.load();
+    assert.deepEqual(store.getEntries(), []);
+
+    const outputFile = createFakeFile('generated_image_1.png', null, new Uint8Array([1, 2, 3]));
+    const entry = await store.addEntry(
+        { prompt: 'a cat', provider: 'Yunwu', aspectRatio: '16:9', region: null },
+        {
+            outputFiles: [outputFile],
+            inputs: {
+                imageData: 'AAEC',
+                referenceData: null,
+                roleImages: [{ role: 'style', index: 2, label: 'Style 2', data: 'AQID' }],
+            },
+        }
+    );
+    assert.deepEqual(entry.outputs, ['output_1.png']);
+    assert.deepEqual(entry.inputs, {
+        imageData: 'input.webp',
+        roleImages: [{ role: 'style', index: 2, label: 'Style 2', name: 'role_style_2.webp' }],
+    });
+    assert.deepEqual(store.getInputNames(entry), ['input.webp', 'role_style_2.webp']);
+    assert.equal(
+        store.getImageUrl(entry, 'output_1.png'),
+        `plugin-data:/History/${entry.id}/output_1.png`
+    );
+
+    const reloaded = new HistoryStore(options);
+    await reloaded.load();
+    const [saved] = reloaded.getEntries();
+    assert.equal(saved.prompt, 'a cat');
+    assert.deepEqual(await reloaded.loadInputs(saved), {
+        imageData: 'AAEC',
+        sourceData: null,
+        referenceData: null,
+        maskData: null,
+        maskAlphaData: null,
+        roleImages: [{ role: 'style', index: 2, label: 'Style 2', data: 'AQID' }],
+    });
+    const [savedOutput] = await reloaded.getOutputFiles(saved);
+    assert.deepEqual([...savedOutput.content], [1, 2, 3]);
+});
+
+test('History should prune the oldest entries and delete their folders', async () => {
+    const dataFolder = createFakeFolder('data');
+    const store = new HistoryStore({
+        getDataFolder: () => Promise.resolve(dataFolder),
+        binaryFormat: 'binary',
+    });
+    await store.load();
+
+    const ids = [];
+    for (const prompt of ['first', 'second', 'third']) {
+        const outputFile = createFakeFile('image.png', null, new Uint8Array([0]));
+        const entry = await store.addEntry({ prompt }, { outputFiles: [outputFile] }, 2);
+        ids.push(entry.id);
+    }
+    assert.equal(new Set(ids).size, 3);
+
+    const historyFolder = dataFolder.children.get('History');
+    assert.deepEqual(
+        store.getEntries().map((entry) => entry.prompt),
+        ['third', 'second']
+    );
+    assert.equal(historyFolder.children.has(ids[0]), false);
+
+    assert.equal(await store.removeEntry(ids[2]), true);
+    assert.equal(historyFolder.children.has(ids[2]), false);
+    assert.deepEqual(
+        store.getEntries().map((entry) => entry.prompt),
+        ['second']
+    );
+});
+
+test('Concurrent entries saved in the same second should each get their own id', async () => {
+    const dataFolder = createFakeFolder('data');
+    const store = new HistoryStore({
+        getDataFolder: () => Promise.resolve(dataFolder),
+        binaryFormat: 'binary',
+    });
+    await store.load();
+
+    const entries = await Promise.all(
+        ['first', 'second', 'third'].map((prompt) =>
+            store.addEntry(
+                { prompt },
+                { outputFiles: [createFakeFile('image.png', null, new Uint8Array([0]))] }
+            )
+        )
+    );
+    assert.equal(new Set(entries.map((entry) => entry.id)).size, 3);
+    assert.equal(store.getEntries().length, 3);
+    assert.equal(dataFolder.children.get('History').children.size, 4); // 3 个记录目录 + 索引
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ImageGenerator } = require('../image_generator');
+const { QWEN_IMAGE_EDIT_WORKFLOW } = require('../workflow_templates');
+
+const createFileManager = () => {
+    const saved = [];
+    return {
+        saved,
+        saveImageFromBase64: (data, extension) => {
+            saved.push(`${data}.${extension}`);
+            return Promise.resolve({ nativePath: `/tmp/${data}.${extension}` });
+        },
+        saveImageFromBase64Auto: (data) => {
+            saved.push(data);
+            return Promise.resolve({ nativePath: `/tmp/${data}` });
+        },
+        downloadImage: (url) => {
+            saved.push(url);
+            return Promise.resolve({ nativePath: url });
+        },
+    };
+};
+
+test('Variant count should map to each provider request format', () => {
+    const generator = new ImageGenerator(createFileManager());
+
+    const yunwuPayload = generator._applyVariantCount({ generationConfig: {} }, 'yunwu', 3);
+    assert.equal(yunwuPayload.generationConfig.candidateCount, 3);
+    assert.equal(generator._applyVariantCount({}, 'openrouter', 2).n, 2);
+    assert.deepEqual(generator._applyVariantCount({}, 'seedream', 4), {
+        sequential_image_generation: 'auto',
+        sequential_image_generation_options: { max_images: 4 },
+    });
+    assert.deepEqual(generator._applyVariantCount({ model: 'x' }, 'gptgod', 1), { model: 'x' });
+
+    // 图生图 workflow 的 latent 来自 VAEEncode，需要插入 RepeatLatentBatch
+    const workflow = JSON.parse(JSON.stringify(QWEN_IMAGE_EDIT_WORKFLOW));
+    generator._applyVariantCount({ prompt: workflow }, 'comfyui', 2);
+    assert.deepEqual(workflow['3'].inputs.latent_image, ['psbanana_repeat_3', 0]);
+    assert.deepEqual(workflow.psbanana_repeat_3.inputs, { samples: ['88', 0], amount: 2 });
+});
+
+test('Responses with several images should save every variant', async () => {
+    const fileManager = createFileManager();
+    const generator = new ImageGenerator(fileManager);
+
+    const gptFiles = await generator._processGptImage2Response({
+        data: [{ b64_json: 'first' }, { b64_json: 'second' }],
+    });
+    const geminiFiles = await generator._processGeminiResponse({
+        candidates: [
+            { content: { parts: [{ text: 'ok' }, { inlineData: { data: 'a' } }] } },
+            { content: { parts: [{ inlineData: { data: 'b', mimeType: 'image/webp' } }] } },
+        ],
+    });
+
+    assert.equal(gptFiles.length, 2);
+    assert.equal(geminiFiles.length, 2);
+    assert.deepEqual(fileManager.saved, ['first', 'second', 'a.png', 'b.webp']);
+});
+
+test('Batch seeds should use each provider native parameter when supported', () => {
+    const generator = new ImageGenerator(createFileManager());
+
+    const geminiPayload = { generationConfig: {} };
+    assert.equal(generator._applySeed(geminiPayload, 'google_official', 42), true);
+    assert.equal(geminiPayload.generationConfig.seed, 42);
+
+    const workflow = JSON.parse(JSON.stringify(QWEN_IMAGE_EDIT_WORKFLOW));
+    assert.equal(generator._applySeed({ prompt: workflow }, 'comfyui', 43), true);
+    assert.equal(workflow['3'].inputs.seed, 43);
+
+    assert.equal(generator._applySeed({}, 'seedream', null), false);
+    assert.equal(generator._applySeed({}, 'unknown', 44), false);
+});
+
+test('Inpaint masks should be attached as each provider expects', () => {
+    const generator = new ImageGenerator(createFileManager());
+
+    const geminiPayload = generator._buildPayload(
+        'add a hat',
+        '1:1',
+        '1K',
+        {},
+        'yunwu',
+        'imgedit',
+        false,
+        'IMG'
+    );
+    assert.equal(generator._applyMask(geminiPayload, 'yunwu', 'MASK'), true);
+    const parts = geminiPayload.contents[0].parts;
+    assert.deepEqual(parts[parts.length - 1], {
+        inlineData: { mimeType: 'image/png', data: 'MASK' },
+    });
+    assert.match(parts.find((part) => part.text).text, /inpainting mask[\s\S]*add a hat$/);
+    assert.equal(generator._applyMask({}, 'seedream', 'MASK'), false);
+
+    const workflow = JSON.parse(JSON.stringify(QWEN_IMAGE_EDIT_WORKFLOW));
+    generator._applyComfyUIMask(workflow, 'mask.png');
+    assert.deepEqual(workflow['3'].inputs.latent_image, ['psbanana_noise_mask_3', 0]);
+    assert.deepEqual(workflow.psbanana_noise_mask_3.inputs, {
+        samples: ['88', 0],
+        mask: ['psbanana_mask', 0],
+    });
+    assert.equal(workflow.psbanana_mask.inputs.image, 'mask.png');
+
+    const inpaintWorkflow = { 1: { class_type: 'LoadImageMask', inputs: { image: 'old.png' } } };
+    generator._applyComfyUIMask(inpaintWorkflow, 'mask.png');
+    assert.deepEqual(Object.keys(inpaintWorkflow), ['1']);
+    assert.equal(inpaintWorkflow[1].inputs.image, 'mask.png');
+});
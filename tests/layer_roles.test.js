@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseRoleGroupName,
+    sortByRole,
+    normalizeRoleImages,
+    buildRoleInstruction,
+} = require('../layer_roles');
+
+test('Group names should map to roles with an optional index', () => {
+    assert.deepEqual(parseRoleGroupName('Reference 2'), {
+        role: 'reference',
+        index: 2,
+        label: 'Reference 2',
+    });
+    assert.deepEqual(parseRoleGroupName('pose_1'), { role: 'pose', index: 1, label: 'Pose 1' });
+    assert.deepEqual(parseRoleGroupName(' source '), { role: 'source', index: 0, label: 'Source' });
+    assert.equal(parseRoleGroupName('Background'), null);
+    assert.equal(parseRoleGroupName('Reference copy'), null);
+
+    assert.deepEqual(
+        sortByRole([
+            parseRoleGroupName('Source'),
+            parseRoleGroupName('Mask'),
+            parseRoleGroupName('Reference 10'),
+            parseRoleGroupName('Style'),
+            parseRoleGroupName('Reference 2'),
+        ]).map(({ label }) => label),
+        ['Reference 2', 'Reference 10', 'Style', 'Source', 'Mask']
+    );
+});
+
+test('Legacy source/reference inputs should keep the previous order and instruction', () => {
+    const images = normalizeRoleImages({ sourceImage: 'src', referenceImage: 'ref' });
+    assert.deepEqual(
+        images.map(({ label, data }) => [label, data]),
+        [
+            ['Reference', 'ref'],
+            ['Source', 'src'],
+        ]
+    );
+    assert.equal(
+        buildRoleInstruction(images),
+        'Image 1 is the Reference Layer (use this for style/content reference). ' +
+            'Image 2 is the Source Layer (the content to be modified). '
+    );
+
+    const roleImages = normalizeRoleImages({
+        roleImages: [
+            { role: 'source', label: 'Source', data: 'src' },
+            { role: 'character', index: 1, label: 'Character 1', data: 'char' },
+            { role: 'unknown', label: 'Unknown', data: 'x' },
+        ],
+        sourceImage: 'ignored',
+    });
+    assert.deepEqual(
+        roleImages.map(({ label }) => label),
+        ['Character 1', 'Source']
+    );
+    assert.match(buildRoleInstruction(roleImages), /^Image 1 is the Character 1 Layer \(keep/);
+    assert.deepEqual(normalizeRoleImages({}), []);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseModelList,
+    filterModelsForImageApi,
+    buildModelOptions,
+} = require('../model_discovery');
+const { BANANA_IMAGE_API, GPT_IMAGE_2_API } = require('../aspect_ratio');
+
+test('Gemini native model lists should keep image models that support generateContent', () => {
+    const models = parseModelList({
+        models: [
+            {
+                name: 'models/gemini-2.5-flash-image',
+                displayName: 'Nano Banana',
+                supportedGenerationMethods: ['generateContent'],
+            },
+            { name: 'models/gemini-2.5-pro', supportedGenerationMethods: ['generateContent'] },
+            { name: 'models/gemini-embedding-001', supportedGenerationMethods: ['embedContent'] },
+        ],
+    });
+
+    assert.deepEqual(filterModelsForImageApi(models, BANANA_IMAGE_API), ['gemini-2.5-flash-image']);
+    assert.deepEqual(filterModelsForImageApi(models, GPT_IMAGE_2_API), []);
+});
+
+test('OpenAI and OpenRouter model lists should be split by image API', () => {
+    const openaiModels = parseModelList({
+        object: 'list',
+        data: [{ id: 'gpt-4o' }, { id: 'gpt-image-2' }, { id: 'gemini-3-pro-image-preview' }],
+    });
+    assert.deepEqual(filterModelsForImageApi(openaiModels, GPT_IMAGE_2_API), ['gpt-image-2']);
+    assert.deepEqual(filterModelsForImageApi(openaiModels, BANANA_IMAGE_API), [
+        'gemini-3-pro-image-preview',
+    ]);
+
+    const openRouterModels = parseModelList({
+        data: [
+            {
+                id: 'google/gemini-2.5-flash-image',
+                architecture: { output_modalities: ['image', 'text'] },
+            },
+            {
+                id: 'openai/gpt-4o-image-reader',
+                architecture: { output_modalities: ['text'] },
+            },
+        ],
+    });
+    assert.deepEqual(filterModelsForImageApi(openRouterModels, BANANA_IMAGE_API), [
+        'google/gemini-2.5-flash-image',
+    ]);
+});
+
+test('Model options should preserve a saved model missing from the list', () => {
+    assert.deepEqual(buildModelOptions(['a', 'b'], 'custom-model'), ['custom-model', 'a', 'b']);
+    assert.deepEqual(buildModelOptions(['a', 'b'], 'b'), ['a', 'b']);
+    assert.deepEqual(buildModelOptions(['a'], ''), ['a']);
+});
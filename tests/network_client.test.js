@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_RETRY_POLICY,
+    applyProxy,
+    computeRetryDelay,
+    configureNetwork,
+    delay,
+    isAbortError,
+    isTimeoutError,
+    parseHeaderLines,
+    request,
+    requestAny,
+} = require('../network_client');
+
+const mockResponse = (status, retryAfter = null) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: (name) => (name === 'retry-after' ? retryAfter : null) },
+});
+
+test('Retry delay should back off exponentially and honor Retry-After', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 1000, maxDelayMs: 5000, jitter: 0.5 };
+    const noJitter = () => 0.5;
+
+    assert.equal(computeRetryDelay(policy, 1, null, noJitter), 1000);
+    assert.equal(computeRetryDelay(policy, 3, null, noJitter), 4000);
+    assert.equal(computeRetryDelay(policy, 5, null, noJitter), 5000);
+    assert.equal(
+        computeRetryDelay(policy, 1, null, () => 0),
+        500
+    );
+    assert.equal(computeRetryDelay(policy, 1, 2000, noJitter), 2000);
+    assert.equal(computeRetryDelay(policy, 1, 60000, noJitter), 5000);
+});
+
+test('requestAny should retry transient statuses and record every attempt', async (t) => {
+    const statuses = [503, 429, 200];
+    t.mock.method(globalThis, 'fetch', () =>
+        Promise.resolve(mockResponse(statuses.shift(), statuses.length === 1 ? '0' : null))
+    );
+
+    const { response, attempts } = await requestAny(['https://example.test/generate'], {
+        method: 'POST',
+        retry: { maxAttempts: 3, baseDelayMs: 1, jitter: 0 },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(globalThis.fetch.mock.callCount(), 3);
+    assert.deepEqual(
+        attempts.map((attempt) => attempt.attempt),
+        [1, 2]
+    );
+    assert.match(attempts[0].message, /^HTTP 503, retrying in 1ms \(attempt 2\/3\)$/);
+    assert.match(attempts[1].message, /^HTTP 429, retrying in 0ms/);
+});
+
+test('requestAny should give up after maxAttempts and keep the last response', async (t) => {
+    t.mock.method(globalThis, 'fetch', () => Promise.resolve(mockResponse(502)));
+
+    const { response, attempts } = await requestAny('https://example.test/generate', {
+        retry: { maxAttempts: 2, baseDelayMs: 1, jitter: 0 },
+    });
+
+    assert.equal(response.status, 502);
+    assert.equal(globalThis.fetch.mock.callCount(), 2);
+    assert.equal(attempts.length, 1);
+});
+
+test('Cancelling should stop retry waits without another request', async (t) => {
+    t.mock.method(globalThis, 'fetch', () => Promise.resolve(mockResponse(503)));
+    const controller = new AbortController();
+
+    const pending = requestAny('https://example.test/generate', {
+        retry: { maxAttempts: 3, baseDelayMs: 60000, jitter: 0 },
+        signal: controller.signal,
+    });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(pending, (error) => isAbortError(error));
+    assert.equal(globalThis.fetch.mock.callCount(), 1);
+    await assert.rejects(delay(10, controller.signal), (error) => isAbortError(error));
+});
+
+test('request should report upload, waiting and download progress through XHR', async (t) => {
+    class MockXhr {
+        constructor() {
+            this.upload = {};
+            this.status = 200;
+            this.responseText = '{"ok":true}';
+        }
+        open() {}
+        setRequestHeader() {}
+        send() {
+            setTimeout(() => {
+                this.upload.onprogress({ loaded: 50, total: 100, lengthComputable: true });
+                this.upload.onload();
+                this.onprogress({ loaded: 11, total: 0, lengthComputable: false });
+                this.onload();
+            }, 0);
+        }
+    }
+    t.mock.method(globalThis, 'fetch', () => Promise.reject(new Error('fetch should not be used')));
+    globalThis.XMLHttpRequest = MockXhr;
+    t.after(() => delete globalThis.XMLHttpRequest);
+
+    const events = [];
+    const response = await request('https://example.test/generate', {
+        method: 'POST',
+        body: '{}',
+        timeout: 0,
+        onProgress: (event) => events.push(event),
+    });
+
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.equal(globalThis.fetch.mock.callCount(), 0);
+    assert.deepEqual(events, [
+        { phase: 'uploading', loaded: 50, total: 100 },
+        { phase: 'waiting' },
+        { phase: 'downloading', loaded: 11, total: 0 },
+    ]);
+});
+
+test('request should apply the global proxy and custom headers', async (t) => {
+    const seen = [];
+    t.mock.method(globalThis, 'fetch', (url, options) => {
+        seen.push([url, options.headers]);
+        return Promise.resolve(mockResponse(200));
+    });
+    configureNetwork({
+        proxyUrl: 'https://gateway.example.test/',
+        headers: parseHeaderLines('# corp gateway\nX-Gateway-Token: abc\nAuthorization: none\n'),
+    });
+    t.after(() => configureNetwork({}));
+
+    await request('https://api.openai.com/v1/models', { headers: { Authorization: 'Bearer k1' } });
+    await request('http://127.0.0.1:8188/queue');
+
+    assert.deepEqual(seen, [
+        [
+            'https://gateway.example.test/https://api.openai.com/v1/models',
+            { 'X-Gateway-Token': 'abc', Authorization: 'Bearer k1' },
+        ],
+        ['http://127.0.0.1:8188/queue', { 'X-Gateway-Token': 'abc', Authorization: 'none' }],
+    ]);
+
+    configureNetwork({ proxyUrl: 'https://gateway.example.test/forward?target={url}' });
+    assert.equal(
+        applyProxy('https://yunwu.ai/v1'),
+        'https://gateway.example.test/forward?target=https%3A%2F%2Fyunwu.ai%2Fv1'
+    );
+});
+
+test('fetch timeouts should not fall back to XHR and resend the request', async (t) => {
+    t.mock.method(
+        globalThis,
+        'fetch',
+        (url, options) =>
+            new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+            })
+    );
+
+    await assert.rejects(
+        request('https://example.test/generate', { method: 'POST', timeout: 10 }),
+        (error) => isTimeoutError(error) && !isAbortError(error)
+    );
+    assert.equal(globalThis.fetch.mock.callCount(), 1);
+});
+
+test('requestAny should not resend a timed-out POST to another URL or retry round', async (t) => {
+    t.mock.method(
+        globalThis,
+        'fetch',
+        (url, options) =>
+            new Promise((resolve, reject) => {
+                options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+            })
+    );
+    const urls = ['https://example.test/v1/generate', 'https://example.test/generate'];
+    const retry = { maxAttempts: 3, baseDelayMs: 1, jitter: 0 };
+
+    await assert.rejects(
+        requestAny(urls, { method: 'POST', timeout: 10, retry }),
+        (error) => isTimeoutError(error) && error.attempts.length === 1
+    );
+    assert.equal(globalThis.fetch.mock.callCount(), 1);
+
+    // 幂等请求超时后仍按策略重试
+    await assert.rejects(requestAny(urls.slice(0, 1), { timeout: 10, retry }), isTimeoutError);
+    assert.equal(globalThis.fetch.mock.callCount(), 4);
+});
+
+test('requestAny should not resend a POST after a network error', async (t) => {
+    t.mock.method(globalThis, 'fetch', () => Promise.reject(new TypeError('connection reset')));
+    const urls = ['https://example.test/v1/generate', 'https://example.test/generate'];
+    const retry = { maxAttempts: 3, baseDelayMs: 1, jitter: 0 };
+
+    await assert.rejects(
+        requestAny(urls, { method: 'POST', retry }),
+        (error) => /connection reset/.test(error.message) && error.attempts.length === 1
+    );
+    assert.equal(globalThis.fetch.mock.callCount(), 1);
+
+    // 幂等请求仍会尝试其余 URL 并按策略重试
+    await assert.rejects(requestAny(urls, { retry }), /connection reset/);
+    assert.equal(globalThis.fetch.mock.callCount(), 7);
+});
+
+test('fetch timeouts should also cover a stalled response body', async (t) => {
+    t.mock.method(globalThis, 'fetch', (url, options) =>
+        Promise.resolve({
+            ...mockResponse(200),
+            arrayBuffer: () =>
+                new Promise((resolve, reject) => {
+                    options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+                }),
+        })
+    );
+
+    const response = await request('https://example.test/image.png', { timeout: 10 });
+    assert.equal(response.status, 200);
+    await assert.rejects(response.arrayBuffer(), (error) => isTimeoutError(error));
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateOutpaintPlan } = require('../outpaint');
+
+test('Outpaint by amount should extend the chosen side and keep the original inset by the overlap', () => {
+    const right = calculateOutpaintPlan({
+        width: 400,
+        height: 300,
+        direction: 'right',
+        amount: 200,
+    });
+    assert.equal(right.width, 600);
+    assert.equal(right.height, 300);
+    assert.deepEqual(right.anchor, { horizontal: 'start', vertical: 'start' });
+    assert.deepEqual(right.keepRect, { left: 0, top: 0, right: 384, bottom: 300 });
+
+    const all = calculateOutpaintPlan({ width: 400, height: 300, amount: 50, overlap: 8 });
+    assert.equal(all.width, 500);
+    assert.equal(all.height, 400);
+    assert.deepEqual(all.anchor, { horizontal: 'middle', vertical: 'middle' });
+    assert.deepEqual(all.keepRect, { left: 58, top: 58, right: 442, bottom: 342 });
+
+    assert.equal(calculateOutpaintPlan({ width: 400, height: 300, amount: 0 }).changed, false);
+});
+
+test('Outpaint by ratio should only extend the short side, split evenly unless a side is chosen', () => {
+    const centered = calculateOutpaintPlan({ width: 1001, height: 1000, ratio: 16 / 9 });
+    assert.equal(centered.height, 1000);
+    assert.equal(centered.width, 1779);
+    assert.equal(centered.offsetX, 389);
+    assert.equal(centered.offsetY, 0);
+    assert.deepEqual(centered.anchor, { horizontal: 'middle', vertical: 'start' });
+
+    const top = calculateOutpaintPlan({ width: 900, height: 900, direction: 'top', ratio: 9 / 16 });
+    assert.equal(top.width, 900);
+    assert.equal(top.height, 1600);
+    assert.equal(top.offsetY, 700);
+    assert.deepEqual(top.anchor, { horizontal: 'start', vertical: 'end' });
+    assert.deepEqual(top.keepRect, { left: 0, top: 716, right: 900, bottom: 1600 });
+
+    assert.equal(calculateOutpaintPlan({ width: 900, height: 900, ratio: 1 }).changed, false);
+});
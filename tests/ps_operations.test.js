@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const { createFakeFolder } = require('./fake_uxp');
+
+// Photoshop 宿主模块只在插件中存在，测试中用记录 batchPlay 调用的替身代替
+const descriptors = [];
+const app = { activeDocument: null };
+const hostModules = {
+    photoshop: {
+        app,
+        constants: {},
+        action: {
+            batchPlay: (commands) => {
+                commands.forEach((command) => {
+                    descriptors.push(command);
+                    // 移到文档根层级
+                    if (command._obj === 'move' && command.to._ref === 'document') {
+                        app.activeDocument.activeLayers[0].parent = app.activeDocument;
+                    }
+                });
+                return Promise.resolve(commands.map(() => ({})));
+            },
+        },
+    },
+    uxp: {
+        storage: {
+            localFileSystem: {
+                getDataFolder: () => Promise.resolve(createFakeFolder('data')),
+                createSessionToken: () => 'token',
+            },
+        },
+    },
+};
+const originalLoad = Module._load;
+Module._load = function (request, ...args) {
+    return hostModules[request] || originalLoad.call(this, request, ...args);
+};
+const { PSOperations } = require('../ps_operations');
+Module._load = originalLoad;
+
+function createFakeDocument() {
+    const doc = {
+        id: 1,
+        width: 1024,
+        height: 768,
+        typename: 'Document',
+        crop: () => Promise.resolve(),
+        resizeImage: () => Promise.resolve(),
+        flatten: () => Promise.resolve(),
+    };
+    // 当前图层在一个组内，组上方还有其他图层
+    const group = { typename: 'LayerSet', name: 'Group', parent: doc };
+    doc.activeLayers = [{ name: 'Layer 1', parent: group }];
+    return doc;
+}
+
+test('Selection mask layer should be moved to the top of the document before filling', async () => {
+    app.activeDocument = createFakeDocument();
+    descriptors.length = 0;
+
+    await PSOperations.exportSelectionMask();
+
+    const indexOf = (predicate) => descriptors.findIndex(predicate);
+    const makeIndex = indexOf((d) => d._obj === 'make');
+    const moveOutIndex = indexOf((d) => d._obj === 'move' && d.to._ref === 'document');
+    const moveFrontIndex = indexOf((d) => d._obj === 'move' && d.to._value === 'front');
+    const fillIndex = indexOf((d) => d._obj === 'fill');
+    assert.ok(makeIndex >= 0);
+    assert.ok(makeIndex < moveOutIndex, 'mask layer should leave its group');
+    assert.ok(moveOutIndex < moveFrontIndex, 'mask layer should move to the front');
+    assert.ok(moveFrontIndex < fillIndex, 'mask layer should be on top before it is filled');
+});
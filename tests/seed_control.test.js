@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    MAX_SEED,
+    parseSeed,
+    resolveSeed,
+    offsetSeed,
+    isSeedSupported,
+} = require('../seed_control');
+const { BANANA_IMAGE_API, GPT_IMAGE_2_API } = require('../aspect_ratio');
+
+test('Seed modes should pick the next seed and the value kept in the seed field', () => {
+    const random = () => 0.5;
+    const randomSeed = Math.floor(0.5 * (MAX_SEED + 1));
+
+    assert.deepEqual(resolveSeed({ mode: 'random', value: '7', random }), {
+        seed: randomSeed,
+        nextValue: randomSeed,
+    });
+    assert.deepEqual(resolveSeed({ mode: 'fixed', value: '7', random }), {
+        seed: 7,
+        nextValue: 7,
+    });
+    assert.deepEqual(resolveSeed({ mode: 'increment', value: 7, count: 4, random }), {
+        seed: 7,
+        nextValue: 11,
+    });
+    assert.deepEqual(resolveSeed({ mode: 'increment', value: MAX_SEED, random }), {
+        seed: MAX_SEED,
+        nextValue: 0,
+    });
+    // 输入无效时退回随机 seed
+    assert.deepEqual(resolveSeed({ mode: 'fixed', value: 'abc', random }), {
+        seed: randomSeed,
+        nextValue: randomSeed,
+    });
+
+    assert.equal(parseSeed(''), null);
+    assert.equal(parseSeed('-1'), null);
+    assert.equal(parseSeed('1.5'), null);
+    assert.equal(parseSeed(String(MAX_SEED + 1)), null);
+    assert.equal(offsetSeed(MAX_SEED, 2), 1);
+});
+
+test('Seed support should follow the provider type and image API', () => {
+    assert.equal(isSeedSupported('google_official', BANANA_IMAGE_API), true);
+    assert.equal(isSeedSupported('comfyui', BANANA_IMAGE_API), true);
+    assert.equal(isSeedSupported('openai_images', BANANA_IMAGE_API), false);
+    assert.equal(isSeedSupported('yunwu', GPT_IMAGE_2_API), false);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TaskQueue } = require('../task_queue');
+const { isAbortError } = require('../network_client');
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise((r) => (resolve = r));
+    return { promise, resolve };
+};
+
+test('Queue should respect the concurrency limit and allow reordering or dropping jobs', async () => {
+    const queue = new TaskQueue({ concurrency: 1 });
+    const started = [];
+    const gates = { a: deferred(), b: deferred(), c: deferred() };
+    const enqueue = (id) =>
+        queue.enqueue({
+            id,
+            provider: 'Yunwu',
+            run: () => {
+                started.push(id);
+                return gates[id].promise.then(() => id);
+            },
+        });
+
+    const first = enqueue('a');
+    const second = enqueue('b');
+    const third = enqueue('c');
+    await Promise.resolve();
+
+    assert.deepEqual(started, ['a']);
+    assert.equal(queue.move('c', -1), true);
+    assert.deepEqual(
+        queue.getQueued().map((job) => job.id),
+        ['c', 'b']
+    );
+
+    assert.equal(queue.remove('b'), true);
+    await assert.rejects(second, (e) => isAbortError(e));
+
+    gates.a.resolve();
+    assert.equal(await first, 'a');
+    gates.c.resolve();
+    assert.equal(await third, 'c');
+    assert.deepEqual(started, ['a', 'c']);
+});
+
+test('Queue should hold jobs beyond the provider requests-per-minute budget', async () => {
+    const queue = new TaskQueue({ rpmLimits: { Yunwu: 1 }, now: () => 1000 });
+    const controller = new AbortController();
+
+    const first = queue.enqueue({ id: 1, provider: 'Yunwu', run: () => 'first' });
+    const blocked = queue.enqueue({
+        id: 2,
+        provider: 'Yunwu',
+        run: () => 'second',
+        signal: controller.signal,
+    });
+    const other = queue.enqueue({ id: 3, provider: 'GPTGod', run: () => 'other' });
+
+    assert.equal(await first, 'first');
+    assert.equal(await other, 'other');
+    assert.deepEqual(queue.getQueued(), [
+        { id: 2, provider: 'Yunwu', position: 1, rateLimited: true },
+    ]);
+
+    // 排队中的任务取消后移出队列，同时清除等待配额的定时器
+    controller.abort();
+    await assert.rejects(blocked, (e) => isAbortError(e));
+    assert.equal(queue.timer, null);
+});
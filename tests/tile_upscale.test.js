@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getTileSize, calculateTilePlan } = require('../tile_upscale');
+
+test('Tile size should follow the output resolution and the export size limit', () => {
+    assert.equal(getTileSize('1K', 2048), 1024);
+    assert.equal(getTileSize('4K', 2048), 2048);
+    assert.equal(getTileSize('unknown', 4096), 1024);
+});
+
+test('Tiles should cover the region with a standard ratio and feather into earlier tiles', () => {
+    const tiles = calculateTilePlan({ width: 4000, height: 3000, tileSize: 2048, overlap: 128 });
+    assert.equal(tiles.length, 6);
+    assert.ok(tiles.every((tile) => tile.width === 1564 && tile.height === 1564));
+    assert.ok(tiles.every((tile) => tile.aspectRatio === '1:1'));
+    assert.deepEqual(
+        tiles.map((tile) => [tile.left, tile.top]),
+        [
+            [0, 0],
+            [1218, 0],
+            [2436, 0],
+            [0, 1436],
+            [1218, 1436],
+            [2436, 1436],
+        ]
+    );
+    assert.equal(tiles[5].right, 4000);
+    assert.equal(tiles[5].bottom, 3000);
+
+    assert.equal(tiles[0].mask, null);
+    assert.deepEqual(tiles[4].blend, { left: 346, top: 128 });
+    assert.deepEqual(tiles[4].mask, {
+        left: 1391,
+        top: 1500,
+        right: 2846,
+        bottom: 3064,
+        feather: 32,
+    });
+
+    const [single] = calculateTilePlan({
+        left: 100,
+        top: 50,
+        width: 800,
+        height: 600,
+        tileSize: 1024,
+    });
+    assert.equal(single.aspectRatio, '4:3');
+    assert.equal(single.right, 900);
+    assert.equal(single.mask, null);
+});
+
+test('Tiles of very wide or tall regions should keep the exact pixel size of their ratio', () => {
+    const wide = calculateTilePlan({ width: 4100, height: 900, tileSize: 2048, overlap: 128 });
+    assert.equal(wide.length, 4);
+    assert.ok(wide.every((tile) => tile.width === 1350 && tile.height === 900));
+    assert.ok(wide.every((tile) => tile.aspectRatio === '3:2'));
+    assert.equal(wide[3].right, 4100);
+
+    const tall = calculateTilePlan({ width: 500, height: 6000, tileSize: 1024, overlap: 64 });
+    const { width, height, aspectRatio } = tall[0];
+    assert.equal(aspectRatio, '9:16');
+    assert.deepEqual([width, height], [500, 889]);
+    assert.equal(tall.length, 8);
+    assert.equal(tall[tall.length - 1].bottom, 6000);
+});
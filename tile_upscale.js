@@ -0,0 +1,150 @@
+/**
+ * 分块放大（Tiled Upscale）
+ * 画布（或选区）超过单次生成的尺寸时，按 Image API 支持的比例切成互相重叠的分块，
+ * 每块单独走一次图生图后放回原位置；重叠部分由后面的分块以羽化蒙版渐入覆盖前面的分块。
+ */
+const {
+    BANANA_IMAGE_API,
+    calculateClosestAspectRatio,
+    getAspectRatiosForImageApi,
+} = require('./aspect_ratio');
+
+const UPSCALE_FACTORS = [1, 2, 4];
+const DEFAULT_TILE_OVERLAP = 128;
+// 各分辨率输出图片的长边，分块不大于该尺寸，放回时不会被拉伸
+const RESOLUTION_TILE_SIZES = { '1K': 1024, '2K': 2048, '4K': 4096 };
+
+/**
+ * 分块的长边：不超过输出分辨率与导出尺寸上限
+ * @param {string} resolution - 1K / 2K / 4K
+ * @param {number} maxSize - export_max_size
+ * @returns {number}
+ */
+function getTileSize(resolution, maxSize) {
+    return Math.min(RESOLUTION_TILE_SIZES[resolution] || RESOLUTION_TILE_SIZES['1K'], maxSize);
+}
+
+function countTiles(length, tileSize, overlap) {
+    if (length <= tileSize) return 1;
+    return Math.ceil((length - overlap) / (tileSize - overlap));
+}
+
+// 按分块长边上限均分一个轴时的分块边长
+function splitLength(length, tileSize, overlap) {
+    const count = countTiles(length, tileSize, overlap);
+    return count === 1 ? length : Math.ceil((length + (count - 1) * overlap) / count);
+}
+
+// 分块在一个轴上的起点，首尾分块贴齐区域边缘，其余均匀分布
+function tileOffsets(start, length, tileLength, count) {
+    if (count === 1) return [start];
+    return Array.from(
+        { length: count },
+        (_, index) => start + Math.round((index * (length - tileLength)) / (count - 1))
+    );
+}
+
+/**
+ * 计算分块
+ * @param {Object} options
+ * @param {number} [options.left=0] - 区域在画布中的位置
+ * @param {number} [options.top=0]
+ * @param {number} options.width - 区域宽度
+ * @param {number} options.height - 区域高度
+ * @param {number} options.tileSize - 分块长边上限
+ * @param {number} [options.overlap] - 相邻分块的最小重叠像素
+ * @param {string} [options.imageApiKind] - 分块比例从该 Image API 支持的比例中选择
+ * @returns {Array<Object>} - 按行优先排列的分块，包含与 calculateGenerationRegion 相同的区域字段
+ *   （left / top / right / bottom / width / height / aspectRatio），以及 index / row / col、
+ *   与左侧、上方分块的重叠宽度 blend 和羽化蒙版 mask（无需蒙版时为 null）
+ */
+function calculateTilePlan({
+    left = 0,
+    top = 0,
+    width,
+    height,
+    tileSize,
+    overlap = DEFAULT_TILE_OVERLAP,
+    imageApiKind = BANANA_IMAGE_API,
+}) {
+    const minOverlap = Math.max(0, Math.min(overlap, Math.floor(tileSize / 2)));
+    const initialWidth = splitLength(width, tileSize, minOverlap);
+    const initialHeight = splitLength(height, tileSize, minOverlap);
+
+    // 分块按最接近的标准比例放大短边；超出分块尺寸上限或区域时按该比例整体缩小，
+    // 分块像素尺寸始终与 aspectRatio 一致（生成结果放回时不会被拉伸），分块数与重叠随之调整
+    const aspectRatio = calculateClosestAspectRatio(initialWidth, initialHeight, imageApiKind);
+    const ratio = getAspectRatiosForImageApi(imageApiKind).find(
+        ({ name }) => name === aspectRatio
+    ).value;
+    let tileWidth = Math.max(initialWidth, Math.round(initialHeight * ratio));
+    let tileHeight = Math.max(initialHeight, Math.round(initialWidth / ratio));
+    const maxWidth = Math.min(tileSize, width);
+    const maxHeight = Math.min(tileSize, height);
+    if (tileWidth > maxWidth || tileHeight > maxHeight) {
+        if (maxWidth / tileWidth <= maxHeight / tileHeight) {
+            tileWidth = maxWidth;
+            tileHeight = Math.min(maxHeight, Math.round(maxWidth / ratio));
+        } else {
+            tileHeight = maxHeight;
+            tileWidth = Math.min(maxWidth, Math.round(maxHeight * ratio));
+        }
+    }
+    const cols = countTiles(width, tileWidth, Math.min(minOverlap, Math.floor(tileWidth / 2)));
+    const rows = countTiles(height, tileHeight, Math.min(minOverlap, Math.floor(tileHeight / 2)));
+
+    const lefts = tileOffsets(left, width, tileWidth, cols);
+    const tops = tileOffsets(top, height, tileHeight, rows);
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const tileLeft = lefts[col];
+            const tileTop = tops[row];
+            const blend = {
+                left: col > 0 ? lefts[col - 1] + tileWidth - tileLeft : 0,
+                top: row > 0 ? tops[row - 1] + tileHeight - tileTop : 0,
+            };
+            tiles.push({
+                index: tiles.length,
+                row,
+                col,
+                left: tileLeft,
+                top: tileTop,
+                right: tileLeft + tileWidth,
+                bottom: tileTop + tileHeight,
+                width: tileWidth,
+                height: tileHeight,
+                aspectRatio,
+                blend,
+                mask: calculateTileMask(tileLeft, tileTop, tileWidth, tileHeight, blend),
+            });
+        }
+    }
+    return tiles;
+}
+
+/**
+ * 分块的羽化蒙版：选区边缘位于与左侧 / 上方分块重叠区域的中线，羽化半径为重叠宽度的 1/4；
+ * 其余边向外扩展两倍羽化半径，羽化不影响分块自身的像素
+ */
+function calculateTileMask(left, top, width, height, blend) {
+    const blends = [blend.left, blend.top].filter((value) => value > 0);
+    if (blends.length === 0) return null;
+
+    const feather = Math.max(1, Math.round(Math.min(...blends) / 4));
+    const outset = feather * 2;
+    return {
+        left: blend.left > 0 ? left + Math.round(blend.left / 2) : left - outset,
+        top: blend.top > 0 ? top + Math.round(blend.top / 2) : top - outset,
+        right: left + width + outset,
+        bottom: top + height + outset,
+        feather,
+    };
+}
+
+module.exports = {
+    UPSCALE_FACTORS,
+    DEFAULT_TILE_OVERLAP,
+    getTileSize,
+    calculateTilePlan,
+};